@@ -0,0 +1,60 @@
+/**
+ * QuMail backend
+ * Hosts the pieces of QuMail that cannot run in the browser, mounted under
+ * the same API path the frontend uses for config.EMAIL_API_PATH
+ */
+
+import express from "express";
+import { createKmGatewayRouter } from "./routes/kmGateway.js";
+import { createImapBridgeRouter } from "./routes/imapBridge.js";
+import { createSmtpSubmitRouter } from "./routes/smtpSubmit.js";
+import { createPop3BridgeRouter } from "./routes/pop3Bridge.js";
+import { createOAuthTokenRouter } from "./routes/oauthToken.js";
+import { createMailAutoconfigRouter } from "./routes/mailAutoconfig.js";
+
+// The Vite dev server; in production the app is served from the backend's
+// own origin and needs no CORS
+export const DEFAULT_APP_ORIGIN = "http://localhost:5173";
+
+/**
+ * Create the backend express app
+ */
+export function createApp({
+  apiPath = "/api",
+  allowedOrigin = DEFAULT_APP_ORIGIN,
+  env = process.env,
+} = {}) {
+  const app = express();
+
+  app.use((req, res, next) => {
+    res.setHeader("Access-Control-Allow-Origin", allowedOrigin);
+    res.setHeader(
+      "Access-Control-Allow-Methods",
+      "GET, POST, PUT, PATCH, DELETE, OPTIONS"
+    );
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, Accept"
+    );
+    if (req.method === "OPTIONS") {
+      return res.status(204).end();
+    }
+    next();
+  });
+  // Ahead of the JSON parser below: submissions stream whole messages and
+  // POP3 retrieval carries whole UIDL lists
+  app.use(apiPath, createSmtpSubmitRouter());
+  app.use(apiPath, createPop3BridgeRouter());
+  app.use(express.json({ limit: "1mb" }));
+
+  app.use(apiPath, createKmGatewayRouter({ env }));
+  app.use(apiPath, createImapBridgeRouter());
+  app.use(apiPath, createOAuthTokenRouter({ env }));
+  app.use(apiPath, createMailAutoconfigRouter({ env }));
+
+  app.get(`${apiPath}/health`, (req, res) => {
+    res.json({ status: "ok" });
+  });
+
+  return app;
+}
@@ -0,0 +1,295 @@
+/**
+ * Mail server discovery harness
+ * Runs the autoconfig route against local fixtures: autoconfig, well-known
+ * and ISPDB files are served by a local HTTP server standing in for the
+ * real hosts, and SRV lookups are answered from fixtures/autoconfig/srv.json.
+ * Checks source order, placeholder expansion, socket type mapping, SRV
+ * record selection and POP3 discovery; and that files are not fetched from
+ * IP-literal domains, non-public addresses or redirects to them, and that
+ * oversized files are not read to the end.
+ *
+ *   npm run autoconfig:harness
+ */
+
+import { createServer } from "node:http";
+import { readFile } from "node:fs/promises";
+import express from "express";
+import { createMailAutoconfigRouter } from "../routes/mailAutoconfig.js";
+import { closeServers, finish, listen, runChecks, serve } from "./harness.js";
+
+const FIXTURES = new URL("./fixtures/autoconfig/", import.meta.url);
+
+/**
+ * Serve fixtures/autoconfig/<source>/<domain>.xml as /<source>/<domain>
+ * server.requests counts the requests served; server.endlessClosed says
+ * whether the client hung up on the endless file
+ */
+function createFixtureServer() {
+  const server = createServer(async (req, res) => {
+    server.requests++;
+    const [, source, domain] = new URL(req.url, "http://fixtures").pathname
+      .split("/")
+      .map(decodeURIComponent);
+    if (domain === "error.test") {
+      res.writeHead(500).end("Internal Server Error");
+      return;
+    }
+    if (domain === "redirect.test") {
+      res
+        .writeHead(302, {
+          Location: "http://169.254.169.254/latest/meta-data/",
+        })
+        .end();
+      return;
+    }
+    if (domain === "moved.test") {
+      res.writeHead(301, { Location: "/autoconfig/example.org" }).end();
+      return;
+    }
+    if (domain === "endless.test") {
+      // A clientConfig that never ends, until the client hangs up
+      res.on("close", () => (server.endlessClosed = true));
+      res.writeHead(200, { "Content-Type": "application/xml" });
+      res.write("<clientConfig>");
+      const padding = `<!-- ${"x".repeat(64 * 1024)} -->`;
+      const write = () => {
+        while (!res.destroyed && res.write(padding));
+      };
+      res.on("drain", write);
+      write();
+      return;
+    }
+    try {
+      const xml = await readFile(new URL(`${source}/${domain}.xml`, FIXTURES));
+      res.writeHead(200, { "Content-Type": "application/xml" }).end(xml);
+    } catch {
+      res.writeHead(404).end("Not Found");
+    }
+  });
+  server.requests = 0;
+  server.endlessClosed = false;
+  return server;
+}
+
+/**
+ * A dns.promises.resolveSrv stand-in backed by srv.json
+ */
+async function createSrvResolver() {
+  const records = JSON.parse(
+    await readFile(new URL("srv.json", FIXTURES), "utf8")
+  );
+  return async (name) => {
+    if (!records[name]) {
+      const error = new Error(`querySrv ENOTFOUND ${name}`);
+      error.code = "ENOTFOUND";
+      throw error;
+    }
+    return records[name];
+  };
+}
+
+async function main() {
+  const fixtureServer = createFixtureServer();
+  const fixtureUrl = `http://127.0.0.1:${await listen(fixtureServer)}`;
+
+  const resolveSrv = await createSrvResolver();
+  // The fixture server stands in for public hosts; any other address the
+  // route asks about is refused and noted
+  const refused = [];
+  const app = express();
+  app.use(
+    "/api",
+    createMailAutoconfigRouter({
+      sources: ["autoconfig", "well-known", "ispdb"].map((name) => ({
+        name,
+        url: (domain) => `${fixtureUrl}/${name}/${domain}`,
+      })),
+      resolveSrv,
+      isAllowedAddress: (address) =>
+        address === "127.0.0.1" || (refused.push(address), false),
+    })
+  );
+  // The same fixtures behind the default address check, once by address
+  // and once by a name resolving to it
+  app.use(
+    "/strict",
+    createMailAutoconfigRouter({
+      sources: [
+        fixtureUrl,
+        fixtureUrl.replace("127.0.0.1", "fixtures.test"),
+      ].map((base, i) => ({
+        name: `strict-${i}`,
+        url: (domain) => `${base}/autoconfig/${domain}`,
+      })),
+      resolveSrv,
+      lookup: async () => [{ address: "127.0.0.1", family: 4 }],
+    })
+  );
+  const { server: appServer, url: appUrl } = await serve(app);
+
+  const discover = async (email, protocol = "imap", mount = "api") => {
+    const response = await fetch(
+      `${appUrl}/${mount}/autoconfig?email=${encodeURIComponent(
+        email
+      )}&protocol=${protocol}`
+    );
+    return { status: response.status, payload: await response.json() };
+  };
+
+  const cases = [
+    {
+      name: "Autoconfig file: IMAP preferred over POP3, placeholders expanded",
+      run: () => discover("alice@example.org"),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.source === "autoconfig" &&
+        payload.displayName === "Example & Co Mail" &&
+        payload.imap.host === "imap.example.org" &&
+        payload.imap.port === 993 &&
+        payload.imap.security === "tls" &&
+        payload.imap.username === "alice" &&
+        payload.smtp.security === "starttls" &&
+        payload.smtp.username === "alice@example.org",
+    },
+    {
+      name: "Well-known location is tried next",
+      run: () => discover("bob@well-known.test"),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.source === "well-known" &&
+        payload.imap.security === "starttls" &&
+        payload.smtp.port === 465 &&
+        payload.smtp.security === "tls",
+    },
+    {
+      name: "ISPDB is the last file source",
+      run: () => discover("carol@ispdb.test"),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.source === "ispdb" &&
+        payload.imap.host === "imap.ispdb.test" &&
+        payload.smtp.security === "none",
+    },
+    {
+      name: "Files without an IMAP server are skipped",
+      run: () => discover("dave@broken.test"),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.source === "ispdb" &&
+        payload.imap.host === "imap.broken.test",
+    },
+    {
+      name: "DNS SRV: unavailable services skipped, lowest priority chosen",
+      run: () => discover("erin@srv.test"),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.source === "srv" &&
+        payload.imap.host === "mail.srv.test" &&
+        payload.imap.security === "starttls" &&
+        payload.imap.username === "erin@srv.test" &&
+        payload.smtp.host === "smtp.srv.test" &&
+        payload.smtp.security === "tls",
+    },
+    {
+      name: "DNS SRV without a submission service leaves SMTP open",
+      run: () => discover("frank@imap-only.test"),
+      check: ({ status, payload }) =>
+        status === 200 && payload.imap.port === 993 && payload.smtp === null,
+    },
+    {
+      name: "POP3 discovery accepts files with only a POP3 server",
+      run: () => discover("dave@broken.test", "pop3"),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.source === "autoconfig" &&
+        payload.pop3.host === "pop.broken.test" &&
+        payload.pop3.port === 995 &&
+        payload.imap === null,
+    },
+    {
+      name: "DNS SRV: POP3 services are looked up for POP3",
+      run: () => discover("erin@srv.test", "pop3"),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.source === "srv" &&
+        payload.pop3.host === "pop.srv.test" &&
+        payload.pop3.security === "starttls" &&
+        payload.imap === null &&
+        payload.smtp.host === "smtp.srv.test",
+    },
+    {
+      name: "Server errors fall through to the next source",
+      run: () => discover("grace@error.test"),
+      check: ({ status, payload }) =>
+        status === 404 && payload.code === "AUTOCONFIG_NOT_FOUND",
+    },
+    {
+      name: "Unknown domains are reported",
+      run: () => discover("heidi@nowhere.test"),
+      check: ({ status, payload }) =>
+        status === 404 && payload.code === "AUTOCONFIG_NOT_FOUND",
+    },
+    {
+      name: "Addresses that are not DNS names are refused",
+      run: () => discover("mallory@evil.test/../admin"),
+      check: ({ status, payload }) =>
+        status === 400 && payload.code === "AUTOCONFIG_BAD_REQUEST",
+    },
+    {
+      name: "IP-literal domains are refused",
+      run: () =>
+        Promise.all(
+          ["mallory@192.168.1.10", "mallory@127.0.0.0x1"].map((email) =>
+            discover(email)
+          )
+        ),
+      check: (results) =>
+        results.every(
+          ({ status, payload }) =>
+            status === 400 && payload.code === "AUTOCONFIG_BAD_REQUEST"
+        ),
+    },
+    {
+      name: "Hosts at loopback addresses are not fetched",
+      run: async () => {
+        const before = fixtureServer.requests;
+        const result = await discover("alice@example.org", "imap", "strict");
+        return { ...result, requests: fixtureServer.requests - before };
+      },
+      check: ({ status, requests }) => status === 404 && requests === 0,
+    },
+    {
+      name: "Redirects are followed, but not to non-public addresses",
+      run: async () => ({
+        moved: await discover("alice@moved.test"),
+        redirected: await discover("mallory@redirect.test"),
+      }),
+      check: ({ moved, redirected }) =>
+        moved.status === 200 &&
+        moved.payload.imap.host === "imap.moved.test" &&
+        redirected.status === 404 &&
+        refused.includes("169.254.169.254"),
+    },
+    {
+      name: "Oversized files are not read to the end",
+      run: async () => {
+        const result = await discover("mallory@endless.test");
+        // The hang-up reaches the fixture server just after the answer
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return { ...result, closed: fixtureServer.endlessClosed };
+      },
+      check: ({ status, closed }) => status === 404 && closed,
+    },
+  ];
+
+  const failures = await runChecks(cases);
+
+  closeServers(appServer, fixtureServer);
+
+  finish("autoconfig", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("Autoconfig harness failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,433 @@
+/**
+ * Message crypto harness
+ * Loads the app's security service and its dependencies through Vite (they
+ * are browser modules) with localStorage kept in memory and the simulated
+ * Key Manager; without Web Workers the content cipher runs on the main
+ * thread. Checks that message components round-trip under one message key
+ * at every security level and that tampered ciphertext or modified QuMail
+ * headers raise IntegrityError; that whole messages round-trip through
+ * their MIME wire format with their signatures intact, also from a sender
+ * without a post-quantum identity yet; that streamed attachments round-trip
+ * across chunk boundaries, and that truncated, reordered or tampered
+ * chunks raise IntegrityError; that the key ledger records every Key
+ * Manager key and refuses one used before; and that issued keys are not
+ * kept once retrieved or after the vault locks.
+ *
+ *   npm run crypto:harness
+ */
+
+import { createModuleLoader, finish, runChecks } from "./harness.js";
+
+const PASSPHRASE = "harness passphrase";
+const ME = "user@qumail.local";
+const TEXT = "<p>Quarterly key rotation moves to Friday.</p>";
+const HEADERS = { "X-QuMail-Version": "2.0" };
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+// Deterministic content, different for each seed
+const bytes = (length, seed = 1) =>
+  Uint8Array.from({ length }, (_, i) => (i * 31 + seed) & 255);
+
+const equal = (a, b) =>
+  a.length === b.length && a.every((value, i) => value === b[i]);
+
+const join = (chunks) => {
+  const joined = new Uint8Array(
+    chunks.reduce((total, chunk) => total + chunk.length, 0)
+  );
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    joined.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return joined;
+};
+
+// The error a promise rejects with, or "opened" if it resolves
+const failure = (promise) =>
+  promise.then(
+    () => "opened",
+    (error) => error.name
+  );
+
+async function main() {
+  const modules = await createModuleLoader();
+  const { load } = modules;
+  const { vaultService } = await load("/src/services/vaultService.js");
+  const { pqcService } = await load("/src/services/pqcService.js");
+  const { kmService } = await load("/src/services/kmService.js");
+  const { keyLedger } = await load("/src/services/keyLedger.js");
+  const { securityService } = await load("/src/services/securityService.js");
+  const { encryptionEngine } = await load("/src/services/encryptionEngine.js");
+  const { mimeService } = await load("/src/services/mimeService.js");
+  const { signatureService, SIGNATURE_STATUS } = await load(
+    "/src/services/signatureService.js"
+  );
+  const { STREAM_CHUNK_SIZE } = await load("/src/services/contentCipher.js");
+  const { SECURITY_LEVELS } = await load("/src/types/index.js");
+  const { base64ToBytes, bytesToBase64 } = await load("/src/utils/crypto.js");
+  const CHUNK = STREAM_CHUNK_SIZE;
+  const SEALED_LEVELS = [
+    SECURITY_LEVELS.QUANTUM_SECURE,
+    SECURITY_LEVELS.QUANTUM_AES,
+    SECURITY_LEVELS.PQC_ENCRYPTION,
+  ];
+  const AEAD_LEVELS = SEALED_LEVELS.slice(1);
+
+  // Silence the services' progress messages
+  const log = console.log;
+  console.log = () => {};
+
+  await vaultService.create(PASSPHRASE);
+  await pqcService.getOrCreateIdentity(ME);
+  await securityService.initialize();
+
+  let messages = 0;
+  const createKey = (level, otpLength = 0) =>
+    securityService.createMessageKey(level, {
+      encryptionId: `harness-${++messages}`,
+      recipients: [ME],
+      otpLength,
+    });
+
+  // An email as a recipient parses it from the wire
+  const overTheWire = async (email) =>
+    mimeService.parseMessage(
+      await (await mimeService.serializeEmail(email)).text()
+    );
+
+  /**
+   * Seal data as a stream and open the given chunks (all of them by
+   * default) as the recipient would
+   */
+  const streamed = async (level, data, alter = (chunks) => chunks) => {
+    const messageKey = await createKey(level, data.length);
+    const sealed = await securityService.sealStream(
+      messageKey,
+      "attachment-0",
+      data.buffer,
+      HEADERS
+    );
+    const opened = await securityService.openMessageKey(messageKey);
+    return {
+      chunks: sealed.chunks.length,
+      open: () =>
+        securityService.openStream(
+          opened,
+          "attachment-0",
+          sealed,
+          join(alter(sealed.chunks)),
+          HEADERS
+        ),
+    };
+  };
+
+  /**
+   * Seal TEXT as the body under a new message key and open it with the
+   * sealed component changed by alter and the given headers
+   */
+  const component = async (level, alter = (sealed) => sealed, headers) => {
+    const messageKey = await createKey(level, TEXT.length);
+    const sealed = await securityService.sealComponent(
+      messageKey,
+      "body",
+      TEXT,
+      HEADERS
+    );
+    return securityService.openComponent(
+      await securityService.openMessageKey(messageKey),
+      "body",
+      alter(sealed),
+      headers || HEADERS
+    );
+  };
+
+  const cases = [
+    {
+      name: "Components round-trip at every security level",
+      run: async () => {
+        const opened = {};
+        for (const level of Object.values(SECURITY_LEVELS)) {
+          opened[level] = await component(level);
+        }
+        return opened;
+      },
+      check: (opened) =>
+        Object.values(SECURITY_LEVELS).every((level) => opened[level] === TEXT),
+    },
+    {
+      name: "Tampered ciphertext raises IntegrityError",
+      run: async () => {
+        const outcome = {};
+        for (const level of AEAD_LEVELS) {
+          outcome[level] = await failure(
+            component(level, (sealed) => {
+              const ciphertext = base64ToBytes(sealed.encryptedData);
+              ciphertext[0] ^= 1;
+              return { ...sealed, encryptedData: bytesToBase64(ciphertext) };
+            })
+          );
+        }
+        return outcome;
+      },
+      check: (outcome) =>
+        AEAD_LEVELS.every((level) => outcome[level] === "IntegrityError"),
+    },
+    {
+      name: "Modified QuMail headers raise IntegrityError",
+      run: async () => {
+        const outcome = {};
+        for (const level of AEAD_LEVELS) {
+          outcome[level] = await failure(
+            component(level, undefined, {
+              ...HEADERS,
+              "X-QuMail-Version": "1.0",
+            })
+          );
+        }
+        return outcome;
+      },
+      check: (outcome) =>
+        AEAD_LEVELS.every((level) => outcome[level] === "IntegrityError"),
+    },
+    {
+      name: "Signed messages round-trip through MIME at every security level",
+      run: async () => {
+        const outcome = {};
+        for (const level of SEALED_LEVELS) {
+          const attachment = bytes(2 * CHUNK + 7);
+          const { encryptedEmail } = await encryptionEngine.encryptEmail(
+            {
+              from: ME,
+              to: [ME],
+              subject: `Level ${level}`,
+              body: TEXT,
+              attachments: [
+                {
+                  filename: "orbit.bin",
+                  contentType: "application/octet-stream",
+                  size: attachment.length,
+                  data: attachment.buffer,
+                },
+              ],
+            },
+            { securityLevel: level }
+          );
+          const parsed = await overTheWire(
+            await signatureService.signEmail(
+              { ...encryptedEmail, messageId: `<level-${level}@qumail.local>` },
+              ME
+            )
+          );
+          const { decryptedEmail } =
+            await encryptionEngine.decryptEmail(parsed);
+          outcome[level] = {
+            level: parsed.securityLevel,
+            signature: (await signatureService.verifyEmail(parsed)).status,
+            subject: decryptedEmail.subject,
+            body: decryptedEmail.body === TEXT,
+            attachment: equal(
+              new Uint8Array(decryptedEmail.attachments[0].data),
+              attachment
+            ),
+          };
+        }
+        return outcome;
+      },
+      check: (outcome) =>
+        SEALED_LEVELS.every(
+          (level) =>
+            outcome[level].level === level &&
+            outcome[level].signature === SIGNATURE_STATUS.VALID &&
+            outcome[level].subject === `Level ${level}` &&
+            outcome[level].body &&
+            outcome[level].attachment
+        ),
+    },
+    {
+      name: "A first-time sender's Level 3 message can be read back",
+      run: async () => {
+        const sender = "first-send@qumail.local";
+        const { encryptedEmail } = await encryptionEngine.encryptEmail(
+          { from: sender, to: [ME], subject: "First", body: TEXT },
+          { securityLevel: SECURITY_LEVELS.PQC_ENCRYPTION }
+        );
+        const { decryptedEmail } = await encryptionEngine.decryptEmail(
+          await overTheWire(encryptedEmail)
+        );
+        return {
+          identity: Boolean(pqcService.identities.get(sender)),
+          body: decryptedEmail.body === TEXT,
+        };
+      },
+      check: ({ identity, body }) => identity && body,
+    },
+    {
+      name: "Streams round-trip across chunk boundaries",
+      run: async () => {
+        const wrong = [];
+        for (const level of SEALED_LEVELS) {
+          for (const size of [1, CHUNK - 1, CHUNK, CHUNK + 1, 3 * CHUNK + 5]) {
+            const data = bytes(size, size);
+            const { chunks, open } = await streamed(level, data);
+            const expected = Math.ceil(size / CHUNK);
+            if (chunks !== expected || !equal(await open(), data)) {
+              wrong.push(`${level} ${size}: ${chunks} chunks`);
+            }
+          }
+        }
+        return { wrong };
+      },
+      check: ({ wrong }) => wrong.length === 0,
+    },
+    {
+      name: "Truncated streams raise IntegrityError",
+      run: async () => {
+        const outcome = {};
+        for (const level of AEAD_LEVELS) {
+          const data = bytes(3 * CHUNK);
+          const lastDropped = await streamed(level, data, (chunks) =>
+            chunks.slice(0, -1)
+          );
+          const middleDropped = await streamed(level, data, (chunks) => [
+            chunks[0],
+            chunks[2],
+          ]);
+          outcome[level] = [
+            await failure(lastDropped.open()),
+            await failure(middleDropped.open()),
+          ];
+        }
+        return outcome;
+      },
+      check: (outcome) =>
+        AEAD_LEVELS.every(
+          (level) => outcome[level].join() === "IntegrityError,IntegrityError"
+        ),
+    },
+    {
+      name: "Reordered chunks raise IntegrityError",
+      run: async () => {
+        const outcome = {};
+        for (const level of AEAD_LEVELS) {
+          const { open } = await streamed(level, bytes(2 * CHUNK + 1), (c) => [
+            c[1],
+            c[0],
+            c[2],
+          ]);
+          outcome[level] = await failure(open());
+        }
+        return outcome;
+      },
+      check: (outcome) =>
+        AEAD_LEVELS.every((level) => outcome[level] === "IntegrityError"),
+    },
+    {
+      name: "A tampered chunk raises IntegrityError",
+      run: async () => {
+        const outcome = {};
+        for (const level of AEAD_LEVELS) {
+          const { open } = await streamed(level, bytes(CHUNK + 1), (chunks) => {
+            const tampered = chunks.map((chunk) => chunk.slice());
+            tampered[1][0] ^= 1;
+            return tampered;
+          });
+          outcome[level] = await failure(open());
+        }
+        return outcome;
+      },
+      check: (outcome) =>
+        AEAD_LEVELS.every((level) => outcome[level] === "IntegrityError"),
+    },
+    {
+      name: "Every message key's Key Manager key is recorded",
+      run: async () => ({
+        consumed: await Promise.all(
+          [SECURITY_LEVELS.QUANTUM_SECURE, SECURITY_LEVELS.QUANTUM_AES].map(
+            async (level) =>
+              keyLedger.isConsumed((await createKey(level, 64)).quantumKeyId)
+          )
+        ),
+      }),
+      check: ({ consumed }) => consumed.every(Boolean),
+    },
+    {
+      name: "The key ledger refuses a consumed key, also after a reload",
+      run: async () => {
+        keyLedger.consume("harness-key", {
+          securityLevel: SECURITY_LEVELS.QUANTUM_AES,
+        });
+        // As a fresh page load would find it
+        keyLedger.entries = new Map();
+        try {
+          keyLedger.consume("harness-key");
+          return { reused: true };
+        } catch (error) {
+          return { reused: false, code: error.code };
+        }
+      },
+      check: ({ reused, code }) => !reused && code === "KEY_REUSE",
+    },
+    {
+      name: "A Key Manager key handed out twice is refused before use",
+      run: async () => {
+        const seed = await kmService.getQuantumSeed(256);
+        const pad = await kmService.generateOTPKeys(64);
+        const getQuantumSeed = kmService.getQuantumSeed;
+        const generateOTPKeys = kmService.generateOTPKeys;
+        kmService.getQuantumSeed = async () => seed;
+        kmService.generateOTPKeys = async () => pad;
+        try {
+          await createKey(SECURITY_LEVELS.QUANTUM_AES);
+          await createKey(SECURITY_LEVELS.QUANTUM_SECURE, 64);
+          return {
+            aes: await failure(createKey(SECURITY_LEVELS.QUANTUM_AES)),
+            otp: await failure(createKey(SECURITY_LEVELS.QUANTUM_SECURE, 64)),
+          };
+        } finally {
+          kmService.getQuantumSeed = getQuantumSeed;
+          kmService.generateOTPKeys = generateOTPKeys;
+        }
+      },
+      check: ({ aes, otp }) =>
+        aes === "KeyReuseError" && otp === "KeyReuseError",
+    },
+    {
+      name: "Issued keys are dropped once retrieved and when the vault locks",
+      run: async () => {
+        const retrieved = await createKey(SECURITY_LEVELS.QUANTUM_AES);
+        await securityService.openMessageKey(retrieved);
+        const unopened = await createKey(SECURITY_LEVELS.QUANTUM_AES);
+        const beforeLock = kmService.issuedKeys.has(unopened.quantumKeyId);
+        vaultService.lock();
+        const afterLock = kmService.issuedKeys.size;
+        await vaultService.unlock(PASSPHRASE);
+        return {
+          retrieved: kmService.issuedKeys.has(retrieved.quantumKeyId),
+          beforeLock,
+          afterLock,
+        };
+      },
+      check: ({ retrieved, beforeLock, afterLock }) =>
+        !retrieved && beforeLock && afterLock === 0,
+    },
+  ];
+
+  const failures = await runChecks(cases, { log });
+
+  console.log = log;
+  await modules.close();
+
+  finish("message crypto", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("Message crypto harness failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,271 @@
+/**
+ * Folder sync harness
+ * Loads the app's folder sync, message store and mock mail server through
+ * Vite (they are browser modules) and syncs the mock server's deterministic
+ * fixtures into the store, where without IndexedDB it keeps mail in
+ * memory. Checks that a first sync stores the newest messages, a sync with
+ * nothing changed downloads nothing, only new UIDs are downloaded, flag
+ * changes and expunges are applied, a Message-ID already stored is
+ * reconciled instead of downloaded, duplicates are listed once, a new
+ * UIDVALIDITY rebuilds the folder, large folders sync in rounds, a failed
+ * download is retried, and the mock server's script plays back in order.
+ *
+ *   npm run sync:harness
+ */
+
+import { createModuleLoader, finish, runChecks } from "./harness.js";
+
+const INBOX = { path: "INBOX", name: "INBOX", specialUse: null };
+
+async function main() {
+  const modules = await createModuleLoader();
+  const { load } = modules;
+  const { FolderSync, uniqueMessages } = await load(
+    "/src/services/folderSync.js"
+  );
+  const { messageStore } = await load("/src/services/messageStore.js");
+  const { MockMailServer } = await load("/src/services/mockMailServer.js");
+  const { MOCK_FOLDERS, MOCK_UID_VALIDITY } = await load(
+    "/src/services/mockMailFixtures.js"
+  );
+  const fixture = (n) =>
+    MOCK_FOLDERS.flatMap(({ messages }) => messages).find(
+      ({ messageId }) => messageId === `<demo-${n}@mock.qumail>`
+    );
+  const extra = (n) => ({
+    messageId: `<harness-${n}@mock.qumail>`,
+    from: "harness@example.com",
+    subject: `Harness message ${n}`,
+    date: new Date(Date.UTC(2025, 3, n)).toISOString(),
+    body: `Body ${n}`,
+  });
+
+  /**
+   * A mock server that records the UIDs downloaded from it
+   */
+  const countingServer = (options) => {
+    const server = new MockMailServer(options);
+    const fetchMessage = server.fetchMessage.bind(server);
+    server.fetched = [];
+    server.fetchMessage = async (path, uid) => {
+      server.fetched.push(uid);
+      return fetchMessage(path, uid);
+    };
+    return server;
+  };
+
+  // Silence the expected download failure
+  const logError = console.error;
+  console.error = () => {};
+
+  const folderSync = new FolderSync(messageStore);
+  const stored = (accountId) => messageStore.listMessages(accountId, "INBOX");
+  const uids = async (accountId) =>
+    (await stored(accountId)).map(({ uid }) => uid).sort((a, b) => a - b);
+
+  // One account synced step by step against a server without a script
+  const server = countingServer({ script: [] });
+  const sync = async (options) => {
+    server.fetched = [];
+    return folderSync.sync("steps", server, INBOX, options);
+  };
+
+  const cases = [
+    {
+      name: "A first sync stores the newest messages of the folder",
+      run: async () => ({
+        summary: await sync({ limit: 4 }),
+        uids: await uids("steps"),
+        fetched: server.fetched,
+        state: await messageStore.getFolder("steps", "INBOX"),
+      }),
+      check: ({ summary, uids, fetched, state }) =>
+        summary.added === 4 &&
+        uids.join() === "3,4,5,6" &&
+        fetched.length === 4 &&
+        state.uidValidity === MOCK_UID_VALIDITY &&
+        state.highestUid === 6 &&
+        state.highestModseq !== null,
+    },
+    {
+      name: "A sync with nothing changed downloads nothing",
+      run: async () => ({
+        summary: await sync(),
+        fetched: server.fetched,
+      }),
+      check: ({ summary, fetched }) =>
+        fetched.length === 0 &&
+        summary.added + summary.updated + summary.removed === 0,
+    },
+    {
+      name: "Only new UIDs are downloaded",
+      run: async () => {
+        server.deliver("INBOX", extra(1));
+        return {
+          summary: await sync(),
+          fetched: server.fetched,
+          uids: await uids("steps"),
+        };
+      },
+      check: ({ summary, fetched, uids }) =>
+        summary.added === 1 &&
+        fetched.join() === "7" &&
+        uids.join() === "3,4,5,6,7",
+    },
+    {
+      name: "Flag changes on the server are applied without a download",
+      run: async () => {
+        server.setFlags("INBOX", 4, { add: ["\\Seen", "\\Flagged"] });
+        server.setFlags("INBOX", 3, { remove: ["\\Seen"] });
+        const summary = await sync();
+        const messages = await stored("steps");
+        const flags = (uid) => messages.find((m) => m.uid === uid).flags;
+        return {
+          summary,
+          fetched: server.fetched,
+          four: flags(4),
+          three: flags(3),
+        };
+      },
+      check: ({ summary, fetched, four, three }) =>
+        summary.updated === 2 &&
+        fetched.length === 0 &&
+        four.includes("\\Seen") &&
+        four.includes("\\Flagged") &&
+        !three.includes("\\Seen"),
+    },
+    {
+      name: "Messages expunged on the server are removed",
+      run: async () => {
+        server.expunge("INBOX", [5]);
+        return { summary: await sync(), uids: await uids("steps") };
+      },
+      check: ({ summary, uids }) =>
+        summary.removed === 1 && uids.join() === "3,4,6,7",
+    },
+    {
+      name: "A Message-ID already stored is reconciled, not downloaded",
+      run: async () => {
+        server.deliver("INBOX", fixture(6));
+        const summary = await sync();
+        const copy = (await stored("steps")).find(({ uid }) => uid === 8);
+        return { summary, fetched: server.fetched, copy };
+      },
+      check: ({ summary, fetched, copy }) =>
+        summary.reconciled === 1 &&
+        summary.added === 1 &&
+        fetched.length === 0 &&
+        copy?.raw.includes("<demo-6@mock.qumail>"),
+    },
+    {
+      name: "A message stored twice is listed once, newest first",
+      run: async () => {
+        const messages = await stored("steps");
+        return {
+          stored: messages.length,
+          listed: uniqueMessages(messages).map(({ uid }) => uid),
+        };
+      },
+      check: ({ stored, listed }) =>
+        stored === 5 && listed.length === 4 && !listed.includes(6),
+    },
+    {
+      name: "New mail syncs in rounds of the limit",
+      run: async () => {
+        [2, 3, 4, 5, 6].forEach((n) => server.deliver("INBOX", extra(n)));
+        return {
+          summary: await sync({ limit: 2 }),
+          fetched: server.fetched,
+        };
+      },
+      check: ({ summary, fetched }) =>
+        summary.added === 5 &&
+        summary.remaining === 0 &&
+        fetched.join() === "9,10,11,12,13",
+    },
+    {
+      name: "A failed download is asked for again on the next sync",
+      run: async () => {
+        server.deliver("INBOX", extra(7));
+        server.deliver("INBOX", extra(8));
+        const fetchMessage = server.fetchMessage;
+        server.fetchMessage = async (path, uid) => {
+          if (uid === 14) throw new Error("connection reset");
+          return fetchMessage(path, uid);
+        };
+        const failed = await sync();
+        server.fetchMessage = fetchMessage;
+        const retried = await sync();
+        return { failed, retried, uids: await uids("steps") };
+      },
+      // The message after the failed one is stored already, so the retry
+      // takes it from the store
+      check: ({ failed, retried, uids }) =>
+        failed.added === 1 &&
+        retried.added === 2 &&
+        retried.reconciled === 1 &&
+        uids.includes(14) &&
+        uids.includes(15),
+    },
+    {
+      name: "A new UIDVALIDITY rebuilds the stored folder",
+      run: async () => {
+        const rebuilt = countingServer({ script: [], uidValidity: "42" });
+        return {
+          summary: await folderSync.sync("steps", rebuilt, INBOX),
+          messages: await stored("steps"),
+        };
+      },
+      check: ({ summary, messages }) =>
+        summary.added === 6 &&
+        messages.length === 6 &&
+        messages.every(({ uidValidity }) => uidValidity === "42"),
+    },
+    {
+      name: "Syncs of a folder already in progress are shared",
+      run: async () => {
+        const shared = countingServer({ script: [] });
+        const [first, second] = await Promise.all([
+          folderSync.sync("shared", shared, INBOX),
+          folderSync.sync("shared", shared, INBOX),
+        ]);
+        return { same: first === second, fetched: shared.fetched };
+      },
+      check: ({ same, fetched }) => same && fetched.length === 6,
+    },
+    {
+      name: "The mock server plays its script back one change per sync",
+      run: async () => {
+        const scripted = countingServer();
+        const summaries = [];
+        for (let i = 0; i < 6; i++) {
+          summaries.push(await folderSync.sync("script", scripted, INBOX));
+        }
+        return {
+          summaries: summaries.map(
+            ({ added, updated, removed, reconciled }) =>
+              `${added}${updated}${removed}${reconciled}`
+          ),
+          fetched: scripted.fetched,
+        };
+      },
+      // First sync, new mail, read elsewhere, deleted, delivered twice,
+      // then nothing left to play
+      check: ({ summaries, fetched }) =>
+        summaries.join() === "6000,1000,0100,0010,1001,0000" &&
+        fetched.join() === "1,2,3,4,5,6,7",
+    },
+  ];
+
+  const failures = await runChecks(cases);
+
+  console.error = logError;
+  await modules.close();
+
+  finish("folder sync", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("Folder sync harness failed:", error);
+  process.exit(1);
+});
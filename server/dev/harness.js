@@ -0,0 +1,98 @@
+/**
+ * Shared plumbing for the dev harnesses in this directory: local servers
+ * on ephemeral ports, the app's browser modules loaded through Vite, and
+ * running the checks with their PASS/FAIL report.
+ *
+ * A check is { name, run, check }: run() resolves an outcome and
+ * check(outcome) says whether it passed; a failure prints the outcome.
+ */
+
+import { createServer } from "node:http";
+
+/**
+ * Listen on an ephemeral local port and return it; smtp-server instances
+ * wrap their net.Server, whose address is used
+ */
+export async function listen(server) {
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  return (server.server || server).address().port;
+}
+
+/**
+ * Serve an express app on an ephemeral local port
+ * Resolves its HTTP server and base URL
+ */
+export async function serve(app) {
+  const server = createServer(app);
+  const port = await listen(server);
+  return { server, url: `http://127.0.0.1:${port}` };
+}
+
+/**
+ * Close servers, dropping the HTTP connections kept alive on them
+ */
+export function closeServers(...servers) {
+  servers.forEach((server) => {
+    server.closeAllConnections?.();
+    server.close();
+  });
+}
+
+/**
+ * Start Vite in middleware mode to load the app's browser modules by their
+ * /src path; Vite is only imported by the harnesses that need it
+ */
+export async function createModuleLoader() {
+  const { createServer: createViteServer } = await import("vite");
+  const vite = await createViteServer({
+    configFile: false,
+    server: { middlewareMode: true, hmr: false },
+    appType: "custom",
+    // Nothing is served to a browser, so there is nothing to pre-bundle
+    optimizeDeps: { noDiscovery: true },
+    logLevel: "error",
+  });
+  return {
+    load: (path) => vite.ssrLoadModule(path),
+    close: () => vite.close(),
+  };
+}
+
+/**
+ * Run checks in order, printing PASS or FAIL for each through log (for
+ * harnesses that silence console.log); resolves how many failed
+ */
+export async function runChecks(checks, { log = console.log } = {}) {
+  let failures = 0;
+  for (const testCase of checks) {
+    let outcome;
+    let passed = false;
+    try {
+      outcome = await testCase.run();
+      passed = Boolean(testCase.check(outcome));
+    } catch (error) {
+      outcome = { error: error.message };
+    }
+    if (!passed) {
+      failures++;
+    }
+    log(
+      `${passed ? "PASS" : "FAIL"}  ${testCase.name}${
+        passed ? "" : `: ${JSON.stringify(outcome)}`
+      }`
+    );
+  }
+  return failures;
+}
+
+/**
+ * Print the summary line and exit with the harness's status
+ */
+export function finish(subject, failures, total) {
+  console.log(
+    failures === 0
+      ? `All ${total} ${subject} checks passed`
+      : `${failures} of ${total} ${subject} checks failed`
+  );
+  process.exit(failures === 0 ? 0 : 1);
+}
@@ -0,0 +1,342 @@
+/**
+ * IMAP bridge harness
+ * Starts the IMAP stub in-process with seeded mail, mounts the backend app
+ * and checks every bridge route against it: registration, folder listing,
+ * header and message fetches, flag updates, folder changes since a sync,
+ * new mail pushed from IDLE over the event stream, reconnection after a
+ * dropped session, that only the holder of the session token can use the
+ * account, and the error codes for bad credentials, unknown folders,
+ * unknown UIDs and unknown accounts.
+ *
+ *   npm run imap:harness
+ */
+
+import { createApp } from "../app.js";
+import { MailStore } from "../mail-stub/mailStore.js";
+import { createImapServer } from "../mail-stub/imapServer.js";
+import { closeServers, finish, listen, runChecks, serve } from "./harness.js";
+
+const USER = "harness@qumail.local";
+const PASSWORD = "correct horse";
+
+async function main() {
+  const store = new MailStore();
+  store.addAccount(USER, PASSWORD);
+  for (let i = 1; i <= 3; i++) {
+    store.append(
+      USER,
+      "INBOX",
+      [
+        `From: Sender ${i} <sender${i}@example.com>`,
+        `To: ${USER}`,
+        `Subject: Harness message ${i}`,
+        `Date: ${new Date(Date.UTC(2024, 0, i)).toUTCString()}`,
+        `Message-ID: <harness-${i}@qumail.local>`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        `Body ${i}`,
+        "",
+      ].join("\r\n"),
+      { flags: i === 1 ? ["\\Seen"] : [] }
+    );
+  }
+
+  const imapServer = createImapServer({ store });
+  const imapSockets = new Set();
+  imapServer.on("connection", (socket) => {
+    imapSockets.add(socket);
+    socket.on("close", () => imapSockets.delete(socket));
+  });
+  const imapPort = await listen(imapServer);
+  const { server: appServer, url: appUrl } = await serve(createApp());
+  const bridgeUrl = `${appUrl}/api/imap`;
+  const accountUrl = `${bridgeUrl}/accounts/harness`;
+  const inboxUrl = `${accountUrl}/folders/INBOX/messages`;
+  const changesUrl = `${accountUrl}/folders/INBOX/changes`;
+
+  // The session token from the last successful registration
+  let token = null;
+  const call = async (method, url, body, bearer = token) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(body && { "Content-Type": "application/json" }),
+        ...(bearer && { Authorization: `Bearer ${bearer}` }),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, payload: text ? JSON.parse(text) : null };
+  };
+  const withTimeout = (promise, ms = 5000) =>
+    Promise.race([
+      promise,
+      new Promise((resolve, reject) =>
+        setTimeout(() => reject(new Error(`no event within ${ms}ms`)), ms)
+      ),
+    ]);
+
+  /**
+   * Open the account's event stream; next(type) resolves with the data of
+   * the next event of that type
+   */
+  const openEvents = async () => {
+    const controller = new AbortController();
+    const response = await fetch(`${accountUrl}/events?token=${token}`, {
+      signal: controller.signal,
+    });
+    const reader = response.body
+      .pipeThrough(new TextDecoderStream())
+      .getReader();
+    let buffer = "";
+    const read = async (type) => {
+      for (;;) {
+        let end;
+        while ((end = buffer.indexOf("\n\n")) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          if (/^event: (.+)$/m.exec(block)?.[1] === type) {
+            return JSON.parse(/^data: (.+)$/m.exec(block)[1]);
+          }
+        }
+        const { value, done } = await reader.read();
+        if (done) {
+          throw new Error("event stream ended");
+        }
+        buffer += value;
+      }
+    };
+    return {
+      status: response.status,
+      contentType: response.headers.get("content-type"),
+      next: (type) => withTimeout(read(type)),
+      close: () => controller.abort(),
+    };
+  };
+
+  const settings = (password, requireTLS = false) => ({
+    host: "127.0.0.1",
+    port: imapPort,
+    secure: false,
+    requireTLS,
+    username: USER,
+    password,
+  });
+  const register = async (password, { requireTLS = false } = {}) => {
+    const result = await call(
+      "PUT",
+      accountUrl,
+      settings(password, requireTLS)
+    );
+    token = result.payload?.token || token;
+    return result;
+  };
+
+  const cases = [
+    {
+      name: "STARTTLS is required unless plain text is asked for",
+      run: () => register(PASSWORD, { requireTLS: true }),
+      check: ({ status, payload }) =>
+        status === 502 && payload.code === "IMAP_TLS_ERROR",
+    },
+    {
+      name: "Wrong password is rejected",
+      run: () => register("wrong"),
+      check: ({ status, payload }) =>
+        status === 401 && payload.code === "IMAP_AUTH_FAILED",
+    },
+    {
+      name: "Account registers with valid credentials",
+      run: () => register(PASSWORD),
+      check: ({ status, payload }) =>
+        status === 200 && payload.capabilities.includes("IMAP4rev1"),
+    },
+    {
+      name: "Folders carry special-use flags and counts",
+      run: () => call("GET", `${accountUrl}/folders`),
+      check: ({ status, payload }) => {
+        const inbox = payload.folders.find((f) => f.path === "INBOX");
+        const sent = payload.folders.find((f) => f.specialUse === "\\Sent");
+        return (
+          status === 200 &&
+          inbox?.total === 3 &&
+          inbox?.unreadCount === 2 &&
+          sent
+        );
+      },
+    },
+    {
+      name: "Headers are listed newest first within the limit",
+      run: () => call("GET", `${inboxUrl}?limit=2`),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.total === 3 &&
+        payload.messages.map((m) => m.uid).join(",") === "3,2" &&
+        payload.messages[0].subject === "Harness message 3" &&
+        payload.messages[0].from[0].address === "sender3@example.com",
+    },
+    {
+      name: "Message source is fetched by UID without marking it read",
+      run: async () => {
+        const message = await call("GET", `${inboxUrl}/2`);
+        const headers = await call("GET", `${inboxUrl}?limit=3`);
+        return { ...message, listed: headers.payload.messages };
+      },
+      check: ({ status, payload, listed }) =>
+        status === 200 &&
+        payload.raw.includes("Subject: Harness message 2") &&
+        payload.raw.includes("Body 2") &&
+        !listed.find((m) => m.uid === 2).flags.includes("\\Seen"),
+    },
+    {
+      name: "Flags are added and removed",
+      run: async () => {
+        await call("PATCH", `${inboxUrl}/2/flags`, {
+          add: ["\\Seen", "\\Flagged"],
+        });
+        return call("PATCH", `${inboxUrl}/2/flags`, { remove: ["\\Flagged"] });
+      },
+      check: ({ status, payload }) =>
+        status === 200 && payload.flags.join(",") === "\\Seen",
+    },
+    {
+      name: "Unknown UID is reported",
+      run: () => call("GET", `${inboxUrl}/99`),
+      check: ({ status, payload }) =>
+        status === 404 && payload.code === "IMAP_MESSAGE_NOT_FOUND",
+    },
+    {
+      name: "Unknown folder is reported",
+      run: () => call("GET", `${accountUrl}/folders/Nowhere/messages`),
+      check: ({ status, payload }) =>
+        status === 404 && payload.code === "IMAP_FOLDER_NOT_FOUND",
+    },
+    {
+      name: "A first sync lists the newest messages and every UID",
+      run: () => call("GET", `${changesUrl}?limit=2`),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.uids.join(",") === "1,2,3" &&
+        payload.messages.map((m) => m.uid).join(",") === "2,3" &&
+        payload.messages[1].messageId === "<harness-3@qumail.local>" &&
+        payload.flags.length === 0 &&
+        payload.remaining === 0,
+    },
+    {
+      name: "Changes since a sync bring new mail, flags and expunges",
+      run: () => {
+        const inbox = store.getMailbox(store.getAccount(USER), "INBOX");
+        inbox.messages.find((m) => m.uid === 3).flags.add("\\Flagged");
+        for (let i = 4; i <= 5; i++) {
+          store.append(USER, "INBOX", `Subject: New ${i}\r\n\r\nBody ${i}\r\n`);
+        }
+        store.expunge(USER, "INBOX", [1]);
+        return call("GET", `${changesUrl}?uid=3&modseq=1&limit=1`);
+      },
+      check: ({ status, payload }) => {
+        const flagsOf = (uid) =>
+          payload.flags.find((entry) => entry.uid === uid)?.flags.join(",");
+        return (
+          status === 200 &&
+          payload.uids.join(",") === "2,3,4,5" &&
+          flagsOf(2) === "\\Seen" &&
+          flagsOf(3) === "\\Flagged" &&
+          !payload.changedSince &&
+          payload.messages.map((m) => m.uid).join(",") === "4" &&
+          payload.remaining === 1
+        );
+      },
+    },
+    {
+      name: "New mail is pushed over the event stream",
+      run: async () => {
+        const events = await openEvents();
+        try {
+          const ready = await events.next("ready");
+          // Let the watching session's IDLE reach the server
+          await new Promise((resolve) => setTimeout(resolve, 200));
+          store.append(USER, "INBOX", "Subject: Pushed\r\n\r\nPushed\r\n");
+          const pushed = await events.next("mailbox");
+          return { ...events, ready, pushed };
+        } finally {
+          events.close();
+        }
+      },
+      check: ({ status, contentType, ready, pushed }) =>
+        status === 200 &&
+        contentType.startsWith("text/event-stream") &&
+        ready.folder === "INBOX" &&
+        ready.idle === true &&
+        pushed.folder === "INBOX" &&
+        pushed.reason === "exists" &&
+        pushed.count === 5,
+    },
+    {
+      name: "Session reconnects after the server drops it",
+      run: async () => {
+        imapSockets.forEach((socket) => socket.destroy());
+        await new Promise((resolve) => setTimeout(resolve, 100));
+        return call("GET", `${accountUrl}/folders`);
+      },
+      check: ({ status, payload }) =>
+        status === 200 && payload.folders.length > 0,
+    },
+    {
+      name: "Only the session token's holder can use the account",
+      run: async () => {
+        const renewed = await call("PUT", accountUrl, settings(PASSWORD));
+        const other = await call(
+          "PUT",
+          accountUrl,
+          settings(PASSWORD),
+          "guessed"
+        );
+        await call("DELETE", accountUrl, null, other.payload.token);
+        const response = await fetch(`${accountUrl}/events`);
+        await response.body?.cancel();
+        return {
+          renewed: renewed.payload.token,
+          other: other.payload.token,
+          anonymous: await call("GET", `${accountUrl}/folders`, null, null),
+          events: response.status,
+          owner: await call("GET", `${accountUrl}/folders`),
+        };
+      },
+      check: ({ renewed, other, anonymous, events, owner }) =>
+        renewed === token &&
+        other !== token &&
+        anonymous.status === 404 &&
+        anonymous.payload.code === "IMAP_UNKNOWN_ACCOUNT" &&
+        events === 404 &&
+        owner.status === 200,
+    },
+    {
+      name: "Unregistered account is reported",
+      run: async () => {
+        await call("DELETE", accountUrl);
+        return call("GET", `${accountUrl}/folders`);
+      },
+      check: ({ status, payload }) =>
+        status === 404 && payload.code === "IMAP_UNKNOWN_ACCOUNT",
+    },
+    {
+      name: "Events of an unregistered account are refused",
+      run: () => call("GET", `${accountUrl}/events?token=${token}`),
+      check: ({ status, payload }) =>
+        status === 404 && payload.code === "IMAP_UNKNOWN_ACCOUNT",
+    },
+  ];
+
+  const failures = await runChecks(cases);
+
+  closeServers(appServer);
+  imapSockets.forEach((socket) => socket.destroy());
+  imapServer.close();
+
+  finish("IMAP bridge", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("IMAP bridge harness failed:", error);
+  process.exit(1);
+});
@@ -0,0 +1,343 @@
+/**
+ * Mutual-TLS harness for the KM gateway
+ * Issues throwaway certificates, starts simulated KMEs over mTLS and checks
+ * that the gateway presents client certificates and reports each class of
+ * certificate failure with its own error code, and that it only relays to
+ * allowed KMEs on behalf of the agent's owner.
+ *
+ *   npm run km:tls-harness              run the checks
+ *   npm run km:tls-harness -- --out d   also write the certificates to d/
+ *                                       for `KM_TLS_* npm run km:sim`
+ */
+
+import { generateKeyPairSync } from "node:crypto";
+import { mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import forge from "node-forge";
+import { createApp } from "../app.js";
+import { KeyPool } from "../km-simulator/keyPool.js";
+import { createKmeServer } from "../km-simulator/kme.js";
+import { closeServers, finish, listen, runChecks, serve } from "./harness.js";
+
+const SAE_ID = "qumail-client-001";
+const PEER_SAE_ID = "qumail-server-001";
+const DAY = 24 * 60 * 60 * 1000;
+
+let serial = 1;
+
+/**
+ * Create a key pair; node:crypto is much faster than forge's RSA
+ */
+function createKeyPair() {
+  const { privateKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+  const forgeKey = forge.pki.privateKeyFromPem(privateKey);
+  return {
+    privateKey: forgeKey,
+    publicKey: forge.pki.setRsaPublicKey(forgeKey.n, forgeKey.e),
+    keyPem: privateKey,
+  };
+}
+
+/**
+ * Issue a certificate; without an issuer it is a self-signed CA
+ */
+function issueCertificate({
+  commonName,
+  issuer = null,
+  isCA = false,
+  altNames = [],
+  clientAuth = false,
+  notBefore = new Date(Date.now() - DAY),
+  notAfter = new Date(Date.now() + 30 * DAY),
+}) {
+  const keys = createKeyPair();
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = keys.publicKey;
+  cert.serialNumber = String(serial++).padStart(2, "0");
+  cert.validity.notBefore = notBefore;
+  cert.validity.notAfter = notAfter;
+
+  const subject = [{ name: "commonName", value: commonName }];
+  cert.setSubject(subject);
+  cert.setIssuer(issuer ? issuer.cert.subject.attributes : subject);
+
+  const extensions = [{ name: "basicConstraints", cA: isCA }];
+  if (isCA) {
+    extensions.push({ name: "keyUsage", keyCertSign: true, cRLSign: true });
+  } else {
+    extensions.push(
+      { name: "keyUsage", digitalSignature: true, keyEncipherment: true },
+      { name: "extKeyUsage", serverAuth: !clientAuth, clientAuth }
+    );
+  }
+  if (altNames.length > 0) {
+    extensions.push({
+      name: "subjectAltName",
+      altNames: altNames.map((name) =>
+        /^[\d.]+$/.test(name) ? { type: 7, ip: name } : { type: 2, value: name }
+      ),
+    });
+  }
+  cert.setExtensions(extensions);
+  cert.sign(
+    issuer ? issuer.privateKey : keys.privateKey,
+    forge.md.sha256.create()
+  );
+
+  return {
+    cert,
+    privateKey: keys.privateKey,
+    certPem: forge.pki.certificateToPem(cert),
+    keyPem: keys.keyPem,
+  };
+}
+
+/**
+ * Bundle a client certificate and key as base64 PKCS#12
+ */
+function toPkcs12(identity, passphrase) {
+  const asn1 = forge.pkcs12.toPkcs12Asn1(
+    identity.privateKey,
+    [identity.cert],
+    passphrase,
+    { algorithm: "3des" }
+  );
+  return forge.util.encode64(forge.asn1.toDer(asn1).getBytes());
+}
+
+async function main() {
+  const outIndex = process.argv.indexOf("--out");
+  const outDir = outIndex !== -1 ? process.argv[outIndex + 1] : null;
+
+  console.log("Issuing certificates...");
+  const ca = issueCertificate({ commonName: "QuMail Test CA", isCA: true });
+  const rogueCa = issueCertificate({ commonName: "Rogue CA", isCA: true });
+  const serverHosts = ["localhost", "127.0.0.1"];
+
+  const servers = {
+    valid: issueCertificate({
+      commonName: "localhost",
+      issuer: ca,
+      altNames: serverHosts,
+    }),
+    expired: issueCertificate({
+      commonName: "localhost",
+      issuer: ca,
+      altNames: serverHosts,
+      notBefore: new Date(Date.now() - 60 * DAY),
+      notAfter: new Date(Date.now() - 30 * DAY),
+    }),
+    wrongHost: issueCertificate({
+      commonName: "km.example.org",
+      issuer: ca,
+      altNames: ["km.example.org"],
+    }),
+    unknownCa: issueCertificate({
+      commonName: "localhost",
+      issuer: rogueCa,
+      altNames: serverHosts,
+    }),
+  };
+
+  const client = issueCertificate({
+    commonName: SAE_ID,
+    issuer: ca,
+    clientAuth: true,
+  });
+  const rogueClient = issueCertificate({
+    commonName: SAE_ID,
+    issuer: rogueCa,
+    clientAuth: true,
+  });
+  const otherSaeClient = issueCertificate({
+    commonName: "intruder-sae",
+    issuer: ca,
+    clientAuth: true,
+  });
+  const pkcs12Passphrase = "qumail";
+  const clientPkcs12 = toPkcs12(client, pkcs12Passphrase);
+
+  if (outDir) {
+    mkdirSync(outDir, { recursive: true });
+    const files = {
+      "ca.pem": ca.certPem,
+      "server.pem": servers.valid.certPem,
+      "server-key.pem": servers.valid.keyPem,
+      "client.pem": client.certPem,
+      "client-key.pem": client.keyPem,
+    };
+    for (const [name, content] of Object.entries(files)) {
+      writeFileSync(join(outDir, name), content);
+    }
+    writeFileSync(
+      join(outDir, "client.p12"),
+      Buffer.from(clientPkcs12, "base64")
+    );
+    console.log(
+      `Wrote certificates to ${outDir} (PKCS#12 passphrase "${pkcs12Passphrase}")`
+    );
+  }
+
+  // One KME per server certificate, all over one pool
+  const pool = new KeyPool();
+  const kmePorts = {};
+  const running = [];
+  for (const [name, identity] of Object.entries(servers)) {
+    const server = createKmeServer({
+      kmeId: `KME_${name}`,
+      saeId: SAE_ID,
+      peerKmeId: "KME_PEER",
+      pool,
+      tls: { cert: identity.certPem, key: identity.keyPem, ca: ca.certPem },
+    });
+    kmePorts[name] = await listen(server);
+    running.push(server);
+  }
+
+  const { server: gatewayServer, url: appUrl } = await serve(
+    createApp({
+      env: {
+        KM_GATEWAY_ENDPOINTS: Object.values(kmePorts)
+          .map((port) => `https://localhost:${port}`)
+          .join(),
+      },
+    })
+  );
+  running.push(gatewayServer);
+  const gatewayUrl = `${appUrl}/api/km-gateway`;
+
+  /**
+   * Register an agent for a case, relay a key status request through it
+   * and unregister it; resolves the status or the gateway's error code
+   */
+  const relay = async (agentUrl, testCase) => {
+    const registration = await fetch(agentUrl, {
+      method: "PUT",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        endpoint:
+          testCase.endpoint || `https://localhost:${kmePorts[testCase.server]}`,
+        tls: testCase.tls,
+      }),
+    });
+    if (!registration.ok) {
+      return { code: (await registration.json()).code };
+    }
+
+    const { token } = await registration.json();
+    const response = await fetch(`${agentUrl}/request`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${testCase.token || token}`,
+      },
+      body: JSON.stringify({
+        method: "GET",
+        path: `/api/v1/keys/${PEER_SAE_ID}/status`,
+      }),
+    });
+    const payload = await response.json();
+    await fetch(agentUrl, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    return response.ok
+      ? { status: payload.status }
+      : { code: payload.code, message: payload.message };
+  };
+
+  const pem = { ca: ca.certPem, cert: client.certPem, key: client.keyPem };
+  const cases = [
+    {
+      name: "PEM client certificate",
+      server: "valid",
+      tls: pem,
+      expect: { status: 200 },
+    },
+    {
+      name: "PKCS#12 client bundle",
+      server: "valid",
+      tls: { ca: ca.certPem, pfx: clientPkcs12, passphrase: pkcs12Passphrase },
+      expect: { status: 200 },
+    },
+    {
+      name: "PKCS#12 with wrong passphrase",
+      server: "valid",
+      tls: { ca: ca.certPem, pfx: clientPkcs12, passphrase: "wrong" },
+      expect: { code: "KM_TLS_CREDENTIALS_INVALID" },
+    },
+    {
+      name: "Expired server certificate",
+      server: "expired",
+      tls: pem,
+      expect: { code: "KM_TLS_CERT_EXPIRED" },
+    },
+    {
+      name: "Server certificate from unknown CA",
+      server: "unknownCa",
+      tls: pem,
+      expect: { code: "KM_TLS_UNKNOWN_CA" },
+    },
+    {
+      name: "Server certificate for another host",
+      server: "wrongHost",
+      tls: pem,
+      expect: { code: "KM_TLS_HOSTNAME_MISMATCH" },
+    },
+    {
+      name: "Client certificate from unknown CA",
+      server: "valid",
+      tls: { ...pem, cert: rogueClient.certPem, key: rogueClient.keyPem },
+      expect: { code: "KM_TLS_CLIENT_CERT_REJECTED" },
+    },
+    {
+      name: "No client certificate",
+      server: "valid",
+      tls: { ca: ca.certPem },
+      expect: { code: "KM_TLS_CLIENT_CERT_REJECTED" },
+    },
+    {
+      name: "Client certificate for another SAE",
+      server: "valid",
+      tls: { ...pem, cert: otherSaeClient.certPem, key: otherSaeClient.keyPem },
+      expect: { status: 401 },
+    },
+    {
+      name: "KM endpoint that is not allowed",
+      endpoint: "https://169.254.169.254",
+      tls: pem,
+      expect: { code: "KM_ENDPOINT_NOT_ALLOWED" },
+    },
+    {
+      name: "Relaying through someone else's agent",
+      server: "valid",
+      tls: pem,
+      token: "not-the-owner",
+      expect: { code: "KM_GATEWAY_UNKNOWN_AGENT" },
+    },
+  ];
+
+  const failures = await runChecks(
+    cases.map((testCase, index) => ({
+      name: testCase.name,
+      run: () => relay(`${gatewayUrl}/agents/harness_${index}`, testCase),
+      check: (outcome) =>
+        Object.entries(testCase.expect).every(
+          ([key, value]) => outcome[key] === value
+        ),
+    }))
+  );
+
+  closeServers(...running);
+
+  finish("mTLS", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("mTLS harness failed:", error);
+  process.exit(1);
+});
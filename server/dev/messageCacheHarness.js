@@ -0,0 +1,236 @@
+/**
+ * Message cache harness
+ * Loads the app's message cache and credential vault through Vite (they
+ * are browser modules) with localStorage kept in memory, where without
+ * IndexedDB the cache keeps its entries in memory. Checks that decrypted
+ * messages round-trip at the cached security levels, that One Time Pad
+ * plaintext is never cached, that nothing is stored in the clear, that
+ * entries expire with their level's retention, that nothing is read or
+ * written while the vault is locked, that an entry is refused for another
+ * message, that messages with large attachments are skipped, and that
+ * resetting the vault clears the cache.
+ *
+ *   npm run cache:harness
+ */
+
+import { createModuleLoader, finish, runChecks } from "./harness.js";
+
+const PASSPHRASE = "harness passphrase";
+const DAY = 24 * 60 * 60 * 1000;
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+// An encrypted email as listed, before decryption
+const encrypted = (id, securityLevel) => ({
+  id,
+  messageId: `<${id}@qumail.local>`,
+  from: "alice@example.com",
+  subject: "Encrypted Message",
+  body: "This message is encrypted.",
+  securityLevel,
+  encrypted: true,
+  encryptionMetadata: { securityLevel },
+});
+
+// What decryptEmail would make of it
+const decrypted = (id, attachmentBytes = 4) => ({
+  subject: `Satellite launch window ${id}`,
+  protectedHeaders: { subject: `Satellite launch window ${id}` },
+  body: "<p>Telemetry keys are ready for the uplink.</p>",
+  attachments: [
+    {
+      filename: "orbit.csv",
+      contentType: "text/csv",
+      size: attachmentBytes,
+      data: new Uint8Array(attachmentBytes).fill(42).buffer,
+    },
+  ],
+});
+
+async function main() {
+  const modules = await createModuleLoader();
+  const { load } = modules;
+  const { vaultService } = await load("/src/services/vaultService.js");
+  const { messageCache } = await load("/src/services/messageCache.js");
+  const { SECURITY_LEVELS } = await load("/src/types/index.js");
+  const CACHED_LEVELS = [
+    SECURITY_LEVELS.QUANTUM_AES,
+    SECURITY_LEVELS.PQC_ENCRYPTION,
+    SECURITY_LEVELS.NO_QUANTUM,
+  ];
+
+  // Silence the vault's lock messages
+  const log = console.log;
+  console.log = () => {};
+
+  await vaultService.create(PASSPHRASE);
+
+  // Cache a message of a level under id; resolves whether it was cached
+  const put = (id, level, decryptedEmail = decrypted(id)) =>
+    messageCache.put("work", encrypted(id, level), decryptedEmail);
+  const get = (id, level) => messageCache.get(encrypted(id, level));
+  // Move an entry's caching time days into the past
+  const age = (id, days) => {
+    messageCache.memory.get(id).cachedAt -= days * DAY;
+  };
+
+  const cases = [
+    {
+      name: "Messages round-trip at the cached security levels",
+      run: async () => {
+        const outcome = {};
+        for (const level of CACHED_LEVELS) {
+          const cached = await put(`${level}-1`, level);
+          const email = await get(`${level}-1`, level);
+          outcome[level] = {
+            cached,
+            subject: email?.subject,
+            decrypted: email?.encrypted === false,
+            attachment: new Uint8Array(email?.attachments[0].data || [])[3],
+          };
+        }
+        return outcome;
+      },
+      check: (outcome) =>
+        CACHED_LEVELS.every(
+          (level) =>
+            outcome[level].cached &&
+            outcome[level].subject === `Satellite launch window ${level}-1` &&
+            outcome[level].decrypted &&
+            outcome[level].attachment === 42
+        ),
+    },
+    {
+      name: "One Time Pad plaintext is never cached",
+      run: async () => {
+        const level = SECURITY_LEVELS.QUANTUM_SECURE;
+        const cached = await put("otp-1", level);
+        // Not even when asked to keep it
+        await messageCache.setRetention({ [level]: 30 });
+        const asked = await put("otp-2", level);
+        return {
+          cached,
+          asked,
+          stored: ["otp-1", "otp-2"].some((id) => messageCache.memory.has(id)),
+        };
+      },
+      check: ({ cached, asked, stored }) => !cached && !asked && !stored,
+    },
+    {
+      name: "Nothing is stored in the clear",
+      run: async () => ({
+        stored: JSON.stringify([...messageCache.memory.values()]),
+      }),
+      check: ({ stored }) =>
+        !["Satellite", "uplink", "orbit.csv", "KioqKg"].some((text) =>
+          stored.includes(text)
+        ),
+    },
+    {
+      name: "Entries expire with their security level's retention",
+      run: async () => {
+        const aes = SECURITY_LEVELS.QUANTUM_AES;
+        const pqc = SECURITY_LEVELS.PQC_ENCRYPTION;
+        age(`${aes}-1`, 8);
+        age(`${pqc}-1`, 8);
+        const outcome = {
+          aes: await get(`${aes}-1`, aes),
+          aesKept: messageCache.memory.has(`${aes}-1`),
+          pqc: await get(`${pqc}-1`, pqc),
+        };
+        // A shorter retention drops what is now too old
+        await messageCache.setRetention({ [pqc]: 5 });
+        outcome.pqcKept = messageCache.memory.has(`${pqc}-1`);
+        await messageCache.setRetention();
+        return outcome;
+      },
+      check: ({ aes, aesKept, pqc, pqcKept }) =>
+        aes === null && !aesKept && pqc !== null && !pqcKept,
+    },
+    {
+      name: "Nothing is read or cached while the vault is locked",
+      run: async () => {
+        const level = SECURITY_LEVELS.NO_QUANTUM;
+        vaultService.lock("manual");
+        const read = await get(`${level}-1`, level);
+        const cached = await put("locked-1", level);
+        await vaultService.unlock(PASSPHRASE);
+        return {
+          read,
+          cached,
+          unlocked: (await get(`${level}-1`, level))?.subject,
+        };
+      },
+      check: ({ read, cached, unlocked }) =>
+        read === null &&
+        !cached &&
+        unlocked === `Satellite launch window ${SECURITY_LEVELS.NO_QUANTUM}-1`,
+    },
+    {
+      name: "An entry is refused for another message",
+      run: async () => {
+        const level = SECURITY_LEVELS.NO_QUANTUM;
+        await put("bound-1", level);
+        // The same entry under another id
+        messageCache.memory.set("bound-2", {
+          ...messageCache.memory.get("bound-1"),
+          id: "bound-2",
+        });
+        const otherId = await get("bound-2", level);
+        // The same id, but another message's Message-ID
+        const otherMessageId = await messageCache.get({
+          ...encrypted("bound-1", level),
+          messageId: "<someone-else@qumail.local>",
+        });
+        return {
+          otherId,
+          otherMessageId,
+          stored: ["bound-1", "bound-2"].some((id) =>
+            messageCache.memory.has(id)
+          ),
+        };
+      },
+      check: ({ otherId, otherMessageId, stored }) =>
+        otherId === null && otherMessageId === null && !stored,
+    },
+    {
+      name: "Messages with large attachments are skipped",
+      run: async () => {
+        const level = SECURITY_LEVELS.PQC_ENCRYPTION;
+        const cached = await put(
+          "large-1",
+          level,
+          decrypted("large-1", 5 * 1024 * 1024 + 1)
+        );
+        return { cached, stored: messageCache.memory.has("large-1") };
+      },
+      check: ({ cached, stored }) => !cached && !stored,
+    },
+    {
+      name: "Resetting the vault clears the cache",
+      run: async () => {
+        vaultService.reset();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        return { stored: messageCache.memory.size };
+      },
+      check: ({ stored }) => stored === 0,
+    },
+  ];
+
+  const failures = await runChecks(cases, { log });
+
+  console.log = log;
+  await modules.close();
+
+  finish("message cache", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("Message cache harness failed:", error);
+  process.exit(1);
+});
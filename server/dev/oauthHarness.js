@@ -0,0 +1,289 @@
+/**
+ * OAuth2 harness
+ * Starts the mail stub (IMAP, SMTP and its OAuth2 authorization server)
+ * in-process, mounts the backend app and walks the authorization-code flow
+ * with PKCE the way the frontend does: sign-in, code redemption and
+ * refresh through the token relay, then XOAUTH2 sign-in to the IMAP bridge
+ * and SMTP submission. Also checks that PKCE, spent codes, bad refresh
+ * tokens and expired access tokens are refused.
+ *
+ *   npm run oauth:harness
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+import { createApp } from "../app.js";
+import { MailStore } from "../mail-stub/mailStore.js";
+import { createImapServer } from "../mail-stub/imapServer.js";
+import { createSmtpServer } from "../mail-stub/smtpServer.js";
+import { createOAuthServer } from "../mail-stub/oauthServer.js";
+import { closeServers, finish, listen, runChecks, serve } from "./harness.js";
+
+const USER = "harness@qumail.local";
+const PASSWORD = "correct horse";
+const CLIENT_ID = "qumail-local";
+const REDIRECT_URI = "http://localhost:5173/oauth-callback.html";
+
+/**
+ * A fresh PKCE verifier and its S256 challenge
+ */
+function createPkce() {
+  const verifier = randomBytes(32).toString("base64url");
+  const challenge = createHash("sha256").update(verifier).digest("base64url");
+  return { verifier, challenge };
+}
+
+async function main() {
+  const store = new MailStore();
+  store.addAccount(USER, PASSWORD);
+
+  const imapServer = createImapServer({ store });
+  const imapSockets = new Set();
+  imapServer.on("connection", (socket) => {
+    imapSockets.add(socket);
+    socket.on("close", () => imapSockets.delete(socket));
+  });
+  const imapPort = await listen(imapServer);
+  const smtpServer = createSmtpServer({ store });
+  const smtpPort = await listen(smtpServer);
+  const { server: oauthServer, url: oauthUrl } = await serve(
+    createOAuthServer({ store })
+  );
+
+  const { server: appServer, url: appUrl } = await serve(
+    createApp({ env: { ...process.env, OAUTH_LOCAL_URL: oauthUrl } })
+  );
+  const apiUrl = `${appUrl}/api`;
+
+  // The IMAP bridge session token from the last registration
+  let sessionToken = null;
+  const call = async (method, url, body) => {
+    const response = await fetch(url, {
+      method,
+      headers: {
+        ...(body && { "Content-Type": "application/json" }),
+        ...(sessionToken && { Authorization: `Bearer ${sessionToken}` }),
+      },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const text = await response.text();
+    return { status: response.status, payload: text ? JSON.parse(text) : null };
+  };
+
+  /**
+   * Sign in on the stub's form; returns the redirect back to QuMail
+   */
+  const signIn = async ({
+    challenge,
+    password = PASSWORD,
+    method = "S256",
+  }) => {
+    const response = await fetch(`${oauthUrl}/authorize`, {
+      method: "POST",
+      redirect: "manual",
+      body: new URLSearchParams({
+        client_id: CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        scope: "mail",
+        state: "harness-state",
+        code_challenge: challenge,
+        code_challenge_method: method,
+        username: USER,
+        password,
+      }),
+    });
+    const location = response.headers.get("location");
+    return {
+      status: response.status,
+      redirect: location ? new URL(location) : null,
+    };
+  };
+  const redeem = (code, verifier) =>
+    call("POST", `${apiUrl}/oauth/local/token`, {
+      grant_type: "authorization_code",
+      code,
+      code_verifier: verifier,
+      redirect_uri: REDIRECT_URI,
+      client_id: CLIENT_ID,
+    });
+  const refresh = (refreshToken) =>
+    call("POST", `${apiUrl}/oauth/local/token`, {
+      grant_type: "refresh_token",
+      refresh_token: refreshToken,
+      client_id: CLIENT_ID,
+    });
+  const registerImap = async (accessToken) => {
+    const result = await call("PUT", `${apiUrl}/imap/accounts/oauth-harness`, {
+      host: "127.0.0.1",
+      port: imapPort,
+      secure: false,
+      requireTLS: false,
+      username: USER,
+      accessToken,
+    });
+    sessionToken = result.payload?.token || sessionToken;
+    return result;
+  };
+  // The submission settings line, then the message
+  const sendSmtp = async (accessToken) => {
+    const settings = {
+      smtp: {
+        host: "127.0.0.1",
+        port: smtpPort,
+        secure: false,
+        requireTLS: false,
+        username: USER,
+        accessToken,
+      },
+      envelope: { from: USER, to: [USER] },
+    };
+    const raw = [
+      `From: ${USER}`,
+      `To: ${USER}`,
+      "Subject: Sent with XOAUTH2",
+      `Date: ${new Date().toUTCString()}`,
+      "Message-ID: <xoauth2@qumail.local>",
+      "",
+      "Hello",
+      "",
+    ].join("\r\n");
+    const response = await fetch(`${apiUrl}/smtp/send`, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-qumail-submission" },
+      body: `${JSON.stringify(settings)}\n${raw}`,
+    });
+    return { status: response.status, payload: await response.json() };
+  };
+
+  const pkce = createPkce();
+  let tokens = null;
+
+  const cases = [
+    {
+      name: "Authorization requests without S256 PKCE are refused",
+      run: () => signIn({ challenge: pkce.challenge, method: "plain" }),
+      check: ({ status, redirect }) =>
+        status === 302 &&
+        redirect.searchParams.get("error") === "invalid_request" &&
+        redirect.searchParams.get("state") === "harness-state",
+    },
+    {
+      name: "Wrong password keeps the user on the sign-in form",
+      run: () => signIn({ challenge: pkce.challenge, password: "wrong" }),
+      check: ({ status, redirect }) => status === 401 && redirect === null,
+    },
+    {
+      name: "Code issued for a wrong code_verifier is refused",
+      run: async () => {
+        const { redirect } = await signIn({ challenge: pkce.challenge });
+        return redeem(redirect.searchParams.get("code"), createPkce().verifier);
+      },
+      check: ({ status, payload }) =>
+        status === 400 && payload.code === "OAUTH_INVALID_GRANT",
+    },
+    {
+      name: "Code is redeemed with the matching code_verifier",
+      run: async () => {
+        const { redirect } = await signIn({ challenge: pkce.challenge });
+        const code = redirect.searchParams.get("code");
+        const result = await redeem(code, pkce.verifier);
+        tokens = result.payload;
+        return { ...result, code };
+      },
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.accessToken &&
+        payload.refreshToken &&
+        payload.expiresIn === 3600,
+    },
+    {
+      name: "Codes are single use",
+      run: async () => {
+        const { redirect } = await signIn({ challenge: pkce.challenge });
+        const code = redirect.searchParams.get("code");
+        await redeem(code, pkce.verifier);
+        return redeem(code, pkce.verifier);
+      },
+      check: ({ status, payload }) =>
+        status === 400 && payload.code === "OAUTH_INVALID_GRANT",
+    },
+    {
+      name: "IMAP bridge signs in with XOAUTH2",
+      run: async () => {
+        const registered = await registerImap(tokens.accessToken);
+        const folders = await call(
+          "GET",
+          `${apiUrl}/imap/accounts/oauth-harness/folders`
+        );
+        return { registered, folders };
+      },
+      check: ({ registered, folders }) =>
+        registered.status === 200 &&
+        folders.status === 200 &&
+        folders.payload.folders.some((folder) => folder.path === "INBOX"),
+    },
+    {
+      name: "IMAP bridge rejects an unknown access token",
+      run: () => registerImap("not-a-token"),
+      check: ({ status, payload }) =>
+        status === 401 && payload.code === "IMAP_AUTH_FAILED",
+    },
+    {
+      name: "SMTP submission signs in with XOAUTH2",
+      run: () => sendSmtp(tokens.accessToken),
+      check: ({ status, payload }) =>
+        status === 200 && payload.accepted.join(",") === USER,
+    },
+    {
+      name: "SMTP submission rejects an unknown access token",
+      run: () => sendSmtp("not-a-token"),
+      check: ({ status, payload }) =>
+        status === 401 && payload.code === "SMTP_AUTH_FAILED",
+    },
+    {
+      name: "Expired access tokens are refused, refreshed ones accepted",
+      run: async () => {
+        store.accessTokens.get(tokens.accessToken).expiresAt = 0;
+        const expired = await registerImap(tokens.accessToken);
+        const refreshed = await refresh(tokens.refreshToken);
+        const registered = await registerImap(refreshed.payload.accessToken);
+        return { expired, refreshed, registered };
+      },
+      check: ({ expired, refreshed, registered }) =>
+        expired.status === 401 &&
+        refreshed.status === 200 &&
+        refreshed.payload.accessToken !== tokens.accessToken &&
+        registered.status === 200,
+    },
+    {
+      name: "Unknown refresh tokens need a new sign-in",
+      run: () => refresh("revoked"),
+      check: ({ status, payload }) =>
+        status === 400 && payload.code === "OAUTH_INVALID_GRANT",
+    },
+    {
+      name: "Unknown providers are reported",
+      run: () =>
+        call("POST", `${apiUrl}/oauth/nowhere/token`, {
+          grant_type: "refresh_token",
+          refresh_token: "x",
+          client_id: CLIENT_ID,
+        }),
+      check: ({ status, payload }) =>
+        status === 404 && payload.code === "OAUTH_UNKNOWN_PROVIDER",
+    },
+  ];
+
+  const failures = await runChecks(cases);
+
+  await call("DELETE", `${apiUrl}/imap/accounts/oauth-harness`);
+  closeServers(appServer, oauthServer);
+  imapSockets.forEach((socket) => socket.destroy());
+  closeServers(imapServer, smtpServer);
+
+  finish("OAuth2", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("OAuth2 harness failed:", error);
+  process.exit(1);
+});
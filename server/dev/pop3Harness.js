@@ -0,0 +1,230 @@
+/**
+ * POP3 bridge harness
+ * Starts the POP3 stub in-process with seeded mail, mounts the backend app
+ * and checks both bridge routes against it: login with a password and with
+ * XOAUTH2, UIDL-based retrieval newest first, dot-stuffed lines, leaving
+ * mail on the server, deletion only of what was asked for, and the error
+ * codes for missing STLS, bad credentials, credentials with line breaks,
+ * a locked maildrop and an unreachable server.
+ *
+ *   npm run pop3:harness
+ */
+
+import net from "node:net";
+import { createApp } from "../app.js";
+import { MailStore } from "../mail-stub/mailStore.js";
+import { createPop3Server } from "../mail-stub/pop3Server.js";
+import { closeServers, finish, listen, runChecks, serve } from "./harness.js";
+
+const USER = "harness@qumail.local";
+const PASSWORD = "correct horse";
+const ACCESS_TOKEN = "harness-access-token";
+
+/**
+ * Log in over a raw socket and keep the session open, holding the lock
+ */
+async function holdMaildrop(port) {
+  const socket = net.connect(port, "127.0.0.1");
+  let received = "";
+  socket.on("data", (chunk) => {
+    received += chunk.toString("utf8");
+  });
+  const waitFor = async (count) => {
+    while ((received.match(/\r\n/g) || []).length < count) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+  };
+  await waitFor(1);
+  socket.write(`USER ${USER}\r\n`);
+  await waitFor(2);
+  socket.write(`PASS ${PASSWORD}\r\n`);
+  await waitFor(3);
+  return socket;
+}
+
+async function main() {
+  const store = new MailStore();
+  store.addAccount(USER, PASSWORD);
+  store.addAccessToken(USER, ACCESS_TOKEN, Date.now() + 60 * 60 * 1000);
+  for (let i = 1; i <= 3; i++) {
+    store.append(
+      USER,
+      "INBOX",
+      [
+        `From: Sender ${i} <sender${i}@example.com>`,
+        `To: ${USER}`,
+        `Subject: Harness message ${i}`,
+        `Date: ${new Date(Date.UTC(2024, 0, i)).toUTCString()}`,
+        `Message-ID: <harness-${i}@qumail.local>`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        `Body ${i}`,
+        // Goes over the wire dot-stuffed
+        ".signature line",
+        "",
+      ].join("\r\n")
+    );
+  }
+  const inbox = store.getMailbox(store.getAccount(USER), "INBOX");
+  const uidl = (uid) => `${inbox.uidValidity}.${uid}`;
+
+  const pop3Server = createPop3Server({ store });
+  const pop3Port = await listen(pop3Server);
+  const { server: appServer, url: appUrl } = await serve(createApp());
+  const bridgeUrl = `${appUrl}/api/pop3`;
+
+  const call = async (route, body) => {
+    const response = await fetch(`${bridgeUrl}/${route}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body),
+    });
+    return { status: response.status, payload: await response.json() };
+  };
+  const pop3 = (overrides = {}) => ({
+    host: "127.0.0.1",
+    port: pop3Port,
+    secure: false,
+    requireTLS: false,
+    username: USER,
+    password: PASSWORD,
+    ...overrides,
+  });
+
+  const cases = [
+    {
+      name: "STLS is required unless plain text is asked for",
+      run: () => call("check", { pop3: pop3({ requireTLS: true }) }),
+      check: ({ status, payload }) =>
+        status === 502 && payload.code === "POP3_TLS_ERROR",
+    },
+    {
+      name: "Wrong password is rejected",
+      run: () => call("check", { pop3: pop3({ password: "wrong" }) }),
+      check: ({ status, payload }) =>
+        status === 401 && payload.code === "POP3_AUTH_FAILED",
+    },
+    {
+      name: "Login is checked and the maildrop counted",
+      run: () => call("check", { pop3: pop3() }),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.count === 3 &&
+        payload.capabilities.includes("UIDL"),
+    },
+    {
+      name: "XOAUTH2 signs in with a bearer token",
+      run: async () => ({
+        valid: await call("check", {
+          pop3: pop3({ password: undefined, accessToken: ACCESS_TOKEN }),
+        }),
+        invalid: await call("check", {
+          pop3: pop3({ password: undefined, accessToken: "expired" }),
+        }),
+      }),
+      check: ({ valid, invalid }) =>
+        valid.status === 200 &&
+        invalid.status === 401 &&
+        invalid.payload.code === "POP3_AUTH_FAILED",
+    },
+    {
+      name: "New messages are retrieved newest first within the limit",
+      run: () => call("retrieve", { pop3: pop3(), seen: [], limit: 2 }),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.messages.map((m) => m.uid).join(",") ===
+          [uidl(3), uidl(2)].join(",") &&
+        payload.messages[0].raw.includes("Subject: Harness message 3") &&
+        payload.remaining === 1 &&
+        payload.uids.length === 3,
+    },
+    {
+      name: "Dot-stuffed lines arrive as sent",
+      run: () => call("retrieve", { pop3: pop3(), seen: [], limit: 1 }),
+      check: ({ payload }) =>
+        payload.messages[0].raw.endsWith("Body 3\r\n.signature line\r\n"),
+    },
+    {
+      name: "Seen UIDLs are not downloaded again and mail stays on the server",
+      run: () => call("retrieve", { pop3: pop3(), seen: [uidl(3), uidl(2)] }),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.messages.length === 1 &&
+        payload.messages[0].uid === uidl(1) &&
+        payload.remaining === 0 &&
+        inbox.messages.length === 3,
+    },
+    {
+      name: "Only the UIDLs asked for are deleted",
+      run: () =>
+        call("retrieve", {
+          pop3: pop3(),
+          seen: [uidl(2), uidl(3)],
+          delete: [uidl(1), "unknown"],
+        }),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.deleted.join(",") === uidl(1) &&
+        payload.messages.length === 0 &&
+        payload.uids.join(",") === [uidl(2), uidl(3)].join(",") &&
+        inbox.messages.map((m) => m.uid).join(",") === "2,3",
+    },
+    {
+      name: "A maildrop locked by another session is reported",
+      run: async () => {
+        const socket = await holdMaildrop(pop3Port);
+        try {
+          return await call("check", { pop3: pop3() });
+        } finally {
+          socket.destroy();
+        }
+      },
+      check: ({ status, payload }) =>
+        status === 409 && payload.code === "POP3_IN_USE",
+    },
+    {
+      name: "Credentials with line breaks are refused",
+      run: () =>
+        Promise.all(
+          [
+            { username: `${USER}\r\nDELE 1` },
+            { password: `${PASSWORD}\nDELE 1` },
+            { password: undefined, accessToken: `${ACCESS_TOKEN}\r\nQUIT` },
+          ].map((overrides) => call("check", { pop3: pop3(overrides) }))
+        ),
+      check: (results) =>
+        results.every(
+          ({ status, payload }) =>
+            status === 400 && payload.code === "POP3_CONFIG"
+        ),
+    },
+    {
+      name: "Malformed UIDL lists are refused",
+      run: () => call("retrieve", { pop3: pop3(), seen: [1, 2] }),
+      check: ({ status, payload }) =>
+        status === 400 && payload.code === "POP3_BAD_REQUEST",
+    },
+    {
+      name: "Unreachable server is reported",
+      run: async () => {
+        const closed = net.createServer();
+        const port = await listen(closed);
+        await new Promise((resolve) => closed.close(resolve));
+        return call("check", { pop3: pop3({ port }) });
+      },
+      check: ({ status, payload }) =>
+        status === 502 && payload.code === "POP3_UNREACHABLE",
+    },
+  ];
+
+  const failures = await runChecks(cases);
+
+  closeServers(appServer, pop3Server);
+
+  finish("POP3 bridge", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("POP3 bridge harness failed:", error);
+  process.exit(1);
+});
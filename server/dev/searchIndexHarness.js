@@ -0,0 +1,297 @@
+/**
+ * Search index harness
+ * Loads the app's search index and credential vault through Vite (they are
+ * browser modules) with localStorage kept in memory, where without
+ * IndexedDB the index stores its documents in memory. Indexes a few
+ * messages of two accounts and checks each query operator, phrases, date
+ * ranges, that decrypted content becomes searchable and survives locking,
+ * that One Time Pad plaintext is never stored, that nothing is stored in
+ * the clear, and that messages and accounts drop out of the index.
+ *
+ *   npm run search:harness
+ */
+
+import { createModuleLoader, finish, runChecks } from "./harness.js";
+
+const PASSPHRASE = "harness passphrase";
+
+const storage = new Map();
+globalThis.localStorage = {
+  getItem: (key) => storage.get(key) ?? null,
+  setItem: (key, value) => storage.set(key, String(value)),
+  removeItem: (key) => storage.delete(key),
+};
+
+// Midday, so each message is on the same day in every time zone
+const email = (id, fields) => ({
+  id,
+  from: "alice@example.com",
+  to: ["user@qumail.local"],
+  cc: [],
+  subject: "",
+  body: "",
+  timestamp: "2025-03-10T12:00:00Z",
+  encrypted: false,
+  attachments: [],
+  ...fields,
+});
+
+const encrypted = (id, securityLevel, fields) =>
+  email(id, {
+    encrypted: true,
+    securityLevel,
+    subject: "Encrypted Message",
+    body: "This message is encrypted.",
+    encryptionMetadata: { securityLevel, components: { attachments: [] } },
+    ...fields,
+  });
+
+const INBOX = [
+  email("plain-1", {
+    from: "Alice Liddell <alice@example.com>",
+    cc: ["carol@example.org"],
+    subject: "Quarterly key rotation schedule",
+    body: "<p>The rotation of the master keys moves to Friday.</p>",
+    timestamp: "2025-01-15T12:00:00Z",
+  }),
+  email("plain-2", {
+    from: "bob@quantumtech.com",
+    subject: "Schedule for the key review",
+    body: "Rotation key master: the words are all here, out of order.",
+    timestamp: "2025-02-20T12:00:00Z",
+    attachments: [{ filename: "qkd-report.pdf" }],
+  }),
+  encrypted("aes-1", "quantum_aes", {
+    from: "security@isro.gov.in",
+    timestamp: "2025-03-05T12:00:00Z",
+  }),
+  encrypted("otp-1", "quantum_secure", {
+    from: "dave@example.com",
+    timestamp: "2025-03-07T12:00:00Z",
+  }),
+];
+
+async function main() {
+  const modules = await createModuleLoader();
+  const { load } = modules;
+  const { vaultService } = await load("/src/services/vaultService.js");
+  const { searchIndex } = await load("/src/services/searchIndex.js");
+
+  // Silence the vault's lock messages
+  const log = console.log;
+  console.log = () => {};
+
+  await vaultService.create(PASSPHRASE);
+  const ids = async (query, options) =>
+    (await searchIndex.search(query, options)).results
+      .map(({ id }) => id)
+      .sort()
+      .join();
+  const relock = async () => {
+    vaultService.lock("manual");
+    await vaultService.unlock(PASSPHRASE);
+  };
+
+  const cases = [
+    {
+      name: "Words match the start of words in any field",
+      run: async () => {
+        await searchIndex.indexFolder("work", "inbox", INBOX);
+        await searchIndex.indexFolder("home", "sent", [
+          email("home-1", {
+            from: "user@home.example",
+            to: ["alice@example.com"],
+            subject: "Rotation of the garden roster",
+            timestamp: "2025-03-20T12:00:00Z",
+          }),
+        ]);
+        return {
+          rotat: await ids("rotat"),
+          both: await ids("master friday"),
+          file: await ids("qkd"),
+        };
+      },
+      check: ({ rotat, both, file }) =>
+        rotat === "home-1,plain-1,plain-2" &&
+        both === "plain-1" &&
+        file === "plain-2",
+    },
+    {
+      name: "A phrase only matches its words in that order",
+      run: async () => ({
+        phrase: await ids('"rotation of the master keys"'),
+        words: await ids("rotation master key"),
+      }),
+      check: ({ phrase, words }) =>
+        phrase === "plain-1" && words === "plain-1,plain-2",
+    },
+    {
+      name: "from:, to: and subject: match their field only",
+      run: async () => ({
+        from: await ids("from:alice"),
+        to: await ids("to:carol"),
+        subject: await ids('subject:"key rotation"'),
+        address: await ids("to:alice@example.com"),
+      }),
+      check: ({ from, to, subject, address }) =>
+        from === "plain-1" &&
+        to === "plain-1" &&
+        subject === "plain-1" &&
+        address === "home-1",
+    },
+    {
+      name: "has:attachment and level: filter by envelope",
+      run: async () => ({
+        attachment: await ids("has:attachment"),
+        aes: await ids("level:quantum_aes"),
+        numbered: await ids("level:1"),
+        plain: await ids("level:no_quantum from:bob"),
+        unknown: await ids("level:bogus"),
+      }),
+      check: ({ attachment, aes, numbered, plain, unknown }) =>
+        attachment === "plain-2" &&
+        aes === "aes-1" &&
+        numbered === "otp-1" &&
+        plain === "plain-2" &&
+        unknown === "",
+    },
+    {
+      name: "after:, before: and date: ranges select by day",
+      run: async () => ({
+        after: await ids("after:2025-03-05"),
+        before: await ids("before:2025-02-20"),
+        range: await ids("date:2025-02-01..2025-03-05"),
+        open: await ids("date:..2025-01-31"),
+        day: await ids("date:2025-03-07"),
+        invalid: await ids("after:yesterday"),
+      }),
+      check: ({ after, before, range, open, day, invalid }) =>
+        after === "aes-1,home-1,otp-1" &&
+        before === "plain-1" &&
+        range === "aes-1,plain-2" &&
+        open === "plain-1" &&
+        day === "otp-1" &&
+        invalid === "",
+    },
+    {
+      name: "Results are newest first and can be kept to one account",
+      run: async () => ({
+        order: (await searchIndex.search("rotation")).results.map(
+          ({ id }) => id
+        ),
+        work: await ids("rotation", { accountId: "work" }),
+      }),
+      check: ({ order, work }) =>
+        order.join() === "home-1,plain-2,plain-1" && work === "plain-1,plain-2",
+    },
+    {
+      name: "Encrypted mail is searchable once decrypted, also after a lock",
+      run: async () => {
+        const before = await ids("launch");
+        await searchIndex.indexSubject("aes-1", "Satellite launch window");
+        await searchIndex.indexDecrypted("aes-1", {
+          subject: "Satellite launch window",
+          body: "Telemetry keys are ready for the uplink.",
+          attachments: [{ filename: "orbit.csv", data: new ArrayBuffer(4) }],
+        });
+        // Listing the folder again keeps the decrypted content
+        await searchIndex.indexFolder("work", "inbox", INBOX);
+        await relock();
+        return {
+          before,
+          subject: await ids("subject:launch"),
+          body: await ids("uplink"),
+          file: await ids("orbit"),
+        };
+      },
+      check: ({ before, subject, body, file }) =>
+        before === "" &&
+        subject === "aes-1" &&
+        body === "aes-1" &&
+        file === "aes-1",
+    },
+    {
+      name: "One Time Pad plaintext is searchable until the vault locks",
+      run: async () => {
+        await searchIndex.indexDecrypted("otp-1", {
+          subject: "Pad exchange",
+          body: "Meet at the ground station.",
+          attachments: [],
+        });
+        const unlocked = await ids("station");
+        await relock();
+        return {
+          unlocked,
+          locked: await ids("station"),
+          envelope: await ids("from:dave level:quantum_secure"),
+        };
+      },
+      check: ({ unlocked, locked, envelope }) =>
+        unlocked === "otp-1" && locked === "" && envelope === "otp-1",
+    },
+    {
+      name: "Nothing is stored in the clear",
+      run: async () => ({
+        stored: JSON.stringify([...searchIndex.memory.values()]),
+      }),
+      check: ({ stored }) =>
+        !["Satellite", "uplink", "alice", "rotation", "quantum_aes"].some(
+          (text) => stored.includes(text)
+        ),
+    },
+    {
+      name: "The index cannot be searched while the vault is locked",
+      run: async () => {
+        vaultService.lock("manual");
+        const outcome = await searchIndex
+          .search("rotation")
+          .then(() => "searched")
+          .catch((error) => error.message);
+        await vaultService.unlock(PASSPHRASE);
+        return { outcome };
+      },
+      check: ({ outcome }) => outcome === "The vault is locked",
+    },
+    {
+      name: "Messages gone from a folder and removed accounts drop out",
+      run: async () => {
+        await searchIndex.indexFolder(
+          "work",
+          "inbox",
+          INBOX.filter(({ id }) => id !== "plain-2")
+        );
+        const gone = await ids("bob");
+        await searchIndex.removeAccount("home");
+        await relock();
+        return {
+          gone,
+          garden: await ids("garden"),
+          stored: searchIndex.memory.size,
+        };
+      },
+      check: ({ gone, garden, stored }) =>
+        gone === "" && garden === "" && stored === 3,
+    },
+    {
+      name: "Resetting the vault clears the index",
+      run: async () => {
+        vaultService.reset();
+        await new Promise((resolve) => setTimeout(resolve, 0));
+        return { stored: searchIndex.memory.size };
+      },
+      check: ({ stored }) => stored === 0,
+    },
+  ];
+
+  const failures = await runChecks(cases, { log });
+
+  console.log = log;
+  await modules.close();
+
+  finish("search index", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("Search index harness failed:", error);
+  process.exit(1);
+});
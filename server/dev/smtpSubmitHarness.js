@@ -0,0 +1,269 @@
+/**
+ * SMTP submission harness
+ * Starts SMTP sinks over a MailStore (plain, STARTTLS and implicit TLS),
+ * mounts the backend app and checks the submission route against them:
+ * delivery with per-recipient status, Bcc kept out of the delivered
+ * message, STARTTLS and implicit TLS, messages over 25 MB streamed
+ * through, and the error codes for bad credentials, rejected recipients,
+ * TLS failures, unreachable servers and malformed submissions.
+ *
+ *   npm run smtp:harness
+ */
+
+import { generateKeyPairSync } from "node:crypto";
+import forge from "node-forge";
+import { createApp } from "../app.js";
+import { MailStore } from "../mail-stub/mailStore.js";
+import { createSmtpServer } from "../mail-stub/smtpServer.js";
+import { closeServers, finish, listen, runChecks, serve } from "./harness.js";
+
+const SENDER = "sender@qumail.local";
+const RECIPIENT = "recipient@qumail.local";
+const PASSWORD = "correct horse";
+const DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Self-signed server certificate for 127.0.0.1
+ */
+function issueServerCertificate() {
+  const { privateKey } = generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+    privateKeyEncoding: { type: "pkcs8", format: "pem" },
+    publicKeyEncoding: { type: "spki", format: "pem" },
+  });
+  const forgeKey = forge.pki.privateKeyFromPem(privateKey);
+  const cert = forge.pki.createCertificate();
+  cert.publicKey = forge.pki.setRsaPublicKey(forgeKey.n, forgeKey.e);
+  cert.serialNumber = "01";
+  cert.validity.notBefore = new Date(Date.now() - DAY);
+  cert.validity.notAfter = new Date(Date.now() + DAY);
+  const subject = [{ name: "commonName", value: "QuMail SMTP stub" }];
+  cert.setSubject(subject);
+  cert.setIssuer(subject);
+  cert.setExtensions([
+    { name: "subjectAltName", altNames: [{ type: 7, ip: "127.0.0.1" }] },
+  ]);
+  cert.sign(forgeKey, forge.md.sha256.create());
+  return { key: privateKey, cert: forge.pki.certificateToPem(cert) };
+}
+
+/**
+ * A message as the frontend serialises it, plus a Bcc header that a
+ * careless client might have left in
+ */
+function buildMessage(subject) {
+  return [
+    `From: ${SENDER}`,
+    `To: ${RECIPIENT}`,
+    "Bcc: hidden@example.com,",
+    " also-hidden@example.com",
+    `Subject: ${subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${subject.replace(/\W+/g, "-")}@qumail.local>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    "Hello over SMTP",
+    "",
+  ].join("\r\n");
+}
+
+async function main() {
+  const store = new MailStore();
+  store.addAccount(SENDER, PASSWORD);
+  store.addAccount(RECIPIENT, PASSWORD);
+
+  const received = [];
+  const onMessage = (message) => received.push(message);
+  const tls = issueServerCertificate();
+  const sinks = {
+    plain: createSmtpServer({ store, onMessage }),
+    starttls: createSmtpServer({ store, onMessage, ...tls }),
+    implicit: createSmtpServer({ store, onMessage, secure: true, ...tls }),
+  };
+  const ports = {};
+  for (const [name, sink] of Object.entries(sinks)) {
+    sink.on("error", () => {});
+    ports[name] = await listen(sink);
+  }
+
+  const { server: appServer, url: appUrl } = await serve(createApp());
+  const sendUrl = `${appUrl}/api/smtp/send`;
+
+  // The settings line, then the message, as the frontend uploads them
+  const submit = async ({
+    sink = "plain",
+    smtp = {},
+    to = [RECIPIENT],
+    subject = "Harness message",
+    message = [buildMessage(subject)],
+  } = {}) => {
+    const settings = {
+      smtp: {
+        host: "127.0.0.1",
+        port: ports[sink],
+        secure: false,
+        requireTLS: false,
+        username: SENDER,
+        password: PASSWORD,
+        ...smtp,
+      },
+      envelope: { from: SENDER, to },
+    };
+    const response = await fetch(sendUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-qumail-submission" },
+      body: new Blob([`${JSON.stringify(settings)}\n`, ...message]),
+    });
+    return { status: response.status, payload: await response.json() };
+  };
+  const lastReceived = () => received[received.length - 1];
+
+  const cases = [
+    {
+      name: "Message is delivered with every recipient accepted",
+      run: () =>
+        submit({
+          to: [RECIPIENT, "hidden@example.com", "also-hidden@example.com"],
+          subject: "Delivered",
+        }),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.accepted.length === 3 &&
+        payload.rejected.length === 0 &&
+        payload.messageId === "<Delivered@qumail.local>" &&
+        lastReceived().delivered.join(",") === RECIPIENT,
+    },
+    {
+      name: "Bcc header is stripped; Bcc recipients stay in the envelope",
+      run: async () => ({ message: lastReceived() }),
+      check: ({ message }) =>
+        !/^bcc:/im.test(message.raw) &&
+        !message.raw.includes("also-hidden") &&
+        message.raw.includes(`To: ${RECIPIENT}`) &&
+        message.envelope.to.includes("hidden@example.com"),
+    },
+    {
+      name: "Delivered message reaches the recipient's INBOX",
+      run: async () => ({
+        inbox: store.getMailbox(store.getAccount(RECIPIENT), "INBOX"),
+      }),
+      check: ({ inbox }) =>
+        inbox.messages.length === 1 &&
+        inbox.messages[0].raw.toString().includes("Subject: Delivered"),
+    },
+    {
+      name: "Unknown local recipients are reported, the rest delivered",
+      run: () => submit({ to: [RECIPIENT, "nobody@qumail.local"] }),
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.accepted.join(",") === RECIPIENT &&
+        payload.rejected[0].address === "nobody@qumail.local" &&
+        /550/.test(payload.rejected[0].response),
+    },
+    {
+      name: "All recipients rejected fails the submission",
+      run: () => submit({ to: ["nobody@qumail.local"] }),
+      check: ({ status, payload }) =>
+        status === 422 &&
+        payload.code === "SMTP_RECIPIENTS_REJECTED" &&
+        payload.rejected[0].address === "nobody@qumail.local",
+    },
+    {
+      name: "Wrong password is rejected",
+      run: () => submit({ smtp: { password: "wrong" } }),
+      check: ({ status, payload }) =>
+        status === 401 && payload.code === "SMTP_AUTH_FAILED",
+    },
+    {
+      name: "STARTTLS is required unless turned off explicitly",
+      run: () => submit({ smtp: { requireTLS: undefined } }),
+      check: ({ status, payload }) =>
+        status === 502 && payload.code === "SMTP_TLS_ERROR",
+    },
+    {
+      name: "STARTTLS upgrades the connection",
+      run: () =>
+        submit({
+          sink: "starttls",
+          smtp: { requireTLS: true, ca: tls.cert },
+          subject: "Over STARTTLS",
+        }),
+      check: ({ status }) => status === 200 && lastReceived().secure,
+    },
+    {
+      name: "Implicit TLS is used when secure is set",
+      run: () =>
+        submit({
+          sink: "implicit",
+          smtp: { secure: true, ca: tls.cert },
+          subject: "Over implicit TLS",
+        }),
+      check: ({ status }) => status === 200 && lastReceived().secure,
+    },
+    {
+      name: "Untrusted server certificate is reported",
+      run: () => submit({ sink: "starttls", smtp: { requireTLS: true } }),
+      check: ({ status, payload }) =>
+        status === 502 && payload.code === "SMTP_TLS_ERROR",
+    },
+    {
+      name: "Unreachable server is reported",
+      run: () => submit({ smtp: { port: 1 } }),
+      check: ({ status, payload }) =>
+        status === 502 && payload.code === "SMTP_UNREACHABLE",
+    },
+    {
+      name: "Messages over 25 MB are streamed through",
+      run: () => {
+        // Base64 lines, as the ciphertext of a large attachment is sent
+        const line = `${"QuMa".repeat(19)}\r\n`;
+        return submit({
+          subject: "Large",
+          message: [
+            buildMessage("Large"),
+            new Blob(
+              Array(Math.ceil((30 * 1024 * 1024) / 1024)).fill(
+                line.repeat(Math.floor(1024 / line.length))
+              )
+            ),
+          ],
+        });
+      },
+      check: ({ status, payload }) =>
+        status === 200 &&
+        payload.messageId === "<Large@qumail.local>" &&
+        lastReceived().raw.length > 25 * 1024 * 1024 &&
+        !/^bcc:/im.test(lastReceived().raw),
+    },
+    {
+      name: "A submission without its settings line is a bad request",
+      run: async () => {
+        const response = await fetch(sendUrl, {
+          method: "POST",
+          body: "",
+        });
+        return { status: response.status, payload: await response.json() };
+      },
+      check: ({ status, payload }) =>
+        status === 400 && payload.code === "SMTP_BAD_REQUEST",
+    },
+    {
+      name: "Missing envelope recipients are a bad request",
+      run: () => submit({ to: [] }),
+      check: ({ status, payload }) =>
+        status === 400 && payload.code === "SMTP_BAD_REQUEST",
+    },
+  ];
+
+  const failures = await runChecks(cases);
+
+  closeServers(appServer, ...Object.values(sinks));
+
+  finish("SMTP submission", failures, cases.length);
+}
+
+main().catch((error) => {
+  console.error("SMTP submission harness failed:", error);
+  process.exit(1);
+});
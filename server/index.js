@@ -0,0 +1,26 @@
+/**
+ * QuMail backend entry point
+ * Serves the API on port 8081 (config.EMAIL_ENDPOINT in development)
+ */
+
+import { createApp, DEFAULT_APP_ORIGIN } from "./app.js";
+
+const env = process.env;
+const port = Number(env.PORT || 8081);
+const apiPath = env.API_PATH || "/api";
+
+const app = createApp({
+  apiPath,
+  allowedOrigin: env.CORS_ORIGIN || DEFAULT_APP_ORIGIN,
+});
+
+const server = app.listen(port, () => {
+  console.log(`QuMail backend listening on http://localhost:${port}${apiPath}`);
+});
+
+const shutdown = () => {
+  server.close();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
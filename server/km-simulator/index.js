@@ -0,0 +1,67 @@
+/**
+ * ETSI GS QKD 014 Key Manager simulator for local development
+ * Starts two linked KMEs that share one key pool, one per SAE:
+ *   KME A (port 8080) serves qumail-client-001
+ *   KME B (port 8082) serves qumail-server-001
+ * Keys requested with enc_keys on one side can be fetched exactly once
+ * with dec_keys on the other.
+ *
+ * Set KM_TLS_CERT, KM_TLS_KEY and KM_TLS_CA (PEM file paths) to serve both
+ * KMEs over mutual TLS; clients then need a certificate from KM_TLS_CA
+ * whose CN is their SAE ID.
+ */
+
+import { readFileSync } from "node:fs";
+import { KeyPool } from "./keyPool.js";
+import { createKmeServer } from "./kme.js";
+
+const env = process.env;
+
+const pool = new KeyPool({
+  keySize: Number(env.KM_KEY_SIZE || 256),
+  maxKeySize: Number(env.KM_MAX_KEY_SIZE || 1048576),
+  generationRate: Number(env.KM_GENERATION_RATE || 1000000),
+  keyTtl: Number(env.KM_KEY_TTL || 3600) * 1000,
+});
+
+const tls =
+  env.KM_TLS_CERT && env.KM_TLS_KEY && env.KM_TLS_CA
+    ? {
+        cert: readFileSync(env.KM_TLS_CERT),
+        key: readFileSync(env.KM_TLS_KEY),
+        ca: readFileSync(env.KM_TLS_CA),
+      }
+    : null;
+const scheme = tls ? "https" : "http";
+
+const instances = [
+  {
+    kmeId: "KME_A",
+    saeId: env.KM_SAE_A || "qumail-client-001",
+    port: Number(env.KM_PORT_A || 8080),
+    peerKmeId: "KME_B",
+  },
+  {
+    kmeId: "KME_B",
+    saeId: env.KM_SAE_B || "qumail-server-001",
+    port: Number(env.KM_PORT_B || 8082),
+    peerKmeId: "KME_A",
+  },
+];
+
+const servers = instances.map((instance) => {
+  const server = createKmeServer({ ...instance, pool, tls });
+  server.listen(instance.port, () => {
+    console.log(
+      `${instance.kmeId} serving SAE ${instance.saeId} on ${scheme}://localhost:${instance.port}`
+    );
+  });
+  return server;
+});
+
+const shutdown = () => {
+  servers.forEach((server) => server.close());
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
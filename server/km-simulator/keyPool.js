@@ -0,0 +1,137 @@
+/**
+ * Shared key pool for the KM simulator
+ * Models the key material both ends of a QKD link hold in common: material
+ * accrues at a fixed rate, enc_keys carves keys out of it and each key can
+ * be collected exactly once by each slave SAE through dec_keys. Keys nobody
+ * collects expire after keyTtl, and at most maxKeyCount are held: issuing
+ * more evicts the oldest
+ */
+
+import { randomBytes, randomUUID } from "node:crypto";
+
+export class KeyPool {
+  constructor({
+    keySize = 256,
+    minKeySize = 8,
+    maxKeySize = 1048576,
+    maxKeyCount = 100000,
+    maxKeyPerRequest = 128,
+    maxSaeIdCount = 4,
+    generationRate = 1000000, // bits per second
+    capacity = 64 * 1024 * 1024, // bits
+    keyTtl = 60 * 60 * 1000, // milliseconds
+  } = {}) {
+    this.keySize = keySize;
+    this.minKeySize = minKeySize;
+    this.maxKeySize = maxKeySize;
+    this.maxKeyCount = maxKeyCount;
+    this.maxKeyPerRequest = maxKeyPerRequest;
+    this.maxSaeIdCount = maxSaeIdCount;
+    this.generationRate = generationRate;
+    this.capacity = capacity;
+    this.keyTtl = keyTtl;
+
+    this.availableBits = capacity;
+    this.lastRefill = Date.now();
+    // key_ID -> { key, size, master, pendingSlaves: Set, createdAt,
+    // expiresAt }, oldest first
+    this.keys = new Map();
+  }
+
+  /**
+   * Destroy issued keys that were not collected in time
+   */
+  expireKeys() {
+    const now = Date.now();
+    for (const [keyId, entry] of this.keys) {
+      if (entry.expiresAt > now) break;
+      this.keys.delete(keyId);
+    }
+  }
+
+  /**
+   * Accrue key material produced by the link since the last call
+   */
+  refill() {
+    const now = Date.now();
+    const produced = ((now - this.lastRefill) / 1000) * this.generationRate;
+    this.availableBits = Math.min(this.capacity, this.availableBits + produced);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Number of default-size keys currently available
+   */
+  storedKeyCount() {
+    this.refill();
+    return Math.min(
+      this.maxKeyCount,
+      Math.floor(this.availableBits / this.keySize)
+    );
+  }
+
+  /**
+   * Issue keys to a master SAE, reserving them for the given slave SAEs
+   */
+  issueKeys(masterSaeId, slaveSaeIds, number, size) {
+    this.refill();
+    this.expireKeys();
+
+    const requiredBits = number * size;
+    if (requiredBits > this.availableBits) {
+      return null;
+    }
+    this.availableBits -= requiredBits;
+
+    const keys = [];
+    for (let i = 0; i < number; i++) {
+      const keyId = randomUUID();
+      const key = randomBytes(size / 8).toString("base64");
+      this.keys.set(keyId, {
+        key,
+        size,
+        master: masterSaeId,
+        pendingSlaves: new Set(slaveSaeIds),
+        createdAt: new Date().toISOString(),
+        expiresAt: Date.now() + this.keyTtl,
+      });
+      keys.push({ key_ID: keyId, key });
+    }
+    // Evict the oldest keys beyond the limit
+    for (const keyId of this.keys.keys()) {
+      if (this.keys.size <= this.maxKeyCount) break;
+      this.keys.delete(keyId);
+    }
+    return keys;
+  }
+
+  /**
+   * Check that a slave SAE may collect the given key from the given master
+   */
+  findKey(keyId, masterSaeId, slaveSaeId) {
+    this.expireKeys();
+    const entry = this.keys.get(keyId);
+    if (!entry) {
+      return { error: "Key not found, expired or already consumed" };
+    }
+    if (entry.master !== masterSaeId) {
+      return { error: "Key was not issued by the given master SAE" };
+    }
+    if (!entry.pendingSlaves.has(slaveSaeId)) {
+      return { error: "Key is not available to this SAE" };
+    }
+    return { entry };
+  }
+
+  /**
+   * Hand a key to a slave SAE; the key is destroyed once every slave has it
+   */
+  consumeKey(keyId, slaveSaeId) {
+    const entry = this.keys.get(keyId);
+    entry.pendingSlaves.delete(slaveSaeId);
+    if (entry.pendingSlaves.size === 0) {
+      this.keys.delete(keyId);
+    }
+    return { key_ID: keyId, key: entry.key };
+  }
+}
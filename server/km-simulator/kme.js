@@ -0,0 +1,227 @@
+/**
+ * Simulated Key Management Entity serving one SAE over ETSI GS QKD 014
+ * The attached SAE is the caller of every request this KME receives. Over
+ * mutual TLS the caller must prove it with a client certificate whose CN is
+ * that SAE ID.
+ */
+
+import http from "node:http";
+import https from "node:https";
+
+const API_PREFIX = "/api/v1/keys/";
+
+class EtsiError extends Error {
+  constructor(status, message, details = []) {
+    super(message);
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Create the request handler for a KME attached to saeId
+ */
+export function createKmeHandler({ kmeId, saeId, peerKmeId, pool }) {
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  };
+
+  const readBody = (req) =>
+    new Promise((resolve, reject) => {
+      let data = "";
+      req.on("data", (chunk) => {
+        data += chunk;
+      });
+      req.on("end", () => {
+        if (!data) return resolve({});
+        try {
+          resolve(JSON.parse(data));
+        } catch {
+          reject(new EtsiError(400, "Request body is not valid JSON"));
+        }
+      });
+      req.on("error", reject);
+    });
+
+  const getStatus = (slaveSaeId) => ({
+    source_KME_ID: kmeId,
+    target_KME_ID: peerKmeId,
+    master_SAE_ID: saeId,
+    slave_SAE_ID: slaveSaeId,
+    key_size: pool.keySize,
+    stored_key_count: pool.storedKeyCount(),
+    max_key_count: pool.maxKeyCount,
+    max_key_per_request: pool.maxKeyPerRequest,
+    max_key_size: pool.maxKeySize,
+    min_key_size: pool.minKeySize,
+    max_SAE_ID_count: pool.maxSaeIdCount,
+  });
+
+  const encKeys = (slaveSaeId, request) => {
+    const number = Number(request.number ?? 1);
+    const size = Number(request.size ?? pool.keySize);
+    const additionalSlaves = request.additional_slave_SAE_IDs || [];
+
+    if (!Number.isInteger(number) || number < 1) {
+      throw new EtsiError(400, "number must be a positive integer");
+    }
+    if (number > pool.maxKeyPerRequest) {
+      throw new EtsiError(400, "number exceeds max_key_per_request", [
+        { max_key_per_request: pool.maxKeyPerRequest },
+      ]);
+    }
+    if (
+      !Number.isInteger(size) ||
+      size % 8 !== 0 ||
+      size < pool.minKeySize ||
+      size > pool.maxKeySize
+    ) {
+      throw new EtsiError(400, "size is not supported", [
+        {
+          size,
+          min_key_size: pool.minKeySize,
+          max_key_size: pool.maxKeySize,
+          note: "size must be a multiple of 8",
+        },
+      ]);
+    }
+    if (additionalSlaves.length > pool.maxSaeIdCount) {
+      throw new EtsiError(400, "Too many additional_slave_SAE_IDs", [
+        { max_SAE_ID_count: pool.maxSaeIdCount },
+      ]);
+    }
+    if (slaveSaeId === saeId) {
+      throw new EtsiError(400, "Slave SAE ID must differ from the master");
+    }
+
+    const keys = pool.issueKeys(
+      saeId,
+      [slaveSaeId, ...additionalSlaves],
+      number,
+      size
+    );
+    if (!keys) {
+      throw new EtsiError(503, "Insufficient key material", [
+        { stored_key_count: pool.storedKeyCount() },
+      ]);
+    }
+
+    console.log(
+      `[${kmeId}] enc_keys ${saeId} -> ${slaveSaeId}: ${number} x ${size} bits`
+    );
+    return { keys };
+  };
+
+  const decKeys = (masterSaeId, keyIds) => {
+    if (!Array.isArray(keyIds) || keyIds.length === 0) {
+      throw new EtsiError(400, "key_IDs is required");
+    }
+
+    // Validate every key before consuming any of them
+    const failures = keyIds
+      .map((keyId) => ({ keyId, ...pool.findKey(keyId, masterSaeId, saeId) }))
+      .filter((result) => result.error)
+      .map((result) => ({ key_ID: result.keyId, reason: result.error }));
+    if (failures.length > 0) {
+      throw new EtsiError(400, "One or more keys are not available", failures);
+    }
+
+    console.log(
+      `[${kmeId}] dec_keys ${masterSaeId} -> ${saeId}: ${keyIds.length} key(s)`
+    );
+    return { keys: keyIds.map((keyId) => pool.consumeKey(keyId, saeId)) };
+  };
+
+  return async (req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+    res.setHeader(
+      "Access-Control-Allow-Headers",
+      "Content-Type, Authorization, Accept"
+    );
+    if (req.method === "OPTIONS") {
+      res.writeHead(204);
+      return res.end();
+    }
+
+    try {
+      // Over mTLS the handshake already checked the chain; the certificate
+      // must also name the SAE this KME serves
+      if (req.socket.encrypted) {
+        const subject = req.socket.getPeerCertificate()?.subject;
+        if (subject?.CN !== saeId) {
+          throw new EtsiError(
+            401,
+            "Client certificate does not identify the attached SAE",
+            [{ expected: saeId, presented: subject?.CN || null }]
+          );
+        }
+      }
+
+      const url = new URL(req.url, "http://localhost");
+      if (!url.pathname.startsWith(API_PREFIX)) {
+        throw new EtsiError(404, `Unknown route: ${url.pathname}`);
+      }
+
+      const [peerSaeId, action, ...rest] = url.pathname
+        .slice(API_PREFIX.length)
+        .split("/")
+        .map(decodeURIComponent);
+      if (!peerSaeId || rest.length > 0) {
+        throw new EtsiError(404, `Unknown route: ${url.pathname}`);
+      }
+
+      if (action === "status" && req.method === "GET") {
+        return sendJson(res, 200, getStatus(peerSaeId));
+      }
+
+      if (action === "enc_keys") {
+        const request =
+          req.method === "POST"
+            ? await readBody(req)
+            : {
+                number: url.searchParams.get("number") ?? undefined,
+                size: url.searchParams.get("size") ?? undefined,
+              };
+        return sendJson(res, 200, encKeys(peerSaeId, request));
+      }
+
+      if (action === "dec_keys") {
+        const keyIds =
+          req.method === "POST"
+            ? ((await readBody(req)).key_IDs || []).map((entry) => entry.key_ID)
+            : url.searchParams.getAll("key_ID");
+        return sendJson(res, 200, decKeys(peerSaeId, keyIds));
+      }
+
+      throw new EtsiError(404, `Unknown route: ${url.pathname}`);
+    } catch (error) {
+      if (error instanceof EtsiError) {
+        const body = { message: error.message };
+        if (error.details.length > 0) {
+          body.details = error.details;
+        }
+        return sendJson(res, error.status, body);
+      }
+      console.error(`[${kmeId}] Internal error:`, error);
+      return sendJson(res, 503, { message: "Internal KME error" });
+    }
+  };
+}
+
+/**
+ * Create an HTTP server for a simulated KME
+ * With options.tls ({ cert, key, ca }) the server requires client
+ * certificates signed by ca
+ */
+export function createKmeServer(options) {
+  const handler = createKmeHandler(options);
+  if (!options.tls) {
+    return http.createServer(handler);
+  }
+  return https.createServer(
+    { ...options.tls, requestCert: true, rejectUnauthorized: true },
+    handler
+  );
+}
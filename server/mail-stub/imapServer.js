@@ -0,0 +1,745 @@
+/**
+ * Minimal IMAP4rev1 server over a MailStore, for local development and
+ * the bridge harness. It speaks enough of RFC 3501 for ImapFlow and other
+ * ordinary clients: LOGIN, NAMESPACE, LIST/LSUB, STATUS, SELECT/EXAMINE,
+ * FETCH and STORE (plain and UID), IDLE, and AUTHENTICATE XOAUTH2 with
+ * tokens the OAuth stub issued. Literals, LITERAL+, SASL-IR and SPECIAL-USE
+ * are supported; SEARCH, APPEND and extensions beyond these are not. While
+ * idling, mail delivered to the selected mailbox is announced with EXISTS.
+ */
+
+import net from "node:net";
+
+const CAPABILITIES =
+  "IMAP4rev1 LITERAL+ SPECIAL-USE NAMESPACE SASL-IR IDLE AUTH=XOAUTH2";
+const DELIMITER = "/";
+const SYSTEM_FLAGS = "\\Answered \\Flagged \\Deleted \\Seen \\Draft";
+const MONTHS = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+class ImapCommandError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status; // "NO" or "BAD"
+  }
+}
+
+/**
+ * Split one command (text segments and literal buffers) into tokens
+ * Atoms keep bracketed sections whole, so BODY.PEEK[HEADER.FIELDS (FROM)]
+ * is one token; parenthesised lists become arrays.
+ */
+function tokenize(segments) {
+  const root = [];
+  const stack = [root];
+  const push = (token) => stack[stack.length - 1].push(token);
+
+  for (const segment of segments) {
+    if (Buffer.isBuffer(segment)) {
+      push({ type: "string", value: segment.toString("utf8") });
+      continue;
+    }
+
+    let i = 0;
+    while (i < segment.length) {
+      const char = segment[i];
+      if (char === " ") {
+        i++;
+      } else if (char === "(") {
+        const list = [];
+        push(list);
+        stack.push(list);
+        i++;
+      } else if (char === ")") {
+        if (stack.length > 1) {
+          stack.pop();
+        }
+        i++;
+      } else if (char === '"') {
+        let value = "";
+        i++;
+        while (i < segment.length && segment[i] !== '"') {
+          if (segment[i] === "\\") {
+            i++;
+          }
+          value += segment[i++];
+        }
+        i++;
+        push({ type: "string", value });
+      } else {
+        const start = i;
+        let depth = 0;
+        while (i < segment.length) {
+          const c = segment[i];
+          if (c === "[") depth++;
+          else if (c === "]") depth--;
+          else if (depth === 0 && (c === " " || c === "(" || c === ")")) break;
+          i++;
+        }
+        push({ type: "atom", value: segment.slice(start, i) });
+      }
+    }
+  }
+  return root;
+}
+
+const valueOf = (token) =>
+  token && !Array.isArray(token) ? token.value : undefined;
+
+/**
+ * IMAP string: quoted when it is plain printable ASCII, else a literal
+ */
+function quote(value) {
+  if (value === null || value === undefined) {
+    return "NIL";
+  }
+  const text = String(value);
+  if (/^[\x20-\x7e]*$/.test(text)) {
+    return `"${text.replace(/[\\"]/g, "\\$&")}"`;
+  }
+  return `{${Buffer.byteLength(text)}}\r\n${text}`;
+}
+
+/**
+ * Predicate for a sequence set such as "1:3,7,9:*"
+ */
+function parseSequenceSet(set, max) {
+  const ranges = String(set)
+    .split(",")
+    .map((part) => {
+      const [from, to = from] = part
+        .split(":")
+        .map((bound) => (bound === "*" ? max : Number(bound)));
+      if (!Number.isInteger(from) || !Number.isInteger(to)) {
+        throw new ImapCommandError("BAD", `Invalid sequence set ${set}`);
+      }
+      return [Math.min(from, to), Math.max(from, to)];
+    });
+  return (n) => ranges.some(([from, to]) => n >= from && n <= to);
+}
+
+/**
+ * Split a stored message into its header block and body
+ */
+function splitMessage(raw) {
+  const end = raw.indexOf("\r\n\r\n");
+  if (end === -1) {
+    return { header: raw, body: Buffer.alloc(0) };
+  }
+  return { header: raw.subarray(0, end + 4), body: raw.subarray(end + 4) };
+}
+
+/**
+ * Unfolded header fields as [name, value] pairs, in order
+ */
+function parseHeaderFields(header) {
+  return header
+    .toString("utf8")
+    .replace(/\r\n[ \t]+/g, " ")
+    .split("\r\n")
+    .filter(Boolean)
+    .map((line) => {
+      const colon = line.indexOf(":");
+      return colon === -1
+        ? [line, ""]
+        : [line.slice(0, colon), line.slice(colon + 1).trim()];
+    });
+}
+
+/**
+ * Parse an address header into { name, mailbox, host } entries
+ */
+function parseAddresses(value) {
+  if (!value) {
+    return null;
+  }
+  const parts = [];
+  let current = "";
+  let quoted = false;
+  let angle = false;
+  for (const char of value) {
+    if (char === '"') quoted = !quoted;
+    else if (char === "<" && !quoted) angle = true;
+    else if (char === ">" && !quoted) angle = false;
+    if (char === "," && !quoted && !angle) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  parts.push(current);
+
+  return parts
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const match = /^(.*)<([^>]*)>$/.exec(part);
+      const name = match ? match[1].trim().replace(/^"(.*)"$/, "$1") : "";
+      const address = match ? match[2].trim() : part;
+      const at = address.lastIndexOf("@");
+      return {
+        name: name || null,
+        mailbox: at === -1 ? address : address.slice(0, at),
+        host: at === -1 ? null : address.slice(at + 1),
+      };
+    });
+}
+
+function formatAddresses(addresses) {
+  if (!addresses || addresses.length === 0) {
+    return "NIL";
+  }
+  return `(${addresses
+    .map(
+      ({ name, mailbox, host }) =>
+        `(${quote(name)} NIL ${quote(mailbox)} ${quote(host)})`
+    )
+    .join("")})`;
+}
+
+/**
+ * ENVELOPE structure from the message headers (RFC 3501 section 7.4.2)
+ */
+function buildEnvelope(raw) {
+  const headers = {};
+  parseHeaderFields(splitMessage(raw).header).forEach(([name, value]) => {
+    const key = name.toLowerCase();
+    if (!(key in headers)) {
+      headers[key] = value;
+    }
+  });
+  const from = formatAddresses(parseAddresses(headers.from));
+
+  return `(${[
+    quote(headers.date ?? null),
+    quote(headers.subject ?? null),
+    from,
+    headers.sender ? formatAddresses(parseAddresses(headers.sender)) : from,
+    headers["reply-to"]
+      ? formatAddresses(parseAddresses(headers["reply-to"]))
+      : from,
+    formatAddresses(parseAddresses(headers.to)),
+    formatAddresses(parseAddresses(headers.cc)),
+    formatAddresses(parseAddresses(headers.bcc)),
+    quote(headers["in-reply-to"] ?? null),
+    quote(headers["message-id"] ?? null),
+  ].join(" ")})`;
+}
+
+function formatInternalDate(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `"${pad(date.getUTCDate())}-${
+    MONTHS[date.getUTCMonth()]
+  }-${date.getUTCFullYear()} ${pad(date.getUTCHours())}:${pad(
+    date.getUTCMinutes()
+  )}:${pad(date.getUTCSeconds())} +0000"`;
+}
+
+/**
+ * Content of a BODY[section]: "", HEADER, TEXT, HEADER.FIELDS (...) or
+ * HEADER.FIELDS.NOT (...)
+ */
+function bodySection(raw, section) {
+  const { header, body } = splitMessage(raw);
+  const match = /^(HEADER\.FIELDS(?:\.NOT)?)\s*\(([^)]*)\)$/i.exec(section);
+  if (match) {
+    const names = match[2].toLowerCase().split(/\s+/).filter(Boolean);
+    const exclude = match[1].toUpperCase().endsWith(".NOT");
+    const lines = header
+      .toString("utf8")
+      .split(/\r\n(?![ \t])/)
+      .filter((line) => {
+        const name = line.slice(0, line.indexOf(":")).toLowerCase();
+        return line && names.includes(name) !== exclude;
+      });
+    return Buffer.from(`${lines.map((line) => `${line}\r\n`).join("")}\r\n`);
+  }
+
+  switch (section.toUpperCase()) {
+    case "":
+      return raw;
+    case "HEADER":
+      return header;
+    case "TEXT":
+      return body;
+    default:
+      throw new ImapCommandError("BAD", `Unsupported body section ${section}`);
+  }
+}
+
+/**
+ * Serve one client connection
+ */
+function handleConnection(socket, store) {
+  const session = { account: null, mailbox: null, readOnly: false, tag: null };
+  let buffer = Buffer.alloc(0);
+  let segments = [];
+  let pendingLiteral = null;
+  // Receives the next client line while a SASL exchange or IDLE is in
+  // progress
+  let continuation = null;
+  // Ends the IDLE in progress
+  let stopIdle = null;
+
+  const write = (parts) =>
+    socket.write(
+      Buffer.concat(
+        []
+          .concat(parts)
+          .map((part) =>
+            Buffer.isBuffer(part) ? part : Buffer.from(part, "utf8")
+          )
+      )
+    );
+  const untagged = (line) => write(`* ${line}\r\n`);
+
+  const requireAuth = () => {
+    if (!session.account) {
+      throw new ImapCommandError("BAD", "Not authenticated");
+    }
+  };
+  const requireMailbox = () => {
+    requireAuth();
+    if (!session.mailbox) {
+      throw new ImapCommandError("BAD", "No mailbox selected");
+    }
+  };
+  const findMailbox = (path) => {
+    const mailbox = store.getMailbox(session.account, path);
+    if (!mailbox) {
+      throw new ImapCommandError("NO", `[NONEXISTENT] Unknown mailbox ${path}`);
+    }
+    return mailbox;
+  };
+
+  const commands = {
+    CAPABILITY() {
+      untagged(`CAPABILITY ${CAPABILITIES}`);
+    },
+
+    NOOP() {},
+
+    LOGOUT() {
+      untagged("BYE QuMail IMAP stub logging out");
+      return "LOGOUT completed";
+    },
+
+    LOGIN(args) {
+      const account = store.authenticate(valueOf(args[0]), valueOf(args[1]));
+      if (!account) {
+        throw new ImapCommandError(
+          "NO",
+          "[AUTHENTICATIONFAILED] Invalid credentials"
+        );
+      }
+      session.account = account;
+      return `[CAPABILITY ${CAPABILITIES}] Logged in`;
+    },
+
+    /**
+     * XOAUTH2 SASL: base64("user=..." ^A "auth=Bearer ..." ^A ^A), either
+     * as the initial response or after an empty continuation. A failure is
+     * reported as a continuation with a JSON error, which the client
+     * acknowledges with an empty line before the tagged NO.
+     */
+    AUTHENTICATE(args) {
+      const { tag } = session;
+      if (String(valueOf(args[0])).toUpperCase() !== "XOAUTH2") {
+        throw new ImapCommandError(
+          "NO",
+          "Unsupported authentication mechanism"
+        );
+      }
+
+      const finish = (initialResponse) => {
+        const fields = Object.fromEntries(
+          Buffer.from(initialResponse, "base64")
+            .toString("utf8")
+            .split("\x01")
+            .filter(Boolean)
+            .map((field) => {
+              const separator = field.indexOf("=");
+              return [field.slice(0, separator), field.slice(separator + 1)];
+            })
+        );
+        const token = /^Bearer (.+)$/i.exec(fields.auth || "")?.[1];
+        const account = token && store.authenticateToken(fields.user, token);
+        if (account) {
+          session.account = account;
+          write(`${tag} OK [CAPABILITY ${CAPABILITIES}] Authenticated\r\n`);
+          return;
+        }
+        const error = { status: "401", schemes: "bearer", scope: "mail" };
+        write(`+ ${Buffer.from(JSON.stringify(error)).toString("base64")}\r\n`);
+        continuation = () =>
+          write(`${tag} NO [AUTHENTICATIONFAILED] Invalid credentials\r\n`);
+      };
+
+      if (args[1] !== undefined) {
+        finish(valueOf(args[1]));
+      } else {
+        write("+ \r\n");
+        continuation = finish;
+      }
+      return false;
+    },
+
+    NAMESPACE() {
+      requireAuth();
+      untagged(`NAMESPACE (("" "${DELIMITER}")) NIL NIL`);
+    },
+
+    LIST(args, command = "LIST") {
+      requireAuth();
+      const pattern = String(valueOf(args[1]) ?? "");
+      if (pattern === "") {
+        untagged(`${command} (\\Noselect) "${DELIMITER}" ""`);
+        return;
+      }
+      const source = `^${pattern
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/\*/g, ".*")
+        .replace(/%/g, `[^${DELIMITER}]*`)}$`;
+      for (const mailbox of session.account.mailboxes.values()) {
+        const name = mailbox.path;
+        // INBOX is matched case-insensitively
+        const regex = new RegExp(source, name === "INBOX" ? "i" : "");
+        if (regex.test(name)) {
+          const flags = ["\\HasNoChildren"];
+          if (command === "LIST" && mailbox.specialUse) {
+            flags.push(mailbox.specialUse);
+          }
+          untagged(
+            `${command} (${flags.join(" ")}) "${DELIMITER}" ${quote(name)}`
+          );
+        }
+      }
+    },
+
+    LSUB(args) {
+      commands.LIST(args, "LSUB");
+    },
+
+    STATUS(args) {
+      requireAuth();
+      const mailbox = findMailbox(valueOf(args[0]));
+      const items = []
+        .concat(args[1] || [])
+        .map((item) => String(valueOf(item)).toUpperCase());
+      const values = {
+        MESSAGES: mailbox.messages.length,
+        RECENT: 0,
+        UIDNEXT: mailbox.uidNext,
+        UIDVALIDITY: mailbox.uidValidity,
+        UNSEEN: mailbox.messages.filter(
+          (message) => !message.flags.has("\\Seen")
+        ).length,
+      };
+      untagged(
+        `STATUS ${quote(mailbox.path)} (${items
+          .filter((item) => item in values)
+          .map((item) => `${item} ${values[item]}`)
+          .join(" ")})`
+      );
+    },
+
+    SELECT(args, readOnly = false) {
+      requireAuth();
+      session.mailbox = null;
+      const mailbox = findMailbox(valueOf(args[0]));
+      untagged(`FLAGS (${SYSTEM_FLAGS})`);
+      untagged(`OK [PERMANENTFLAGS (${SYSTEM_FLAGS} \\*)] Flags permitted`);
+      untagged(`${mailbox.messages.length} EXISTS`);
+      untagged("0 RECENT");
+      untagged(`OK [UIDVALIDITY ${mailbox.uidValidity}] UIDs valid`);
+      untagged(`OK [UIDNEXT ${mailbox.uidNext}] Predicted next UID`);
+      session.mailbox = mailbox;
+      session.readOnly = readOnly;
+      return `[${readOnly ? "READ-ONLY" : "READ-WRITE"}] Selected`;
+    },
+
+    EXAMINE(args) {
+      return commands.SELECT(args, true);
+    },
+
+    CLOSE() {
+      requireMailbox();
+      session.mailbox = null;
+    },
+
+    UNSELECT() {
+      requireMailbox();
+      session.mailbox = null;
+    },
+
+    /**
+     * RFC 2177: announce new mail in the selected mailbox until the client
+     * sends DONE
+     */
+    IDLE() {
+      requireAuth();
+      const { tag } = session;
+      const onAppend = ({ mailbox }) => {
+        if (mailbox === session.mailbox) {
+          untagged(`${mailbox.messages.length} EXISTS`);
+        }
+      };
+      store.on("append", onAppend);
+      stopIdle = () => {
+        store.off("append", onAppend);
+        stopIdle = null;
+      };
+      write("+ idling\r\n");
+      continuation = (line) => {
+        stopIdle?.();
+        write(
+          line.trim().toUpperCase() === "DONE"
+            ? `${tag} OK IDLE terminated\r\n`
+            : `${tag} BAD Expected DONE\r\n`
+        );
+      };
+      return false;
+    },
+
+    FETCH(args, byUid = false) {
+      requireMailbox();
+      const messages = session.mailbox.messages;
+      const max = byUid
+        ? messages[messages.length - 1]?.uid || 0
+        : messages.length;
+      const matches = parseSequenceSet(valueOf(args[0]), max);
+
+      let items = Array.isArray(args[1]) ? args[1] : [args[1]];
+      items = items.map((item) => String(valueOf(item)));
+      const macros = {
+        ALL: ["FLAGS", "INTERNALDATE", "RFC822.SIZE", "ENVELOPE"],
+        FAST: ["FLAGS", "INTERNALDATE", "RFC822.SIZE"],
+        FULL: ["FLAGS", "INTERNALDATE", "RFC822.SIZE", "ENVELOPE"],
+      };
+      items = items.flatMap((item) => macros[item.toUpperCase()] || [item]);
+      if (byUid && !items.some((item) => item.toUpperCase() === "UID")) {
+        items.unshift("UID");
+      }
+
+      messages.forEach((message, index) => {
+        const seq = index + 1;
+        if (!matches(byUid ? message.uid : seq)) {
+          return;
+        }
+
+        const parts = [];
+        let flagsChanged = false;
+        for (const item of items) {
+          const upper = item.toUpperCase();
+          const body =
+            /^(BODY|BINARY)(\.PEEK)?\[(.*)\](?:<(\d+)(?:\.(\d+))?>)?$/i.exec(
+              item
+            );
+          if (upper === "UID") {
+            parts.push(`UID ${message.uid}`);
+          } else if (upper === "FLAGS") {
+            parts.push(`FLAGS (${[...message.flags].join(" ")})`);
+          } else if (upper === "RFC822.SIZE") {
+            parts.push(`RFC822.SIZE ${message.raw.length}`);
+          } else if (upper === "INTERNALDATE") {
+            parts.push(
+              `INTERNALDATE ${formatInternalDate(message.internalDate)}`
+            );
+          } else if (upper === "ENVELOPE") {
+            parts.push(`ENVELOPE ${buildEnvelope(message.raw)}`);
+          } else if (upper === "RFC822" || body) {
+            const section = body ? body[3] : "";
+            let content = bodySection(message.raw, section);
+            let origin = "";
+            if (body && body[4] !== undefined) {
+              const start = Number(body[4]);
+              const length =
+                body[5] !== undefined ? Number(body[5]) : content.length;
+              content = content.subarray(start, start + length);
+              origin = `<${start}>`;
+            }
+            const peek = body ? Boolean(body[2]) : false;
+            if (!peek && !session.readOnly && !message.flags.has("\\Seen")) {
+              message.flags.add("\\Seen");
+              flagsChanged = true;
+            }
+            const name = body
+              ? `${body[1].toUpperCase()}[${section}]${origin}`
+              : "RFC822";
+            parts.push([`${name} {${content.length}}\r\n`, content]);
+          } else {
+            throw new ImapCommandError("BAD", `Unsupported fetch item ${item}`);
+          }
+        }
+        if (flagsChanged && !items.some((i) => i.toUpperCase() === "FLAGS")) {
+          parts.push(`FLAGS (${[...message.flags].join(" ")})`);
+        }
+
+        const line = [`* ${seq} FETCH (`];
+        parts.forEach((part, i) => {
+          if (i > 0) line.push(" ");
+          line.push(...[].concat(part));
+        });
+        line.push(")\r\n");
+        write(line);
+      });
+    },
+
+    STORE(args, byUid = false) {
+      requireMailbox();
+      if (session.readOnly) {
+        throw new ImapCommandError("NO", "Mailbox is read-only");
+      }
+      const messages = session.mailbox.messages;
+      const max = byUid
+        ? messages[messages.length - 1]?.uid || 0
+        : messages.length;
+      const matches = parseSequenceSet(valueOf(args[0]), max);
+      const operation = String(valueOf(args[1])).toUpperCase();
+      const flags = (Array.isArray(args[2]) ? args[2] : args.slice(2)).map(
+        (flag) => String(valueOf(flag))
+      );
+      const silent = operation.endsWith(".SILENT");
+      const mode = operation.replace(/\.SILENT$/, "");
+      if (!["FLAGS", "+FLAGS", "-FLAGS"].includes(mode)) {
+        throw new ImapCommandError(
+          "BAD",
+          `Unsupported STORE item ${operation}`
+        );
+      }
+
+      messages.forEach((message, index) => {
+        const seq = index + 1;
+        if (!matches(byUid ? message.uid : seq)) {
+          return;
+        }
+        if (mode === "FLAGS") {
+          message.flags = new Set(flags);
+        } else if (mode === "+FLAGS") {
+          flags.forEach((flag) => message.flags.add(flag));
+        } else {
+          flags.forEach((flag) => message.flags.delete(flag));
+        }
+        if (!silent) {
+          untagged(
+            `${seq} FETCH (FLAGS (${[...message.flags].join(" ")})${
+              byUid ? ` UID ${message.uid}` : ""
+            })`
+          );
+        }
+      });
+    },
+
+    UID(args) {
+      const command = String(valueOf(args[0])).toUpperCase();
+      if (command === "FETCH") {
+        return commands.FETCH(args.slice(1), true);
+      }
+      if (command === "STORE") {
+        return commands.STORE(args.slice(1), true);
+      }
+      throw new ImapCommandError("BAD", `Unsupported UID command ${command}`);
+    },
+  };
+
+  const execute = (commandSegments) => {
+    const tokens = tokenize(commandSegments);
+    const tag = valueOf(tokens[0]);
+    const name = String(valueOf(tokens[1]) || "").toUpperCase();
+    if (!tag || !name) {
+      write("* BAD Empty command\r\n");
+      return;
+    }
+
+    try {
+      const handler = Object.hasOwn(commands, name) ? commands[name] : null;
+      if (!handler) {
+        throw new ImapCommandError("BAD", `Unknown command ${name}`);
+      }
+      session.tag = tag;
+      const text = handler(tokens.slice(2));
+      // false: the handler sends its tagged response itself, later
+      if (text === false) {
+        return;
+      }
+      write(`${tag} OK ${text || `${name} completed`}\r\n`);
+      if (name === "LOGOUT") {
+        socket.end();
+      }
+    } catch (error) {
+      if (error instanceof ImapCommandError) {
+        write(`${tag} ${error.status} ${error.message}\r\n`);
+      } else {
+        console.error("IMAP stub error:", error);
+        write(`${tag} BAD Internal error\r\n`);
+      }
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    for (;;) {
+      if (pendingLiteral !== null) {
+        if (buffer.length < pendingLiteral) {
+          return;
+        }
+        segments.push(buffer.subarray(0, pendingLiteral));
+        buffer = buffer.subarray(pendingLiteral);
+        pendingLiteral = null;
+        continue;
+      }
+
+      const end = buffer.indexOf("\r\n");
+      if (end === -1) {
+        return;
+      }
+      const line = buffer.subarray(0, end).toString("utf8");
+      buffer = buffer.subarray(end + 2);
+
+      if (continuation) {
+        const next = continuation;
+        continuation = null;
+        next(line);
+        continue;
+      }
+
+      const literal = /\{(\d+)(\+)?\}$/.exec(line);
+      if (literal) {
+        segments.push(line.slice(0, literal.index));
+        pendingLiteral = Number(literal[1]);
+        if (!literal[2]) {
+          write("+ Ready for literal data\r\n");
+        }
+        continue;
+      }
+
+      segments.push(line);
+      execute(segments);
+      segments = [];
+    }
+  });
+  socket.on("error", () => socket.destroy());
+  socket.on("close", () => stopIdle?.());
+
+  untagged(`OK [CAPABILITY ${CAPABILITIES}] QuMail IMAP stub ready`);
+}
+
+/**
+ * Create an IMAP server over store; call listen() on the result
+ */
+export function createImapServer({ store }) {
+  return net.createServer((socket) => handleConnection(socket, store));
+}
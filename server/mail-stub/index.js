@@ -0,0 +1,115 @@
+/**
+ * Local mail stub for development
+ * Serves one demo account over plain IMAP on port 1143 and plain POP3 on
+ * port 1110, with a few seeded messages, and plain SMTP on port 2525, so
+ * the backend IMAP and POP3 bridges and SMTP submission can be exercised
+ * without a mail server. Mail sent to the demo account lands in its INBOX. An OAuth2 authorization server on port
+ * 9090 lets the account sign in with XOAUTH2 instead of its password.
+ * Configure an account in QuMail with the "Local mail stub" provider and
+ * these credentials.
+ */
+
+import { MailStore } from "./mailStore.js";
+import { createImapServer } from "./imapServer.js";
+import { createPop3Server } from "./pop3Server.js";
+import { createSmtpServer } from "./smtpServer.js";
+import { createOAuthServer } from "./oauthServer.js";
+
+const env = process.env;
+const imapPort = Number(env.IMAP_STUB_PORT || 1143);
+const pop3Port = Number(env.POP3_STUB_PORT || 1110);
+const smtpPort = Number(env.SMTP_STUB_PORT || 2525);
+const oauthPort = Number(env.OAUTH_STUB_PORT || 9090);
+const user = env.MAIL_STUB_USER || "user@qumail.local";
+const password = env.MAIL_STUB_PASSWORD || "qumail";
+
+const store = new MailStore();
+store.addAccount(user, password);
+
+const seed = [
+  {
+    from: "Alice <alice@example.com>",
+    subject: "Quantum Key Distribution Test Results",
+    body: "The latest QKD link tests are within expected parameters.",
+    hoursAgo: 2,
+  },
+  {
+    from: "security@isro.gov.in",
+    subject: "Weekly Security Report",
+    body: "No security incidents were reported this week.",
+    hoursAgo: 26,
+    flags: ["\\Seen"],
+  },
+  {
+    from: "Bob <bob@quantumtech.com>",
+    subject: "Meeting: QKD Implementation Review",
+    body: "Reminder: implementation review tomorrow at 2 PM.",
+    hoursAgo: 50,
+    flags: ["\\Seen", "\\Flagged"],
+  },
+];
+
+seed.forEach(({ from, subject, body, hoursAgo, flags = [] }, index) => {
+  const date = new Date(Date.now() - hoursAgo * 60 * 60 * 1000);
+  const raw = [
+    `From: ${from}`,
+    `To: ${user}`,
+    `Subject: ${subject}`,
+    `Date: ${date.toUTCString()}`,
+    `Message-ID: <seed-${index + 1}@mail-stub.qumail.local>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 7bit",
+    "",
+    body,
+    "",
+  ].join("\r\n");
+  store.append(user, "INBOX", raw, { flags, internalDate: date });
+});
+
+const imapServer = createImapServer({ store });
+imapServer.listen(imapPort, () => {
+  console.log(
+    `Mail stub serving ${user} (password "${password}") on imap://localhost:${imapPort}`
+  );
+});
+
+const pop3Server = createPop3Server({ store });
+pop3Server.listen(pop3Port, () => {
+  console.log(
+    `Mail stub serving the same INBOX on pop3://localhost:${pop3Port}`
+  );
+});
+
+const smtpServer = createSmtpServer({
+  store,
+  onMessage: ({ envelope, delivered }) => {
+    console.log(
+      `SMTP stub: ${envelope.from} -> ${envelope.to.join(", ")} (${
+        delivered.length
+      } delivered locally)`
+    );
+  },
+});
+smtpServer.listen(smtpPort, () => {
+  console.log(`Mail stub accepting mail on smtp://localhost:${smtpPort}`);
+});
+
+const oauthServer = createOAuthServer({
+  store,
+  accessTokenTtl: Number(env.OAUTH_STUB_TOKEN_TTL || 3600),
+}).listen(oauthPort, () => {
+  console.log(
+    `Mail stub authorizing OAuth2 client "qumail-local" on http://localhost:${oauthPort}`
+  );
+});
+
+const shutdown = () => {
+  imapServer.close();
+  pop3Server.close();
+  smtpServer.close();
+  oauthServer.close();
+  process.exit(0);
+};
+process.on("SIGINT", shutdown);
+process.on("SIGTERM", shutdown);
@@ -0,0 +1,148 @@
+/**
+ * In-memory mail store behind the IMAP stub
+ * Holds accounts and their mailboxes; every mailbox has a UIDVALIDITY and
+ * hands out ascending UIDs, so clients can be tested against real IMAP
+ * identity rules without a mail server. Every stored message is announced
+ * with an "append" event ({ user, mailbox, uid }), which the IMAP stub
+ * passes on to idling sessions.
+ */
+
+import { EventEmitter } from "node:events";
+
+const DEFAULT_MAILBOXES = [
+  { path: "INBOX", specialUse: null },
+  { path: "Sent", specialUse: "\\Sent" },
+  { path: "Drafts", specialUse: "\\Drafts" },
+  { path: "Trash", specialUse: "\\Trash" },
+  { path: "Archive", specialUse: "\\Archive" },
+];
+
+export class MailStore extends EventEmitter {
+  constructor() {
+    super();
+    // One listener per idling IMAP session
+    this.setMaxListeners(0);
+    // user -> { password, mailboxes: Map(path -> mailbox) }
+    this.accounts = new Map();
+    this.nextUidValidity = Math.floor(Date.now() / 1000);
+    // OAuth2 bearer token -> { user, expiresAt }, issued by the OAuth stub
+    this.accessTokens = new Map();
+  }
+
+  /**
+   * Create an account with the standard mailboxes
+   */
+  addAccount(user, password) {
+    const account = { password, mailboxes: new Map() };
+    this.accounts.set(user.toLowerCase(), account);
+    DEFAULT_MAILBOXES.forEach(({ path, specialUse }) =>
+      this.createMailbox(user, path, specialUse)
+    );
+    return account;
+  }
+
+  /**
+   * Check credentials; returns the account or null
+   */
+  authenticate(user, password) {
+    const account = this.accounts.get(String(user).toLowerCase());
+    return account && account.password === password ? account : null;
+  }
+
+  /**
+   * Register a bearer token for XOAUTH2 sign-in
+   */
+  addAccessToken(user, token, expiresAt) {
+    this.getAccount(user);
+    this.accessTokens.set(token, { user: user.toLowerCase(), expiresAt });
+  }
+
+  /**
+   * Check an XOAUTH2 user and bearer token; returns the account or null
+   */
+  authenticateToken(user, token) {
+    const entry = this.accessTokens.get(token);
+    if (
+      !entry ||
+      entry.expiresAt <= Date.now() ||
+      entry.user !== String(user).toLowerCase()
+    ) {
+      return null;
+    }
+    return this.accounts.get(entry.user) || null;
+  }
+
+  createMailbox(user, path, specialUse = null) {
+    const account = this.getAccount(user);
+    const mailbox = {
+      path,
+      specialUse,
+      uidValidity: this.nextUidValidity++,
+      uidNext: 1,
+      messages: [],
+    };
+    account.mailboxes.set(path, mailbox);
+    return mailbox;
+  }
+
+  getAccount(user) {
+    const account = this.accounts.get(String(user).toLowerCase());
+    if (!account) {
+      throw new Error(`Unknown account ${user}`);
+    }
+    return account;
+  }
+
+  /**
+   * Look up a mailbox; INBOX is case-insensitive as RFC 3501 requires
+   */
+  getMailbox(account, path) {
+    if (String(path).toUpperCase() === "INBOX") {
+      return account.mailboxes.get("INBOX") || null;
+    }
+    return account.mailboxes.get(path) || null;
+  }
+
+  /**
+   * Store a raw RFC 5322 message and return its UID
+   */
+  append(user, path, raw, { flags = [], internalDate = new Date() } = {}) {
+    const mailbox = this.getMailbox(this.getAccount(user), path);
+    if (!mailbox) {
+      throw new Error(`Unknown mailbox ${path}`);
+    }
+    const message = {
+      uid: mailbox.uidNext++,
+      flags: new Set(flags),
+      internalDate,
+      raw: Buffer.isBuffer(raw) ? raw : Buffer.from(toCrlf(raw), "utf8"),
+    };
+    mailbox.messages.push(message);
+    this.emit("append", {
+      user: String(user).toLowerCase(),
+      mailbox,
+      uid: message.uid,
+    });
+    return message.uid;
+  }
+
+  /**
+   * Remove messages by UID, as POP3 deletion does
+   * IMAP sessions with the mailbox selected are not told (no EXPUNGE
+   * responses), which is good enough for a development stub
+   */
+  expunge(user, path, uids) {
+    const mailbox = this.getMailbox(this.getAccount(user), path);
+    const removed = new Set(uids);
+    mailbox.messages = mailbox.messages.filter(
+      (message) => !removed.has(message.uid)
+    );
+  }
+}
+
+/**
+ * Normalise bare LF line endings to CRLF
+ */
+function toCrlf(text) {
+  return String(text).replace(/\r?\n/g, "\r\n");
+}
@@ -0,0 +1,239 @@
+/**
+ * OAuth2 authorization server stub over a MailStore
+ * Implements the authorization-code flow with PKCE (RFC 6749, RFC 7636)
+ * the way Google and Microsoft do for mail clients: /authorize shows a
+ * sign-in form for a store account and redirects back with a code, /token
+ * redeems the code (checking the S256 code_verifier) or a refresh token.
+ * Access tokens are registered with the store, so the IMAP and SMTP stubs
+ * accept them over XOAUTH2.
+ *
+ *   GET  /authorize   response_type=code, client_id, redirect_uri, scope,
+ *                     state, code_challenge, code_challenge_method=S256
+ *   POST /authorize   the sign-in form
+ *   POST /token       grant_type=authorization_code | refresh_token
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+import express from "express";
+
+const CODE_TTL = 60 * 1000;
+
+const randomToken = () => randomBytes(32).toString("base64url");
+
+const escapeHtml = (value) =>
+  String(value ?? "").replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char]
+  );
+
+/**
+ * Sign-in page; the authorization request rides along in hidden fields
+ */
+function renderSignIn(params, { error = null } = {}) {
+  const hidden = [
+    "client_id",
+    "redirect_uri",
+    "scope",
+    "state",
+    "code_challenge",
+    "code_challenge_method",
+  ]
+    .map(
+      (name) =>
+        `<input type="hidden" name="${name}" value="${escapeHtml(
+          params[name]
+        )}">`
+    )
+    .join("\n      ");
+
+  return `<!doctype html>
+<html>
+  <head><meta charset="utf-8"><title>Sign in - QuMail mail stub</title></head>
+  <body style="font-family: sans-serif; max-width: 22rem; margin: 4rem auto">
+    <h1 style="font-size: 1.25rem">Sign in to the QuMail mail stub</h1>
+    <p>QuMail is asking for access to your mail (${escapeHtml(
+      params.scope || "mail"
+    )}).</p>
+    ${error ? `<p style="color: #b91c1c">${escapeHtml(error)}</p>` : ""}
+    <form method="post" action="authorize">
+      ${hidden}
+      <p><input name="username" placeholder="Email" value="${escapeHtml(
+        params.login_hint || params.username
+      )}" style="width: 100%"></p>
+      <p><input name="password" type="password" placeholder="Password" style="width: 100%"></p>
+      <p><button type="submit">Allow access</button></p>
+    </form>
+  </body>
+</html>`;
+}
+
+/**
+ * Create the OAuth2 stub app
+ * clientIds lists the public clients that may ask for codes
+ */
+export function createOAuthServer({
+  store,
+  clientIds = ["qumail-local"],
+  accessTokenTtl = 3600,
+}) {
+  const app = express();
+  // code -> { user, clientId, redirectUri, codeChallenge, scope, expiresAt }
+  const codes = new Map();
+  // refresh token -> { user, clientId, scope }
+  const refreshTokens = new Map();
+
+  app.use(express.urlencoded({ extended: false }));
+
+  /**
+   * Problems with client_id or redirect_uri are shown to the user; the
+   * redirect_uri cannot be trusted with them (RFC 6749 section 4.1.2.1)
+   */
+  const checkClient = (params) => {
+    if (!clientIds.includes(params.client_id)) {
+      return "Unknown client_id";
+    }
+    try {
+      const { protocol } = new URL(params.redirect_uri);
+      if (protocol !== "http:" && protocol !== "https:") {
+        return "redirect_uri must be an http(s) URL";
+      }
+    } catch {
+      return "redirect_uri is missing or invalid";
+    }
+    return null;
+  };
+
+  const redirectWith = (res, params, values) => {
+    const url = new URL(params.redirect_uri);
+    Object.entries({ ...values, state: params.state }).forEach(
+      ([name, value]) =>
+        value !== undefined && url.searchParams.set(name, value)
+    );
+    res.redirect(302, url.toString());
+  };
+
+  /**
+   * Reject requests without S256 PKCE, as providers do for public clients
+   */
+  const checkRequest = (params) => {
+    if (params.response_type && params.response_type !== "code") {
+      return "unsupported_response_type";
+    }
+    if (!params.code_challenge || params.code_challenge_method !== "S256") {
+      return "invalid_request";
+    }
+    return null;
+  };
+
+  app.get("/authorize", (req, res) => {
+    const clientError = checkClient(req.query);
+    if (clientError) {
+      return res.status(400).send(escapeHtml(clientError));
+    }
+    const error = checkRequest(req.query);
+    if (error) {
+      return redirectWith(res, req.query, { error });
+    }
+    res.type("html").send(renderSignIn(req.query));
+  });
+
+  app.post("/authorize", (req, res) => {
+    const params = req.body || {};
+    const clientError = checkClient(params);
+    if (clientError) {
+      return res.status(400).send(escapeHtml(clientError));
+    }
+    const error = checkRequest(params);
+    if (error) {
+      return redirectWith(res, params, { error });
+    }
+    if (!store.authenticate(params.username, params.password)) {
+      return res
+        .status(401)
+        .type("html")
+        .send(renderSignIn(params, { error: "Wrong email or password" }));
+    }
+
+    const code = randomToken();
+    codes.set(code, {
+      user: params.username.toLowerCase(),
+      clientId: params.client_id,
+      redirectUri: params.redirect_uri,
+      codeChallenge: params.code_challenge,
+      scope: params.scope || "mail",
+      expiresAt: Date.now() + CODE_TTL,
+    });
+    redirectWith(res, params, { code });
+  });
+
+  const issueTokens = (grant, refreshToken = randomToken()) => {
+    const accessToken = randomToken();
+    store.addAccessToken(
+      grant.user,
+      accessToken,
+      Date.now() + accessTokenTtl * 1000
+    );
+    refreshTokens.set(refreshToken, {
+      user: grant.user,
+      clientId: grant.clientId,
+      scope: grant.scope,
+    });
+    return {
+      access_token: accessToken,
+      token_type: "Bearer",
+      expires_in: accessTokenTtl,
+      refresh_token: refreshToken,
+      scope: grant.scope,
+    };
+  };
+
+  app.post("/token", (req, res) => {
+    const params = req.body || {};
+    const fail = (error, description) =>
+      res.status(400).json({ error, error_description: description });
+
+    if (params.grant_type === "authorization_code") {
+      const grant = codes.get(params.code);
+      // Codes are single use, even when the redemption fails
+      codes.delete(params.code);
+      if (!grant || grant.expiresAt <= Date.now()) {
+        return fail(
+          "invalid_grant",
+          "Authorization code is invalid or expired"
+        );
+      }
+      if (
+        grant.clientId !== params.client_id ||
+        grant.redirectUri !== params.redirect_uri
+      ) {
+        return fail("invalid_grant", "client_id or redirect_uri mismatch");
+      }
+      const challenge = createHash("sha256")
+        .update(String(params.code_verifier || ""))
+        .digest("base64url");
+      if (challenge !== grant.codeChallenge) {
+        return fail("invalid_grant", "PKCE code_verifier does not match");
+      }
+      return res.json(issueTokens(grant));
+    }
+
+    if (params.grant_type === "refresh_token") {
+      const grant = refreshTokens.get(params.refresh_token);
+      if (!grant || grant.clientId !== params.client_id) {
+        return fail("invalid_grant", "Refresh token is invalid or revoked");
+      }
+      return res.json(issueTokens(grant, params.refresh_token));
+    }
+
+    return fail("unsupported_grant_type", "Unsupported grant_type");
+  });
+
+  return app;
+}
@@ -0,0 +1,289 @@
+/**
+ * Minimal POP3 server over a MailStore's INBOX, for local development and
+ * the POP3 bridge harness. It speaks RFC 1939 with CAPA and extended
+ * response codes (RFC 2449): USER/PASS, AUTH XOAUTH2 with tokens the OAuth
+ * stub issued, STAT, LIST, UIDL, RETR, DELE, RSET, NOOP and QUIT. A
+ * message's UIDL is its INBOX UIDVALIDITY and UID. The maildrop is locked
+ * while a session is open, and deletions are only carried out by QUIT.
+ * STLS and APOP are not supported.
+ */
+
+import net from "node:net";
+
+const CAPABILITIES = [
+  "USER",
+  "UIDL",
+  "SASL XOAUTH2",
+  "RESP-CODES",
+  "AUTH-RESP-CODE",
+  "IMPLEMENTATION QuMail-POP3-stub",
+];
+
+class Pop3CommandError extends Error {}
+
+/**
+ * A message as sent in a RETR reply: CRLF terminated and dot-stuffed
+ */
+function dotStuff(raw) {
+  const text = raw.toString("latin1");
+  const terminated = text.endsWith("\r\n") ? text : `${text}\r\n`;
+  return Buffer.from(terminated.replace(/(^|\r\n)\./g, "$1.."), "latin1");
+}
+
+function handleConnection(socket, store, lockedAccounts) {
+  // maildrop: the INBOX messages as of login, with deletion marks
+  const session = { user: null, account: null, maildrop: null };
+  let buffer = "";
+  // Receives the next client line while a SASL exchange is in progress
+  let continuation = null;
+
+  const write = (data) => socket.write(data);
+  const ok = (text = "") => write(`+OK${text ? ` ${text}` : ""}\r\n`);
+  const multiline = (text, lines) =>
+    write(
+      Buffer.concat([
+        Buffer.from(`+OK ${text}\r\n`),
+        ...lines.map((line) =>
+          Buffer.isBuffer(line) ? line : Buffer.from(`${line}\r\n`)
+        ),
+        Buffer.from(".\r\n"),
+      ])
+    );
+
+  const requireTransaction = () => {
+    if (!session.maildrop) {
+      throw new Pop3CommandError("Not authenticated");
+    }
+  };
+  const findMessage = (value) => {
+    requireTransaction();
+    const entry = session.maildrop[Number(value) - 1];
+    if (!/^\d+$/.test(String(value)) || !entry || entry.deleted) {
+      throw new Pop3CommandError("No such message");
+    }
+    return entry;
+  };
+  const uidlOf = ({ message }) =>
+    `${store.getMailbox(session.account, "INBOX").uidValidity}.${message.uid}`;
+
+  /**
+   * Lock the maildrop and take its snapshot; [IN-USE] when another
+   * session holds it
+   */
+  const open = (account) => {
+    if (lockedAccounts.has(account)) {
+      throw new Pop3CommandError("[IN-USE] Maildrop already locked");
+    }
+    lockedAccounts.add(account);
+    session.account = account;
+    session.maildrop = store
+      .getMailbox(account, "INBOX")
+      .messages.map((message) => ({ message, deleted: false }));
+  };
+  const release = () => {
+    if (session.maildrop) {
+      lockedAccounts.delete(session.account);
+      session.maildrop = null;
+    }
+  };
+
+  const commands = {
+    CAPA() {
+      multiline("Capability list follows", CAPABILITIES);
+    },
+
+    NOOP() {
+      ok();
+    },
+
+    USER([user]) {
+      if (session.maildrop) {
+        throw new Pop3CommandError("Already authenticated");
+      }
+      session.user = user;
+      ok("Send your password");
+    },
+
+    PASS(args) {
+      if (!session.user || session.maildrop) {
+        throw new Pop3CommandError("Send USER first");
+      }
+      const account = store.authenticate(session.user, args.join(" "));
+      if (!account) {
+        throw new Pop3CommandError("[AUTH] Invalid credentials");
+      }
+      open(account);
+      ok("Logged in");
+    },
+
+    /**
+     * XOAUTH2 SASL (RFC 5034): the initial response comes with the command
+     * or after an empty continuation. A failure is reported as a
+     * continuation with a JSON error, which the client acknowledges with
+     * an empty line before the -ERR.
+     */
+    AUTH([mechanism, initialResponse]) {
+      if (session.maildrop) {
+        throw new Pop3CommandError("Already authenticated");
+      }
+      if (String(mechanism).toUpperCase() !== "XOAUTH2") {
+        throw new Pop3CommandError("Unsupported authentication mechanism");
+      }
+
+      const finish = (response) => {
+        const fields = Object.fromEntries(
+          Buffer.from(response, "base64")
+            .toString("utf8")
+            .split("\x01")
+            .filter(Boolean)
+            .map((field) => {
+              const separator = field.indexOf("=");
+              return [field.slice(0, separator), field.slice(separator + 1)];
+            })
+        );
+        const token = /^Bearer (.+)$/i.exec(fields.auth || "")?.[1];
+        const account = token && store.authenticateToken(fields.user, token);
+        if (account) {
+          try {
+            session.user = fields.user;
+            open(account);
+            ok("Authenticated");
+          } catch (error) {
+            write(`-ERR ${error.message}\r\n`);
+          }
+          return;
+        }
+        const error = { status: "401", schemes: "bearer", scope: "mail" };
+        write(`+ ${Buffer.from(JSON.stringify(error)).toString("base64")}\r\n`);
+        continuation = () => write("-ERR [AUTH] Invalid credentials\r\n");
+      };
+
+      if (initialResponse !== undefined) {
+        finish(initialResponse);
+      } else {
+        write("+ \r\n");
+        continuation = finish;
+      }
+    },
+
+    STAT() {
+      requireTransaction();
+      const live = session.maildrop.filter((entry) => !entry.deleted);
+      const size = live.reduce(
+        (sum, { message }) => sum + message.raw.length,
+        0
+      );
+      ok(`${live.length} ${size}`);
+    },
+
+    LIST([number]) {
+      if (number !== undefined) {
+        ok(`${number} ${findMessage(number).message.raw.length}`);
+        return;
+      }
+      requireTransaction();
+      multiline(
+        "Scan listing follows",
+        session.maildrop.flatMap((entry, index) =>
+          entry.deleted ? [] : [`${index + 1} ${entry.message.raw.length}`]
+        )
+      );
+    },
+
+    UIDL([number]) {
+      if (number !== undefined) {
+        ok(`${number} ${uidlOf(findMessage(number))}`);
+        return;
+      }
+      requireTransaction();
+      multiline(
+        "Unique-id listing follows",
+        session.maildrop.flatMap((entry, index) =>
+          entry.deleted ? [] : [`${index + 1} ${uidlOf(entry)}`]
+        )
+      );
+    },
+
+    RETR([number]) {
+      const { message } = findMessage(number);
+      message.flags.add("\\Seen");
+      multiline(`${message.raw.length} octets`, [dotStuff(message.raw)]);
+    },
+
+    DELE([number]) {
+      findMessage(number).deleted = true;
+      ok(`Message ${number} deleted`);
+    },
+
+    RSET() {
+      requireTransaction();
+      session.maildrop.forEach((entry) => {
+        entry.deleted = false;
+      });
+      ok();
+    },
+
+    /**
+     * Enter the UPDATE state: remove what was marked and unlock
+     */
+    QUIT() {
+      if (session.maildrop) {
+        const deleted = session.maildrop
+          .filter((entry) => entry.deleted)
+          .map(({ message }) => message.uid);
+        store.expunge(session.user, "INBOX", deleted);
+      }
+      release();
+      ok("QuMail POP3 stub signing off");
+      socket.end();
+    },
+  };
+
+  const execute = (line) => {
+    const [name, ...args] = line.split(" ");
+    const command = commands[name.toUpperCase()];
+    try {
+      if (!command) {
+        throw new Pop3CommandError(`Unknown command ${name}`);
+      }
+      command(args);
+    } catch (error) {
+      if (!(error instanceof Pop3CommandError)) {
+        console.error("POP3 stub error:", error);
+      }
+      write(`-ERR ${error.message}\r\n`);
+    }
+  };
+
+  socket.on("data", (chunk) => {
+    buffer += chunk.toString("utf8");
+    let lineEnd;
+    while ((lineEnd = buffer.indexOf("\r\n")) !== -1) {
+      const line = buffer.slice(0, lineEnd);
+      buffer = buffer.slice(lineEnd + 2);
+      if (continuation) {
+        const next = continuation;
+        continuation = null;
+        next(line);
+      } else {
+        execute(line);
+      }
+    }
+  });
+  // A session that ends without QUIT keeps every message (RFC 1939)
+  socket.on("close", release);
+  socket.on("error", () => socket.destroy());
+
+  ok("QuMail POP3 stub ready");
+}
+
+/**
+ * Create a POP3 server over store; call listen() on the result
+ */
+export function createPop3Server({ store }) {
+  // Accounts whose maildrop a session holds
+  const lockedAccounts = new Set();
+  return net.createServer((socket) =>
+    handleConnection(socket, store, lockedAccounts)
+  );
+}
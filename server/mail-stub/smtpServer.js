@@ -0,0 +1,102 @@
+/**
+ * SMTP sink over a MailStore, for local development and the submission
+ * harness. Authenticated clients may send to anyone: mail for accounts in
+ * the store is delivered to their INBOX (and so shows up over IMAP), other
+ * recipients are accepted and only recorded. Unknown users on a domain the
+ * store serves are rejected, which makes partial delivery testable.
+ *
+ * Clients sign in with a password or, over XOAUTH2, with a token the OAuth
+ * stub issued. Without a key and certificate the sink speaks plain SMTP
+ * only; with them it offers STARTTLS, or implicit TLS when secure is set.
+ */
+
+import { SMTPServer } from "smtp-server";
+
+// Room for a 200 MB attachment once it is base64 encoded
+const MAX_MESSAGE_SIZE = 512 * 1024 * 1024;
+
+/**
+ * Create the SMTP sink
+ * onMessage is called with { envelope, raw, secure, delivered } for every
+ * accepted message
+ */
+export function createSmtpServer({
+  store,
+  secure = false,
+  key = null,
+  cert = null,
+  onMessage = () => {},
+}) {
+  const localDomains = () =>
+    new Set([...store.accounts.keys()].map((user) => user.split("@")[1] || ""));
+  const isLocalAccount = (address) => store.accounts.has(address);
+
+  return new SMTPServer({
+    secure,
+    ...(key && cert ? { key, cert } : {}),
+    // The built-in self-signed certificate would make STARTTLS look usable
+    disabledCommands: key && cert ? [] : ["STARTTLS"],
+    allowInsecureAuth: true,
+    authMethods: ["PLAIN", "LOGIN", "XOAUTH2"],
+    size: MAX_MESSAGE_SIZE,
+    banner: "QuMail SMTP stub",
+    logger: false,
+
+    onAuth(auth, session, callback) {
+      if (auth.method === "XOAUTH2") {
+        if (!store.authenticateToken(auth.username, auth.accessToken)) {
+          // RFC 7628-style error; the client then gets 535
+          return callback(null, {
+            data: { status: "401", schemes: "bearer", scope: "mail" },
+          });
+        }
+        return callback(null, { user: auth.username.toLowerCase() });
+      }
+      if (!store.authenticate(auth.username, auth.password)) {
+        return callback(new Error("Invalid username or password"));
+      }
+      callback(null, { user: auth.username.toLowerCase() });
+    },
+
+    onRcptTo(address, session, callback) {
+      const recipient = address.address.toLowerCase();
+      const domain = recipient.split("@")[1] || "";
+      if (localDomains().has(domain) && !isLocalAccount(recipient)) {
+        const error = new Error(`No such user here: ${recipient}`);
+        error.responseCode = 550;
+        return callback(error);
+      }
+      callback();
+    },
+
+    onData(stream, session, callback) {
+      const chunks = [];
+      stream.on("data", (chunk) => chunks.push(chunk));
+      stream.on("end", () => {
+        if (stream.sizeExceeded) {
+          const error = new Error("Message exceeds the size limit");
+          error.responseCode = 552;
+          return callback(error);
+        }
+
+        const raw = Buffer.concat(chunks);
+        const recipients = session.envelope.rcptTo.map(({ address }) =>
+          address.toLowerCase()
+        );
+        const delivered = recipients.filter(isLocalAccount);
+        delivered.forEach((user) => store.append(user, "INBOX", raw));
+
+        onMessage({
+          envelope: {
+            from: session.envelope.mailFrom.address,
+            to: recipients,
+          },
+          raw: raw.toString("utf8"),
+          secure: Boolean(session.secure),
+          delivered,
+        });
+        callback(null, `Queued for ${recipients.length} recipient(s)`);
+      });
+    },
+  });
+}
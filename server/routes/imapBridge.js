@@ -0,0 +1,727 @@
+/**
+ * IMAP bridge
+ * Browsers cannot speak IMAP, so the frontend registers an account's IMAP
+ * settings here and reads mail through these routes. One ImapFlow session
+ * is held per account and reconnected on demand when it drops. While the
+ * frontend listens for new mail, a second session idles on the INBOX (IMAP
+ * IDLE, or polling where the server has none) and its changes are pushed
+ * as server-sent events.
+ *
+ *   PUT    /imap/accounts/:accountId                  connect and log in
+ *   DELETE /imap/accounts/:accountId                  log out and forget
+ *   GET    /imap/accounts/:accountId/events           INBOX changes (SSE)
+ *   GET    /imap/accounts/:accountId/folders          folders + counts
+ *   GET    .../folders/:folder/messages?limit=n       newest headers
+ *   GET    .../folders/:folder/changes?uid=&modseq=   changes since a sync
+ *   GET    .../folders/:folder/messages/:uid          one raw message
+ *   PATCH  .../folders/:folder/messages/:uid/flags    { add, remove }
+ *
+ * Registering answers { token, capabilities }: the session belongs to
+ * whoever holds the token, and every other route, re-registering included,
+ * takes "Authorization: Bearer <token>". EventSource cannot send headers,
+ * so the events route takes it as ?token= instead.
+ */
+
+import { randomBytes } from "node:crypto";
+import { ImapFlow } from "imapflow";
+import { Router } from "express";
+
+const CONNECT_TIMEOUT = 15000;
+const WATCHED_FOLDER = "INBOX";
+// IDLE is renewed well within the 29 minutes RFC 2177 allows
+const MAX_IDLE_TIME = 5 * 60 * 1000;
+const WATCH_RETRY_DELAY = 30 * 1000;
+// Comment lines that keep proxies from closing a quiet event stream
+const HEARTBEAT_INTERVAL = 25 * 1000;
+const DEFAULT_HEADER_LIMIT = 50;
+const MAX_HEADER_LIMIT = 200;
+const HEADER_FIELDS = {
+  uid: true,
+  flags: true,
+  envelope: true,
+  size: true,
+  internalDate: true,
+};
+
+class BridgeError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+const TLS_ERROR_CODES = new Set([
+  "CERT_HAS_EXPIRED",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+  "ERR_SSL_WRONG_VERSION_NUMBER",
+]);
+
+const TIMEOUT_CODES = new Set([
+  "CONNECT_TIMEOUT",
+  "GREETING_TIMEOUT",
+  "UPGRADE_TIMEOUT",
+  "ETIMEOUT",
+  "ETIMEDOUT",
+]);
+
+/**
+ * Map an ImapFlow or socket error onto a bridge error code
+ */
+export function describeImapError(error, endpoint) {
+  if (error instanceof BridgeError) {
+    return error;
+  }
+  if (error.authenticationFailed) {
+    return new BridgeError(
+      401,
+      "IMAP_AUTH_FAILED",
+      `IMAP login rejected by ${endpoint}`
+    );
+  }
+  if (error.serverResponseCode === "NONEXISTENT") {
+    return new BridgeError(
+      404,
+      "IMAP_FOLDER_NOT_FOUND",
+      error.responseText || "Folder does not exist"
+    );
+  }
+  if (error.tlsFailed && !error.code) {
+    // Required STARTTLS was not offered or not accepted
+    return new BridgeError(
+      502,
+      "IMAP_TLS_ERROR",
+      `${error.message} (${endpoint})`
+    );
+  }
+  if (TLS_ERROR_CODES.has(error.code)) {
+    return new BridgeError(
+      502,
+      "IMAP_TLS_ERROR",
+      `TLS handshake with ${endpoint} failed (${error.code})`
+    );
+  }
+  if (TIMEOUT_CODES.has(error.code)) {
+    return new BridgeError(
+      504,
+      "IMAP_TIMEOUT",
+      `IMAP server ${endpoint} did not respond in time`
+    );
+  }
+  if (
+    error.code &&
+    /^E[A-Z]+$|NoConnection|ConnectionClosed/.test(error.code)
+  ) {
+    return new BridgeError(
+      502,
+      "IMAP_UNREACHABLE",
+      `IMAP server unreachable at ${endpoint}: ${error.message}`
+    );
+  }
+  return new BridgeError(
+    502,
+    "IMAP_ERROR",
+    error.responseText || error.message || "IMAP command failed"
+  );
+}
+
+/**
+ * Validate and normalise the IMAP settings sent by the frontend
+ */
+function parseAccountConfig(body = {}) {
+  const { host, port, secure, requireTLS, username, password, accessToken } =
+    body;
+  if (!host || typeof host !== "string") {
+    throw new BridgeError(400, "IMAP_CONFIG", "IMAP host is required");
+  }
+  const portNumber = Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+    throw new BridgeError(400, "IMAP_CONFIG", "IMAP port is not valid");
+  }
+  if (!username || !(password || accessToken)) {
+    throw new BridgeError(
+      400,
+      "IMAP_CONFIG",
+      "IMAP username and a password or OAuth2 access token are required"
+    );
+  }
+  return {
+    host,
+    port: portNumber,
+    secure: secure !== false,
+    // Without implicit TLS, STARTTLS is required unless plain text is asked
+    // for explicitly
+    doSTARTTLS: secure === false ? requireTLS !== false : undefined,
+    // An access token signs in with XOAUTH2 / OAUTHBEARER
+    auth: accessToken
+      ? { user: username, accessToken }
+      : { user: username, pass: password },
+  };
+}
+
+/**
+ * Open and log in an ImapFlow client for an account
+ */
+async function connectClient(config) {
+  const client = new ImapFlow({
+    ...config,
+    logger: false,
+    connectionTimeout: CONNECT_TIMEOUT,
+    greetingTimeout: CONNECT_TIMEOUT,
+  });
+  // Errors after connect surface on the next command; keep them off the
+  // process-level unhandled error path
+  client.on("error", (error) => {
+    console.error(`IMAP bridge: ${config.auth.user}: ${error.message}`);
+  });
+  await client.connect();
+  return client;
+}
+
+function formatAddresses(addresses) {
+  return (addresses || []).map(({ name, address }) => ({
+    name: name || "",
+    address: address || "",
+  }));
+}
+
+/**
+ * A fetched message's listing entry: UID, flags and envelope
+ */
+function formatHeader(message) {
+  const envelope = message.envelope || {};
+  return {
+    uid: message.uid,
+    flags: [...(message.flags || [])],
+    size: message.size,
+    internalDate: message.internalDate,
+    messageId: envelope.messageId || null,
+    date: envelope.date || null,
+    subject: envelope.subject || "",
+    from: formatAddresses(envelope.from),
+    to: formatAddresses(envelope.to),
+    cc: formatAddresses(envelope.cc),
+  };
+}
+
+/**
+ * A folder's UIDVALIDITY, HIGHESTMODSEQ and UIDNEXT as sent to the frontend
+ */
+function formatMailboxState(mailbox) {
+  return {
+    folder: mailbox.path,
+    uidValidity: String(mailbox.uidValidity),
+    // Only servers with CONDSTORE (RFC 7162) report one
+    highestModseq: mailbox.highestModseq ? String(mailbox.highestModseq) : null,
+    uidNext: mailbox.uidNext,
+  };
+}
+
+/**
+ * Create the IMAP bridge router
+ */
+export function createImapBridgeRouter() {
+  const router = Router();
+  // owner token -> { accountId, config, endpoint, client, connecting,
+  // streams, watcher, watchRetry }
+  const sessions = new Map();
+
+  const ownerToken = (req) =>
+    /^Bearer (\S+)$/.exec(req.get("Authorization") || "")?.[1] || null;
+
+  const sendError = (res, error, endpoint) => {
+    const bridgeError = describeImapError(error, endpoint);
+    if (bridgeError.code === "IMAP_ERROR") {
+      console.error("IMAP bridge error:", error);
+    }
+    return res
+      .status(bridgeError.status)
+      .json({ message: bridgeError.message, code: bridgeError.code });
+  };
+
+  /**
+   * The session registered under the request's accountId by the holder of
+   * token; anyone else is told there is none
+   */
+  const getSession = (req, token = ownerToken(req)) => {
+    const session = token && sessions.get(token);
+    if (session?.accountId !== req.params.accountId) {
+      throw new BridgeError(
+        404,
+        "IMAP_UNKNOWN_ACCOUNT",
+        `No IMAP account registered as ${req.params.accountId}`
+      );
+    }
+    return session;
+  };
+
+  /**
+   * The session's client, reconnecting if the server dropped it
+   */
+  const getClient = (session) => {
+    if (session.client?.usable) {
+      return session.client;
+    }
+    if (!session.connecting) {
+      session.connecting = connectClient(session.config)
+        .then((client) => {
+          session.client = client;
+          return client;
+        })
+        .finally(() => {
+          session.connecting = null;
+        });
+    }
+    return session.connecting;
+  };
+
+  /**
+   * Run fn with folder selected (read-only unless writing) on the
+   * account's connection; ImapFlow queues concurrent mailbox locks
+   */
+  const withFolder = async (req, res, { readOnly = true }, fn) => {
+    let session;
+    try {
+      session = getSession(req);
+      const client = await getClient(session);
+      const lock = await client.getMailboxLock(req.params.folder, {
+        readOnly,
+      });
+      try {
+        res.json(await fn(client, client.mailbox));
+      } finally {
+        lock.release();
+      }
+    } catch (error) {
+      sendError(res, error, session?.endpoint);
+    }
+  };
+
+  /**
+   * Send a server-sent event to one event stream, or to all of a session's
+   */
+  const sendEvent = (target, event, data) => {
+    const chunk = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    (target instanceof Set ? target : [target]).forEach((res) =>
+      res.write(chunk)
+    );
+  };
+
+  /**
+   * Idle on the INBOX with a connection of its own while anyone listens:
+   * IDLE holds a connection, and the session's one selects whichever
+   * folder the last request asked for. A dropped connection is retried
+   */
+  const startWatcher = async (session) => {
+    if (session.watcher || session.streams.size === 0) {
+      return;
+    }
+    const watcher = { client: null, ready: null, stopped: false };
+    session.watcher = watcher;
+
+    const retry = () => {
+      if (watcher.stopped || session.watcher !== watcher) {
+        return;
+      }
+      session.watcher = null;
+      session.watchRetry = setTimeout(
+        () => startWatcher(session),
+        WATCH_RETRY_DELAY
+      );
+    };
+
+    try {
+      const client = await connectClient({
+        ...session.config,
+        maxIdleTime: MAX_IDLE_TIME,
+      });
+      watcher.client = client;
+      if (watcher.stopped) {
+        client.logout().catch(() => {});
+        return;
+      }
+      client.on("close", retry);
+      const mailbox = await client.mailboxOpen(WATCHED_FOLDER, {
+        readOnly: true,
+      });
+
+      client.on("exists", ({ path, count, prevCount }) => {
+        if (count > prevCount) {
+          sendEvent(session.streams, "mailbox", {
+            folder: path,
+            reason: "exists",
+            count,
+          });
+        }
+      });
+      client.on("expunge", ({ path }) =>
+        sendEvent(session.streams, "mailbox", {
+          folder: path,
+          reason: "expunge",
+        })
+      );
+      client.on("flags", ({ path, uid }) =>
+        sendEvent(session.streams, "mailbox", {
+          folder: path,
+          reason: "flags",
+          uid: uid ?? null,
+        })
+      );
+
+      watcher.ready = {
+        ...formatMailboxState(mailbox),
+        // Without IDLE ImapFlow polls the folder instead
+        idle: client.capabilities.has("IDLE"),
+      };
+      sendEvent(session.streams, "ready", watcher.ready);
+      client.idle().catch(() => {});
+    } catch (error) {
+      const bridgeError = describeImapError(error, session.endpoint);
+      console.error(
+        `IMAP bridge: cannot watch ${session.endpoint}: ${bridgeError.message}`
+      );
+      sendEvent(session.streams, "error", {
+        message: bridgeError.message,
+        code: bridgeError.code,
+      });
+      watcher.client?.close();
+      retry();
+    }
+  };
+
+  const stopWatcher = (session) => {
+    clearTimeout(session.watchRetry);
+    session.watchRetry = null;
+    if (session.watcher) {
+      session.watcher.stopped = true;
+      session.watcher.client?.logout().catch(() => {});
+      session.watcher = null;
+    }
+  };
+
+  const parseUid = (value) => {
+    if (!/^\d+$/.test(value)) {
+      throw new BridgeError(400, "IMAP_BAD_REQUEST", "UID must be a number");
+    }
+    return value;
+  };
+
+  router.put("/imap/accounts/:accountId", async (req, res) => {
+    let endpoint;
+    try {
+      const config = parseAccountConfig(req.body);
+      endpoint = `${config.secure ? "imaps" : "imap"}://${config.host}:${
+        config.port
+      }`;
+      const client = await connectClient(config);
+
+      // Re-registering with the session's token replaces it; anyone else
+      // gets a session of their own
+      const token = ownerToken(req);
+      const previous =
+        sessions.get(token)?.accountId === req.params.accountId
+          ? sessions.get(token)
+          : null;
+      previous?.client?.logout().catch(() => {});
+      if (previous) {
+        stopWatcher(previous);
+      }
+      const session = {
+        accountId: req.params.accountId,
+        config,
+        endpoint,
+        client,
+        connecting: null,
+        // Event streams listening for new mail carry over to the new settings
+        streams: previous?.streams || new Set(),
+        watcher: null,
+        watchRetry: null,
+      };
+      const sessionToken = previous
+        ? token
+        : randomBytes(32).toString("base64url");
+      sessions.set(sessionToken, session);
+      startWatcher(session);
+      console.log(
+        `IMAP bridge: registered ${req.params.accountId} -> ${endpoint}`
+      );
+      res.json({
+        token: sessionToken,
+        capabilities: [...client.capabilities.keys()],
+      });
+    } catch (error) {
+      sendError(res, error, endpoint);
+    }
+  });
+
+  router.delete("/imap/accounts/:accountId", (req, res) => {
+    let session;
+    try {
+      session = getSession(req);
+    } catch {
+      return res.status(204).end();
+    }
+    session.client?.logout().catch(() => {});
+    stopWatcher(session);
+    session.streams.forEach((stream) => stream.end());
+    session.streams.clear();
+    sessions.delete(ownerToken(req));
+    res.status(204).end();
+  });
+
+  /**
+   * Server-sent events for the account's INBOX: ready (its state, once
+   * watched), mailbox ({ folder, reason: exists | expunge | flags }) and
+   * error. Nothing is sent for the messages themselves; the frontend syncs
+   * the folder
+   */
+  router.get("/imap/accounts/:accountId/events", (req, res) => {
+    const token = String(req.query.token || "");
+    let session;
+    try {
+      session = getSession(req, token);
+    } catch (error) {
+      return sendError(res, error);
+    }
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    // How long EventSource waits before reconnecting
+    res.write(`retry: ${WATCH_RETRY_DELAY}\n\n`);
+    session.streams.add(res);
+    if (session.watcher?.ready) {
+      sendEvent(res, "ready", session.watcher.ready);
+    } else {
+      startWatcher(session);
+    }
+
+    const heartbeat = setInterval(
+      () => res.write(": keep-alive\n\n"),
+      HEARTBEAT_INTERVAL
+    );
+    req.on("close", () => {
+      clearInterval(heartbeat);
+      // The account may have been registered again in the meantime
+      const current = sessions.get(token);
+      current?.streams.delete(res);
+      if (current?.streams.size === 0) {
+        stopWatcher(current);
+      }
+    });
+  });
+
+  router.get("/imap/accounts/:accountId/folders", async (req, res) => {
+    let session;
+    try {
+      session = getSession(req);
+      const client = await getClient(session);
+      const folders = await client.list({
+        statusQuery: { messages: true, unseen: true },
+      });
+      res.json({
+        folders: folders
+          .filter((folder) => !folder.flags.has("\\Noselect"))
+          .map((folder) => ({
+            name: folder.name,
+            path: folder.path,
+            delimiter: folder.delimiter,
+            specialUse: folder.specialUse || null,
+            total: folder.status?.messages ?? null,
+            unreadCount: folder.status?.unseen ?? null,
+          })),
+      });
+    } catch (error) {
+      sendError(res, error, session?.endpoint);
+    }
+  });
+
+  router.get(
+    "/imap/accounts/:accountId/folders/:folder/messages",
+    (req, res) => {
+      const limit = Math.min(
+        MAX_HEADER_LIMIT,
+        Math.max(1, Number(req.query.limit) || DEFAULT_HEADER_LIMIT)
+      );
+
+      return withFolder(req, res, {}, async (client, mailbox) => {
+        const messages = [];
+        if (mailbox.exists > 0) {
+          const first = Math.max(1, mailbox.exists - limit + 1);
+          for await (const message of client.fetch(
+            `${first}:*`,
+            HEADER_FIELDS
+          )) {
+            messages.push(formatHeader(message));
+          }
+        }
+
+        return {
+          ...formatMailboxState(mailbox),
+          total: mailbox.exists,
+          // Newest first
+          messages: messages.reverse(),
+        };
+      });
+    }
+  );
+
+  /**
+   * What changed in a folder since a sync that saw UIDs up to uid:
+   * - uids: every UID now in the folder, so expunged ones can be dropped
+   * - flags: flags of the messages up to uid; with the HIGHESTMODSEQ of the
+   *   last sync and CONDSTORE only those changed since (changedSince)
+   * - messages: headers of up to limit new messages, oldest first, with
+   *   remaining counting the rest; without uid, the newest limit messages
+   */
+  router.get(
+    "/imap/accounts/:accountId/folders/:folder/changes",
+    (req, res) => {
+      const limit = Math.min(
+        MAX_HEADER_LIMIT,
+        Math.max(1, Number(req.query.limit) || DEFAULT_HEADER_LIMIT)
+      );
+
+      return withFolder(req, res, {}, async (client, mailbox) => {
+        const since =
+          req.query.uid !== undefined ? Number(parseUid(req.query.uid)) : null;
+        const modseq =
+          req.query.modseq && /^\d+$/.test(req.query.modseq)
+            ? BigInt(req.query.modseq)
+            : null;
+        const changedSince = Boolean(
+          modseq && client.enabled.has("CONDSTORE") && !mailbox.noModseq
+        );
+
+        // One listing gives every UID, and the flags too unless CONDSTORE
+        // can narrow them down. By UID, so it also holds for new mail the
+        // selected mailbox has not been told about (and for none at all)
+        const uids = [];
+        const flags = [];
+        for await (const message of client.fetch(
+          "1:*",
+          { uid: true, flags: !changedSince },
+          { uid: true }
+        )) {
+          uids.push(message.uid);
+          if (!changedSince && since !== null && message.uid <= since) {
+            flags.push({ uid: message.uid, flags: [...message.flags] });
+          }
+        }
+        uids.sort((a, b) => a - b);
+        if (changedSince && since > 0) {
+          for await (const message of client.fetch(
+            `1:${since}`,
+            { uid: true, flags: true },
+            { uid: true, changedSince: modseq }
+          )) {
+            flags.push({ uid: message.uid, flags: [...message.flags] });
+          }
+        }
+
+        const fresh =
+          since === null
+            ? uids.slice(-limit)
+            : uids.filter((uid) => uid > since).slice(0, limit);
+        const messages = [];
+        if (fresh.length > 0) {
+          for await (const message of client.fetch(
+            fresh.join(","),
+            HEADER_FIELDS,
+            { uid: true }
+          )) {
+            messages.push(formatHeader(message));
+          }
+        }
+        messages.sort((a, b) => a.uid - b.uid);
+
+        return {
+          ...formatMailboxState(mailbox),
+          total: uids.length,
+          uids,
+          flags,
+          changedSince,
+          messages,
+          remaining:
+            since === null
+              ? 0
+              : uids.filter((uid) => uid > since).length - fresh.length,
+        };
+      });
+    }
+  );
+
+  router.get(
+    "/imap/accounts/:accountId/folders/:folder/messages/:uid",
+    (req, res) =>
+      withFolder(req, res, {}, async (client, mailbox) => {
+        const uid = parseUid(req.params.uid);
+        const message = await client.fetchOne(
+          uid,
+          { uid: true, flags: true, internalDate: true, source: true },
+          { uid: true }
+        );
+        if (!message) {
+          throw new BridgeError(
+            404,
+            "IMAP_MESSAGE_NOT_FOUND",
+            `No message with UID ${uid} in ${mailbox.path}`
+          );
+        }
+
+        return {
+          uid: message.uid,
+          uidValidity: String(mailbox.uidValidity),
+          flags: [...(message.flags || [])],
+          internalDate: message.internalDate,
+          raw: message.source.toString("utf8"),
+        };
+      })
+  );
+
+  router.patch(
+    "/imap/accounts/:accountId/folders/:folder/messages/:uid/flags",
+    (req, res) =>
+      withFolder(req, res, { readOnly: false }, async (client) => {
+        const uid = parseUid(req.params.uid);
+        const { add = [], remove = [] } = req.body || {};
+        const isFlagList = (list) =>
+          Array.isArray(list) && list.every((flag) => typeof flag === "string");
+        if (!isFlagList(add) || !isFlagList(remove)) {
+          throw new BridgeError(
+            400,
+            "IMAP_BAD_REQUEST",
+            "add and remove must be lists of flags"
+          );
+        }
+
+        if (add.length > 0) {
+          await client.messageFlagsAdd(uid, add, { uid: true });
+        }
+        if (remove.length > 0) {
+          await client.messageFlagsRemove(uid, remove, { uid: true });
+        }
+        const message = await client.fetchOne(
+          uid,
+          { uid: true, flags: true },
+          { uid: true }
+        );
+        if (!message) {
+          throw new BridgeError(
+            404,
+            "IMAP_MESSAGE_NOT_FOUND",
+            `No message with UID ${uid}`
+          );
+        }
+        return { uid: message.uid, flags: [...message.flags] };
+      })
+  );
+
+  return router;
+}
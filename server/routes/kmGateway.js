@@ -0,0 +1,373 @@
+/**
+ * Key Manager mTLS gateway
+ * Browsers cannot present a client certificate from script, so KM configs
+ * carrying TLS material register it here and their ETSI requests are
+ * relayed through an https.Agent that presents it on every connection.
+ *
+ *   PUT    /km-gateway/agents/:agentId          register endpoint + TLS
+ *   POST   /km-gateway/agents/:agentId/request  relay one ETSI request
+ *   DELETE /km-gateway/agents/:agentId          drop the agent
+ *
+ * Only KMEs listed in KM_GATEWAY_ENDPOINTS (comma-separated origins; the
+ * local simulator's by default) can be registered, so the gateway cannot
+ * be used to reach anything else. Registering answers { token }: the agent
+ * belongs to whoever holds it, and relaying, re-registering or dropping it
+ * takes "Authorization: Bearer <token>". Agents idle for half an hour are
+ * dropped.
+ */
+
+import { randomBytes } from "node:crypto";
+import https from "node:https";
+import tls from "node:tls";
+import { Router } from "express";
+
+const ETSI_PATH_PREFIX = "/api/v1/keys/";
+const REQUEST_TIMEOUT = 10000;
+const AGENT_IDLE_TIMEOUT = 30 * 60 * 1000;
+// The KMEs of npm run km:sim
+const DEFAULT_ENDPOINTS = "https://localhost:8080,https://localhost:8082";
+
+class GatewayError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// OpenSSL verification codes for a server certificate we do not trust
+const UNKNOWN_CA_CODES = new Set([
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "CERT_SIGNATURE_FAILURE",
+]);
+
+// TLS alerts the KM sends when it refuses our client certificate
+const CLIENT_CERT_ALERT =
+  /ALERT_(UNKNOWN_CA|BAD_CERTIFICATE|CERTIFICATE_REQUIRED|CERTIFICATE_EXPIRED|CERTIFICATE_REVOKED|CERTIFICATE_UNKNOWN|UNSUPPORTED_CERTIFICATE|ACCESS_DENIED)/;
+
+/**
+ * Map a Node TLS/socket error onto a gateway error code
+ */
+export function describeTlsError(error, endpoint) {
+  const code = error.code || "";
+
+  if (code === "CERT_HAS_EXPIRED") {
+    return new GatewayError(
+      502,
+      "KM_TLS_CERT_EXPIRED",
+      `KM server certificate has expired (${endpoint})`
+    );
+  }
+  if (code === "CERT_NOT_YET_VALID") {
+    return new GatewayError(
+      502,
+      "KM_TLS_CERT_NOT_YET_VALID",
+      `KM server certificate is not valid yet (${endpoint})`
+    );
+  }
+  if (UNKNOWN_CA_CODES.has(code)) {
+    return new GatewayError(
+      502,
+      "KM_TLS_UNKNOWN_CA",
+      `KM server certificate is not signed by a trusted CA (${code})`
+    );
+  }
+  if (code === "ERR_TLS_CERT_ALTNAME_INVALID") {
+    return new GatewayError(
+      502,
+      "KM_TLS_HOSTNAME_MISMATCH",
+      `KM server certificate does not match the host: ${error.reason || error.message}`
+    );
+  }
+  if (CLIENT_CERT_ALERT.test(code)) {
+    return new GatewayError(
+      502,
+      "KM_TLS_CLIENT_CERT_REJECTED",
+      `KM rejected the client certificate (${code})`
+    );
+  }
+  if (error.droppedAfterHandshake) {
+    return new GatewayError(
+      502,
+      "KM_TLS_CLIENT_CERT_REJECTED",
+      "KM closed the connection right after the TLS handshake; the client certificate was most likely rejected"
+    );
+  }
+  if (code === "ETIMEDOUT" || error.name === "TimeoutError") {
+    return new GatewayError(
+      504,
+      "KM_TIMEOUT",
+      `KM request timed out after ${REQUEST_TIMEOUT}ms`
+    );
+  }
+  return new GatewayError(
+    502,
+    "KM_UNREACHABLE",
+    `KM unreachable at ${endpoint}: ${error.message}`
+  );
+}
+
+/**
+ * Build an https.Agent for a KM config's TLS material
+ * The secure context is created eagerly so a bad key, a key that does not
+ * match the certificate or a wrong PKCS#12 passphrase fail at registration
+ */
+function createAgent(tlsConfig = {}) {
+  const options = {};
+  if (tlsConfig.ca) {
+    options.ca = tlsConfig.ca;
+  }
+  if (tlsConfig.pfx) {
+    options.pfx = Buffer.from(tlsConfig.pfx, "base64");
+    options.passphrase = tlsConfig.passphrase || "";
+  } else if (tlsConfig.cert || tlsConfig.key) {
+    if (!tlsConfig.cert || !tlsConfig.key) {
+      throw new GatewayError(
+        400,
+        "KM_TLS_CREDENTIALS_INVALID",
+        "Both a client certificate and its private key are required"
+      );
+    }
+    options.cert = tlsConfig.cert;
+    options.key = tlsConfig.key;
+    if (tlsConfig.passphrase) {
+      options.passphrase = tlsConfig.passphrase;
+    }
+  }
+
+  try {
+    tls.createSecureContext(options);
+  } catch (error) {
+    throw new GatewayError(
+      400,
+      "KM_TLS_CREDENTIALS_INVALID",
+      `Client TLS material could not be loaded: ${error.message}`
+    );
+  }
+
+  return new https.Agent({ ...options, keepAlive: true });
+}
+
+/**
+ * Relay one request to the KM and collect the raw response
+ */
+function relay(agentEntry, { method, path, headers, body }) {
+  const url = new URL(path, agentEntry.endpoint);
+
+  return new Promise((resolve, reject) => {
+    const request = https.request(
+      url,
+      {
+        method,
+        agent: agentEntry.agent,
+        headers,
+        timeout: REQUEST_TIMEOUT,
+      },
+      (response) => {
+        let data = "";
+        response.setEncoding("utf8");
+        response.on("data", (chunk) => {
+          data += chunk;
+        });
+        response.on("end", () =>
+          resolve({ status: response.statusCode, body: data })
+        );
+        response.on("error", reject);
+      }
+    );
+
+    request.on("timeout", () => {
+      const error = new Error("timeout");
+      error.code = "ETIMEDOUT";
+      request.destroy(error);
+    });
+    // A new connection that completes the handshake and is then dropped
+    // before any response is the TLS 1.3 form of a rejected client
+    // certificate: the KM's alert often loses the race with our request
+    let freshHandshake = false;
+    request.on("socket", (socket) => {
+      socket.once("secureConnect", () => {
+        freshHandshake = true;
+      });
+    });
+    request.on("error", (error) => {
+      error.droppedAfterHandshake =
+        freshHandshake && error.code === "ECONNRESET";
+      reject(error);
+    });
+
+    if (body !== undefined && body !== null) {
+      request.write(body);
+    }
+    request.end();
+  });
+}
+
+/**
+ * Check a KM endpoint against the allowed origins, returning its origin
+ */
+function allowedEndpoint(endpoint, allowedOrigins) {
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch {
+    throw new GatewayError(400, "KM_CONFIG", "KM endpoint is not a URL");
+  }
+  if (url.protocol !== "https:") {
+    throw new GatewayError(
+      400,
+      "KM_CONFIG",
+      "Client certificates require an https:// KM endpoint"
+    );
+  }
+  if (url.username || url.password || !allowedOrigins.has(url.origin)) {
+    throw new GatewayError(
+      403,
+      "KM_ENDPOINT_NOT_ALLOWED",
+      `The KM gateway does not relay to ${url.origin}; add it to KM_GATEWAY_ENDPOINTS`
+    );
+  }
+  return url.origin;
+}
+
+/**
+ * Create the gateway router
+ */
+export function createKmGatewayRouter({ env = process.env } = {}) {
+  const router = Router();
+  const allowedOrigins = new Set(
+    (env.KM_GATEWAY_ENDPOINTS || DEFAULT_ENDPOINTS)
+      .split(",")
+      .map((origin) => origin.trim())
+      .filter(Boolean)
+      .map((origin) => new URL(origin).origin)
+  );
+  // owner token -> { agentId, endpoint, agent, usedAt }
+  const agents = new Map();
+
+  const ownerToken = (req) =>
+    /^Bearer (\S+)$/.exec(req.get("Authorization") || "")?.[1] || null;
+
+  /**
+   * The agent registered under the request's agentId by the holder of its
+   * token, or null
+   */
+  const findAgent = (req) => {
+    const token = ownerToken(req);
+    const entry = token && agents.get(token);
+    return entry?.agentId === req.params.agentId ? entry : null;
+  };
+
+  const dropIdleAgents = () => {
+    const cutoff = Date.now() - AGENT_IDLE_TIMEOUT;
+    for (const [token, entry] of agents) {
+      if (entry.usedAt < cutoff) {
+        entry.agent.destroy();
+        agents.delete(token);
+      }
+    }
+  };
+
+  const sendError = (res, error) => {
+    if (error instanceof GatewayError) {
+      return res
+        .status(error.status)
+        .json({ message: error.message, code: error.code });
+    }
+    console.error("KM gateway error:", error);
+    return res
+      .status(500)
+      .json({ message: "KM gateway error", code: "KM_GATEWAY_ERROR" });
+  };
+
+  router.put("/km-gateway/agents/:agentId", (req, res) => {
+    try {
+      const { endpoint, tls: tlsConfig } = req.body || {};
+      const origin = allowedEndpoint(endpoint, allowedOrigins);
+      const agent = createAgent(tlsConfig);
+      dropIdleAgents();
+
+      // Re-registering with the agent's token replaces it; anyone else
+      // gets an agent of their own
+      const existing = findAgent(req);
+      const token = existing
+        ? ownerToken(req)
+        : randomBytes(32).toString("base64url");
+      existing?.agent.destroy();
+      agents.set(token, {
+        agentId: req.params.agentId,
+        endpoint: origin,
+        agent,
+        usedAt: Date.now(),
+      });
+      console.log(`KM gateway: registered ${req.params.agentId} -> ${origin}`);
+      res.json({ token });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.post("/km-gateway/agents/:agentId/request", async (req, res) => {
+    const entry = findAgent(req);
+    try {
+      if (!entry) {
+        throw new GatewayError(
+          404,
+          "KM_GATEWAY_UNKNOWN_AGENT",
+          `No KM agent registered as ${req.params.agentId}`
+        );
+      }
+      entry.usedAt = Date.now();
+
+      const { method = "GET", path = "", headers = {}, body } = req.body || {};
+      if (!path.startsWith(ETSI_PATH_PREFIX)) {
+        throw new GatewayError(
+          400,
+          "KM_BAD_REQUEST",
+          `Only ETSI key routes (${ETSI_PATH_PREFIX}...) can be relayed`
+        );
+      }
+
+      const relayHeaders = { Accept: "application/json" };
+      if (headers.Authorization) {
+        relayHeaders.Authorization = headers.Authorization;
+      }
+      if (body !== undefined) {
+        relayHeaders["Content-Type"] = "application/json";
+      }
+
+      let response;
+      try {
+        response = await relay(entry, {
+          method,
+          path,
+          headers: relayHeaders,
+          body,
+        });
+      } catch (error) {
+        throw describeTlsError(error, entry.endpoint);
+      }
+
+      // The KM response is passed back verbatim inside the envelope so the
+      // client parses ETSI errors exactly as it would without the gateway
+      res.json(response);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/km-gateway/agents/:agentId", (req, res) => {
+    const entry = findAgent(req);
+    if (entry) {
+      entry.agent.destroy();
+      agents.delete(ownerToken(req));
+    }
+    res.status(204).end();
+  });
+
+  return router;
+}
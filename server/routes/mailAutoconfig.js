@@ -0,0 +1,386 @@
+/**
+ * Mail server discovery
+ * Finds IMAP (or POP3) and SMTP settings for an email address the way
+ * Thunderbird does, from the backend because browsers can neither query
+ * DNS nor fetch autoconfig files from other origins. Sources are tried in
+ * order:
+ *
+ *   1. https://autoconfig.<domain>/mail/config-v1.1.xml      (Mozilla autoconfig)
+ *   2. https://<domain>/.well-known/autoconfig/mail/config-v1.1.xml
+ *   3. the Thunderbird ISP database (ISPDB), same XML format
+ *   4. DNS SRV records (RFC 6186, RFC 8314): _imaps, _imap (or _pop3s,
+ *      _pop3), _submissions, _submission
+ *
+ *   GET /autoconfig?email=user@example.com[&protocol=pop3]
+ *     -> { source, domain, displayName, imap, pop3, smtp }
+ *        imap/pop3/smtp: { host, port, security: "tls"|"starttls"|"none",
+ *        username }, or null
+ *
+ * protocol (default imap) is the incoming server the answer must have.
+ *
+ * Files are only fetched from public addresses: hosts resolving to
+ * loopback, private or link-local addresses are skipped, and so are
+ * redirects to them.
+ *
+ * AUTOCONFIG_ISPDB_URL overrides the ISPDB base URL.
+ */
+
+import {
+  lookup as dnsLookup,
+  resolveSrv as dnsResolveSrv,
+} from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import { Router } from "express";
+
+const FETCH_TIMEOUT = 8000;
+const MAX_CONFIG_SIZE = 256 * 1024;
+const MAX_REDIRECTS = 3;
+// A DNS name: the domain ends up in lookup URLs, so nothing else gets in.
+// The last label is never a number, which would make it an IPv4 address
+const DOMAIN_PATTERN =
+  /^(?=.{1,253}$)([a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+(?!(?:0x[0-9a-f]*|[0-9]+)$)[a-z0-9-]{2,63}$/;
+
+// Loopback, private, link-local, shared and reserved ranges; IPv4-mapped
+// IPv6 addresses are checked against the IPv4 ranges
+const NON_PUBLIC_ADDRESSES = new BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 4],
+  ["240.0.0.0", 4],
+].forEach(([network, prefix]) =>
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["64:ff9b::", 96],
+  ["64:ff9b:1::", 48],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+].forEach(([network, prefix]) =>
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, "ipv6")
+);
+
+// clientConfig socketType -> security mode used by the frontend
+const SOCKET_TYPES = {
+  SSL: "tls",
+  STARTTLS: "starttls",
+  plain: "none",
+};
+
+// RFC 6186 / RFC 8314 services, most secure first
+const SRV_SERVICES = {
+  imap: [
+    { name: "_imaps._tcp", security: "tls" },
+    { name: "_imap._tcp", security: "starttls" },
+  ],
+  pop3: [
+    { name: "_pop3s._tcp", security: "tls" },
+    { name: "_pop3._tcp", security: "starttls" },
+  ],
+  smtp: [
+    { name: "_submissions._tcp", security: "tls" },
+    { name: "_submission._tcp", security: "starttls" },
+  ],
+};
+
+class AutoconfigError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Autoconfig file locations for a domain, in lookup order
+ */
+export function defaultSources(env = process.env) {
+  const ispdbUrl = (
+    env.AUTOCONFIG_ISPDB_URL || "https://autoconfig.thunderbird.net/v1.1"
+  ).replace(/\/+$/, "");
+  return [
+    {
+      name: "autoconfig",
+      url: (domain, email) =>
+        `https://autoconfig.${domain}/mail/config-v1.1.xml?emailaddress=${encodeURIComponent(
+          email
+        )}`,
+    },
+    {
+      name: "well-known",
+      url: (domain) =>
+        `https://${domain}/.well-known/autoconfig/mail/config-v1.1.xml`,
+    },
+    {
+      name: "ispdb",
+      url: (domain) => `${ispdbUrl}/${domain}`,
+    },
+  ];
+}
+
+const decodeXml = (value) =>
+  value
+    .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&")
+    .trim();
+
+const readElement = (xml, name) => {
+  const match = xml.match(
+    new RegExp(`<${name}\\b[^>]*>([\\s\\S]*?)</${name}>`)
+  );
+  return match ? decodeXml(match[1]) : null;
+};
+
+/**
+ * Fill in the %EMAILADDRESS% style placeholders of a clientConfig value
+ */
+function expandPlaceholders(value, email) {
+  const [localPart, domain] = email.split("@");
+  return value
+    .replace(/%EMAILADDRESS%/g, email)
+    .replace(/%EMAILLOCALPART%/g, localPart)
+    .replace(/%EMAILDOMAIN%/g, domain);
+}
+
+/**
+ * Read the first server of a type from a clientConfig document
+ * (incomingServer type="imap", outgoingServer type="smtp")
+ */
+function readServer(xml, element, type, email) {
+  const pattern = new RegExp(
+    `<${element}\\b[^>]*\\btype=["']${type}["'][^>]*>([\\s\\S]*?)</${element}>`,
+    "g"
+  );
+  for (const [, body] of xml.matchAll(pattern)) {
+    const host = readElement(body, "hostname");
+    const port = Number(readElement(body, "port"));
+    const security = SOCKET_TYPES[readElement(body, "socketType")];
+    if (!host || !Number.isInteger(port) || !security) continue;
+
+    const username = readElement(body, "username");
+    return {
+      host: expandPlaceholders(host, email),
+      port,
+      security,
+      username: username ? expandPlaceholders(username, email) : email,
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse a Mozilla clientConfig (config-v1.1.xml) document
+ * Returns null unless it describes an incoming server of protocol
+ */
+export function parseClientConfig(xml, email, protocol = "imap") {
+  if (!/<clientConfig\b/.test(xml)) return null;
+
+  const config = {
+    displayName: readElement(xml, "displayName"),
+    imap: readServer(xml, "incomingServer", "imap", email),
+    pop3: readServer(xml, "incomingServer", "pop3", email),
+    smtp: readServer(xml, "outgoingServer", "smtp", email),
+  };
+  return config[protocol] ? config : null;
+}
+
+/**
+ * Whether an IP address is a public one that files may be fetched from
+ */
+export function isPublicAddress(address) {
+  const family = isIP(address);
+  return (
+    family !== 0 &&
+    !NON_PUBLIC_ADDRESSES.check(address, family === 4 ? "ipv4" : "ipv6")
+  );
+}
+
+/**
+ * A response body as text, or null once it grows past limit bytes; the
+ * rest of the body is not read
+ */
+async function readLimited(response, limit) {
+  const reader = response.body.getReader();
+  const chunks = [];
+  let size = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    size += value.length;
+    if (size > limit) {
+      await reader.cancel();
+      return null;
+    }
+    chunks.push(value);
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Pick the preferred SRV target; "." means the service is not offered
+ */
+function pickSrvRecord(records) {
+  const usable = records.filter(({ name }) => name && name !== ".");
+  usable.sort((a, b) => a.priority - b.priority || b.weight - a.weight);
+  return usable[0] || null;
+}
+
+/**
+ * Create the mail server discovery router
+ * sources, resolveSrv, lookup and isAllowedAddress can be replaced to run
+ * against local fixtures
+ */
+export function createMailAutoconfigRouter({
+  env = process.env,
+  sources = defaultSources(env),
+  resolveSrv = dnsResolveSrv,
+  lookup = dnsLookup,
+  isAllowedAddress = isPublicAddress,
+} = {}) {
+  const router = Router();
+
+  // Only http(s) URLs whose host is, or resolves only to, allowed addresses
+  const isAllowedUrl = async (url) => {
+    if (!["http:", "https:"].includes(url.protocol)) return false;
+
+    const host = url.hostname.replace(/^\[(.*)\]$/, "$1");
+    const addresses = isIP(host)
+      ? [host]
+      : (await lookup(host, { all: true })).map(({ address }) => address);
+    return addresses.length > 0 && addresses.every(isAllowedAddress);
+  };
+
+  const fetchClientConfig = async (url, email, protocol) => {
+    try {
+      const signal = AbortSignal.timeout(FETCH_TIMEOUT);
+      let target = new URL(url);
+      // Redirects are followed here, so each target is checked first
+      for (let redirects = 0; redirects <= MAX_REDIRECTS; redirects++) {
+        if (!(await isAllowedUrl(target))) return null;
+
+        const response = await fetch(target, {
+          headers: { Accept: "application/xml, text/xml" },
+          redirect: "manual",
+          signal,
+        });
+        const location = response.headers.get("location");
+        if (response.status >= 300 && response.status < 400 && location) {
+          await response.body?.cancel();
+          target = new URL(location, target);
+          continue;
+        }
+        if (!response.ok) {
+          await response.body?.cancel();
+          return null;
+        }
+        const xml = await readLimited(response, MAX_CONFIG_SIZE);
+        return xml === null ? null : parseClientConfig(xml, email, protocol);
+      }
+      return null;
+    } catch {
+      // Unreachable hosts are the common case; move on to the next source
+      return null;
+    }
+  };
+
+  const lookupSrv = async (services, domain, email) => {
+    for (const { name, security } of services) {
+      try {
+        const record = pickSrvRecord(await resolveSrv(`${name}.${domain}`));
+        if (record) {
+          return {
+            host: record.name.replace(/\.$/, ""),
+            port: record.port,
+            security,
+            // RFC 6186 section 5: sign in with the email address
+            username: email,
+          };
+        }
+      } catch {
+        // ENOTFOUND / ENODATA: try the next service
+      }
+    }
+    return null;
+  };
+
+  router.get("/autoconfig", async (req, res) => {
+    try {
+      const email = String(req.query.email || "").trim();
+      const domain = email.split("@")[1]?.toLowerCase();
+      const protocol = String(req.query.protocol || "imap").toLowerCase();
+      if (!/^[^\s@]+@[^\s@]+$/.test(email) || !DOMAIN_PATTERN.test(domain)) {
+        throw new AutoconfigError(
+          400,
+          "AUTOCONFIG_BAD_REQUEST",
+          "A valid email address is required"
+        );
+      }
+      if (!["imap", "pop3"].includes(protocol)) {
+        throw new AutoconfigError(
+          400,
+          "AUTOCONFIG_BAD_REQUEST",
+          "protocol must be imap or pop3"
+        );
+      }
+
+      for (const source of sources) {
+        const config = await fetchClientConfig(
+          source.url(domain, email),
+          email,
+          protocol
+        );
+        if (config) {
+          console.log(`Autoconfig: ${domain} from ${source.name}`);
+          return res.json({ source: source.name, domain, ...config });
+        }
+      }
+
+      const incoming = await lookupSrv(SRV_SERVICES[protocol], domain, email);
+      if (incoming) {
+        console.log(`Autoconfig: ${domain} from DNS SRV`);
+        return res.json({
+          source: "srv",
+          domain,
+          displayName: null,
+          imap: null,
+          pop3: null,
+          [protocol]: incoming,
+          smtp: await lookupSrv(SRV_SERVICES.smtp, domain, email),
+        });
+      }
+
+      throw new AutoconfigError(
+        404,
+        "AUTOCONFIG_NOT_FOUND",
+        `No mail server settings published for ${domain}; enter them manually`
+      );
+    } catch (error) {
+      if (!(error instanceof AutoconfigError)) {
+        console.error("Autoconfig error:", error);
+      }
+      const autoconfigError =
+        error instanceof AutoconfigError
+          ? error
+          : new AutoconfigError(500, "AUTOCONFIG_ERROR", error.message);
+      res
+        .status(autoconfigError.status)
+        .json({ message: autoconfigError.message, code: autoconfigError.code });
+    }
+  });
+
+  return router;
+}
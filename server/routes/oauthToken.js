@@ -0,0 +1,166 @@
+/**
+ * OAuth2 token relay
+ * The browser runs the authorization-code flow with PKCE and keeps the
+ * code_verifier; code redemption and refreshes go through here so that
+ * provider token endpoints need no CORS support and a client secret, where
+ * a provider insists on one, never reaches the browser. Token endpoints
+ * are fixed per provider: the request cannot choose where codes are sent.
+ *
+ *   POST /oauth/:provider/token
+ *     { grant_type: "authorization_code", code, code_verifier,
+ *       redirect_uri, client_id }
+ *     { grant_type: "refresh_token", refresh_token, client_id }
+ *     -> { accessToken, refreshToken, expiresIn, scope }
+ *
+ * OAUTH_<PROVIDER>_CLIENT_SECRET adds a client secret, OAUTH_LOCAL_URL
+ * points the "local" provider at the mail stub's authorization server.
+ */
+
+import { Router } from "express";
+
+const REQUEST_TIMEOUT = 15000;
+
+class OAuthRelayError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Token endpoints and client secrets, read when the router is created
+ */
+function loadProviders(env) {
+  const localUrl = (env.OAUTH_LOCAL_URL || "http://localhost:9090").replace(
+    /\/+$/,
+    ""
+  );
+  return {
+    gmail: {
+      tokenEndpoint: "https://oauth2.googleapis.com/token",
+      clientSecret: env.OAUTH_GMAIL_CLIENT_SECRET || null,
+    },
+    outlook: {
+      tokenEndpoint:
+        "https://login.microsoftonline.com/common/oauth2/v2.0/token",
+      clientSecret: env.OAUTH_OUTLOOK_CLIENT_SECRET || null,
+    },
+    local: {
+      tokenEndpoint: `${localUrl}/token`,
+      clientSecret: env.OAUTH_LOCAL_CLIENT_SECRET || null,
+    },
+  };
+}
+
+/**
+ * Form fields for the provider's token endpoint
+ */
+function buildGrant(body = {}) {
+  const required = {
+    authorization_code: ["code", "code_verifier", "redirect_uri", "client_id"],
+    refresh_token: ["refresh_token", "client_id"],
+  }[body.grant_type];
+  if (!required) {
+    throw new OAuthRelayError(
+      400,
+      "OAUTH_BAD_REQUEST",
+      "grant_type must be authorization_code or refresh_token"
+    );
+  }
+  const missing = required.filter(
+    (name) => typeof body[name] !== "string" || !body[name]
+  );
+  if (missing.length > 0) {
+    throw new OAuthRelayError(
+      400,
+      "OAUTH_BAD_REQUEST",
+      `Missing ${missing.join(", ")}`
+    );
+  }
+  return Object.fromEntries(
+    ["grant_type", ...required].map((name) => [name, body[name]])
+  );
+}
+
+/**
+ * Create the OAuth2 token relay router
+ */
+export function createOAuthTokenRouter({ env = process.env } = {}) {
+  const router = Router();
+  const providers = loadProviders(env);
+
+  router.post("/oauth/:provider/token", async (req, res) => {
+    const provider = Object.hasOwn(providers, req.params.provider)
+      ? providers[req.params.provider]
+      : null;
+    try {
+      if (!provider) {
+        throw new OAuthRelayError(
+          404,
+          "OAUTH_UNKNOWN_PROVIDER",
+          `No OAuth2 provider ${req.params.provider}`
+        );
+      }
+      const grant = buildGrant(req.body);
+      if (provider.clientSecret) {
+        grant.client_secret = provider.clientSecret;
+      }
+
+      let response;
+      try {
+        response = await fetch(provider.tokenEndpoint, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/x-www-form-urlencoded",
+            Accept: "application/json",
+          },
+          body: new URLSearchParams(grant),
+          signal: AbortSignal.timeout(REQUEST_TIMEOUT),
+        });
+      } catch (error) {
+        throw new OAuthRelayError(
+          502,
+          "OAUTH_UNREACHABLE",
+          `Token endpoint unreachable at ${provider.tokenEndpoint}: ${error.message}`
+        );
+      }
+
+      const payload = await response.json().catch(() => ({}));
+      if (!response.ok || !payload.access_token) {
+        // invalid_grant: the code or refresh token is spent, expired or
+        // revoked, so the user has to sign in again
+        throw new OAuthRelayError(
+          payload.error === "invalid_grant" ? 400 : 502,
+          payload.error === "invalid_grant"
+            ? "OAUTH_INVALID_GRANT"
+            : "OAUTH_PROVIDER_ERROR",
+          payload.error_description ||
+            payload.error ||
+            `Token endpoint failed with HTTP ${response.status}`
+        );
+      }
+
+      res.json({
+        accessToken: payload.access_token,
+        // Providers may omit it on refresh; the old one stays valid then
+        refreshToken: payload.refresh_token || null,
+        expiresIn: Number(payload.expires_in) || 3600,
+        scope: payload.scope || null,
+      });
+    } catch (error) {
+      if (!(error instanceof OAuthRelayError)) {
+        console.error("OAuth token relay error:", error);
+      }
+      const relayError =
+        error instanceof OAuthRelayError
+          ? error
+          : new OAuthRelayError(502, "OAUTH_PROVIDER_ERROR", error.message);
+      res
+        .status(relayError.status)
+        .json({ message: relayError.message, code: relayError.code });
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,596 @@
+/**
+ * POP3 bridge
+ * POP3 (RFC 1939) only downloads one maildrop: there are no server
+ * folders and no session worth holding, since the server locks the
+ * maildrop for as long as one is open. Every request opens a session,
+ * does its work and ends it with QUIT, which is also when the server
+ * commits deletions. Messages are identified by their UIDL unique-id; the
+ * frontend remembers the ones it has and keeps the mail in local folders.
+ *
+ *   POST /pop3/check      { pop3 }  log in -> { capabilities, count, size }
+ *   POST /pop3/retrieve   { pop3, seen, delete, limit }
+ *                         -> { uids, messages, remaining, deleted }
+ *
+ * pop3 is { host, port, secure, requireTLS, username, password or
+ * accessToken }: secure connects with implicit TLS (port 995); otherwise
+ * STLS (RFC 2595) is required unless requireTLS is explicitly false. An
+ * OAuth2 accessToken signs in with AUTH XOAUTH2.
+ *
+ * retrieve downloads up to limit messages whose UIDL is not in seen,
+ * newest first, as { uid, size, raw }, and deletes the UIDLs listed in
+ * delete. The frontend only asks to delete mail it has already stored, so
+ * a response lost on the way can never lose a message. uids is what stays
+ * on the server, for pruning seen.
+ */
+
+import net from "node:net";
+import tls from "node:tls";
+import express, { Router } from "express";
+
+const CONNECT_TIMEOUT = 15000;
+const SOCKET_TIMEOUT = 60000;
+const DEFAULT_RETRIEVE_LIMIT = 50;
+const MAX_RETRIEVE_LIMIT = 200;
+// One response carries the whole batch; stop adding messages past this
+const MAX_BATCH_BYTES = 20 * 1024 * 1024;
+// seen and delete grow with the maildrop when mail is left on the server
+const MAX_BODY_SIZE = "4mb";
+
+class BridgeError extends Error {
+  constructor(status, code, message) {
+    super(message);
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * A -ERR reply, or a failed STLS / AUTH step
+ */
+class Pop3Error extends Error {
+  constructor(
+    message,
+    { response = null, authenticationFailed = false, tlsFailed = false } = {}
+  ) {
+    super(message);
+    this.response = response;
+    this.authenticationFailed = authenticationFailed;
+    this.tlsFailed = tlsFailed;
+  }
+}
+
+const TLS_ERROR_CODES = new Set([
+  "CERT_HAS_EXPIRED",
+  "DEPTH_ZERO_SELF_SIGNED_CERT",
+  "SELF_SIGNED_CERT_IN_CHAIN",
+  "UNABLE_TO_VERIFY_LEAF_SIGNATURE",
+  "UNABLE_TO_GET_ISSUER_CERT_LOCALLY",
+  "ERR_TLS_CERT_ALTNAME_INVALID",
+  "ERR_SSL_WRONG_VERSION_NUMBER",
+]);
+
+/**
+ * Map a POP3 or socket error onto a bridge error code
+ * Extended response codes (RFC 2449, RFC 3206) tell a locked maildrop
+ * apart from bad credentials
+ */
+export function describePop3Error(error, endpoint) {
+  if (error instanceof BridgeError) {
+    return error;
+  }
+  if (/^-ERR \[IN-USE\]/i.test(error.response || "")) {
+    return new BridgeError(
+      409,
+      "POP3_IN_USE",
+      `The maildrop on ${endpoint} is open in another session; try again later`
+    );
+  }
+  if (error.authenticationFailed) {
+    return new BridgeError(
+      401,
+      "POP3_AUTH_FAILED",
+      `POP3 login rejected by ${endpoint}`
+    );
+  }
+  if (error.tlsFailed) {
+    return new BridgeError(
+      502,
+      "POP3_TLS_ERROR",
+      `${error.message} (${endpoint})`
+    );
+  }
+  if (TLS_ERROR_CODES.has(error.code)) {
+    return new BridgeError(
+      502,
+      "POP3_TLS_ERROR",
+      `TLS handshake with ${endpoint} failed (${error.code})`
+    );
+  }
+  if (error.code === "ETIMEDOUT") {
+    return new BridgeError(
+      504,
+      "POP3_TIMEOUT",
+      `POP3 server ${endpoint} did not respond in time`
+    );
+  }
+  if (error.code && /^E[A-Z]+$/.test(error.code)) {
+    return new BridgeError(
+      502,
+      "POP3_UNREACHABLE",
+      `POP3 server unreachable at ${endpoint}: ${error.message}`
+    );
+  }
+  return new BridgeError(
+    502,
+    "POP3_ERROR",
+    error.response || error.message || "POP3 command failed"
+  );
+}
+
+/**
+ * Validate and normalise the POP3 settings sent by the frontend
+ */
+function parseAccountConfig(body = {}) {
+  const { host, port, secure, requireTLS, username, password, accessToken } =
+    body;
+  if (!host || typeof host !== "string") {
+    throw new BridgeError(400, "POP3_CONFIG", "POP3 host is required");
+  }
+  const portNumber = Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+    throw new BridgeError(400, "POP3_CONFIG", "POP3 port is not valid");
+  }
+  if (!username || !(password || accessToken)) {
+    throw new BridgeError(
+      400,
+      "POP3_CONFIG",
+      "POP3 username and a password or OAuth2 access token are required"
+    );
+  }
+  // Credentials go into command lines, where a line break would end the
+  // command early and start another
+  const credentials = [username, password, accessToken].filter(
+    (value) => value !== undefined && value !== null
+  );
+  if (
+    credentials.some(
+      (value) => typeof value !== "string" || /[\r\n]/.test(value)
+    )
+  ) {
+    throw new BridgeError(
+      400,
+      "POP3_CONFIG",
+      "POP3 credentials must be text without line breaks"
+    );
+  }
+  return {
+    host,
+    port: portNumber,
+    secure: secure !== false,
+    requireTLS: secure === false && requireTLS !== false,
+    username,
+    password,
+    accessToken,
+  };
+}
+
+const isUidList = (list) =>
+  Array.isArray(list) && list.every((uid) => typeof uid === "string");
+
+/**
+ * One POP3 session: commands are sent one at a time and each reply is
+ * read before the next command goes out
+ */
+class Pop3Session {
+  constructor(socket) {
+    // Received bytes are storage[0, length); it grows by doubling, since a
+    // RETR reply arrives in many small chunks
+    this.storage = Buffer.alloc(64 * 1024);
+    this.length = 0;
+    // Where the search for the end of a multi-line reply resumes
+    this.scanFrom = 0;
+    // { multiline, resolve, reject } for the reply being read
+    this.pending = null;
+    this.closed = null;
+    this.capabilities = [];
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    this.listeners = {
+      data: (chunk) => {
+        this.append(chunk);
+        this.drain();
+      },
+      error: (error) => this.fail(error),
+      close: () => {
+        const error = new Error("POP3 server closed the connection");
+        error.code = "ECONNRESET";
+        this.fail(error);
+      },
+    };
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      socket.on(event, listener)
+    );
+    socket.setTimeout(SOCKET_TIMEOUT, () => {
+      const error = new Error("POP3 server stopped responding");
+      error.code = "ETIMEDOUT";
+      socket.destroy(error);
+    });
+  }
+
+  /**
+   * Hand the socket over to TLS; the session reads from the TLS socket
+   */
+  detach() {
+    Object.entries(this.listeners).forEach(([event, listener]) =>
+      this.socket.off(event, listener)
+    );
+    this.socket.setTimeout(0);
+    return this.socket;
+  }
+
+  append(chunk) {
+    const needed = this.length + chunk.length;
+    if (needed > this.storage.length) {
+      const storage = Buffer.alloc(Math.max(needed, this.storage.length * 2));
+      this.storage.copy(storage, 0, 0, this.length);
+      this.storage = storage;
+    }
+    chunk.copy(this.storage, this.length);
+    this.length = needed;
+  }
+
+  consume(bytes) {
+    this.storage.copyWithin(0, bytes, this.length);
+    this.length -= bytes;
+    this.scanFrom = 0;
+  }
+
+  fail(error) {
+    this.closed = this.closed || error;
+    const pending = this.pending;
+    this.pending = null;
+    pending?.reject(this.closed);
+  }
+
+  /**
+   * Resolve the pending read once its reply is complete
+   * A multi-line reply ends with a lone "." line; lines starting with "."
+   * arrive dot-stuffed and are unstuffed here
+   */
+  drain() {
+    if (!this.pending) return;
+    const received = this.storage.subarray(0, this.length);
+    const lineEnd = received.indexOf("\r\n");
+    if (lineEnd === -1) return;
+
+    const line = received.subarray(0, lineEnd).toString("utf8");
+    if (!this.pending.multiline || !line.startsWith("+OK")) {
+      this.consume(lineEnd + 2);
+      this.settle({ line, data: null });
+      return;
+    }
+
+    const terminator = received.indexOf(
+      "\r\n.\r\n",
+      Math.max(lineEnd, this.scanFrom)
+    );
+    if (terminator === -1) {
+      // The terminator may straddle the next chunk
+      this.scanFrom = Math.max(0, this.length - 4);
+      return;
+    }
+    const data = received
+      .subarray(lineEnd + 2, terminator + 2)
+      .toString("latin1")
+      .replace(/(^|\r\n)\./g, "$1");
+    this.consume(terminator + 5);
+    this.settle({ line, data: Buffer.from(data, "latin1") });
+  }
+
+  settle(reply) {
+    const { resolve } = this.pending;
+    this.pending = null;
+    resolve(reply);
+  }
+
+  read({ multiline = false } = {}) {
+    if (this.closed) {
+      return Promise.reject(this.closed);
+    }
+    return new Promise((resolve, reject) => {
+      this.pending = { multiline, resolve, reject };
+      this.drain();
+    });
+  }
+
+  /**
+   * Send a command and read its reply; -ERR is thrown as a Pop3Error
+   */
+  async command(line, { multiline = false } = {}) {
+    this.socket.write(`${line}\r\n`);
+    const reply = await this.read({ multiline });
+    if (!reply.line.startsWith("+OK")) {
+      throw new Pop3Error(`${line.split(" ")[0]} failed: ${reply.line}`, {
+        response: reply.line,
+      });
+    }
+    return reply;
+  }
+
+  /**
+   * CAPA (RFC 2449); servers without it get an empty list
+   */
+  async readCapabilities() {
+    try {
+      const { data } = await this.command("CAPA", { multiline: true });
+      return data.toString("utf8").split("\r\n").filter(Boolean);
+    } catch (error) {
+      if (error instanceof Pop3Error) return [];
+      throw error;
+    }
+  }
+
+  /**
+   * Upgrade the connection with STLS (RFC 2595)
+   */
+  async startTls(host) {
+    try {
+      await this.command("STLS");
+    } catch (error) {
+      if (!(error instanceof Pop3Error)) throw error;
+      throw new Pop3Error("POP3 server refused STLS", {
+        response: error.response,
+        tlsFailed: true,
+      });
+    }
+
+    const secure = tls.connect({ socket: this.detach(), servername: host });
+    await new Promise((resolve, reject) => {
+      secure.once("secureConnect", resolve);
+      secure.once("error", reject);
+    });
+    this.attach(secure);
+  }
+
+  /**
+   * Log in with USER/PASS, or AUTH XOAUTH2 for an access token
+   */
+  async login({ username, password, accessToken }) {
+    if (accessToken) {
+      const initialResponse = Buffer.from(
+        `user=${username}\x01auth=Bearer ${accessToken}\x01\x01`
+      ).toString("base64");
+      this.socket.write(`AUTH XOAUTH2 ${initialResponse}\r\n`);
+      let reply = await this.read();
+      if (/^\+( |$)/.test(reply.line)) {
+        // The server sent its error details; an empty line ends the exchange
+        this.socket.write("\r\n");
+        reply = await this.read();
+      }
+      if (!reply.line.startsWith("+OK")) {
+        throw this.loginError(reply.line);
+      }
+      return;
+    }
+
+    try {
+      await this.command(`USER ${username}`);
+      await this.command(`PASS ${password}`);
+    } catch (error) {
+      if (!(error instanceof Pop3Error)) throw error;
+      throw this.loginError(error.response);
+    }
+  }
+
+  loginError(response) {
+    // [IN-USE] and [SYS/...] refusals are not about the credentials
+    return new Pop3Error(`POP3 login failed: ${response}`, {
+      response,
+      authenticationFailed: !/^-ERR \[(IN-USE|SYS\/)/i.test(response),
+    });
+  }
+
+  /**
+   * Parse "n value" lines of a LIST or UIDL reply
+   */
+  async listing(command) {
+    const { data } = await this.command(command, { multiline: true });
+    return data
+      .toString("utf8")
+      .split("\r\n")
+      .filter(Boolean)
+      .map((line) => {
+        const [number, value] = line.trim().split(/\s+/);
+        return { number: Number(number), value };
+      });
+  }
+
+  async quit() {
+    await this.command("QUIT");
+  }
+
+  close() {
+    this.socket.destroy();
+  }
+}
+
+/**
+ * Connect, secure and log in a POP3 session
+ */
+async function openSession(config) {
+  const socket = await new Promise((resolve, reject) => {
+    const options = { host: config.host, port: config.port };
+    const socket = config.secure
+      ? tls.connect({ ...options, servername: config.host })
+      : net.connect(options);
+    const timer = setTimeout(() => {
+      const error = new Error("Connection timed out");
+      error.code = "ETIMEDOUT";
+      socket.destroy(error);
+    }, CONNECT_TIMEOUT);
+    socket.once(config.secure ? "secureConnect" : "connect", () => {
+      clearTimeout(timer);
+      resolve(socket);
+    });
+    socket.once("error", (error) => {
+      clearTimeout(timer);
+      reject(error);
+    });
+  });
+
+  const session = new Pop3Session(socket);
+  try {
+    const greeting = await session.read();
+    if (!greeting.line.startsWith("+OK")) {
+      throw new Pop3Error("POP3 server refused the connection", {
+        response: greeting.line,
+      });
+    }
+
+    session.capabilities = await session.readCapabilities();
+    if (config.requireTLS) {
+      if (
+        !session.capabilities.some((capability) => /^STLS$/i.test(capability))
+      ) {
+        throw new Pop3Error("POP3 server does not offer STLS", {
+          tlsFailed: true,
+        });
+      }
+      await session.startTls(config.host);
+      // Capabilities from before TLS cannot be trusted (RFC 2595)
+      session.capabilities = await session.readCapabilities();
+    }
+
+    await session.login(config);
+    return session;
+  } catch (error) {
+    session.close();
+    throw error;
+  }
+}
+
+/**
+ * Create the POP3 bridge router
+ * It parses its own JSON bodies: the UIDL lists can outgrow the app's
+ * default body limit
+ */
+export function createPop3BridgeRouter() {
+  const router = Router();
+  router.use("/pop3", express.json({ limit: MAX_BODY_SIZE }));
+
+  /**
+   * Run fn with a logged-in session and end it with QUIT; without QUIT
+   * the server discards any deletions
+   */
+  const withSession = async (req, res, fn) => {
+    let endpoint;
+    let session;
+    try {
+      const config = parseAccountConfig(req.body?.pop3);
+      endpoint = `${config.secure ? "pop3s" : "pop3"}://${config.host}:${
+        config.port
+      }`;
+      session = await openSession(config);
+      const result = await fn(session);
+      await session.quit();
+      res.json(result);
+    } catch (error) {
+      const bridgeError = describePop3Error(error, endpoint);
+      if (bridgeError.code === "POP3_ERROR") {
+        console.error("POP3 bridge error:", error);
+      }
+      res
+        .status(bridgeError.status)
+        .json({ message: bridgeError.message, code: bridgeError.code });
+    } finally {
+      session?.close();
+    }
+  };
+
+  router.post("/pop3/check", (req, res) =>
+    withSession(req, res, async (session) => {
+      const { line } = await session.command("STAT");
+      const [, count, size] = line.split(/\s+/).map(Number);
+      return { capabilities: session.capabilities, count, size };
+    })
+  );
+
+  router.post("/pop3/retrieve", (req, res) => {
+    const { seen = [], delete: remove = [], limit } = req.body || {};
+    if (!isUidList(seen) || !isUidList(remove)) {
+      return res.status(400).json({
+        message: "seen and delete must be lists of UIDLs",
+        code: "POP3_BAD_REQUEST",
+      });
+    }
+    const batchLimit = Math.min(
+      MAX_RETRIEVE_LIMIT,
+      Math.max(0, Number(limit ?? DEFAULT_RETRIEVE_LIMIT) || 0)
+    );
+
+    return withSession(req, res, async (session) => {
+      let uidl;
+      try {
+        uidl = await session.listing("UIDL");
+      } catch (error) {
+        if (!(error instanceof Pop3Error)) throw error;
+        throw new BridgeError(
+          502,
+          "POP3_UNSUPPORTED",
+          "The POP3 server does not support UIDL, so downloaded mail cannot be told apart from new mail"
+        );
+      }
+      const sizes = new Map(
+        (await session.listing("LIST")).map(({ number, value }) => [
+          number,
+          Number(value),
+        ])
+      );
+
+      const deleteSet = new Set(remove);
+      const deleted = [];
+      for (const { number, value: uid } of uidl) {
+        if (deleteSet.has(uid)) {
+          await session.command(`DELE ${number}`);
+          deleted.push(uid);
+        }
+      }
+
+      // Higher message numbers are newer
+      const seenSet = new Set(seen);
+      const fresh = uidl
+        .filter(({ value }) => !seenSet.has(value) && !deleteSet.has(value))
+        .reverse();
+      const messages = [];
+      let bytes = 0;
+      for (const { number, value: uid } of fresh) {
+        const size = sizes.get(number) || 0;
+        if (
+          messages.length >= batchLimit ||
+          (messages.length > 0 && bytes + size > MAX_BATCH_BYTES)
+        ) {
+          break;
+        }
+        const { data } = await session.command(`RETR ${number}`, {
+          multiline: true,
+        });
+        messages.push({ uid, size, raw: data.toString("utf8") });
+        bytes += size;
+      }
+
+      return {
+        uids: uidl
+          .map(({ value }) => value)
+          .filter((uid) => !deleteSet.has(uid)),
+        messages,
+        remaining: fresh.length - messages.length,
+        deleted,
+      };
+    });
+  });
+
+  return router;
+}
@@ -0,0 +1,340 @@
+/**
+ * SMTP submission
+ * Relays a message the frontend has already assembled (and encrypted) to
+ * the account's SMTP server. The message is sent byte for byte except for
+ * any Bcc header, which is removed: blind recipients only ever appear in
+ * the SMTP envelope. Only the settings and the message header are read
+ * before relaying; the rest is streamed through as it is uploaded, so the
+ * size of a message is for the SMTP server to limit.
+ *
+ *   POST /smtp/send   { smtp, envelope: { from, to } } as one line of JSON,
+ *                     then the raw message
+ *                     -> { messageId, accepted, rejected, response }
+ *
+ * smtp is { host, port, secure, requireTLS, username, password or
+ * accessToken, ca }: secure connects with implicit TLS (port 465);
+ * otherwise STARTTLS is required unless requireTLS is explicitly false.
+ * An OAuth2 accessToken signs in with XOAUTH2.
+ */
+
+import { Readable } from "node:stream";
+import { Router } from "express";
+import nodemailer from "nodemailer";
+
+const CONNECT_TIMEOUT = 15000;
+const SOCKET_TIMEOUT = 60000;
+// Settings line and message header, read before anything is relayed
+const MAX_PREAMBLE_SIZE = 1024 * 1024;
+
+class SubmitError extends Error {
+  constructor(status, code, message, details = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const TLS_ERROR_PATTERN =
+  /certificate|self[- ]signed|wrong version number|SSL routines|ERR_TLS/i;
+
+/**
+ * Map a nodemailer or socket error onto a submission error code
+ */
+export function describeSmtpError(error, endpoint) {
+  if (error instanceof SubmitError) {
+    return error;
+  }
+  switch (error.code) {
+    case "EAUTH":
+    case "ENOAUTH":
+      return new SubmitError(
+        401,
+        "SMTP_AUTH_FAILED",
+        `SMTP login rejected by ${endpoint}: ${error.response || error.message}`
+      );
+    case "ETLS":
+      return new SubmitError(
+        502,
+        "SMTP_TLS_ERROR",
+        `STARTTLS with ${endpoint} failed: ${error.message}`
+      );
+    case "ETIMEDOUT":
+      return new SubmitError(
+        504,
+        "SMTP_TIMEOUT",
+        `SMTP server ${endpoint} did not respond in time`
+      );
+    case "EENVELOPE":
+      return new SubmitError(
+        422,
+        "SMTP_RECIPIENTS_REJECTED",
+        error.response || error.message,
+        { rejected: formatRejected(error.rejected, error.rejectedErrors) }
+      );
+    case "EMESSAGE":
+      return new SubmitError(
+        422,
+        "SMTP_MESSAGE_REJECTED",
+        error.response || error.message
+      );
+  }
+  if (TLS_ERROR_PATTERN.test(error.message)) {
+    return new SubmitError(
+      502,
+      "SMTP_TLS_ERROR",
+      `TLS with ${endpoint} failed: ${error.message}`
+    );
+  }
+  if (["ECONNECTION", "ESOCKET", "EDNS"].includes(error.code)) {
+    return new SubmitError(
+      502,
+      "SMTP_UNREACHABLE",
+      `SMTP server unreachable at ${endpoint}: ${error.message}`
+    );
+  }
+  return new SubmitError(
+    502,
+    "SMTP_ERROR",
+    error.response || error.message || "SMTP submission failed"
+  );
+}
+
+/**
+ * Pair each rejected address with the server's reply, if there was one
+ */
+function formatRejected(rejected = [], rejectedErrors = []) {
+  return rejected.map((address) => ({
+    address,
+    response:
+      rejectedErrors.find((error) => error.recipient === address)?.response ||
+      null,
+  }));
+}
+
+/**
+ * Validate and normalise the SMTP settings sent by the frontend
+ */
+function parseSmtpConfig(smtp = {}) {
+  const {
+    host,
+    port,
+    secure,
+    requireTLS,
+    username,
+    password,
+    accessToken,
+    ca,
+  } = smtp;
+  if (!host || typeof host !== "string") {
+    throw new SubmitError(400, "SMTP_CONFIG", "SMTP host is required");
+  }
+  const portNumber = Number(port);
+  if (!Number.isInteger(portNumber) || portNumber < 1 || portNumber > 65535) {
+    throw new SubmitError(400, "SMTP_CONFIG", "SMTP port is not valid");
+  }
+
+  const config = {
+    host,
+    port: portNumber,
+    secure: secure === true,
+    // Plain-text submission has to be asked for explicitly
+    requireTLS: secure !== true && requireTLS !== false,
+    connectionTimeout: CONNECT_TIMEOUT,
+    greetingTimeout: CONNECT_TIMEOUT,
+    socketTimeout: SOCKET_TIMEOUT,
+  };
+  if (accessToken) {
+    // XOAUTH2; refreshing is the frontend's job
+    config.auth = { type: "OAuth2", user: username, accessToken };
+  } else if (username || password) {
+    config.auth = { user: username, pass: password };
+  }
+  if (ca) {
+    config.tls = { ca };
+  }
+  return config;
+}
+
+/**
+ * Validate the SMTP envelope; every recipient, Bcc included, is listed here
+ */
+function parseEnvelope(envelope = {}) {
+  const { from, to } = envelope;
+  const isAddress = (value) =>
+    typeof value === "string" && /^[^\s@<>]+@[^\s@<>]+$/.test(value);
+  if (!isAddress(from)) {
+    throw new SubmitError(
+      400,
+      "SMTP_BAD_REQUEST",
+      "Envelope sender is not a valid address"
+    );
+  }
+  if (!Array.isArray(to) || to.length === 0 || !to.every(isAddress)) {
+    throw new SubmitError(
+      400,
+      "SMTP_BAD_REQUEST",
+      "Envelope recipients must be a non-empty list of addresses"
+    );
+  }
+  return { from, to: [...new Set(to)] };
+}
+
+/**
+ * Remove Bcc header fields (and their folded continuation lines) from the
+ * header block of a raw message
+ */
+export function stripBcc(raw) {
+  const match = /\r?\n\r?\n/.exec(raw);
+  const headerEnd = match ? match.index : raw.length;
+  const header = raw.slice(0, headerEnd);
+  if (!/^bcc:/im.test(header)) {
+    return raw;
+  }
+
+  const lines = header.split(/\r?\n/);
+  const kept = [];
+  let skipping = false;
+  for (const line of lines) {
+    if (/^[ \t]/.test(line)) {
+      if (!skipping) kept.push(line);
+      continue;
+    }
+    skipping = /^bcc:/i.test(line);
+    if (!skipping) kept.push(line);
+  }
+  return kept.join("\r\n") + raw.slice(headerEnd);
+}
+
+/**
+ * Read a submission up to the end of its message header: the settings,
+ * parsed, the header with any Bcc removed, and the message as a stream
+ * that carries on reading the request as it is relayed
+ */
+async function readSubmission(req) {
+  const input = req[Symbol.asyncIterator]();
+  let buffer = Buffer.alloc(0);
+  let settingsEnd = -1;
+  let headerEnd = -1;
+  let ended = false;
+
+  while (headerEnd === -1 && !ended) {
+    const { value, done } = await input.next();
+    ended = done;
+    if (value) buffer = Buffer.concat([buffer, value]);
+    if (settingsEnd === -1) settingsEnd = buffer.indexOf("\n");
+    if (settingsEnd !== -1) {
+      const match = /\r?\n\r?\n/.exec(
+        buffer.toString("latin1", settingsEnd + 1)
+      );
+      if (match) headerEnd = settingsEnd + 1 + match.index;
+    }
+    if (headerEnd === -1 && buffer.length > MAX_PREAMBLE_SIZE) {
+      throw new SubmitError(
+        413,
+        "SMTP_MESSAGE_TOO_LARGE",
+        `Message header exceeds ${MAX_PREAMBLE_SIZE} bytes`
+      );
+    }
+  }
+
+  if (settingsEnd === -1) {
+    throw new SubmitError(
+      400,
+      "SMTP_BAD_REQUEST",
+      "Submission settings are missing"
+    );
+  }
+  let settings;
+  try {
+    settings = JSON.parse(buffer.toString("utf8", 0, settingsEnd));
+  } catch {
+    throw new SubmitError(
+      400,
+      "SMTP_BAD_REQUEST",
+      "Submission settings are not valid JSON"
+    );
+  }
+
+  // Header bytes are kept as they are: latin1 maps each to one character
+  const messageStart = settingsEnd + 1;
+  const split = headerEnd === -1 ? buffer.length : headerEnd;
+  const header = buffer.toString("latin1", messageStart, split);
+  const rest = buffer.subarray(split);
+  return {
+    settings: settings || {},
+    header,
+    message: Readable.from(
+      (async function* () {
+        yield Buffer.from(stripBcc(header), "latin1");
+        if (rest.length > 0) yield rest;
+        for (let next = await input.next(); !next.done;) {
+          yield next.value;
+          next = await input.next();
+        }
+      })()
+    ),
+  };
+}
+
+/**
+ * Message-ID header of a raw message, if it has one
+ */
+function readMessageId(raw) {
+  const match = /^message-id:[ \t]*(<[^>\r\n]+>)/im.exec(raw);
+  return match ? match[1] : null;
+}
+
+/**
+ * Create the SMTP submission router
+ * Mount it before the app-wide JSON parser: it reads its own request body
+ */
+export function createSmtpSubmitRouter() {
+  const router = Router();
+
+  router.post("/smtp/send", async (req, res) => {
+    let endpoint;
+    let transport;
+    try {
+      const { settings, header, message } = await readSubmission(req);
+      const config = parseSmtpConfig(settings.smtp);
+      endpoint = `${config.secure ? "smtps" : "smtp"}://${config.host}:${
+        config.port
+      }`;
+      const parsedEnvelope = parseEnvelope(settings.envelope);
+      if (header.length === 0) {
+        throw new SubmitError(400, "SMTP_BAD_REQUEST", "Message is empty");
+      }
+
+      transport = nodemailer.createTransport(config);
+      const info = await transport.sendMail({
+        envelope: parsedEnvelope,
+        raw: message,
+      });
+
+      console.log(
+        `SMTP submit: ${endpoint} accepted ${info.accepted.length} of ${parsedEnvelope.to.length} recipients`
+      );
+      res.json({
+        messageId: readMessageId(header),
+        accepted: info.accepted,
+        rejected: formatRejected(info.rejected, info.rejectedErrors),
+        response: info.response,
+      });
+    } catch (error) {
+      const submitError = describeSmtpError(error, endpoint);
+      if (submitError.code === "SMTP_ERROR") {
+        console.error("SMTP submit error:", error);
+      }
+      res.status(submitError.status).json({
+        message: submitError.message,
+        code: submitError.code,
+        ...submitError.details,
+      });
+    } finally {
+      transport?.close();
+    }
+  });
+
+  return router;
+}
@@ -14,24 +14,57 @@ import EmailComposer from "./components/Email/EmailComposer";
 import EmailList from "./components/Email/EmailList";
 import EmailViewer from "./components/Email/EmailViewer";
 import SecurityPanel from "./components/Security/SecurityPanel";
+import LockScreen from "./components/Security/LockScreen";
 import SettingsPanel from "./components/UI/SettingsPanel";
 import ConnectionStatus from "./components/UI/ConnectionStatus";
 
 // Services and Stores
 import { useAppStore } from "./stores/appStore";
+import { vaultService } from "./services/vaultService";
 import { APP_STATES } from "./types";
 
 const App = () => {
-  const { appState, initializeApp, isKMConnected, isEmailConnected } =
-    useAppStore();
+  const {
+    appState,
+    initializeApp,
+    isKMConnected,
+    isEmailConnected,
+    currentEmailAccount,
+    watchMail,
+    unwatchMail,
+  } = useAppStore();
   const [activeView, setActiveView] = useState("inbox");
   const [selectedEmail, setSelectedEmail] = useState(null);
   const [showComposer, setShowComposer] = useState(false);
+  const replySubject =
+    selectedEmail?.decryptedSubject || selectedEmail?.subject;
 
   useEffect(() => {
     initializeApp();
   }, [initializeApp]);
 
+  // New mail is pushed while the app is unlocked and the account connected
+  const watchedAccount =
+    appState.status === APP_STATES.READY && currentEmailAccount?.isConnected
+      ? currentEmailAccount.id
+      : null;
+  useEffect(() => {
+    if (!watchedAccount) return;
+    watchMail();
+    return unwatchMail;
+  }, [watchedAccount, watchMail, unwatchMail]);
+
+  // Any interaction postpones the vault's auto-lock
+  useEffect(() => {
+    const events = ["mousedown", "keydown", "touchstart", "wheel"];
+    const touch = () => vaultService.touch();
+    events.forEach((event) =>
+      window.addEventListener(event, touch, { passive: true })
+    );
+    return () =>
+      events.forEach((event) => window.removeEventListener(event, touch));
+  }, []);
+
   const renderMainContent = () => {
     switch (activeView) {
       case "inbox":
@@ -71,6 +104,10 @@ const App = () => {
     }
   };
 
+  if (appState.status === APP_STATES.LOCKED) {
+    return <LockScreen />;
+  }
+
   if (appState.status === APP_STATES.INITIALIZING) {
     return (
       <div className="flex items-center justify-center min-h-screen bg-gray-50">
@@ -115,9 +152,7 @@ const App = () => {
           <EmailComposer
             onClose={() => setShowComposer(false)}
             replyTo={selectedEmail?.from}
-            subject={
-              selectedEmail?.subject ? `Re: ${selectedEmail.subject}` : ""
-            }
+            subject={replySubject ? `Re: ${replySubject}` : ""}
           />
         )}
 
@@ -1,4 +1,4 @@
-import React, { useState, useRef } from "react";
+import React, { useState, useRef, useEffect } from "react";
 import {
   X,
   Send,
@@ -15,12 +15,17 @@ import {
 import { useAppStore } from "../../stores/appStore";
 import { emailService } from "../../services/emailService";
 import { encryptionEngine } from "../../services/encryptionEngine";
+import { kmService } from "../../services/kmService";
+import { signatureService } from "../../services/signatureService";
+import { keyLedger } from "../../services/keyLedger";
+import { mimeService } from "../../services/mimeService";
 import { SECURITY_LEVELS } from "../../types";
 import toast from "react-hot-toast";
 
 const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
   const { currentEmailAccount, securityConfig, addEmail } = useAppStore();
   const fileInputRef = useRef(null);
+  const sendAbort = useRef(null);
 
   const [emailData, setEmailData] = useState({
     to: replyTo ? [replyTo] : [""],
@@ -38,6 +43,20 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
   const [isSending, setIsSending] = useState(false);
   const [isEncrypting, setIsEncrypting] = useState(false);
   const [encryptionStatus, setEncryptionStatus] = useState(null);
+  const [encryptionProgress, setEncryptionProgress] = useState(null);
+  const [poolStatus, setPoolStatus] = useState(() =>
+    kmService.getPoolStatus()
+  );
+
+  // Follow the quantum key pool so the composer can show when it runs dry
+  useEffect(() => {
+    const unsubscribe = kmService.subscribePool(setPoolStatus);
+    kmService.refillPool();
+    return unsubscribe;
+  }, []);
+
+  // Closing the composer mid-send cancels encryption; nothing is sent
+  useEffect(() => () => sendAbort.current?.abort(), []);
 
   const securityLevels = [
     {
@@ -177,6 +196,8 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
 
     setIsSending(true);
     setIsEncrypting(true);
+    sendAbort.current = new AbortController();
+    const { signal } = sendAbort.current;
 
     try {
       // Prepare email data
@@ -186,6 +207,9 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
         cc: emailData.cc.filter((email) => email.trim()),
         bcc: emailData.bcc.filter((email) => email.trim()),
         from: currentEmailAccount.email,
+        // Set before signing: the signature covers both
+        messageId: emailService.createMessageId(currentEmailAccount.email),
+        timestamp: new Date().toISOString(),
       };
 
       // Encrypt email if needed
@@ -198,17 +222,37 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
           cleanEmailData,
           {
             securityLevel: selectedSecurityLevel,
+            signal,
+            onProgress: ({ filename, processedBytes, totalBytes }) => {
+              setEncryptionStatus(`Encrypting ${filename}...`);
+              setEncryptionProgress(
+                totalBytes > 0 ? processedBytes / totalBytes : 1
+              );
+            },
           }
         );
+        setEncryptionProgress(null);
 
         if (encryptionResult.success) {
           finalEmailData = encryptionResult.encryptedEmail;
           setEncryptionStatus("Encryption successful");
+        } else if (encryptionResult.errorCode === "ABORTED") {
+          return;
         } else {
           throw new Error(`Encryption failed: ${encryptionResult.error}`);
         }
       }
 
+      // Sign headers, ciphertext and attachments with the sender's ML-DSA key
+      setEncryptionStatus("Signing message...");
+      finalEmailData = await signatureService.signEmail(
+        finalEmailData,
+        currentEmailAccount.email
+      );
+      if (signal.aborted) {
+        return;
+      }
+
       setIsEncrypting(false);
       setEncryptionStatus("Sending email...");
 
@@ -219,18 +263,42 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
       );
 
       if (sendResult.success) {
-        toast.success("Email sent successfully!");
+        // Record which message consumed the quantum keys
+        if (finalEmailData.encryptionMetadata) {
+          keyLedger.linkMessage(
+            finalEmailData.encryptionMetadata.encryptionId,
+            sendResult.messageId
+          );
+        }
+
+        if (sendResult.rejected?.length > 0) {
+          toast.error(
+            `Not delivered to ${sendResult.rejected
+              .map(({ address }) => address)
+              .join(", ")}`
+          );
+          toast.success(sendResult.message);
+        } else {
+          toast.success("Email sent successfully!");
+        }
 
-        // Add to sent folder
+        // Add to sent folder as it went over the wire, so the sent copy is
+        // decrypted and verified exactly like a received one
         const sentEmail = {
-          ...finalEmailData,
+          ...mimeService.parseMessage(await sendResult.raw.text()),
           id: sendResult.messageId,
-          timestamp: new Date().toISOString(),
+          bcc: cleanEmailData.bcc,
           read: true,
         };
 
         addEmail(sentEmail, "sent");
         onClose();
+      } else if (sendResult.rejected?.length > 0) {
+        throw new Error(
+          `every recipient was rejected (${sendResult.rejected
+            .map(({ address }) => address)
+            .join(", ")})`
+        );
       } else {
         throw new Error(sendResult.error);
       }
@@ -239,8 +307,10 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
       toast.error(`Failed to send email: ${error.message}`);
       setEncryptionStatus(null);
     } finally {
+      sendAbort.current = null;
       setIsSending(false);
       setIsEncrypting(false);
+      setEncryptionProgress(null);
     }
   };
 
@@ -293,6 +363,9 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
     (level) => level.id === selectedSecurityLevel
   );
   const SecurityIcon = selectedSecurity?.icon || Shield;
+  // Only Level 2 seeds come from the pool: a One Time Pad is as long as
+  // the message, which is longer than a pooled key
+  const usesPooledKeys = selectedSecurityLevel === SECURITY_LEVELS.QUANTUM_AES;
 
   return (
     <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -340,6 +413,30 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
             </div>
           </div>
 
+          {/* Quantum Key Pool */}
+          {usesPooledKeys && (
+            <div
+              className={`mt-2 flex items-center text-xs ${
+                poolStatus.state === "ready"
+                  ? "text-green-700"
+                  : "text-amber-700"
+              }`}
+            >
+              {poolStatus.state === "ready" ? (
+                <Key className="h-4 w-4 mr-2" />
+              ) : (
+                <AlertTriangle className="h-4 w-4 mr-2" />
+              )}
+              {poolStatus.state === "empty"
+                ? "Key pool empty: keys will be fetched from the Key Manager while sending (slower)"
+                : `Key pool: ${poolStatus.depth}/${poolStatus.target} quantum keys ready`}
+              {poolStatus.refilling && " · refilling..."}
+              {poolStatus.lastError &&
+                !poolStatus.refilling &&
+                ` · refill failed: ${poolStatus.lastError}`}
+            </div>
+          )}
+
           {/* Encryption Status */}
           {encryptionStatus && (
             <div className="mt-2 flex items-center text-sm">
@@ -347,6 +444,19 @@ const EmailComposer = ({ onClose, replyTo, subject: initialSubject }) => {
                 <div className="flex items-center text-blue-600">
                   <div className="animate-spin h-4 w-4 border-2 border-blue-600 border-t-transparent rounded-full mr-2"></div>
                   {encryptionStatus}
+                  {encryptionProgress !== null && (
+                    <>
+                      <div className="ml-3 w-40 h-1.5 bg-blue-100 rounded-full overflow-hidden">
+                        <div
+                          className="h-full bg-blue-600"
+                          style={{ width: `${encryptionProgress * 100}%` }}
+                        ></div>
+                      </div>
+                      <span className="ml-2 text-xs">
+                        {Math.round(encryptionProgress * 100)}%
+                      </span>
+                    </>
+                  )}
                 </div>
               ) : (
                 <div className="flex items-center text-green-600">
@@ -1,4 +1,4 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import {
   Shield,
   Paperclip,
@@ -11,36 +11,159 @@ import {
   Search,
 } from "lucide-react";
 import { useAppStore } from "../../stores/appStore";
+import { encryptionEngine } from "../../services/encryptionEngine";
 import { emailService } from "../../services/emailService";
+import { messageCache } from "../../services/messageCache";
+import { searchIndex } from "../../services/searchIndex";
+import { SECURITY_LEVELS } from "../../types";
 import { format } from "date-fns";
+import toast from "react-hot-toast";
+
+// Typing pauses this long before the index is searched
+const SEARCH_DELAY = 200;
+
+/**
+ * Recover a protected subject without a Key Manager key, which can only be
+ * collected once: Level 3 keys are unwrapped on this device, and Level 2
+ * messages opened before may be in the message cache
+ */
+const recoverSubject = async (email, signal) => {
+  if (
+    email.encryptionMetadata?.securityLevel === SECURITY_LEVELS.PQC_ENCRYPTION
+  ) {
+    return encryptionEngine.decryptSubject(email, { signal });
+  }
+  const cached = await messageCache.get(email).catch(() => null);
+  return cached
+    ? { success: true, subject: cached.subject }
+    : { success: false };
+};
 
 const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
-  const { emails, currentEmailAccount, addEmail } = useAppStore();
+  const {
+    emails,
+    emailAccounts,
+    currentEmailAccount,
+    loadFolder,
+    syncFolder,
+    updateEmail,
+  } = useAppStore();
   const [loading, setLoading] = useState(false);
   const [searchQuery, setSearchQuery] = useState("");
+  const [searchResults, setSearchResults] = useState(null);
   const [sortBy, setSortBy] = useState("timestamp");
   const [sortOrder, setSortOrder] = useState("desc");
 
   const folderEmails = emails[folder] || [];
+  // A query searches the index of every folder and account instead
+  const searching = searchQuery.trim() !== "";
+
+  // Encrypted mail shows a placeholder subject until the protected one has
+  // been recovered
+  const subjectOf = (email) => email.decryptedSubject || email.subject;
 
   useEffect(() => {
     loadEmails();
   }, [folder, currentEmailAccount]);
 
+  // Protected subjects are recovered in the background where that costs no
+  // Key Manager key; the others show once the message is opened. The crypto
+  // worker pool opens several messages in parallel; leaving the folder
+  // cancels them
+  const subjectAbort = useRef(null);
+  const subjectAttempts = useRef(new Set());
+
+  useEffect(() => {
+    subjectAbort.current = new AbortController();
+    return () => subjectAbort.current.abort();
+  }, [folder]);
+
+  useEffect(() => {
+    const { signal } = subjectAbort.current;
+    (emails[folder] || [])
+      .filter(
+        (email) =>
+          email.encrypted &&
+          !email.decryptedSubject &&
+          !subjectAttempts.current.has(email.id)
+      )
+      .forEach((email) => {
+        subjectAttempts.current.add(email.id);
+        recoverSubject(email, signal).then((result) => {
+          if (result.success) {
+            updateEmail(email.id, { decryptedSubject: result.subject });
+          } else if (result.errorCode === "ABORTED") {
+            // Try again next time the folder is shown
+            subjectAttempts.current.delete(email.id);
+          }
+        });
+      });
+  }, [emails, folder, updateEmail]);
+
+  useEffect(() => {
+    if (!searching) {
+      setSearchResults(null);
+      return;
+    }
+    let cancelled = false;
+    let timer = null;
+    const search = () => {
+      clearTimeout(timer);
+      timer = setTimeout(async () => {
+        const result = await emailService.searchEmails(null, {
+          query: searchQuery,
+        });
+        if (cancelled) return;
+        if (!result.success) {
+          console.error("Search failed:", result.error);
+        }
+        setSearchResults(result);
+      }, SEARCH_DELAY);
+    };
+    search();
+    // Mail indexed meanwhile shows up in the results
+    const unsubscribe = searchIndex.subscribe(search);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [searching, searchQuery]);
+
+  // Open a search result, which may be in another folder or account
+  const openResult = async (result) => {
+    const current = result.accountId === currentEmailAccount?.id;
+    const listed =
+      current && emails[result.folder]?.find(({ id }) => id === result.id);
+    if (listed) {
+      onEmailSelect(listed);
+      return;
+    }
+    const account = current
+      ? currentEmailAccount
+      : emailAccounts.find(({ id }) => id === result.accountId);
+    const stored =
+      account &&
+      (await emailService.getStoredEmails(
+        account,
+        result.folder.toUpperCase()
+      ));
+    const email = stored?.emails.find(({ id }) => id === result.id);
+    if (!email) {
+      toast.error("This message is no longer on this device");
+      return;
+    }
+    onEmailSelect(current ? email : { ...email, accountId: result.accountId });
+  };
+
   const loadEmails = async () => {
     if (!currentEmailAccount) return;
 
     setLoading(true);
     try {
-      const result = await emailService.fetchEmails(
-        currentEmailAccount.id,
-        folder.toUpperCase()
-      );
-      if (result.success) {
-        result.emails.forEach((email) => {
-          addEmail(email, folder);
-        });
-      }
+      // Mail stored earlier shows at once, and offline
+      await loadFolder(folder);
+      await syncFolder(folder);
     } catch (error) {
       console.error("Failed to load emails:", error);
     } finally {
@@ -48,19 +171,13 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
     }
   };
 
-  const filteredEmails = folderEmails
-    .filter((email) => {
-      if (!searchQuery) return true;
-      const query = searchQuery.toLowerCase();
-      return (
-        email.subject.toLowerCase().includes(query) ||
-        email.from.toLowerCase().includes(query) ||
-        email.body.toLowerCase().includes(query)
-      );
-    })
+  const filteredEmails = (
+    searching ? searchResults?.emails || [] : folderEmails
+  )
+    .slice()
     .sort((a, b) => {
-      const aValue = a[sortBy];
-      const bValue = b[sortBy];
+      const aValue = sortBy === "subject" ? subjectOf(a) : a[sortBy];
+      const bValue = sortBy === "subject" ? subjectOf(b) : b[sortBy];
 
       if (sortBy === "timestamp") {
         const aTime = new Date(aValue).getTime();
@@ -150,7 +267,7 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
               !email.read ? "font-medium text-gray-900" : "text-gray-700"
             }`}
           >
-            {email.subject}
+            {subjectOf(email)}
           </p>
 
           <p className="text-xs text-gray-500 truncate">
@@ -182,6 +299,57 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
     trash: "Trash",
   };
 
+  // Where a search result is, when not in the folder shown
+  const locationOf = (result) => {
+    const place = [];
+    if (result.accountId !== currentEmailAccount?.id) {
+      place.push(
+        emailAccounts.find(({ id }) => id === result.accountId)?.email ||
+          "Other account"
+      );
+    }
+    if (result.folder !== folder || place.length > 0) {
+      place.push(folderNames[result.folder] || result.folder);
+    }
+    return place.join(" · ");
+  };
+
+  const ResultItem = ({ result, isSelected, onClick }) => (
+    <div
+      onClick={() => onClick(result)}
+      className={`p-4 border-b border-gray-200 hover:bg-gray-50 cursor-pointer transition-colors ${
+        isSelected ? "bg-blue-50 border-blue-200" : ""
+      }`}
+    >
+      <div className="flex items-center justify-between mb-1">
+        <p className="text-sm font-medium text-gray-700 truncate">
+          {result.from}
+        </p>
+        <div className="flex items-center space-x-2">
+          {result.encrypted && getSecurityIcon(result.securityLevel)}
+          {result.hasAttachment && (
+            <Paperclip className="h-4 w-4 text-gray-400" />
+          )}
+          {result.timestamp && (
+            <span className="text-xs text-gray-500">
+              {formatDate(result.timestamp)}
+            </span>
+          )}
+        </div>
+      </div>
+
+      <p className="text-sm mb-1 truncate text-gray-700">
+        {result.subject || (
+          <span className="italic text-gray-500">Protected subject</span>
+        )}
+      </p>
+
+      {locationOf(result) && (
+        <p className="text-xs text-gray-500 truncate">{locationOf(result)}</p>
+      )}
+    </div>
+  );
+
   return (
     <div className="flex flex-col h-full bg-white">
       {/* Header */}
@@ -191,7 +359,9 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
             {folderNames[folder] || folder}
           </h2>
           <span className="text-sm text-gray-500">
-            {filteredEmails.length} emails
+            {searching
+              ? `${searchResults?.total ?? 0} results`
+              : `${filteredEmails.length} emails`}
           </span>
         </div>
 
@@ -200,7 +370,8 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
           <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400" />
           <input
             type="text"
-            placeholder="Search emails..."
+            placeholder='Search all mail, e.g. from:alice "key rotation"'
+            title="Operators: from: to: subject: has:attachment level: after: before: date:FROM..TO"
             value={searchQuery}
             onChange={(e) => setSearchQuery(e.target.value)}
             className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
@@ -241,7 +412,11 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
 
       {/* Email list */}
       <div className="flex-1 overflow-y-auto">
-        {loading && folderEmails.length === 0 ? (
+        {searching && !searchResults ? (
+          <div className="flex items-center justify-center h-32">
+            <div className="text-sm text-gray-500">Searching...</div>
+          </div>
+        ) : loading && !searching && folderEmails.length === 0 ? (
           <div className="flex items-center justify-center h-32">
             <div className="text-sm text-gray-500">Loading emails...</div>
           </div>
@@ -250,7 +425,7 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
             <div className="text-center">
               <Mail className="h-8 w-8 text-gray-400 mx-auto mb-2" />
               <p className="text-sm text-gray-500">
-                {searchQuery
+                {searching
                   ? "No emails found"
                   : `No emails in ${folderNames[folder]}`}
               </p>
@@ -258,14 +433,23 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
           </div>
         ) : (
           <div>
-            {filteredEmails.map((email) => (
-              <EmailItem
-                key={email.id}
-                email={email}
-                isSelected={selectedEmail?.id === email.id}
-                onClick={onEmailSelect}
-              />
-            ))}
+            {filteredEmails.map((email) =>
+              searching ? (
+                <ResultItem
+                  key={email.id}
+                  result={email}
+                  isSelected={selectedEmail?.id === email.id}
+                  onClick={openResult}
+                />
+              ) : (
+                <EmailItem
+                  key={email.id}
+                  email={email}
+                  isSelected={selectedEmail?.id === email.id}
+                  onClick={onEmailSelect}
+                />
+              )
+            )}
           </div>
         )}
       </div>
@@ -274,8 +458,10 @@ const EmailList = ({ folder, onEmailSelect, selectedEmail }) => {
       {filteredEmails.length > 0 && (
         <div className="border-t border-gray-200 p-2 text-center">
           <span className="text-xs text-gray-500">
-            {filteredEmails.length} of {folderEmails.length} emails
-            {searchQuery && ` matching "${searchQuery}"`}
+            {searching
+              ? `${filteredEmails.length} of ${searchResults?.total ?? 0} results in all folders`
+              : `${filteredEmails.length} of ${folderEmails.length} emails`}
+            {searching && ` matching "${searchQuery}"`}
           </span>
         </div>
       )}
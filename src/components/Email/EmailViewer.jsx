@@ -15,25 +15,55 @@ import {
   User,
   AlertTriangle,
   CheckCircle,
+  BadgeCheck,
+  ShieldAlert,
+  HelpCircle,
 } from "lucide-react";
 import { format } from "date-fns";
 import { useAppStore } from "../../stores/appStore";
 import { encryptionEngine } from "../../services/encryptionEngine";
+import { emailService } from "../../services/emailService";
+import { messageCache } from "../../services/messageCache";
+import { searchIndex } from "../../services/searchIndex";
+import {
+  signatureService,
+  SIGNATURE_STATUS,
+} from "../../services/signatureService";
 
 const EmailViewer = ({ email }) => {
-  const { updateEmail } = useAppStore();
+  const { updateEmail, currentEmailAccount } = useAppStore();
   const [decryptedEmail, setDecryptedEmail] = useState(null);
   const [isDecrypting, setIsDecrypting] = useState(false);
   const [decryptionError, setDecryptionError] = useState(null);
+  const [integrityFailed, setIntegrityFailed] = useState(false);
   const [showRawContent, setShowRawContent] = useState(false);
+  const [signatureResult, setSignatureResult] = useState(null);
+  // Search results can open mail of another account
+  const accountId = email?.accountId || currentEmailAccount?.id;
 
   useEffect(() => {
     if (email) {
       // Mark as read if not already
       if (!email.read) {
         updateEmail(email.id, { read: true });
+        emailService.updateFlags(accountId, email, {
+          add: ["\\Seen"],
+        });
       }
 
+      // Verify the signature over the message as received
+      setSignatureResult(null);
+      signatureService
+        .verifyEmail(email)
+        .then(setSignatureResult)
+        .catch((error) => {
+          console.error("Signature verification failed:", error);
+          setSignatureResult({
+            status: SIGNATURE_STATUS.INVALID,
+            signer: email.signature?.signer || null,
+          });
+        });
+
       // Decrypt if encrypted
       if (email.encrypted) {
         decryptEmail();
@@ -46,14 +76,38 @@ const EmailViewer = ({ email }) => {
   const decryptEmail = async () => {
     setIsDecrypting(true);
     setDecryptionError(null);
+    setIntegrityFailed(false);
 
     try {
-      const result = await encryptionEngine.decryptEmail(email);
+      const cached = await messageCache.get(email).catch((error) => {
+        console.error("Failed to read the message cache:", error);
+        return null;
+      });
+      const result = cached
+        ? { success: true, decryptedEmail: cached }
+        : await encryptionEngine.decryptEmail(email);
 
       if (result.success) {
         setDecryptedEmail(result.decryptedEmail);
+        if (!cached) {
+          messageCache
+            .put(accountId, email, result.decryptedEmail)
+            .catch((error) =>
+              console.error("Failed to cache decrypted message:", error)
+            );
+        }
+        searchIndex
+          .indexDecrypted(email.id, result.decryptedEmail)
+          .catch((error) =>
+            console.error("Failed to index decrypted message:", error)
+          );
+        // Let the message list show the protected subject too
+        updateEmail(email.id, {
+          decryptedSubject: result.decryptedEmail.subject,
+        });
       } else {
         setDecryptionError(result.error);
+        setIntegrityFailed(result.errorCode === "INTEGRITY_CHECK_FAILED");
         setDecryptedEmail(email); // Show encrypted version
       }
     } catch (error) {
@@ -101,6 +155,31 @@ const EmailViewer = ({ email }) => {
     }
   };
 
+  const getSignatureBadge = (result) => {
+    switch (result?.status) {
+      case SIGNATURE_STATUS.VALID:
+        return {
+          icon: BadgeCheck,
+          className: "bg-green-50 text-green-700 border-green-200",
+          label: `Signed by ${result.signer}`,
+        };
+      case SIGNATURE_STATUS.INVALID:
+        return {
+          icon: ShieldAlert,
+          className: "bg-red-50 text-red-700 border-red-200",
+          label: "Signature invalid",
+        };
+      case SIGNATURE_STATUS.UNKNOWN_SIGNER:
+        return {
+          icon: HelpCircle,
+          className: "bg-yellow-50 text-yellow-700 border-yellow-200",
+          label: `Unknown signer (${result.signer})`,
+        };
+      default:
+        return null;
+    }
+  };
+
   const downloadAttachment = (attachment) => {
     try {
       let data = attachment.data;
@@ -155,6 +234,8 @@ const EmailViewer = ({ email }) => {
   const displayEmail = decryptedEmail || email;
   const securityInfo = getSecurityInfo(email.securityLevel);
   const SecurityIcon = securityInfo.icon;
+  const signatureBadge = getSignatureBadge(signatureResult);
+  const SignatureIcon = signatureBadge?.icon;
 
   return (
     <div className="flex flex-col h-full bg-white">
@@ -190,6 +271,16 @@ const EmailViewer = ({ email }) => {
                 {email.cc.join(", ")}
               </div>
             )}
+
+            {signatureBadge && (
+              <div
+                className={`mt-2 inline-flex items-center px-2 py-1 text-xs font-medium border rounded-full ${signatureBadge.className}`}
+                title={`${email.signature?.algorithm} signature`}
+              >
+                <SignatureIcon className="h-3 w-3 mr-1" />
+                {signatureBadge.label}
+              </div>
+            )}
           </div>
 
           {/* Actions */}
@@ -239,7 +330,9 @@ const EmailViewer = ({ email }) => {
                 ) : decryptionError ? (
                   <div className="flex items-center text-sm text-red-600">
                     <AlertTriangle className="h-4 w-4 mr-1" />
-                    Decryption Failed
+                    {integrityFailed
+                      ? "Integrity Check Failed"
+                      : "Decryption Failed"}
                   </div>
                 ) : (
                   <div className="flex items-center text-sm text-green-600">
@@ -341,9 +434,10 @@ const EmailViewer = ({ email }) => {
                 </div>
               )}
 
-              {showRawContent && email.encrypted ? (
+              {/* A message that could not be parsed shows its source */}
+              {(showRawContent && email.encrypted) || email.parseError ? (
                 <div className="bg-gray-100 p-4 rounded-lg font-mono text-sm overflow-auto">
-                  <pre>{email.body}</pre>
+                  <pre>{email.raw || email.body}</pre>
                 </div>
               ) : (
                 <div
@@ -0,0 +1,122 @@
+import React, { useState } from "react";
+import { Lock, Shield } from "lucide-react";
+import { useAppStore } from "../../stores/appStore";
+import { vaultService } from "../../services/vaultService";
+
+/**
+ * Gates the app until the credential vault is unlocked, or asks for a
+ * master passphrase when no vault has been set up yet
+ */
+const LockScreen = () => {
+  const { unlockVault, resetVault } = useAppStore();
+  const [isSetup, setIsSetup] = useState(() => !vaultService.isInitialized());
+  const [passphrase, setPassphrase] = useState("");
+  const [confirmation, setConfirmation] = useState("");
+  const [error, setError] = useState(null);
+  const [unlocking, setUnlocking] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isSetup && passphrase !== confirmation) {
+      setError("The passphrases do not match");
+      return;
+    }
+
+    setError(null);
+    setUnlocking(true);
+    try {
+      await unlockVault(passphrase);
+    } catch (error) {
+      setError(error.message);
+      setPassphrase("");
+    } finally {
+      setUnlocking(false);
+    }
+  };
+
+  const handleReset = () => {
+    if (
+      !window.confirm(
+        "Reset the vault? Saved passwords, Key Manager credentials and OAuth2 sign-ins are erased, and accounts have to be signed in again."
+      )
+    ) {
+      return;
+    }
+    resetVault();
+    setIsSetup(true);
+    setPassphrase("");
+    setConfirmation("");
+    setError(null);
+  };
+
+  return (
+    <div className="flex items-center justify-center min-h-screen bg-gray-50">
+      <form
+        onSubmit={handleSubmit}
+        className="w-full max-w-sm bg-white border border-gray-200 rounded-lg shadow-sm p-6"
+      >
+        <div className="text-center mb-6">
+          {isSetup ? (
+            <Shield className="h-12 w-12 text-blue-600 mx-auto mb-3" />
+          ) : (
+            <Lock className="h-12 w-12 text-blue-600 mx-auto mb-3" />
+          )}
+          <h2 className="text-xl font-semibold text-gray-900">
+            {isSetup ? "Set up a master passphrase" : "QuMail is locked"}
+          </h2>
+          <p className="text-sm text-gray-600 mt-2">
+            {isSetup
+              ? "It encrypts your account passwords and Key Manager credentials on this device. It cannot be recovered if you forget it."
+              : "Enter your master passphrase to unlock your accounts"}
+          </p>
+        </div>
+
+        <div className="space-y-4">
+          <input
+            type="password"
+            value={passphrase}
+            onChange={(e) => setPassphrase(e.target.value)}
+            placeholder="Master passphrase"
+            autoComplete={isSetup ? "new-password" : "current-password"}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            autoFocus
+            required
+          />
+          {isSetup && (
+            <input
+              type="password"
+              value={confirmation}
+              onChange={(e) => setConfirmation(e.target.value)}
+              placeholder="Repeat the passphrase"
+              autoComplete="new-password"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              required
+            />
+          )}
+
+          {error && <p className="text-sm text-red-600">{error}</p>}
+
+          <button
+            type="submit"
+            disabled={unlocking || !passphrase}
+            className="w-full px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+          >
+            {unlocking ? "Unlocking..." : isSetup ? "Create Vault" : "Unlock"}
+          </button>
+        </div>
+
+        {!isSetup && (
+          <button
+            type="button"
+            onClick={handleReset}
+            className="w-full mt-4 text-sm text-gray-500 hover:text-gray-700"
+          >
+            Forgot the passphrase? Reset the vault
+          </button>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default LockScreen;
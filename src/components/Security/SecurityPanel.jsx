@@ -6,17 +6,42 @@ import {
   AlertTriangle,
   CheckCircle,
   Info,
+  Copy,
+  Trash2,
 } from "lucide-react";
 import { useAppStore } from "../../stores/appStore";
 import { securityService } from "../../services/securityService";
-import { SECURITY_LEVELS } from "../../types";
+import { pqcService } from "../../services/pqcService";
+import { keyLedger } from "../../services/keyLedger";
+import { vaultService } from "../../services/vaultService";
+import { notificationService } from "../../services/notificationService";
+import { messageCache } from "../../services/messageCache";
+import { MESSAGE_CACHE_RETENTION_DAYS, SECURITY_LEVELS } from "../../types";
+import toast from "react-hot-toast";
 
 const SecurityPanel = () => {
-  const { securityConfig, updateSecurityConfig, setSecurityLevel } =
-    useAppStore();
+  const {
+    securityConfig,
+    updateSecurityConfig,
+    setSecurityLevel,
+    currentEmailAccount,
+  } = useAppStore();
   const [activeTab, setActiveTab] = useState("levels");
   const [testResults, setTestResults] = useState(null);
   const [isTestingEncryption, setIsTestingEncryption] = useState(false);
+  const [contactKeyInput, setContactKeyInput] = useState("");
+  const [pqcContacts, setPqcContacts] = useState(() =>
+    pqcService.getContacts()
+  );
+  const [ledgerEntries, setLedgerEntries] = useState([]);
+  const [passphraseForm, setPassphraseForm] = useState({
+    current: "",
+    next: "",
+    confirmation: "",
+  });
+  const [changingPassphrase, setChangingPassphrase] = useState(false);
+
+  const ownAddress = currentEmailAccount?.email || "user@qumail.local";
 
   useEffect(() => {
     securityService.initialize();
@@ -94,6 +119,29 @@ const SecurityPanel = () => {
     updateSecurityConfig({ [key]: value });
   };
 
+  const toggleNotifications = async (enabled) => {
+    if (enabled) {
+      const permission = await notificationService.requestPermission();
+      if (permission !== "granted") {
+        toast.error("Notifications are blocked for QuMail in this browser");
+        return;
+      }
+    }
+    handleConfigUpdate("newMailNotifications", enabled);
+  };
+
+  const cacheRetentionDays =
+    securityConfig.cacheRetentionDays ?? MESSAGE_CACHE_RETENTION_DAYS;
+
+  const clearMessageCache = async () => {
+    try {
+      await messageCache.clear();
+      toast.success("Decrypted message cache cleared");
+    } catch (error) {
+      toast.error(`Failed to clear the cache: ${error.message}`);
+    }
+  };
+
   const testEncryption = async () => {
     setIsTestingEncryption(true);
     setTestResults(null);
@@ -103,8 +151,12 @@ const SecurityPanel = () => {
         "This is a test message for QuMail encryption verification.";
       const startTime = Date.now();
 
-      // Test encryption
-      const encrypted = await securityService.encryptData(testData);
+      // Test encryption (PQC test messages are wrapped to our own key)
+      const encrypted = await securityService.encryptData(
+        testData,
+        securityConfig.level,
+        { recipients: [ownAddress] }
+      );
       const encryptTime = Date.now() - startTime;
 
       // Test decryption
@@ -138,6 +190,55 @@ const SecurityPanel = () => {
     }
   };
 
+  const copyOwnPublicKey = async () => {
+    try {
+      await navigator.clipboard.writeText(
+        pqcService.exportPublicKey(ownAddress)
+      );
+      toast.success("Public key copied to clipboard");
+    } catch (error) {
+      toast.error(`Failed to copy public key: ${error.message}`);
+    }
+  };
+
+  const importContactKey = () => {
+    try {
+      const address = pqcService.importContactKey(contactKeyInput);
+      setPqcContacts(pqcService.getContacts());
+      setContactKeyInput("");
+      toast.success(`Imported post-quantum key for ${address}`);
+    } catch (error) {
+      toast.error(`Failed to import key: ${error.message}`);
+    }
+  };
+
+  const removeContactKey = (address) => {
+    pqcService.removeContact(address);
+    setPqcContacts(pqcService.getContacts());
+  };
+
+  const changePassphrase = async (e) => {
+    e.preventDefault();
+    if (passphraseForm.next !== passphraseForm.confirmation) {
+      toast.error("The new passphrases do not match");
+      return;
+    }
+
+    setChangingPassphrase(true);
+    try {
+      await vaultService.changePassphrase(
+        passphraseForm.current,
+        passphraseForm.next
+      );
+      setPassphraseForm({ current: "", next: "", confirmation: "" });
+      toast.success("Master passphrase changed");
+    } catch (error) {
+      toast.error(`Failed to change passphrase: ${error.message}`);
+    } finally {
+      setChangingPassphrase(false);
+    }
+  };
+
   const SecurityLevelCard = ({ level, isActive, onSelect }) => {
     const IconComponent = level.icon;
 
@@ -233,6 +334,29 @@ const SecurityPanel = () => {
           >
             Testing & Validation
           </button>
+          <button
+            onClick={() => setActiveTab("pqcKeys")}
+            className={`py-4 px-1 border-b-2 font-medium text-sm ${
+              activeTab === "pqcKeys"
+                ? "border-blue-500 text-blue-600"
+                : "border-transparent text-gray-500 hover:text-gray-700"
+            }`}
+          >
+            Post-Quantum Keys
+          </button>
+          <button
+            onClick={() => {
+              setLedgerEntries(keyLedger.getEntries());
+              setActiveTab("ledger");
+            }}
+            className={`py-4 px-1 border-b-2 font-medium text-sm ${
+              activeTab === "ledger"
+                ? "border-blue-500 text-blue-600"
+                : "border-transparent text-gray-500 hover:text-gray-700"
+            }`}
+          >
+            Key Ledger
+          </button>
         </nav>
       </div>
 
@@ -362,6 +486,125 @@ const SecurityPanel = () => {
               </div>
             </div>
 
+            {/* Credential Vault */}
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h3 className="font-medium text-gray-900 mb-3">
+                Credential Vault
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Passwords, Key Manager credentials and OAuth2 sign-ins are
+                encrypted with your master passphrase.
+              </p>
+
+              <div className="mb-4">
+                <label className="block text-sm font-medium text-gray-700 mb-1">
+                  Lock After Inactivity
+                </label>
+                <select
+                  value={securityConfig.autoLockMinutes}
+                  onChange={(e) =>
+                    handleConfigUpdate(
+                      "autoLockMinutes",
+                      parseInt(e.target.value)
+                    )
+                  }
+                  className="w-full md:w-1/2 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value={5}>5 minutes</option>
+                  <option value={15}>15 minutes</option>
+                  <option value={30}>30 minutes</option>
+                  <option value={60}>1 hour</option>
+                  <option value={0}>Never</option>
+                </select>
+              </div>
+
+              <form
+                onSubmit={changePassphrase}
+                className="grid grid-cols-1 md:grid-cols-3 gap-4"
+              >
+                {[
+                  ["current", "Current Passphrase", "current-password"],
+                  ["next", "New Passphrase", "new-password"],
+                  ["confirmation", "Repeat New Passphrase", "new-password"],
+                ].map(([field, label, autoComplete]) => (
+                  <div key={field}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {label}
+                    </label>
+                    <input
+                      type="password"
+                      value={passphraseForm[field]}
+                      onChange={(e) =>
+                        setPassphraseForm({
+                          ...passphraseForm,
+                          [field]: e.target.value,
+                        })
+                      }
+                      autoComplete={autoComplete}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                      required
+                    />
+                  </div>
+                ))}
+                <div className="md:col-span-3">
+                  <button
+                    type="submit"
+                    disabled={changingPassphrase}
+                    className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50"
+                  >
+                    {changingPassphrase
+                      ? "Changing..."
+                      : "Change Master Passphrase"}
+                  </button>
+                </div>
+              </form>
+            </div>
+
+            {/* Decrypted Message Cache */}
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h3 className="font-medium text-gray-900 mb-3">
+                Decrypted Message Cache
+              </h3>
+              <p className="text-sm text-gray-600 mb-4">
+                Messages you have decrypted are kept on this device, encrypted
+                with a key from the credential vault, so they reopen without
+                decrypting again. One Time Pad messages are never cached.
+              </p>
+
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                {securityLevels.map((level) => (
+                  <div key={level.id}>
+                    <label className="block text-sm font-medium text-gray-700 mb-1">
+                      {level.name}
+                    </label>
+                    <select
+                      value={cacheRetentionDays[level.id] ?? 0}
+                      onChange={(e) =>
+                        handleConfigUpdate("cacheRetentionDays", {
+                          ...cacheRetentionDays,
+                          [level.id]: parseInt(e.target.value),
+                        })
+                      }
+                      disabled={level.id === SECURITY_LEVELS.QUANTUM_SECURE}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:opacity-50"
+                    >
+                      <option value={0}>Never cache</option>
+                      <option value={1}>1 day</option>
+                      <option value={7}>7 days</option>
+                      <option value={30}>30 days</option>
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              <button
+                onClick={clearMessageCache}
+                className="px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+              >
+                Clear Cache
+              </button>
+            </div>
+
             {/* Security Features */}
             <div className="bg-gray-50 p-4 rounded-lg">
               <h3 className="font-medium text-gray-900 mb-3">
@@ -410,6 +653,20 @@ const SecurityPanel = () => {
                     Enable Post-Quantum Cryptography
                   </span>
                 </label>
+
+                <label className="flex items-center">
+                  <input
+                    type="checkbox"
+                    checked={securityConfig.newMailNotifications ?? false}
+                    onChange={(e) => toggleNotifications(e.target.checked)}
+                    disabled={!notificationService.isSupported()}
+                    className="h-4 w-4 text-blue-600 focus:ring-blue-500 border-gray-300 rounded"
+                  />
+                  <span className="ml-2 text-sm text-gray-700">
+                    Notify me of new quantum-secured mail while QuMail is in the
+                    background (sender and level only, never the subject)
+                  </span>
+                </label>
               </div>
             </div>
           </div>
@@ -499,6 +756,131 @@ const SecurityPanel = () => {
             </div>
           </div>
         )}
+
+        {activeTab === "pqcKeys" && (
+          <div className="space-y-6">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900 mb-2">
+                Post-Quantum Keys
+              </h2>
+              <p className="text-gray-600">
+                Post-quantum messages are wrapped to each recipient&apos;s
+                ML-KEM-768 + X25519 public key, and every message is signed
+                with your ML-DSA-65 key. Share your key with contacts and
+                import theirs so messages can be encrypted and verified.
+              </p>
+            </div>
+
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <div className="flex items-center justify-between">
+                <div>
+                  <h3 className="font-medium text-gray-900">Your Public Key</h3>
+                  <p className="text-sm text-gray-600">{ownAddress}</p>
+                </div>
+                <button
+                  onClick={copyOwnPublicKey}
+                  className="flex items-center px-4 py-2 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-100"
+                >
+                  <Copy className="h-4 w-4 mr-2" />
+                  Copy Public Key
+                </button>
+              </div>
+            </div>
+
+            <div className="bg-gray-50 p-4 rounded-lg">
+              <h3 className="font-medium text-gray-900 mb-3">
+                Import Contact Key
+              </h3>
+              <textarea
+                value={contactKeyInput}
+                onChange={(e) => setContactKeyInput(e.target.value)}
+                placeholder="qumail-pqc:v1:..."
+                rows={3}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                onClick={importContactKey}
+                disabled={!contactKeyInput.trim()}
+                className="mt-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:bg-gray-400 disabled:cursor-not-allowed"
+              >
+                Import Key
+              </button>
+
+              {pqcContacts.length > 0 && (
+                <div className="mt-4 space-y-2">
+                  {pqcContacts.map((address) => (
+                    <div
+                      key={address}
+                      className="flex items-center justify-between p-2 bg-white border border-gray-200 rounded"
+                    >
+                      <div className="flex items-center text-sm text-gray-900">
+                        <Lock className="h-4 w-4 text-purple-600 mr-2" />
+                        {address}
+                      </div>
+                      <button
+                        onClick={() => removeContactKey(address)}
+                        className="text-red-600 hover:text-red-800"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </button>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        {activeTab === "ledger" && (
+          <div className="space-y-6">
+            <div>
+              <h2 className="text-lg font-medium text-gray-900 mb-2">
+                Key Consumption Ledger
+              </h2>
+              <p className="text-gray-600">
+                Every quantum key is recorded here the moment it encrypts
+                something and can never be used again.
+              </p>
+            </div>
+
+            {ledgerEntries.length === 0 ? (
+              <div className="bg-gray-50 p-4 rounded-lg text-sm text-gray-600">
+                No quantum keys have been consumed yet.
+              </div>
+            ) : (
+              <div className="overflow-x-auto border border-gray-200 rounded-lg">
+                <table className="min-w-full text-sm">
+                  <thead className="bg-gray-50 text-left text-gray-700">
+                    <tr>
+                      <th className="px-3 py-2 font-medium">Key ID</th>
+                      <th className="px-3 py-2 font-medium">Algorithm</th>
+                      <th className="px-3 py-2 font-medium">Component</th>
+                      <th className="px-3 py-2 font-medium">Message</th>
+                      <th className="px-3 py-2 font-medium">Consumed</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-200">
+                    {ledgerEntries.map((entry) => (
+                      <tr key={entry.keyId}>
+                        <td className="px-3 py-2 font-mono text-xs">
+                          {entry.keyId}
+                        </td>
+                        <td className="px-3 py-2">{entry.algorithm}</td>
+                        <td className="px-3 py-2">{entry.component || "-"}</td>
+                        <td className="px-3 py-2 font-mono text-xs">
+                          {entry.messageId || "Not sent"}
+                        </td>
+                        <td className="px-3 py-2 text-gray-600">
+                          {new Date(entry.consumedAt).toLocaleString()}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
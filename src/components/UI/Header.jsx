@@ -1,9 +1,17 @@
 import React from "react";
-import { Mail, Shield, Settings, Search, Plus, RefreshCw } from "lucide-react";
+import {
+  Mail,
+  Shield,
+  Settings,
+  Search,
+  Plus,
+  RefreshCw,
+  Lock,
+} from "lucide-react";
 import { useAppStore } from "../../stores/appStore";
 
 const Header = ({ onCompose }) => {
-  const { unreadCount, securityConfig } = useAppStore();
+  const { unreadCount, securityConfig, lockVault } = useAppStore();
 
   const getSecurityLevelColor = (level) => {
     switch (level) {
@@ -91,6 +99,15 @@ const Header = ({ onCompose }) => {
           </div>
         )}
 
+        {/* Lock button */}
+        <button
+          onClick={lockVault}
+          title="Lock QuMail"
+          className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors"
+        >
+          <Lock className="h-5 w-5" />
+        </button>
+
         {/* Settings button */}
         <button className="p-2 text-gray-500 hover:text-gray-700 hover:bg-gray-100 rounded-lg transition-colors">
           <Settings className="h-5 w-5" />
@@ -11,12 +11,33 @@ import {
   WifiOff,
   ChevronDown,
   ChevronRight,
+  RefreshCw,
+  AlertCircle,
 } from "lucide-react";
 import { useAppStore } from "../../stores/appStore";
+import { FOLDER_SYNC_STATES } from "../../types";
+
+/**
+ * Tooltip for a folder's sync status
+ */
+const syncTitle = (status) => {
+  if (status?.state === FOLDER_SYNC_STATES.SYNCING) return "Syncing…";
+  if (status?.state === FOLDER_SYNC_STATES.ERROR) {
+    return `Sync failed: ${status.error}`;
+  }
+  return status?.syncedAt
+    ? `Last synced ${new Date(status.syncedAt).toLocaleString()}`
+    : "Not synced yet";
+};
 
 const Sidebar = ({ activeView, onViewChange }) => {
-  const { emails, isKMConnected, isEmailConnected, currentEmailAccount } =
-    useAppStore();
+  const {
+    emails,
+    folderStatus,
+    isKMConnected,
+    isEmailConnected,
+    currentEmailAccount,
+  } = useAppStore();
 
   const mainFolders = [
     {
@@ -63,10 +84,12 @@ const Sidebar = ({ activeView, onViewChange }) => {
 
   const SidebarItem = ({ item, isActive, onClick, showCount = false }) => {
     const IconComponent = item.icon;
+    const status = showCount ? folderStatus[item.id] : null;
 
     return (
       <button
         onClick={() => onClick(item.id)}
+        title={showCount ? syncTitle(status) : undefined}
         className={`w-full flex items-center justify-between px-3 py-2 text-left rounded-lg transition-colors ${
           isActive
             ? "bg-blue-100 text-blue-700"
@@ -77,11 +100,19 @@ const Sidebar = ({ activeView, onViewChange }) => {
           <IconComponent className="h-4 w-4 mr-3" />
           <span className="text-sm font-medium">{item.name}</span>
         </div>
-        {showCount && item.count > 0 && (
-          <span className="bg-blue-600 text-white text-xs px-2 py-1 rounded-full">
-            {item.count}
-          </span>
-        )}
+        <div className="flex items-center">
+          {status?.state === FOLDER_SYNC_STATES.SYNCING && (
+            <RefreshCw className="h-3 w-3 mr-2 text-gray-400 animate-spin" />
+          )}
+          {status?.state === FOLDER_SYNC_STATES.ERROR && (
+            <AlertCircle className="h-3 w-3 mr-2 text-red-500" />
+          )}
+          {showCount && item.count > 0 && (
+            <span className="bg-blue-600 text-white text-xs px-2 py-1 rounded-full">
+              {item.count}
+            </span>
+          )}
+        </div>
       </button>
     );
   };
@@ -21,6 +21,17 @@ export const config = {
   // API Paths
   KM_API_PATH: isDevelopment ? "/api/v1" : "/api/km",
   EMAIL_API_PATH: isDevelopment ? "/api" : "/api/email",
+  // Backend relay for KM configs that authenticate with client certificates
+  KM_GATEWAY_PATH: "/km-gateway",
+
+  // OAuth2 sign-in for email providers; the redirect page hands the
+  // authorization code back to the window that opened it
+  OAUTH_REDIRECT_PATH: "/oauth-callback.html",
+  OAUTH_CLIENT_IDS: {
+    gmail: import.meta.env.VITE_GMAIL_OAUTH_CLIENT_ID || "",
+    outlook: import.meta.env.VITE_OUTLOOK_OAUTH_CLIENT_ID || "",
+    local: "qumail-local",
+  },
 
   // Default Settings
   DEFAULT_SAE_ID: "qumail-client-001",
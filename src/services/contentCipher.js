@@ -0,0 +1,269 @@
+/**
+ * Content Cipher - Pure message-content cryptography
+ * Seals and opens component bytes under an already obtained key, with no
+ * Key Manager, ledger or storage access, so it runs unchanged inside the
+ * crypto workers and, where workers are unavailable, on the main thread.
+ *
+ * A component key is { securityLevel, encryptionId, material } where, for
+ * the One-Time Pad, material is exactly the component's slice of the pad.
+ */
+
+import { SECURITY_LEVELS } from "../types";
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  base64ToBytes,
+  bytesToBase64,
+  deriveAesGcmKey,
+  randomBytes,
+  utf8Encode,
+  xorBytes,
+} from "../utils/crypto";
+import { chunkStream, toByteStream, yieldToEventLoop } from "../utils/streams";
+
+// Plaintext bytes per chunk of a streamed attachment
+export const STREAM_CHUNK_SIZE = 64 * 1024;
+const GCM_TAG_LENGTH = 16;
+// One-Time Pad chunks are pure JS; yield to the event loop every this many
+const OTP_YIELD_INTERVAL = 16;
+
+/**
+ * Raised when authenticated decryption detects modified ciphertext or headers
+ */
+export class IntegrityError extends Error {
+  constructor(message = "Message integrity check failed") {
+    super(message);
+    this.name = "IntegrityError";
+    this.code = "INTEGRITY_CHECK_FAILED";
+  }
+}
+
+const isAeadLevel = (level) =>
+  level === SECURITY_LEVELS.QUANTUM_AES ||
+  level === SECURITY_LEVELS.PQC_ENCRYPTION;
+
+class ContentCipher {
+  /**
+   * Seal one component's bytes
+   * Returns { ciphertext, iv } (iv only for the AES-GCM levels)
+   */
+  async seal({ key, label, data, additionalData }) {
+    if (key.securityLevel === SECURITY_LEVELS.QUANTUM_SECURE) {
+      return { ciphertext: xorBytes(data, key.material) };
+    }
+
+    if (isAeadLevel(key.securityLevel)) {
+      const iv = randomBytes(12);
+      const ciphertext = await aesGcmEncrypt(
+        await this.deriveComponentKey(key, label),
+        iv,
+        data,
+        additionalData
+      );
+      return { ciphertext, iv };
+    }
+
+    throw new Error(`No content cipher for ${key.securityLevel}`);
+  }
+
+  /**
+   * Reverse seal; tampering raises IntegrityError for the AES-GCM levels
+   */
+  async open({ key, label, ciphertext, iv, additionalData }) {
+    if (key.securityLevel === SECURITY_LEVELS.QUANTUM_SECURE) {
+      return xorBytes(ciphertext, key.material);
+    }
+
+    if (isAeadLevel(key.securityLevel)) {
+      if (!iv) {
+        throw new Error(`Missing IV for ${label}`);
+      }
+      try {
+        return await aesGcmDecrypt(
+          await this.deriveComponentKey(key, label),
+          iv,
+          ciphertext,
+          additionalData
+        );
+      } catch (error) {
+        if (error.name === "OperationError") {
+          throw new IntegrityError(
+            "Message integrity check failed: ciphertext or QuMail headers were modified"
+          );
+        }
+        throw error;
+      }
+    }
+
+    throw new Error(`No content cipher for ${key.securityLevel}`);
+  }
+
+  /**
+   * Seal attachment data (ArrayBuffer, Blob or string) in fixed-size chunks
+   * The AES-GCM levels seal every chunk as its own message with nonce
+   * prefix || counter || final-flag, so dropped, reordered or truncated
+   * chunks fail authentication. The One-Time Pad XORs each chunk with the
+   * next pad bytes; simulated levels pass chunks through.
+   * Returns { chunks, stream } where stream describes the chunking. With
+   * onChunk, each sealed chunk is handed to it as soon as it is sealed
+   * instead of being collected, and chunks is empty
+   */
+  async sealStream({ key, label, data, additionalData, onProgress, onChunk }) {
+    const stream = { version: 1, chunkSize: STREAM_CHUNK_SIZE };
+    let sealChunk = async (chunk) => chunk;
+
+    if (key.securityLevel === SECURITY_LEVELS.QUANTUM_SECURE) {
+      let padPosition = 0;
+      let count = 0;
+      sealChunk = async (chunk) => {
+        if (++count % OTP_YIELD_INTERVAL === 0) {
+          await yieldToEventLoop();
+        }
+        const pad = key.material.subarray(
+          padPosition,
+          padPosition + chunk.length
+        );
+        padPosition += chunk.length;
+        return xorBytes(chunk, pad);
+      };
+    } else if (isAeadLevel(key.securityLevel)) {
+      const cryptoKey = await this.deriveComponentKey(key, label);
+      const noncePrefix = randomBytes(7);
+      let counter = 0;
+      stream.noncePrefix = bytesToBase64(noncePrefix);
+      sealChunk = (chunk, final) =>
+        aesGcmEncrypt(
+          cryptoKey,
+          this.streamNonce(noncePrefix, counter++, final),
+          chunk,
+          additionalData
+        );
+    }
+
+    const chunks = [];
+    let processed = 0;
+    await toByteStream(data, STREAM_CHUNK_SIZE)
+      .pipeThrough(chunkStream(STREAM_CHUNK_SIZE))
+      .pipeTo(
+        new WritableStream({
+          async write({ chunk, final }) {
+            const sealed = await sealChunk(chunk, final);
+            if (onChunk) {
+              await onChunk(sealed);
+            } else {
+              chunks.push(sealed);
+            }
+            processed += chunk.length;
+            onProgress?.(processed);
+          },
+        })
+      );
+
+    return { chunks, stream };
+  }
+
+  /**
+   * Reverse sealStream over the concatenated ciphertext chunks
+   */
+  async openStream({
+    key,
+    label,
+    stream,
+    ciphertext,
+    additionalData,
+    onProgress,
+  }) {
+    const { version, chunkSize, noncePrefix } = stream || {};
+    if (version !== 1 || !chunkSize) {
+      throw new Error(`Unsupported stream format for ${label}`);
+    }
+
+    if (key.securityLevel === SECURITY_LEVELS.QUANTUM_SECURE) {
+      const plaintext = new Uint8Array(ciphertext.length);
+      for (let i = 0; i < ciphertext.length; i += chunkSize) {
+        const chunk = ciphertext.subarray(i, i + chunkSize);
+        plaintext.set(
+          xorBytes(chunk, key.material.subarray(i, i + chunk.length)),
+          i
+        );
+        onProgress?.(i + chunk.length);
+        if ((i / chunkSize + 1) % OTP_YIELD_INTERVAL === 0) {
+          await yieldToEventLoop();
+        }
+      }
+      return plaintext;
+    }
+
+    if (!isAeadLevel(key.securityLevel)) {
+      return ciphertext.slice();
+    }
+
+    if (!noncePrefix) {
+      throw new Error(`Missing nonce prefix for ${label}`);
+    }
+    const cryptoKey = await this.deriveComponentKey(key, label);
+    const prefix = base64ToBytes(noncePrefix);
+    const sealedChunkSize = chunkSize + GCM_TAG_LENGTH;
+    const count = Math.max(1, Math.ceil(ciphertext.length / sealedChunkSize));
+    const plaintext = new Uint8Array(
+      Math.max(0, ciphertext.length - count * GCM_TAG_LENGTH)
+    );
+
+    for (let index = 0; index < count; index++) {
+      const start = index * sealedChunkSize;
+      try {
+        const chunk = await aesGcmDecrypt(
+          cryptoKey,
+          this.streamNonce(prefix, index, index === count - 1),
+          ciphertext.subarray(start, start + sealedChunkSize),
+          additionalData
+        );
+        plaintext.set(chunk, index * chunkSize);
+        onProgress?.(index * chunkSize + chunk.length);
+      } catch (error) {
+        if (error.name === "OperationError") {
+          throw new IntegrityError(
+            `Attachment integrity check failed: chunk ${index} of ${label} was modified, reordered or truncated`
+          );
+        }
+        throw error;
+      }
+    }
+    return plaintext;
+  }
+
+  /**
+   * 96-bit chunk nonce: 7-byte random prefix, 32-bit big-endian counter
+   * and a final-chunk flag byte
+   */
+  streamNonce(prefix, counter, final) {
+    const nonce = new Uint8Array(12);
+    nonce.set(prefix);
+    new DataView(nonce.buffer).setUint32(7, counter);
+    nonce[11] = final ? 1 : 0;
+    return nonce;
+  }
+
+  /**
+   * Derive the AES-GCM subkey for one component from the message key
+   * HKDF salt is the encryption id, info names the level and component
+   */
+  deriveComponentKey(key, label) {
+    if (!key.encryptionId) {
+      throw new Error("Missing encryption ID for key derivation");
+    }
+    const context =
+      key.securityLevel === SECURITY_LEVELS.PQC_ENCRYPTION
+        ? "QuMail PQC content v2"
+        : "QuMail AES-256-GCM v2";
+
+    return deriveAesGcmKey(
+      key.material,
+      utf8Encode(key.encryptionId),
+      utf8Encode(`${context}|${label}`)
+    );
+  }
+}
+
+// Export singleton instance
+export const contentCipher = new ContentCipher();
@@ -0,0 +1,264 @@
+/**
+ * Crypto Executor - Web Worker pool for message-content cryptography
+ * Runs contentCipher operations on a small pool of module workers so
+ * sealing and opening large messages never blocks the UI. Tasks queue
+ * until a worker is free; buffers are passed as transferables; an
+ * AbortSignal cancels a queued task, or terminates the worker running it.
+ * Where workers are unavailable the operations run on the main thread.
+ */
+
+import { contentCipher, IntegrityError } from "./contentCipher";
+
+const MAX_POOL_SIZE = 4;
+
+/**
+ * Error used to reject cancelled tasks, named like fetch's AbortError
+ */
+function abortError() {
+  const error = new Error("Crypto operation was cancelled");
+  error.name = "AbortError";
+  error.code = "ABORTED";
+  return error;
+}
+
+/**
+ * Throw the cancellation error if signal has been aborted
+ */
+export function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw abortError();
+  }
+}
+
+/**
+ * Rebuild an error posted back by a worker
+ */
+function reviveError({ name, message, code }) {
+  if (code === "INTEGRITY_CHECK_FAILED") {
+    return new IntegrityError(message);
+  }
+  const error = new Error(message);
+  error.name = name;
+  error.code = code;
+  return error;
+}
+
+class CryptoExecutor {
+  constructor() {
+    const cores =
+      (typeof navigator !== "undefined" && navigator.hardwareConcurrency) || 2;
+    // Leave one core for the UI thread
+    this.poolSize = Math.max(1, Math.min(MAX_POOL_SIZE, cores - 1));
+    this.slots = []; // { worker, task }
+    this.queue = [];
+    this.nextTaskId = 1;
+    this.workersUnavailable = typeof Worker === "undefined";
+  }
+
+  /**
+   * Run a contentCipher operation ("seal", "open", "sealStream",
+   * "openStream"). transfer lists ArrayBuffers handed to the worker; they
+   * are detached from the caller once the task is dispatched. onChunk
+   * receives sealStream's chunks one at a time, as they are sealed.
+   */
+  run(op, payload, { transfer = [], signal, onProgress, onChunk } = {}) {
+    if (signal?.aborted) {
+      return Promise.reject(abortError());
+    }
+
+    if (this.workersUnavailable) {
+      return this.runInline(op, payload, { signal, onProgress, onChunk });
+    }
+
+    return new Promise((resolve, reject) => {
+      const task = {
+        id: this.nextTaskId++,
+        op,
+        payload: onChunk ? { ...payload, streamChunks: true } : payload,
+        transfer,
+        onProgress,
+        onChunk,
+        resolve,
+        reject,
+        signal,
+      };
+
+      if (signal) {
+        task.onAbort = () => this.cancel(task);
+        signal.addEventListener("abort", task.onAbort, { once: true });
+      }
+
+      this.queue.push(task);
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Main-thread fallback; cancellation takes effect between chunks
+   */
+  async runInline(op, payload, { signal, onProgress, onChunk }) {
+    const result = await contentCipher[op]({
+      ...payload,
+      onChunk,
+      onProgress: (processed) => {
+        if (signal?.aborted) {
+          throw abortError();
+        }
+        onProgress?.(processed);
+      },
+    });
+    if (signal?.aborted) {
+      throw abortError();
+    }
+    return result;
+  }
+
+  /**
+   * Hand queued tasks to idle workers, starting workers up to poolSize
+   */
+  dispatch() {
+    while (this.queue.length > 0) {
+      let slot = this.slots.find((candidate) => !candidate.task);
+      if (!slot && this.slots.length < this.poolSize) {
+        slot = this.createSlot();
+        if (!slot) {
+          // Worker construction failed (e.g. CSP); fall back to inline
+          this.workersUnavailable = true;
+          this.queue.splice(0).forEach((task) => {
+            this.settle(task);
+            this.runInline(task.op, task.payload, task).then(
+              task.resolve,
+              task.reject
+            );
+          });
+          return;
+        }
+      }
+      if (!slot) {
+        return;
+      }
+
+      const task = this.queue.shift();
+      slot.task = task;
+      slot.worker.postMessage(
+        { id: task.id, op: task.op, payload: task.payload },
+        task.transfer
+      );
+    }
+  }
+
+  createSlot() {
+    try {
+      const worker = new Worker(
+        new URL("../workers/crypto.worker.js", import.meta.url),
+        { type: "module" }
+      );
+      const slot = { worker, task: null };
+      worker.onmessage = (event) => this.handleMessage(slot, event.data);
+      worker.onerror = (event) => {
+        event.preventDefault?.();
+        this.failSlot(
+          slot,
+          new Error(`Crypto worker failed: ${event.message || "unknown error"}`)
+        );
+      };
+      this.slots.push(slot);
+      return slot;
+    } catch (error) {
+      console.error("Failed to start crypto worker:", error);
+      return null;
+    }
+  }
+
+  handleMessage(slot, message) {
+    const task = slot.task;
+    if (!task || task.id !== message.id) {
+      return;
+    }
+
+    if (message.progress !== undefined) {
+      task.onProgress?.(message.progress);
+      return;
+    }
+    if (message.chunk !== undefined) {
+      task.onChunk?.(message.chunk);
+      return;
+    }
+
+    slot.task = null;
+    this.settle(task);
+    if (message.error) {
+      task.reject(reviveError(message.error));
+    } else {
+      task.resolve(message.result);
+    }
+    this.dispatch();
+  }
+
+  /**
+   * Cancel a task: drop it from the queue, or stop the worker running it
+   */
+  cancel(task) {
+    const queued = this.queue.indexOf(task);
+    if (queued !== -1) {
+      this.queue.splice(queued, 1);
+      this.settle(task);
+      task.reject(abortError());
+      return;
+    }
+
+    const slot = this.slots.find((candidate) => candidate.task === task);
+    if (slot) {
+      this.failSlot(slot, abortError());
+    }
+  }
+
+  /**
+   * Terminate a worker mid-task and reject the task; a replacement worker
+   * is started lazily by the next dispatch
+   */
+  failSlot(slot, error) {
+    slot.worker.terminate();
+    this.slots = this.slots.filter((candidate) => candidate !== slot);
+    if (slot.task) {
+      this.settle(slot.task);
+      slot.task.reject(error);
+      slot.task = null;
+    }
+    this.dispatch();
+  }
+
+  settle(task) {
+    if (task.signal && task.onAbort) {
+      task.signal.removeEventListener("abort", task.onAbort);
+    }
+  }
+
+  /**
+   * Pool status for diagnostics
+   */
+  getStatus() {
+    return {
+      mode: this.workersUnavailable ? "main-thread" : "workers",
+      poolSize: this.poolSize,
+      workers: this.slots.length,
+      busy: this.slots.filter((slot) => slot.task).length,
+      queued: this.queue.length,
+    };
+  }
+
+  /**
+   * Stop every worker and reject outstanding tasks
+   */
+  terminate() {
+    const error = new Error("Crypto executor terminated");
+    this.queue.splice(0).forEach((task) => {
+      this.settle(task);
+      task.reject(error);
+    });
+    [...this.slots].forEach((slot) => this.failSlot(slot, error));
+  }
+}
+
+// Export singleton instance
+export const cryptoExecutor = new CryptoExecutor();
@@ -1,15 +1,88 @@
 /**
- * Email Service - Frontend Mock Implementation
- * Provides email simulation without backend dependencies
+ * Email Service
+ * Backend-mode accounts read real mail over IMAP through the backend
+ * bridge, or download it over POP3 into local folders, and send over SMTP
+ * through the backend, signing in with a password or OAuth2 (XOAUTH2);
+ * mock-mode accounts read demo mail from a mock mail server without a
+ * backend. IMAP and mock mail is synced incrementally into the message
+ * store (folder sync), so it can be read offline.
  */
 
-import { EMAIL_PROVIDERS } from "../types";
+import {
+  EMAIL_AUTH_TYPES,
+  EMAIL_MODES,
+  EMAIL_PROTOCOLS,
+  EMAIL_PROVIDERS,
+} from "../types";
+import { mimeService } from "./mimeService";
+import { ImapBridgeClient, requestMailBackend } from "./imapBridgeClient";
+import { Pop3BridgeClient } from "./pop3BridgeClient";
+import { localFolderStore } from "./localFolderStore";
+import { messageStore } from "./messageStore";
+import { messageCache } from "./messageCache";
+import { searchIndex } from "./searchIndex";
+import { folderSync, uniqueMessages } from "./folderSync";
+import { MockMailServer } from "./mockMailServer";
+import { oauthService } from "./oauthService";
+import { config as appConfig } from "../config/environment";
+import { bytesToHex, randomBytes } from "../utils/crypto";
+
+// App folders that map onto a special-use IMAP mailbox (RFC 6154)
+const SPECIAL_USE_FOLDERS = {
+  SENT: "\\Sent",
+  DRAFTS: "\\Drafts",
+  TRASH: "\\Trash",
+};
+
+// Large encrypted attachments take a while to relay
+const SMTP_SUBMIT_TIMEOUT = 120000;
+// Slowest upload, in bytes a second, a submission is given time for
+const SMTP_UPLOAD_RATE = 256 * 1024;
+// Submission settings line, then the raw message (server/routes/smtpSubmit)
+const SUBMISSION_TYPE = "application/x-qumail-submission";
+
+// Messages per POP3 session while downloading new mail
+const POP3_BATCH_SIZE = 50;
+
+// Listed in place of a stored message that cannot be parsed
+const UNREADABLE_SUBJECT = "(Unreadable message)";
+const UNREADABLE_BODY =
+  "This message could not be read. Its original source is kept on this device.";
+
+// Folders a POP3 account keeps on this device; path is the app folder
+const LOCAL_FOLDERS = [
+  { name: "INBOX", path: "INBOX", type: "inbox" },
+  { name: "Sent", path: "SENT", type: "sent" },
+  { name: "Drafts", path: "DRAFTS", type: "drafts" },
+  { name: "Trash", path: "TRASH", type: "trash" },
+];
+
+/**
+ * The folder an app folder name (INBOX, SENT, ...) or mailbox path refers
+ * to, among folders listed with their path, name and special use
+ */
+const findFolder = (folders, folder) => {
+  const name = folder.toUpperCase();
+  const specialUse = SPECIAL_USE_FOLDERS[name];
+  return (
+    (specialUse && folders.find((entry) => entry.specialUse === specialUse)) ||
+    folders.find(
+      (entry) =>
+        entry.path.toUpperCase() === name || entry.name.toUpperCase() === name
+    ) ||
+    null
+  );
+};
 
 class EmailService {
   constructor() {
     this.accounts = new Map();
     this.isInitialized = false;
     this.simulateDelay = 500;
+    this.bridgeUrl = `${appConfig.EMAIL_ENDPOINT}${appConfig.EMAIL_API_PATH}/imap`;
+    this.smtpUrl = `${appConfig.EMAIL_ENDPOINT}${appConfig.EMAIL_API_PATH}/smtp/send`;
+    this.pop3Url = `${appConfig.EMAIL_ENDPOINT}${appConfig.EMAIL_API_PATH}/pop3`;
+    this.autoconfigUrl = `${appConfig.EMAIL_ENDPOINT}${appConfig.EMAIL_API_PATH}/autoconfig`;
   }
 
   /**
@@ -19,7 +92,7 @@ class EmailService {
     try {
       await new Promise((resolve) => setTimeout(resolve, 300));
       this.isInitialized = true;
-      console.log("Email Service initialized (Mock Mode)");
+      console.log("Email Service initialized");
     } catch (error) {
       console.error("Failed to initialize Email Service:", error);
       throw error;
@@ -27,7 +100,9 @@ class EmailService {
   }
 
   /**
-   * Configure and test email account connection (Mock)
+   * Configure and test email account connection
+   * accountConfig.mode selects the mail backend (default) or demo mail;
+   * backend accounts use IMAP unless accountConfig.protocol is POP3
    */
   async configureAccount(accountConfig) {
     try {
@@ -36,6 +111,49 @@ class EmailService {
         throw new Error("Invalid account configuration");
       }
 
+      const mode = accountConfig.mode || EMAIL_MODES.BACKEND;
+      if (mode === EMAIL_MODES.BACKEND && this.isPop3Account(accountConfig)) {
+        // POP3 keeps no session; logging in once checks the credentials
+        const pop3 = this.createPop3Client(accountConfig);
+        await pop3.check();
+
+        this.accounts.set(accountConfig.id, {
+          config: accountConfig,
+          status: "connected",
+          lastActivity: new Date(),
+          mode,
+          pop3,
+          retrieving: null,
+        });
+
+        return {
+          success: true,
+          message: "Email account connected through the mail backend (POP3)",
+          accountId: accountConfig.id,
+        };
+      }
+
+      if (mode === EMAIL_MODES.BACKEND) {
+        // Registering makes the bridge log in, which checks the credentials
+        const bridge = this.createBridgeClient(accountConfig);
+        await bridge.register();
+
+        this.accounts.set(accountConfig.id, {
+          config: accountConfig,
+          status: "connected",
+          lastActivity: new Date(),
+          mode,
+          bridge,
+          folders: null,
+        });
+
+        return {
+          success: true,
+          message: "Email account connected through the mail backend",
+          accountId: accountConfig.id,
+        };
+      }
+
       // Simulate connection test delay
       await new Promise((resolve) => setTimeout(resolve, this.simulateDelay));
 
@@ -45,6 +163,8 @@ class EmailService {
         status: "connected",
         lastActivity: new Date(),
         mode: "mock",
+        bridge: new MockMailServer(),
+        folders: null,
       });
 
       return {
@@ -70,9 +190,110 @@ class EmailService {
   }
 
   /**
-   * Test IMAP connection (Mock)
+   * Build the IMAP bridge client for an account config
+   * OAuth2 accounts hand the bridge an access token instead of a password
+   */
+  createBridgeClient(accountConfig, accountId = accountConfig.id) {
+    const imap = accountConfig.imap || {};
+    const oauth = this.isOAuthAccount(accountConfig);
+    return new ImapBridgeClient({
+      url: this.bridgeUrl,
+      accountId,
+      imap: {
+        host: imap.host,
+        port: imap.port,
+        secure: imap.secure,
+        requireTLS: imap.requireTLS,
+        username: imap.username || accountConfig.email,
+        password: oauth ? undefined : imap.password,
+      },
+      credentials: oauth
+        ? (options) => this.getOAuthCredentials(accountConfig, options)
+        : null,
+    });
+  }
+
+  /**
+   * Build the POP3 bridge client for an account config
+   */
+  createPop3Client(accountConfig) {
+    const pop3 = accountConfig.pop3 || {};
+    const oauth = this.isOAuthAccount(accountConfig);
+    return new Pop3BridgeClient({
+      url: this.pop3Url,
+      pop3: {
+        host: pop3.host,
+        port: pop3.port,
+        secure: pop3.secure,
+        requireTLS: pop3.requireTLS,
+        username: pop3.username || accountConfig.email,
+        password: oauth ? undefined : pop3.password,
+      },
+      credentials: oauth
+        ? (options) => this.getOAuthCredentials(accountConfig, options)
+        : null,
+    });
+  }
+
+  isPop3Account(accountConfig) {
+    return accountConfig.protocol === EMAIL_PROTOCOLS.POP3;
+  }
+
+  /**
+   * Look up incoming (IMAP, or POP3 when asked for) and SMTP settings for
+   * an address (autoconfig, ISPDB, DNS SRV) through the backend; servers
+   * come back with a MAIL_SECURITY mode
+   */
+  async discoverSettings(email, protocol = EMAIL_PROTOCOLS.IMAP) {
+    try {
+      const settings = await requestMailBackend(
+        `${this.autoconfigUrl}?email=${encodeURIComponent(
+          email
+        )}&protocol=${protocol}`
+      );
+      return { success: true, ...settings };
+    } catch (error) {
+      return { success: false, error: error.message, code: error.code };
+    }
+  }
+
+  isOAuthAccount(accountConfig) {
+    return accountConfig.auth?.type === EMAIL_AUTH_TYPES.OAUTH2;
+  }
+
+  /**
+   * XOAUTH2 credentials for IMAP and SMTP; refresh after a server has
+   * rejected the current access token
+   */
+  async getOAuthCredentials(accountConfig, { refresh = false } = {}) {
+    return {
+      accessToken: await oauthService.getAccessToken(accountConfig.id, {
+        forceRefresh: refresh,
+      }),
+    };
+  }
+
+  /**
+   * Test IMAP connection
+   * Backend-mode configs are probed through the bridge without keeping
+   * the session
    */
   async testIMAPConnection(accountConfig) {
+    if ((accountConfig.mode || EMAIL_MODES.BACKEND) === EMAIL_MODES.BACKEND) {
+      const bridge = this.createBridgeClient(
+        accountConfig,
+        `probe_${Date.now()}`
+      );
+      try {
+        await bridge.register();
+        return { success: true, provider: accountConfig.imap?.host };
+      } catch (error) {
+        return { success: false, error: error.message, code: error.code };
+      } finally {
+        await bridge.close();
+      }
+    }
+
     try {
       console.log(`Testing IMAP connection (Mock): ${accountConfig.email}`);
       await new Promise((resolve) => setTimeout(resolve, 300));
@@ -96,7 +317,8 @@ class EmailService {
   }
 
   /**
-   * Fetch emails from IMAP server (Mock)
+   * Fetch emails from IMAP server
+   * folder is an app folder name (INBOX, SENT, ...) or a mailbox path
    */
   async fetchEmails(accountId, folder = "INBOX", options = {}) {
     try {
@@ -105,18 +327,23 @@ class EmailService {
         throw new Error("Account not configured");
       }
 
-      console.log(
-        `Fetching emails from ${folder} for account ${accountId} (Mock)`
-      );
-      await new Promise((resolve) => setTimeout(resolve, this.simulateDelay));
-
-      const mockEmails = this.generateMockEmails(folder, options.limit || 10);
-
+      const { emails, sync = null } = account.pop3
+        ? {
+            emails: await this.fetchLocalEmails(
+              accountId,
+              account,
+              folder,
+              options
+            ),
+          }
+        : await this.fetchBridgeEmails(accountId, account, folder, options);
+      account.lastActivity = new Date();
       return {
         success: true,
-        emails: mockEmails,
-        folder: folder,
-        total: mockEmails.length,
+        emails,
+        folder,
+        total: emails.length,
+        sync,
       };
     } catch (error) {
       console.error("Failed to fetch emails:", error);
@@ -129,189 +356,472 @@ class EmailService {
   }
 
   /**
-   * Send email via SMTP (Mock)
+   * Sync a folder from the IMAP bridge (or the mock mail server) into the
+   * message store, then read its newest messages as stored, each parsed
+   * exactly as received -> { emails, sync } with sync the folder sync's
+   * summary
    */
-  async sendEmail(accountId, emailData) {
-    try {
-      const account = this.accounts.get(accountId);
-      if (!account) {
-        throw new Error("Account not configured");
-      }
-
-      console.log(`Sending email from account ${accountId} (Mock)`);
-
-      // Validate email data
-      if (!this.validateEmailData(emailData)) {
-        throw new Error("Invalid email data");
-      }
+  async fetchBridgeEmails(accountId, account, folder, { limit = 25 } = {}) {
+    const path = await this.resolveFolderPath(account, folder);
+    const info = account.folders?.find((entry) => entry.path === path);
+    const sync = await folderSync.sync(
+      accountId,
+      account.bridge,
+      { path, name: info?.name, specialUse: info?.specialUse },
+      { limit }
+    );
 
-      // Simulate sending delay
-      await new Promise((resolve) => setTimeout(resolve, 800));
+    const messages = await messageStore.listMessages(accountId, path);
+    return {
+      emails: uniqueMessages(messages)
+        .slice(0, limit)
+        .map((message) => this.storedEmail(message)),
+      sync,
+    };
+  }
 
-      const messageId = `<${Date.now()}.${Math.random().toString(
-        36
-      )}@qumail.mock>`;
+  /**
+   * Parse a message from the message store or a local folder; one that
+   * cannot be parsed is listed as a placeholder keeping its raw source,
+   * so it does not take the rest of the folder down with it
+   */
+  storedEmail(message) {
+    let parsed;
+    try {
+      parsed = mimeService.parseMessage(message.raw, {
+        receivedAt: message.receivedAt,
+      });
+    } catch (error) {
+      console.error(`Failed to parse message ${message.id}:`, error);
+      parsed = {
+        from: "",
+        to: [],
+        cc: [],
+        subject: UNREADABLE_SUBJECT,
+        timestamp: mimeService.parseDate(null, message.receivedAt),
+        messageId: message.messageId || null,
+        headers: {},
+        attachments: [],
+        encrypted: false,
+        body: UNREADABLE_BODY,
+        raw: message.raw,
+        parseError: error.message,
+      };
+    }
+    return {
+      ...parsed,
+      ...(message.bcc ? { bcc: message.bcc } : {}),
+      id: message.id,
+      uid: message.uid,
+      ...(message.uidValidity ? { uidValidity: message.uidValidity } : {}),
+      folderPath: message.folder,
+      flags: message.flags,
+      read: message.flags.includes("\\Seen"),
+    };
+  }
 
+  /**
+   * Mail already on this device for an account's folder, newest first,
+   * without asking the server: what was synced over IMAP or downloaded
+   * over POP3. Works offline and before the account has connected.
+   */
+  async getStoredEmails(accountConfig, folder) {
+    try {
+      const accountId = accountConfig?.id;
+      let messages = [];
+      let syncedAt = null;
+      if (this.isPop3Account(accountConfig)) {
+        messages = await localFolderStore.listMessages(
+          accountId,
+          folder.toUpperCase()
+        );
+      } else {
+        const folders = await messageStore.listFolders(accountId);
+        const match =
+          folder.toUpperCase() === "INBOX"
+            ? folders.find((entry) => entry.path === "INBOX") || {
+                path: "INBOX",
+              }
+            : findFolder(folders, folder);
+        if (match) {
+          messages = await messageStore.listMessages(accountId, match.path);
+          syncedAt = match.syncedAt || null;
+        }
+      }
       return {
         success: true,
-        messageId: messageId,
-        message: "Email sent successfully (Mock)",
+        emails: uniqueMessages(messages).map((message) =>
+          this.storedEmail(message)
+        ),
+        folder,
+        syncedAt,
       };
     } catch (error) {
-      console.error("Failed to send email:", error);
-      return {
-        success: false,
-        error: error.message,
-      };
+      console.error("Failed to read stored emails:", error);
+      return { success: false, error: error.message, emails: [] };
     }
   }
 
   /**
-   * Validate email data before sending
+   * Delete the mail an account keeps on this device, with its decrypted
+   * copies and search index entries
    */
-  validateEmailData(emailData) {
-    const required = ["to", "subject", "body"];
-    return required.every(
-      (field) => emailData[field] && emailData[field].toString().trim()
-    );
+  async removeStoredEmails(accountId) {
+    await Promise.all([
+      localFolderStore.removeAccount(accountId),
+      messageStore.removeAccount(accountId),
+      messageCache.removeAccount(accountId),
+      searchIndex.removeAccount(accountId),
+    ]);
   }
 
   /**
-   * Generate mock emails for demonstration
+   * Read a POP3 account's local folder, newest first; opening the INBOX
+   * downloads new mail from the server into it first
    */
-  generateMockEmails(folder, count) {
-    const emails = [];
-    const senders = [
-      "alice@example.com",
-      "bob@quantumtech.com",
-      "security@isro.gov.in",
-      "team@quantum-research.org",
-      "notifications@gmail.com",
-    ];
-
-    const subjects = [
-      "Quantum Key Distribution Test Results",
-      "Security Protocol Update",
-      "Meeting: QKD Implementation Review",
-      "New Quantum Keys Available",
-      "System Maintenance Notification",
-      "Research Paper: Post-Quantum Cryptography",
-      "Weekly Security Report",
-      "Quantum Communication Setup",
-      "Important: Security Configuration",
-      "Team Update: QuMail Development",
-    ];
-
-    for (let i = 0; i < count; i++) {
-      const timestamp = new Date();
-      timestamp.setHours(timestamp.getHours() - Math.floor(Math.random() * 72));
-
-      const email = {
-        id: `${folder.toLowerCase()}_${Date.now()}_${i}`,
-        from: senders[Math.floor(Math.random() * senders.length)],
-        to: ["user@qumail.local"],
-        cc: Math.random() > 0.7 ? ["cc@example.com"] : [],
-        subject: subjects[Math.floor(Math.random() * subjects.length)],
-        body: this.generateMockEmailBody(),
-        timestamp: timestamp,
-        encrypted: Math.random() > 0.5,
-        securityLevel: Math.random() > 0.5 ? "quantum_secure" : "quantum_aes",
-        quantumKeyId: Math.random() > 0.3 ? `QK_${Date.now()}_${i}` : null,
-        read: folder === "INBOX" ? Math.random() > 0.3 : true,
-        attachments: Math.random() > 0.7 ? [this.generateMockAttachment()] : [],
-        headers: {
-          "Message-ID": `<${Date.now()}.${i}@mock.qumail>`,
-          "X-QuMail-Security":
-            Math.random() > 0.5 ? "quantum-secured" : "standard",
-          "X-QuMail-Key-ID": `QK_${Date.now()}_${i}`,
-        },
-      };
-
-      emails.push(email);
+  async fetchLocalEmails(accountId, account, folder, { limit = 25 } = {}) {
+    const path = folder.toUpperCase();
+    if (path === "INBOX") {
+      try {
+        await this.retrievePop3(accountId, account);
+      } catch (error) {
+        // Mail downloaded earlier can still be read
+        console.error("POP3 retrieval failed:", error);
+      }
     }
 
-    return emails.sort((a, b) => b.timestamp - a.timestamp);
+    const messages = await localFolderStore.listMessages(accountId, path);
+    return messages.slice(0, limit).map((message) => this.storedEmail(message));
   }
 
   /**
-   * Generate mock email body content
+   * Download new POP3 mail into the local INBOX. Concurrent callers share
+   * one run, since the server locks the maildrop for each session.
    */
-  generateMockEmailBody() {
-    const templates = [
-      `Dear Team,
-
-I hope this email finds you well. I wanted to update you on our quantum key distribution implementation progress.
-
-The latest tests show excellent results with our QKD system. Key generation rates are within expected parameters, and the ETSI GS QKD 014 compliance is working perfectly.
+  retrievePop3(accountId, account) {
+    if (!account.retrieving) {
+      account.retrieving = this.runPop3Retrieval(accountId, account).finally(
+        () => {
+          account.retrieving = null;
+        }
+      );
+    }
+    return account.retrieving;
+  }
 
-Best regards,
-Alice`,
+  /**
+   * Download in batches until nothing new is left. Each batch is stored
+   * together with its UIDLs before anything is deleted from the server:
+   * unless the account leaves mail there, stored messages are deleted by
+   * the next session, so no message is lost if a response never arrives.
+   */
+  async runPop3Retrieval(accountId, account) {
+    const leaveOnServer = account.config.leaveOnServer !== false;
+    let state = await localFolderStore.getState(accountId);
+    let downloaded = 0;
+
+    for (;;) {
+      const result = await account.pop3.retrieve({
+        seen: state.seen,
+        remove: state.pendingDelete,
+        limit: POP3_BATCH_SIZE,
+      });
+      // UIDLs gone from the server never come back, so stop tracking them
+      const onServer = new Set(result.uids);
+      const uids = result.messages.map(({ uid }) => uid);
+      state = {
+        seen: [...state.seen.filter((uid) => onServer.has(uid)), ...uids],
+        pendingDelete: [
+          ...state.pendingDelete.filter((uid) => onServer.has(uid)),
+          ...(leaveOnServer ? [] : uids),
+        ],
+      };
+      await localFolderStore.addDownloaded(
+        accountId,
+        result.messages.map(({ uid, raw }) => ({
+          id: `${accountId}:pop3:${uid}`,
+          accountId,
+          folder: "INBOX",
+          uid,
+          raw,
+          flags: [],
+          receivedAt: this.messageDate(raw),
+        })),
+        state
+      );
+      downloaded += uids.length;
 
-      `Hello,
+      const idle = uids.length === 0 && result.deleted.length === 0;
+      if (idle || (result.remaining === 0 && !state.pendingDelete.length)) {
+        break;
+      }
+    }
 
-Please find the attached security report for this week. Notable points:
+    account.lastActivity = new Date();
+    if (downloaded > 0) {
+      console.log(
+        `Downloaded ${downloaded} messages over POP3 for ${accountId}`
+      );
+    }
+    return downloaded;
+  }
 
-• Quantum key utilization: 94%
-• Encryption success rate: 100%
-• No security incidents reported
-• System uptime: 99.8%
+  /**
+   * A message's Date header as an ISO string, or now if it has none
+   */
+  messageDate(raw) {
+    try {
+      return mimeService.parseMessage(raw).timestamp;
+    } catch {
+      return new Date().toISOString();
+    }
+  }
 
-The QuMail application is performing excellently with quantum-secured communications.
+  /**
+   * Map an app folder name onto the account's IMAP mailbox path, by
+   * special-use flag first and then by name
+   */
+  async resolveFolderPath(account, folder) {
+    if (folder.toUpperCase() === "INBOX") {
+      return "INBOX";
+    }
 
-Security Team`,
+    if (!account.folders) {
+      account.folders = await account.bridge.listFolders();
+    }
+    const match = findFolder(account.folders, folder);
+    if (!match) {
+      throw new Error(`Folder ${folder} does not exist on the mail server`);
+    }
+    return match.path;
+  }
 
-      `Hi everyone,
+  /**
+   * Follow an account's INBOX as the server pushes changes to it (IMAP IDLE
+   * through the bridge, or the mock mail server), calling onEvent for each;
+   * returns a function that stops, or null where nothing is pushed (POP3)
+   */
+  watchMail(accountId, onEvent) {
+    const account = this.accounts.get(accountId);
+    if (!account || account.pop3 || !account.bridge?.watch) {
+      return null;
+    }
+    return account.bridge.watch(onEvent);
+  }
 
-Quick reminder about our meeting tomorrow at 2 PM to discuss the QKD implementation review. We'll be covering:
+  /**
+   * Add and remove IMAP flags (e.g. \Seen) on a fetched message
+   * POP3 has no flags, so POP3 accounts keep them in their local folders.
+   * Messages only kept in the app (no UID) have nothing to update
+   */
+  async updateFlags(accountId, email, { add = [], remove = [] } = {}) {
+    try {
+      const account = this.accounts.get(accountId);
+      if (!account) {
+        throw new Error("Account not configured");
+      }
+      if (account.pop3) {
+        const flags = await localFolderStore.updateFlags(email.id, {
+          add,
+          remove,
+        });
+        return { success: true, flags };
+      }
+      if (!email.uid) {
+        return { success: true, flags: null };
+      }
 
-1. Current system performance
-2. Integration with email providers
-3. Security level configurations
-4. Future roadmap
+      const { flags } = await account.bridge.updateFlags(
+        email.folderPath,
+        email.uid,
+        { add, remove }
+      );
+      await messageStore.setFlags(
+        accountId,
+        email.folderPath,
+        email.uid,
+        flags
+      );
+      account.lastActivity = new Date();
+      return { success: true, flags };
+    } catch (error) {
+      console.error("Failed to update message flags:", error);
+      return {
+        success: false,
+        error: error.message,
+      };
+    }
+  }
 
-See you there!`,
+  /**
+   * Send email via SMTP
+   * The message is serialised exactly as it goes over the wire (Bcc is
+   * left out of it), as a Blob, and for backend-mode accounts uploaded to
+   * the backend as a stream behind a line of submission settings, with
+   * every recipient in the SMTP envelope. accepted and rejected report
+   * per-recipient delivery status; raw is the message Blob.
+   */
+  async sendEmail(accountId, emailData) {
+    try {
+      const account = this.accounts.get(accountId);
+      if (!account) {
+        throw new Error("Account not configured");
+      }
 
-      `System Notification:
+      // Validate email data
+      if (!this.validateEmailData(emailData)) {
+        throw new Error("Invalid email data");
+      }
 
-Quantum Key Manager maintenance scheduled for tonight between 2-4 AM IST. During this time:
+      const from = emailData.from || account.config.email;
+      // Signed mail already has the Message-ID its signature covers
+      const messageId = emailData.messageId || this.createMessageId(from);
+      const raw = await mimeService.serializeEmail({
+        ...emailData,
+        from,
+        messageId,
+        timestamp: emailData.timestamp || new Date().toISOString(),
+      });
+      const recipients = [
+        ...new Set(
+          [
+            ...(emailData.to || []),
+            ...(emailData.cc || []),
+            ...(emailData.bcc || []),
+          ].map((address) => address.trim())
+        ),
+      ];
 
-- New key generation will be temporarily unavailable
-- Existing keys remain valid
-- Email encryption will fall back to backup methods
+      if (account.mode === EMAIL_MODES.BACKEND) {
+        const smtp = account.config.smtp || {};
+        const oauth = this.isOAuthAccount(account.config);
+        const submit = async (refresh) => {
+          const settings = {
+            smtp: {
+              ...smtp,
+              username: smtp.username || account.config.email,
+              ...(oauth
+                ? await this.getOAuthCredentials(account.config, { refresh })
+                : {}),
+            },
+            envelope: { from, to: recipients },
+          };
+          return requestMailBackend(this.smtpUrl, {
+            method: "POST",
+            // JSON has no raw line breaks, so the first one ends the settings
+            body: new Blob([`${JSON.stringify(settings)}\n`, raw], {
+              type: SUBMISSION_TYPE,
+            }),
+            timeout:
+              SMTP_SUBMIT_TIMEOUT +
+              Math.ceil(raw.size / SMTP_UPLOAD_RATE) * 1000,
+          });
+        };
+
+        let result;
+        try {
+          result = await submit(false);
+        } catch (error) {
+          // The server's view of token expiry wins; refresh and retry once
+          if (!oauth || error.code !== "SMTP_AUTH_FAILED") {
+            throw error;
+          }
+          result = await submit(true);
+        }
+        account.lastActivity = new Date();
+        if (account.pop3) {
+          await this.keepSentCopy(
+            accountId,
+            messageId,
+            await raw.text(),
+            emailData.bcc
+          );
+        }
+
+        return {
+          success: true,
+          messageId,
+          raw,
+          accepted: result.accepted,
+          rejected: result.rejected,
+          message:
+            result.rejected.length > 0
+              ? `Email sent to ${result.accepted.length} of ${recipients.length} recipients`
+              : "Email sent successfully",
+        };
+      }
 
-No action required from users. Service will resume automatically.
+      console.log(`Sending email from account ${accountId} (Mock)`);
 
-QuMail System`,
-    ];
+      // Simulate sending delay
+      await new Promise((resolve) => setTimeout(resolve, 800));
 
-    return templates[Math.floor(Math.random() * templates.length)];
+      return {
+        success: true,
+        messageId: messageId,
+        raw,
+        accepted: recipients,
+        rejected: [],
+        message: "Email sent successfully (Mock)",
+      };
+    } catch (error) {
+      console.error("Failed to send email:", error);
+      return {
+        success: false,
+        error: error.message,
+        code: error.code,
+        // Set when the server refused every recipient
+        rejected: error.payload?.rejected || [],
+      };
+    }
   }
 
   /**
-   * Generate mock attachment
+   * File a sent message in a POP3 account's local Sent folder, under the
+   * Message-ID the composer uses for its own sent copy
    */
-  generateMockAttachment() {
-    const files = [
-      { name: "security-report.pdf", type: "application/pdf", size: 245760 },
-      { name: "quantum-keys.json", type: "application/json", size: 8192 },
-      { name: "diagram.png", type: "image/png", size: 156800 },
-      { name: "config.xml", type: "application/xml", size: 4096 },
-    ];
+  async keepSentCopy(accountId, messageId, raw, bcc = []) {
+    try {
+      await localFolderStore.addMessages([
+        {
+          id: messageId,
+          accountId,
+          folder: "SENT",
+          uid: null,
+          raw,
+          bcc,
+          flags: ["\\Seen"],
+          receivedAt: new Date().toISOString(),
+        },
+      ]);
+    } catch (error) {
+      // The message has gone out; only the local copy is missing
+      console.error("Failed to keep the sent copy:", error);
+    }
+  }
 
-    const file = files[Math.floor(Math.random() * files.length)];
+  /**
+   * New RFC 5322 Message-ID in the sender's domain
+   */
+  createMessageId(from) {
+    const domain = String(from).split("@")[1] || "qumail.local";
+    return `<${Date.now().toString(36)}.${bytesToHex(
+      randomBytes(8)
+    )}@${domain}>`;
+  }
 
-    return {
-      id: `att_${Date.now()}_${Math.random().toString(36).substring(2, 11)}`,
-      filename: file.name,
-      contentType: file.type,
-      size: file.size,
-      encrypted: Math.random() > 0.3,
-      data: `mock_data_${Date.now()}`, // In real implementation, this would be actual file data
-    };
+  /**
+   * Validate email data before sending
+   */
+  validateEmailData(emailData) {
+    const required = ["to", "subject", "body"];
+    return required.every(
+      (field) => emailData[field] && emailData[field].toString().trim()
+    );
   }
 
   /**
-   * Get folders for an account (Mock)
+   * Get folders for an account
    */
   async getFolders(accountId) {
     try {
@@ -320,36 +830,32 @@ QuMail System`,
         throw new Error("Account not configured");
       }
 
-      await new Promise((resolve) => setTimeout(resolve, 200));
-
-      // Standard email folders
-      const folders = [
-        { name: "INBOX", path: "INBOX", type: "inbox", unreadCount: 5 },
-        { name: "Sent", path: "INBOX.Sent", type: "sent", unreadCount: 0 },
-        {
-          name: "Drafts",
-          path: "INBOX.Drafts",
-          type: "drafts",
-          unreadCount: 0,
-        },
-        { name: "Trash", path: "INBOX.Trash", type: "trash", unreadCount: 0 },
-        {
-          name: "Quantum Secure",
-          path: "INBOX.QuantumSecure",
-          type: "custom",
-          unreadCount: 2,
-        },
-        {
-          name: "Archive",
-          path: "INBOX.Archive",
-          type: "custom",
-          unreadCount: 0,
-        },
-      ];
+      if (account.pop3) {
+        return {
+          success: true,
+          folders: await Promise.all(
+            LOCAL_FOLDERS.map(async (folder) => ({
+              ...folder,
+              unreadCount: (
+                await localFolderStore.listMessages(accountId, folder.path)
+              ).filter((message) => !message.flags.includes("\\Seen")).length,
+            }))
+          ),
+        };
+      }
 
+      account.folders = await account.bridge.listFolders();
       return {
         success: true,
-        folders: folders,
+        folders: account.folders.map((folder) => ({
+          name: folder.name,
+          path: folder.path,
+          type:
+            folder.path === "INBOX"
+              ? "inbox"
+              : folder.specialUse?.slice(1).toLowerCase() || "custom",
+          unreadCount: folder.unreadCount || 0,
+        })),
       };
     } catch (error) {
       return {
@@ -361,46 +867,16 @@ QuMail System`,
   }
 
   /**
-   * Search emails (Mock)
+   * Search the mail indexed on this device, of every account or only
+   * accountId's, with the query operators of the search index
    */
   async searchEmails(accountId, searchCriteria) {
     try {
-      console.log(
-        `Searching emails for account ${accountId} (Mock):`,
-        searchCriteria
+      const { results, total } = await searchIndex.search(
+        searchCriteria.query || "",
+        { accountId }
       );
-      await new Promise((resolve) => setTimeout(resolve, 400));
-
-      const allEmails = this.generateMockEmails("search", 50);
-      let filteredEmails = allEmails;
-
-      if (searchCriteria.query) {
-        const query = searchCriteria.query.toLowerCase();
-        filteredEmails = filteredEmails.filter(
-          (email) =>
-            email.subject.toLowerCase().includes(query) ||
-            email.body.toLowerCase().includes(query) ||
-            email.from.toLowerCase().includes(query)
-        );
-      }
-
-      if (searchCriteria.sender) {
-        filteredEmails = filteredEmails.filter((email) =>
-          email.from.toLowerCase().includes(searchCriteria.sender.toLowerCase())
-        );
-      }
-
-      if (searchCriteria.securityLevel) {
-        filteredEmails = filteredEmails.filter(
-          (email) => email.securityLevel === searchCriteria.securityLevel
-        );
-      }
-
-      return {
-        success: true,
-        emails: filteredEmails.slice(0, 20),
-        total: filteredEmails.length,
-      };
+      return { success: true, emails: results, total };
     } catch (error) {
       return {
         success: false,
@@ -411,7 +887,7 @@ QuMail System`,
   }
 
   /**
-   * Get connection status for an account (Mock)
+   * Get connection status for an account
    */
   getConnectionStatus(accountId) {
     const account = this.accounts.get(accountId);
@@ -425,17 +901,18 @@ QuMail System`,
         ? { status: "connected", lastActivity: account.lastActivity }
         : null,
       isConnected: Boolean(account),
-      mode: "mock",
+      mode: account?.mode || EMAIL_MODES.MOCK,
     };
   }
 
   /**
-   * Disconnect account (Mock)
+   * Disconnect account
    */
   async disconnectAccount(accountId) {
     try {
+      await this.accounts.get(accountId)?.bridge?.close();
       this.accounts.delete(accountId);
-      console.log(`Disconnected email account: ${accountId} (Mock)`);
+      console.log(`Disconnected email account: ${accountId}`);
       return { success: true };
     } catch (error) {
       return { success: false, error: error.message };
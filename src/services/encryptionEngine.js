@@ -3,9 +3,18 @@
  * Integrates quantum keys, multi-level security, and email compatibility
  */
 
-import { securityService } from "./securityService";
+import { securityService, IntegrityError } from "./securityService";
+import { throwIfAborted } from "./cryptoExecutor";
 import { kmService } from "./kmService";
 import { SECURITY_LEVELS } from "../types";
+import {
+  mimeService,
+  ENCRYPTED_BODY_NOTICE,
+  PROTECTED_SUBJECT_PLACEHOLDER,
+} from "./mimeService";
+import { base64ToBytes, bytesToBase64 } from "../utils/crypto";
+import { byteLength, createBlobWriter } from "../utils/streams";
+import { containerLength, containerSlice } from "../utils/container";
 
 class EncryptionEngine {
   constructor() {
@@ -38,6 +47,11 @@ class EncryptionEngine {
 
   /**
    * Encrypt email data (subject, body, attachments)
+   * One content-encryption key is obtained per message; every component is
+   * sealed under its own subkey (or One-Time Pad slice) of that key.
+   * options.onProgress receives { filename, processedBytes, totalBytes }
+   * while attachments are streamed through the cipher; options.signal
+   * cancels the work still running on the crypto workers
    */
   async encryptEmail(emailData, options = {}) {
     try {
@@ -53,33 +67,82 @@ class EncryptionEngine {
 
       console.log(`Encrypting email with security level: ${securityLevel}`);
 
+      // QuMail headers are authenticated alongside every component
+      const quMailHeaders = {
+        "X-QuMail-Encrypted": "true",
+        "X-QuMail-Security-Level": securityLevel,
+        "X-QuMail-Encryption-Id": encryptionId,
+        "X-QuMail-Version": "2.0",
+      };
+
+      // The real subject travels only inside the encrypted protected headers
+      const protectedHeaders = mimeService.serializeProtectedHeaders(emailData);
+      const body = emailData.body || "";
+      const attachments = emailData.attachments || [];
+
+      // A One-Time Pad must cover every component of the message
+      const otpLength = [
+        protectedHeaders,
+        body,
+        ...attachments.map((attachment) => attachment.data),
+      ].reduce((total, value) => total + byteLength(value), 0);
+
+      throwIfAborted(options.signal);
+      const messageKey = await securityService.createMessageKey(
+        securityLevel,
+        {
+          encryptionId,
+          otpLength,
+          // PQC message keys are wrapped to every recipient and to the sender
+          sender: emailData.from,
+          recipients: [
+            ...(emailData.to || []),
+            ...(emailData.cc || []),
+            ...(emailData.bcc || []),
+          ].filter(Boolean),
+        }
+      );
+
       // Encrypt email components
-      const encryptedSubject = await this.encryptSubject(
-        emailData.subject,
-        securityLevel
+      const encryptedHeaders = await this.encryptProtectedHeaders(
+        protectedHeaders,
+        messageKey,
+        quMailHeaders,
+        options
       );
       const encryptedBody = await this.encryptBody(
-        emailData.body,
-        securityLevel
+        body,
+        messageKey,
+        quMailHeaders,
+        options
+      );
+      const encryptedAttachments = await this.encryptAttachments(
+        attachments,
+        messageKey,
+        quMailHeaders,
+        options
       );
 
-      // Encrypt attachments if present
-      let encryptedAttachments = [];
-      if (emailData.attachments && emailData.attachments.length > 0) {
-        encryptedAttachments = await this.encryptAttachments(
-          emailData.attachments,
-          securityLevel
-        );
-      }
+      // All ciphertext travels in one container; components record their
+      // slice of it alongside their key material
+      const encryptedContent = this.buildContainer([
+        encryptedHeaders,
+        encryptedBody,
+        ...encryptedAttachments,
+      ]);
 
       // Create encryption metadata
       const encryptionMetadata = {
         encryptionId,
         securityLevel,
+        algorithm: messageKey.algorithm,
+        quantumKeyId: messageKey.quantumKeyId,
+        masterSaeId: messageKey.masterSaeId,
+        keyEnvelopes: messageKey.keyEnvelopes,
         timestamp: new Date().toISOString(),
-        version: "1.0",
+        version: "2.0",
         components: {
-          subject: encryptedSubject.metadata,
+          protectedHeaders: encryptedHeaders.metadata,
           body: encryptedBody.metadata,
           attachments: encryptedAttachments.map((att) => att.metadata),
         },
@@ -88,17 +151,16 @@ class EncryptionEngine {
       // Build encrypted email
       const encryptedEmail = {
         ...emailData,
-        subject: this.formatEncryptedSubject(encryptedSubject),
-        body: this.formatEncryptedBody(encryptedBody),
-        attachments: encryptedAttachments,
+        subject: this.formatEncryptedSubject(),
+        body: this.formatEncryptedBody(),
+        attachments: [],
         encrypted: true,
+        quantumKeyId: messageKey.quantumKeyId,
         encryptionMetadata,
+        encryptedContent,
         headers: {
           ...emailData.headers,
-          "X-QuMail-Encrypted": "true",
-          "X-QuMail-Security-Level": securityLevel,
-          "X-QuMail-Encryption-Id": encryptionId,
-          "X-QuMail-Version": "1.0",
+          ...quMailHeaders,
         },
       };
 
@@ -114,6 +176,7 @@ class EncryptionEngine {
       return {
         success: false,
         error: error.message,
+        errorCode: error.code || null,
       };
     }
   }
@@ -121,7 +184,7 @@ class EncryptionEngine {
   /**
    * Decrypt email data
    */
-  async decryptEmail(encryptedEmail, _options = {}) {
+  async decryptEmail(encryptedEmail, options = {}) {
     try {
       if (!this.isInitialized) {
         await this.initialize();
@@ -144,29 +207,44 @@ class EncryptionEngine {
         `Decrypting email with security level: ${encryptionMetadata.securityLevel}`
       );
 
+      const headers = encryptedEmail.headers || {};
+      const container = encryptedEmail.encryptedContent || "";
+
+      // The message key is fetched (or unwrapped) once for all components
+      const messageKey = await securityService.openMessageKey(
+        encryptionMetadata
+      );
+
       // Decrypt email components
-      const decryptedSubject = await this.decryptSubject(
-        encryptedEmail.subject,
-        encryptionMetadata.components.subject
+      const protectedHeaders = await this.decryptProtectedHeaders(
+        container,
+        messageKey,
+        encryptionMetadata.components.protectedHeaders,
+        headers,
+        options
       );
       const decryptedBody = await this.decryptBody(
-        encryptedEmail.body,
-        encryptionMetadata.components.body
+        container,
+        messageKey,
+        encryptionMetadata.components.body,
+        headers,
+        options
       );
 
-      // Decrypt attachments if present
-      let decryptedAttachments = [];
-      if (encryptedEmail.attachments && encryptedEmail.attachments.length > 0) {
-        decryptedAttachments = await this.decryptAttachments(
-          encryptedEmail.attachments,
-          encryptionMetadata.components.attachments
-        );
-      }
+      // Attachments are rebuilt from their metadata and container slices
+      const decryptedAttachments = await this.decryptAttachments(
+        container,
+        messageKey,
+        encryptionMetadata.components.attachments || [],
+        headers,
+        options
+      );
 
       // Build decrypted email
       const decryptedEmail = {
         ...encryptedEmail,
-        subject: decryptedSubject,
+        subject: protectedHeaders.subject,
+        protectedHeaders,
         body: decryptedBody,
         attachments: decryptedAttachments,
         encrypted: false,
@@ -186,66 +264,130 @@ class EncryptionEngine {
       return {
         success: false,
         error: error.message,
+        errorCode: error.code || null,
       };
     }
   }
 
   /**
-   * Encrypt email subject
+   * Recover just the protected subject of an encrypted email, for lists
+   * Body and attachments stay sealed; the message key is shared with a
+   * later decryptEmail of the same message
    */
-  async encryptSubject(subject, securityLevel) {
+  async decryptSubject(encryptedEmail, options = {}) {
     try {
-      // For subjects, we use a more compact encryption to maintain email compatibility
-      const encrypted = await securityService.encryptData(subject, {
-        securityLevel,
-      });
+      if (!this.isInitialized) {
+        await this.initialize();
+      }
 
-      return {
-        encryptedData: encrypted.encryptedData,
-        metadata: {
-          algorithm: encrypted.algorithm,
-          securityLevel: encrypted.securityLevel,
-          quantumKeyId: encrypted.quantumKeyId,
-          timestamp: encrypted.timestamp,
+      const encryptionMetadata = encryptedEmail.encryptionMetadata;
+      if (!encryptedEmail.encrypted || !encryptionMetadata) {
+        return { success: true, subject: encryptedEmail.subject };
+      }
+
+      const metadata = encryptionMetadata.components.protectedHeaders;
+      if (!metadata) {
+        throw new Error("Message has no protected headers");
+      }
+
+      const messageKey = await securityService.openMessageKey(
+        encryptionMetadata
+      );
+      const decrypted = await securityService.openComponent(
+        messageKey,
+        metadata.label,
+        {
+          ...metadata,
+          encryptedData: this.sliceContainer(
+            encryptedEmail.encryptedContent || "",
+            metadata
+          ),
         },
+        encryptedEmail.headers || {},
+        { signal: options.signal }
+      );
+
+      return {
+        success: true,
+        subject: mimeService.parseProtectedHeaders(decrypted).subject,
       };
     } catch (error) {
-      console.error("Subject encryption failed:", error);
-      throw error;
+      return {
+        success: false,
+        error: error.message,
+        errorCode: error.code || null,
+      };
     }
   }
 
   /**
-   * Decrypt email subject
+   * Encrypt the protected-headers block (real subject and addressing)
    */
-  async decryptSubject(encryptedSubject, metadata) {
+  async encryptProtectedHeaders(
+    protectedHeaders,
+    messageKey,
+    headers,
+    { signal } = {}
+  ) {
     try {
-      // Check if subject is actually encrypted (has QuMail prefix)
-      if (!encryptedSubject.startsWith("[QuMail-Encrypted]")) {
-        return encryptedSubject; // Not encrypted
-      }
+      const sealed = await securityService.sealComponent(
+        messageKey,
+        "protected-headers",
+        protectedHeaders,
+        headers,
+        { signal }
+      );
 
-      // Extract encrypted data
-      const encryptedData = encryptedSubject.replace("[QuMail-Encrypted] ", "");
+      return {
+        encryptedData: sealed.encryptedData,
+        metadata: this.componentMetadata("protected-headers", sealed),
+      };
+    } catch (error) {
+      console.error("Protected headers encryption failed:", error);
+      throw error;
+    }
+  }
 
-      const decrypted = await securityService.decryptData({
-        encryptedData,
-        securityLevel: metadata.securityLevel,
-        quantumKeyId: metadata.quantumKeyId,
-        algorithm: metadata.algorithm,
-      });
+  /**
+   * Decrypt the protected-headers block
+   * Returns the inner subject, from, to and cc
+   */
+  async decryptProtectedHeaders(
+    container,
+    messageKey,
+    metadata,
+    headers = {},
+    { signal } = {}
+  ) {
+    try {
+      if (!metadata) {
+        throw new Error("Message has no protected headers");
+      }
 
-      return decrypted.data;
+      const decrypted = await securityService.openComponent(
+        messageKey,
+        metadata.label,
+        {
+          ...metadata,
+          encryptedData: this.sliceContainer(container, metadata),
+        },
+        headers,
+        { signal }
+      );
+      return mimeService.parseProtectedHeaders(decrypted);
     } catch (error) {
-      console.error("Subject decryption failed:", error);
-      return "[Decryption Failed]";
+      console.error("Protected headers decryption failed:", error);
+      if (this.isFatalDecryptionError(error)) {
+        throw error;
+      }
+      return { subject: "[Decryption Failed]", from: "", to: [], cc: [] };
     }
   }
 
   /**
    * Encrypt email body
    */
-  async encryptBody(body, securityLevel) {
+  async encryptBody(body, messageKey, headers, { signal } = {}) {
     try {
       // Detect if body is HTML or plain text
       const isHtml =
@@ -253,17 +395,18 @@ class EncryptionEngine {
         body.includes("<body>") ||
         body.includes("<div>");
 
-      const encrypted = await securityService.encryptData(body, {
-        securityLevel,
-      });
+      const sealed = await securityService.sealComponent(
+        messageKey,
+        "body",
+        body,
+        headers,
+        { signal }
+      );
 
       return {
-        encryptedData: encrypted.encryptedData,
+        encryptedData: sealed.encryptedData,
         metadata: {
-          algorithm: encrypted.algorithm,
-          securityLevel: encrypted.securityLevel,
-          quantumKeyId: encrypted.quantumKeyId,
-          timestamp: encrypted.timestamp,
+          ...this.componentMetadata("body", sealed),
           isHtml,
           originalSize: body.length,
         },
@@ -277,83 +420,87 @@ class EncryptionEngine {
   /**
    * Decrypt email body
    */
-  async decryptBody(encryptedBody, metadata) {
+  async decryptBody(container, messageKey, metadata, headers = {}, options = {}) {
     try {
-      // Check if body is actually encrypted
-      if (!encryptedBody.includes("QuMail-Encrypted-Body")) {
-        return encryptedBody; // Not encrypted
-      }
-
-      // Extract encrypted data from the formatted body
-      const match = encryptedBody.match(/QuMail-Encrypted-Body:\s*([^<]+)/);
-      if (!match) {
-        throw new Error("Invalid encrypted body format");
-      }
-
-      const encryptedData = match[1].trim();
-
-      const decrypted = await securityService.decryptData({
-        encryptedData,
-        securityLevel: metadata.securityLevel,
-        quantumKeyId: metadata.quantumKeyId,
-        algorithm: metadata.algorithm,
-      });
-
-      return decrypted.data;
+      return await securityService.openComponent(
+        messageKey,
+        metadata.label,
+        {
+          ...metadata,
+          encryptedData: this.sliceContainer(container, metadata),
+        },
+        headers,
+        { signal: options.signal }
+      );
     } catch (error) {
       console.error("Body decryption failed:", error);
+      if (this.isFatalDecryptionError(error)) {
+        throw error;
+      }
       return "<p><strong>Decryption Failed:</strong> Unable to decrypt email body.</p>";
     }
   }
 
   /**
    * Encrypt email attachments
+   * Each attachment is streamed through the cipher in fixed-size chunks and
+   * its sealed chunks go into a Blob as they are sealed, so large files are
+   * never held as a list of buffers, base64-encoded or copied whole.
+   * A failure aborts the send: attachments are never sent in the clear
    */
-  async encryptAttachments(attachments, securityLevel) {
+  async encryptAttachments(
+    attachments,
+    messageKey,
+    headers,
+    { signal, onProgress } = {}
+  ) {
     const encryptedAttachments = [];
+    const totalBytes = attachments.reduce(
+      (total, attachment) => total + byteLength(attachment.data),
+      0
+    );
+    let doneBytes = 0;
 
-    for (const attachment of attachments) {
+    for (const [index, attachment] of attachments.entries()) {
       try {
         console.log(`Encrypting attachment: ${attachment.filename}`);
 
-        // Convert attachment data to string if it's binary
-        let attachmentData = attachment.data;
-        if (attachment.data instanceof ArrayBuffer) {
-          attachmentData = this.arrayBufferToBase64(attachment.data);
-        }
-
-        // Encrypt the attachment data
-        const encrypted = await securityService.encryptData(attachmentData, {
-          securityLevel,
-        });
+        const label = `attachment:${index}`;
+        const ciphertext = createBlobWriter();
+        const sealed = await securityService.sealStream(
+          messageKey,
+          label,
+          attachment.data,
+          headers,
+          {
+            signal,
+            onChunk: (chunk) => ciphertext.append(chunk),
+            onProgress: (processedBytes) =>
+              onProgress?.({
+                filename: attachment.filename,
+                processedBytes: doneBytes + processedBytes,
+                totalBytes,
+              }),
+          }
+        );
+        doneBytes += byteLength(attachment.data);
 
-        const encryptedAttachment = {
-          ...attachment,
-          data: encrypted.encryptedData,
-          encrypted: true,
+        encryptedAttachments.push({
+          ciphertext: ciphertext.toBlob(),
           metadata: {
-            algorithm: encrypted.algorithm,
-            securityLevel: encrypted.securityLevel,
-            quantumKeyId: encrypted.quantumKeyId,
-            timestamp: encrypted.timestamp,
+            ...this.componentMetadata(label, sealed),
+            stream: sealed.stream,
+            filename: attachment.filename,
             originalSize: attachment.size,
             originalContentType: attachment.contentType,
           },
-        };
-
-        encryptedAttachments.push(encryptedAttachment);
+        });
       } catch (error) {
         console.error(
           `Failed to encrypt attachment ${attachment.filename}:`,
           error
         );
-
-        // Add unencrypted attachment with error note
-        encryptedAttachments.push({
-          ...attachment,
-          encrypted: false,
-          encryptionError: error.message,
-        });
+        throw error;
       }
     }
 
@@ -363,51 +510,62 @@ class EncryptionEngine {
   /**
    * Decrypt email attachments
    */
-  async decryptAttachments(encryptedAttachments, metadataArray) {
+  async decryptAttachments(
+    container,
+    messageKey,
+    metadataArray,
+    headers = {},
+    { signal, onProgress } = {}
+  ) {
     const decryptedAttachments = [];
-
-    for (let i = 0; i < encryptedAttachments.length; i++) {
-      const attachment = encryptedAttachments[i];
-      const metadata = metadataArray[i];
+    const totalBytes = metadataArray.reduce(
+      (total, metadata) => total + (metadata.originalSize || 0),
+      0
+    );
+    let doneBytes = 0;
+
+    for (const [index, metadata] of metadataArray.entries()) {
+      const attachment = {
+        id: `att_${index}_${Date.now()}`,
+        filename: metadata.filename || `attachment-${index + 1}`,
+        contentType: metadata.originalContentType || "application/octet-stream",
+        size: metadata.originalSize || 0,
+      };
 
       try {
-        if (!attachment.encrypted) {
-          decryptedAttachments.push(attachment);
-          continue;
-        }
-
         console.log(`Decrypting attachment: ${attachment.filename}`);
 
-        const decrypted = await securityService.decryptData({
-          encryptedData: attachment.data,
-          securityLevel: metadata.securityLevel,
-          quantumKeyId: metadata.quantumKeyId,
-          algorithm: metadata.algorithm,
-        });
-
-        // Convert back to ArrayBuffer if needed
-        let decryptedData = decrypted.data;
-        if (
-          metadata.originalContentType &&
-          !metadata.originalContentType.startsWith("text/")
-        ) {
-          decryptedData = this.base64ToArrayBuffer(decrypted.data);
-        }
+        const decrypted = await securityService.openStream(
+          messageKey,
+          metadata.label,
+          metadata,
+          this.sliceContainerBytes(container, metadata),
+          headers,
+          {
+            signal,
+            onProgress: (processedBytes) =>
+              onProgress?.({
+                filename: attachment.filename,
+                processedBytes: doneBytes + processedBytes,
+                totalBytes,
+              }),
+          }
+        );
+        doneBytes += attachment.size;
 
-        const decryptedAttachment = {
+        decryptedAttachments.push({
           ...attachment,
-          data: decryptedData,
+          data: decrypted.buffer,
           encrypted: false,
-          contentType: metadata.originalContentType || attachment.contentType,
-          size: metadata.originalSize || attachment.size,
-        };
-
-        decryptedAttachments.push(decryptedAttachment);
+        });
       } catch (error) {
         console.error(
           `Failed to decrypt attachment ${attachment.filename}:`,
           error
         );
+        if (error.name === "AbortError") {
+          throw error;
+        }
 
         // Add attachment with error note
         decryptedAttachments.push({
@@ -421,39 +579,86 @@ class EncryptionEngine {
   }
 
   /**
-   * Format encrypted subject for email compatibility
+   * Errors that must fail the whole decryption rather than one component
    */
-  formatEncryptedSubject(encryptedSubject) {
-    return `[QuMail-Encrypted] ${encryptedSubject.encryptedData.substring(
-      0,
-      50
-    )}...`;
+  isFatalDecryptionError(error) {
+    return error instanceof IntegrityError || error.name === "AbortError";
   }
 
   /**
-   * Format encrypted body for email compatibility
+   * Per-component metadata: the subkey label plus either the AES-GCM IV or
+   * the component's One-Time Pad slice
    */
-  formatEncryptedBody(encryptedBody) {
-    return `
-<html>
-<body>
-  <div style="font-family: Arial, sans-serif; padding: 20px; background-color: #f0f8ff; border: 1px solid #4169e1; border-radius: 8px;">
-    <h3 style="color: #4169e1; margin-top: 0;">🔒 QuMail Encrypted Message</h3>
-    <p style="color: #333;">This message is encrypted with quantum security technology.</p>
-    <p style="color: #666; font-size: 12px;">
-      <strong>Security Level:</strong> ${encryptedBody.metadata.securityLevel}<br>
-      <strong>Algorithm:</strong> ${encryptedBody.metadata.algorithm}<br>
-      <strong>Encrypted:</strong> ${encryptedBody.metadata.timestamp}
-    </p>
-    <div style="background-color: #fff; padding: 10px; border-radius: 4px; font-family: monospace; word-break: break-all; font-size: 11px;">
-      QuMail-Encrypted-Body: ${encryptedBody.encryptedData}
-    </div>
-    <p style="color: #666; font-size: 11px; margin-bottom: 0;">
-      Open with QuMail to decrypt and view the original message.
-    </p>
-  </div>
-</body>
-</html>`;
+  componentMetadata(label, sealed) {
+    const metadata = { label };
+    if (sealed.iv) {
+      metadata.iv = sealed.iv;
+    }
+    if (sealed.offset !== undefined) {
+      metadata.offset = sealed.offset;
+      metadata.length = sealed.length;
+    }
+    return metadata;
+  }
+
+  /**
+   * Lay component ciphertexts out as the message's encrypted content: a
+   * Blob of them, never joined into one buffer (see utils/container). Each
+   * component's metadata gains its dataOffset/dataLength in it
+   */
+  buildContainer(components) {
+    // Streamed attachments arrive as Blobs, other components as base64
+    const parts = components.map(
+      (component) =>
+        component.ciphertext || base64ToBytes(component.encryptedData)
+    );
+
+    let offset = 0;
+    parts.forEach((part, index) => {
+      const metadata = components[index].metadata;
+      metadata.dataOffset = offset;
+      offset += byteLength(part);
+      metadata.dataLength = offset - metadata.dataOffset;
+    });
+
+    return new Blob(parts);
+  }
+
+  /**
+   * A component's ciphertext, base64 encoded, cut from the container
+   */
+  sliceContainer(container, metadata) {
+    return bytesToBase64(this.sliceContainerBytes(container, metadata));
+  }
+
+  /**
+   * A component's ciphertext bytes, decoded on their own from a parsed
+   * container
+   */
+  sliceContainerBytes(container, metadata) {
+    const { dataOffset, dataLength } = metadata;
+    if (
+      dataOffset === undefined ||
+      dataLength === undefined ||
+      dataOffset + dataLength > containerLength(container)
+    ) {
+      throw new Error(`Encrypted content is missing ${metadata.label}`);
+    }
+    return containerSlice(container, dataOffset, dataLength);
+  }
+
+  /**
+   * Neutral outer subject for encrypted mail
+   */
+  formatEncryptedSubject() {
+    return PROTECTED_SUBJECT_PLACEHOLDER;
+  }
+
+  /**
+   * Plain-text body shown by clients that cannot read multipart/encrypted
+   */
+  formatEncryptedBody() {
+    return ENCRYPTED_BODY_NOTICE;
   }
 
   /**
@@ -509,25 +714,6 @@ class EncryptionEngine {
     };
   }
 
-  // Utility methods
-
-  arrayBufferToBase64(buffer) {
-    const bytes = new Uint8Array(buffer);
-    const binary = Array.from(bytes, (byte) => String.fromCharCode(byte)).join(
-      ""
-    );
-    return btoa(binary);
-  }
-
-  base64ToArrayBuffer(base64) {
-    const binary = atob(base64);
-    const bytes = new Uint8Array(binary.length);
-    for (let i = 0; i < binary.length; i++) {
-      bytes[i] = binary.charCodeAt(i);
-    }
-    return bytes.buffer;
-  }
-
   /**
    * Generate encryption report for audit
    */
@@ -540,7 +726,9 @@ class EncryptionEngine {
       componentsEncrypted: {
         subject: true,
         body: true,
-        attachments: encryptionResult.encryptedEmail?.attachments?.length || 0,
+        attachments:
+          encryptionResult.encryptedEmail?.encryptionMetadata?.components
+            ?.attachments?.length || 0,
       },
       error: encryptionResult.error || null,
     };
@@ -0,0 +1,292 @@
+/**
+ * ETSI GS QKD 014 REST client
+ * Talks to a real Key Manager over the routes in KM_API_ENDPOINTS, either
+ * directly with fetch or, when the config carries client certificates,
+ * through the backend mTLS gateway (browsers cannot present them)
+ */
+
+import { KM_API_ENDPOINTS } from "../types";
+
+/**
+ * Structured error for failed KM requests, parsed from ETSI error bodies
+ * ({ message, details: [...] }) or from the transport failure
+ */
+export class KMError extends Error {
+  constructor(message, { status = null, code = "KM_ERROR", details = [] } = {}) {
+    super(message);
+    this.name = "KMError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+export class EtsiKmClient {
+  constructor({
+    endpoint,
+    saeId,
+    apiKey = "",
+    timeout = 10000,
+    gateway = null,
+  }) {
+    this.endpoint = endpoint.replace(/\/+$/, "");
+    this.saeId = saeId;
+    this.apiKey = apiKey;
+    this.timeout = timeout;
+    // { url, agentId, tls } when requests go through the mTLS gateway
+    this.gateway = gateway;
+    this.gatewayRegistration = null;
+    // Proves to the gateway that the registered agent is ours
+    this.gatewayToken = null;
+  }
+
+  /**
+   * Substitute {placeholders} in an ETSI route template
+   */
+  buildPath(template, params) {
+    return template.replace(/\{(\w+)\}/g, (_, name) =>
+      encodeURIComponent(params[name])
+    );
+  }
+
+  /**
+   * Perform a request and return the parsed JSON body
+   */
+  async request(method, template, params, body) {
+    const path = this.buildPath(template, params);
+    const headers = { Accept: "application/json" };
+    if (body !== undefined) {
+      headers["Content-Type"] = "application/json";
+    }
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const payload = body !== undefined ? JSON.stringify(body) : undefined;
+    const response = this.gateway
+      ? await this.sendViaGateway(method, path, headers, payload)
+      : await this.send(`${this.endpoint}${path}`, {
+          method,
+          headers,
+          body: payload,
+        });
+
+    return this.parseResponse(response);
+  }
+
+  /**
+   * fetch with the client timeout, mapping transport failures to KMError
+   */
+  async send(url, init, target = this.endpoint) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.timeout);
+
+    try {
+      return await fetch(url, { ...init, signal: controller.signal });
+    } catch (error) {
+      throw new KMError(
+        error.name === "AbortError"
+          ? `KM request timed out after ${this.timeout}ms`
+          : `KM unreachable at ${target}: ${error.message}`,
+        { code: error.name === "AbortError" ? "KM_TIMEOUT" : "KM_UNREACHABLE" }
+      );
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Register this config's endpoint and TLS material with the gateway
+   */
+  registerWithGateway() {
+    if (!this.gatewayRegistration) {
+      this.gatewayRegistration = this.send(
+        this.gatewayAgentUrl(),
+        {
+          method: "PUT",
+          headers: {
+            "Content-Type": "application/json",
+            ...this.gatewayAuthorization(),
+          },
+          body: JSON.stringify({
+            endpoint: this.endpoint,
+            tls: this.gateway.tls,
+          }),
+        },
+        this.gateway.url
+      )
+        .then((response) => this.parseGatewayResponse(response))
+        .then(({ token }) => {
+          this.gatewayToken = token;
+        })
+        .catch((error) => {
+          this.gatewayRegistration = null;
+          throw error;
+        });
+    }
+    return this.gatewayRegistration;
+  }
+
+  /**
+   * Authorization header for our agent on the gateway, once registered
+   */
+  gatewayAuthorization() {
+    return this.gatewayToken
+      ? { Authorization: `Bearer ${this.gatewayToken}` }
+      : {};
+  }
+
+  /**
+   * URL of this client's agent on the gateway
+   */
+  gatewayAgentUrl() {
+    return `${this.gateway.url}/agents/${encodeURIComponent(
+      this.gateway.agentId
+    )}`;
+  }
+
+  /**
+   * Relay a request through the gateway and unwrap the KM response
+   * A gateway restart forgets agents, so an unknown agent re-registers once
+   */
+  async sendViaGateway(method, path, headers, body, retried = false) {
+    await this.registerWithGateway();
+
+    const response = await this.send(
+      `${this.gatewayAgentUrl()}/request`,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...this.gatewayAuthorization(),
+        },
+        body: JSON.stringify({ method, path, headers, body }),
+      },
+      this.gateway.url
+    );
+
+    try {
+      const envelope = await this.parseGatewayResponse(response);
+      return new Response(envelope.body || null, { status: envelope.status });
+    } catch (error) {
+      if (error.code === "KM_GATEWAY_UNKNOWN_AGENT" && !retried) {
+        this.gatewayRegistration = null;
+        return this.sendViaGateway(method, path, headers, body, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Parse a gateway response; gateway failures (TLS errors, bad client
+   * material) carry their own error code
+   */
+  async parseGatewayResponse(response) {
+    const text = await response.text();
+    let payload = null;
+    try {
+      payload = text ? JSON.parse(text) : null;
+    } catch {
+      payload = { message: text };
+    }
+
+    if (!response.ok) {
+      throw new KMError(
+        payload?.message || `KM gateway failed with HTTP ${response.status}`,
+        { status: response.status, code: payload?.code || "KM_GATEWAY_ERROR" }
+      );
+    }
+    return payload;
+  }
+
+  /**
+   * Drop the gateway agent held for this client, if any
+   */
+  async close() {
+    if (!this.gateway || !this.gatewayRegistration) {
+      return;
+    }
+    const headers = this.gatewayAuthorization();
+    this.gatewayRegistration = null;
+    this.gatewayToken = null;
+    try {
+      await this.send(this.gatewayAgentUrl(), { method: "DELETE", headers });
+    } catch (error) {
+      console.error("Failed to release KM gateway agent:", error);
+    }
+  }
+
+  /**
+   * Parse a KM response, turning ETSI error bodies into KMError
+   */
+  async parseResponse(response) {
+    let payload = null;
+    const text = await response.text();
+    if (text) {
+      try {
+        payload = JSON.parse(text);
+      } catch {
+        payload = { message: text };
+      }
+    }
+
+    if (!response.ok) {
+      const codes = {
+        400: "KM_BAD_REQUEST",
+        401: "KM_UNAUTHORIZED",
+        503: "KM_UNAVAILABLE",
+      };
+      throw new KMError(
+        payload?.message || `KM request failed with HTTP ${response.status}`,
+        {
+          status: response.status,
+          code: codes[response.status] || "KM_ERROR",
+          details: Array.isArray(payload?.details) ? payload.details : [],
+        }
+      );
+    }
+
+    return payload;
+  }
+
+  /**
+   * GET /api/v1/keys/{slave_SAE_ID}/status
+   */
+  getStatus(slaveSaeId) {
+    return this.request("GET", KM_API_ENDPOINTS.GET_STATUS, {
+      slave_SAE_ID: slaveSaeId,
+    });
+  }
+
+  /**
+   * POST /api/v1/keys/{slave_SAE_ID}/enc_keys
+   */
+  getEncKeys(slaveSaeId, { number = 1, size, additionalSlaveSaeIds } = {}) {
+    const body = { number };
+    if (size) {
+      body.size = size;
+    }
+    if (additionalSlaveSaeIds && additionalSlaveSaeIds.length > 0) {
+      body.additional_slave_SAE_IDs = additionalSlaveSaeIds;
+    }
+
+    return this.request(
+      "POST",
+      KM_API_ENDPOINTS.ENCODE_KEY,
+      { slave_SAE_ID: slaveSaeId },
+      body
+    );
+  }
+
+  /**
+   * POST /api/v1/keys/{master_SAE_ID}/dec_keys
+   */
+  getDecKeys(masterSaeId, keyIds) {
+    return this.request(
+      "POST",
+      KM_API_ENDPOINTS.DECODE_KEY,
+      { master_SAE_ID: masterSaeId },
+      { key_IDs: keyIds.map((keyId) => ({ key_ID: keyId })) }
+    );
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * Folder sync
+ * Brings the message store's copy of a folder up to date with what the
+ * server reports changed since the last sync (listChanges of the IMAP
+ * bridge client or the mock mail server). Only UIDs above the highest one
+ * synced are downloaded, flags are updated from the server's, and messages
+ * no longer on the server are dropped. A new UID whose Message-ID is
+ * already stored, as when mail is moved back or delivered twice, takes
+ * the stored copy instead of being downloaded again.
+ */
+
+import { messageStore } from "./messageStore";
+
+const DEFAULT_LIMIT = 25;
+
+/**
+ * A Message-ID without its angle brackets, for comparing
+ */
+const messageIdKey = (messageId) =>
+  messageId ? messageId.trim().replace(/^<|>$/g, "") : null;
+
+const sameFlags = (a, b) => [...a].sort().join(" ") === [...b].sort().join(" ");
+
+/**
+ * Messages listed once per Message-ID, keeping the first (the newest when
+ * they are listed newest first); messages without one are all kept
+ */
+export function uniqueMessages(messages) {
+  const seen = new Set();
+  return messages.filter((message) => {
+    const key = messageIdKey(message.messageId);
+    if (!key) return true;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+export class FolderSync {
+  constructor(store = messageStore) {
+    this.store = store;
+    // accountId + path -> the sync in progress
+    this.running = new Map();
+  }
+
+  /**
+   * Sync one folder ({ path, name, specialUse }) of an account from
+   * source; a sync of a folder already in progress is shared
+   * -> { added, updated, removed, reconciled, remaining }
+   */
+  sync(accountId, source, folder, options = {}) {
+    const key = `${accountId}\u0000${folder.path}`;
+    if (!this.running.has(key)) {
+      this.running.set(
+        key,
+        this.run(accountId, source, folder, options).finally(() =>
+          this.running.delete(key)
+        )
+      );
+    }
+    return this.running.get(key);
+  }
+
+  /**
+   * A first sync stores the newest limit messages; later ones ask for the
+   * changes since the highest UID and HIGHESTMODSEQ synced, in rounds of
+   * limit new messages until none are left
+   */
+  async run(accountId, source, folder, { limit = DEFAULT_LIMIT } = {}) {
+    const summary = {
+      added: 0,
+      updated: 0,
+      removed: 0,
+      reconciled: 0,
+      remaining: 0,
+    };
+    let state = await this.store.getFolder(accountId, folder.path);
+    if (state && state.highestUid === undefined) {
+      // Stored before folders were synced incrementally
+      const stored = await this.store.listMessages(accountId, folder.path);
+      state = {
+        ...state,
+        highestUid: Math.max(0, ...stored.map((message) => message.uid)),
+      };
+    }
+    let changes = await source.listChanges(
+      folder.path,
+      state
+        ? { uid: state.highestUid, modseq: state.highestModseq, limit }
+        : { limit }
+    );
+    // UIDs only identify messages within one UIDVALIDITY
+    let reset = Boolean(state) && state.uidValidity !== changes.uidValidity;
+    if (reset) {
+      state = null;
+      changes = await source.listChanges(folder.path, { limit });
+    }
+
+    for (;;) {
+      const stored = state
+        ? await this.store.listMessages(accountId, folder.path)
+        : [];
+      const byUid = new Map(stored.map((message) => [message.uid, message]));
+      const byMessageId = new Map(
+        stored
+          .filter((message) => message.messageId)
+          .map((message) => [messageIdKey(message.messageId), message])
+      );
+
+      const onServer = new Set(changes.uids);
+      const removed = stored
+        .filter((message) => !onServer.has(message.uid))
+        .map((message) => message.uid);
+
+      const updated = changes.flags
+        .map(({ uid, flags }) => ({ message: byUid.get(uid), flags }))
+        .filter(
+          ({ message, flags }) => message && !sameFlags(message.flags, flags)
+        )
+        .map(({ message, flags }) => ({ ...message, flags }));
+
+      let failedUid = null;
+      const added = await Promise.all(
+        changes.messages.map(async (header) => {
+          const record = {
+            // Stable across syncs while the folder keeps its UIDVALIDITY
+            id: `${accountId}:${folder.path}:${changes.uidValidity}:${header.uid}`,
+            uid: header.uid,
+            uidValidity: changes.uidValidity,
+            messageId: header.messageId,
+            flags: header.flags,
+            size: header.size,
+            receivedAt: header.internalDate,
+          };
+          const copy = byMessageId.get(messageIdKey(header.messageId));
+          if (copy) {
+            summary.reconciled++;
+            return { ...record, raw: copy.raw };
+          }
+          try {
+            const message = await source.fetchMessage(folder.path, header.uid);
+            return { ...record, raw: message.raw, flags: message.flags };
+          } catch (error) {
+            console.error(
+              `Failed to load message ${header.uid} in ${folder.path}:`,
+              error
+            );
+            failedUid = Math.min(failedUid ?? header.uid, header.uid);
+            return null;
+          }
+        })
+      );
+      const fetched = added.filter(Boolean);
+
+      // A message that failed to download is asked for again next time
+      const listedUids = changes.messages.map(({ uid }) => uid);
+      const highestUid =
+        failedUid !== null
+          ? Math.max(state?.highestUid || 0, failedUid - 1)
+          : Math.max(state?.highestUid || 0, ...listedUids);
+
+      state = {
+        path: folder.path,
+        name: folder.name || folder.path,
+        specialUse: folder.specialUse || null,
+        uidValidity: changes.uidValidity,
+        highestModseq: changes.highestModseq || null,
+        highestUid,
+        uidNext: changes.uidNext,
+        total: changes.total,
+        syncedAt: new Date().toISOString(),
+      };
+      await this.store.saveFolder(accountId, state, [...updated, ...fetched], {
+        reset,
+        remove: removed,
+      });
+      reset = false;
+
+      summary.added += fetched.length;
+      summary.updated += updated.length;
+      summary.removed += removed.length;
+      summary.remaining = changes.remaining || 0;
+      if (!changes.remaining || failedUid !== null) {
+        return summary;
+      }
+      changes = await source.listChanges(folder.path, {
+        uid: highestUid,
+        modseq: state.highestModseq,
+        limit,
+      });
+    }
+  }
+}
+
+// Export singleton instance
+export const folderSync = new FolderSync();
@@ -0,0 +1,300 @@
+/**
+ * IMAP bridge client
+ * Reads mail through the backend IMAP bridge (server/routes/imapBridge.js),
+ * which holds the IMAP session the browser cannot open itself. The account
+ * is registered on first use and again if the backend has forgotten it.
+ * New mail is pushed from the bridge's IDLE session as server-sent events.
+ * requestMailBackend is shared with SMTP submission.
+ */
+
+// Before an event stream the bridge refused is opened again
+const WATCH_RETRY_DELAY = 30000;
+const WATCH_EVENTS = ["ready", "mailbox", "error"];
+
+/**
+ * Structured error for failed bridge requests
+ */
+export class MailBridgeError extends Error {
+  constructor(
+    message,
+    { status = null, code = "IMAP_ERROR", payload = null } = {}
+  ) {
+    super(message);
+    this.name = "MailBridgeError";
+    this.status = status;
+    this.code = code;
+    // Error body from the backend, e.g. the rejected recipients
+    this.payload = payload;
+  }
+}
+
+/**
+ * fetch a mail backend route with a timeout, mapping transport failures
+ * to MailBridgeError and error bodies to their backend code. A Blob body
+ * is uploaded as it is, read as it is sent; any other body is sent as JSON
+ */
+export async function requestMailBackend(
+  url,
+  { method = "GET", body, headers = {}, timeout = 30000 } = {}
+) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), timeout);
+  const json = body !== undefined && !(body instanceof Blob);
+
+  let response;
+  try {
+    response = await fetch(url, {
+      method,
+      headers: {
+        ...headers,
+        ...(json && { "Content-Type": "application/json" }),
+        Accept: "application/json",
+      },
+      body: json ? JSON.stringify(body) : body,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    throw new MailBridgeError(
+      error.name === "AbortError"
+        ? `Mail backend timed out after ${timeout}ms`
+        : `Mail backend unreachable at ${new URL(url).origin}: ${
+            error.message
+          }`,
+      {
+        code:
+          error.name === "AbortError"
+            ? "MAIL_BACKEND_TIMEOUT"
+            : "MAIL_BACKEND_UNREACHABLE",
+      }
+    );
+  } finally {
+    clearTimeout(timer);
+  }
+
+  const text = await response.text();
+  let payload = null;
+  try {
+    payload = text ? JSON.parse(text) : null;
+  } catch {
+    payload = { message: text };
+  }
+
+  if (!response.ok) {
+    throw new MailBridgeError(
+      payload?.message || `Mail backend failed with HTTP ${response.status}`,
+      { status: response.status, code: payload?.code || "IMAP_ERROR", payload }
+    );
+  }
+  return payload;
+}
+
+export class ImapBridgeClient {
+  constructor({ url, accountId, imap, credentials = null, timeout = 30000 }) {
+    this.url = url.replace(/\/+$/, "");
+    this.accountId = accountId;
+    // { host, port, secure, username, password }
+    this.imap = imap;
+    // OAuth2 accounts: async ({ refresh }) => ({ accessToken }), asked on
+    // every registration instead of keeping a password in imap
+    this.credentials = credentials;
+    this.timeout = timeout;
+    this.registration = null;
+    // The bridge session belongs to whoever holds this, from registering
+    this.token = null;
+  }
+
+  /**
+   * URL of this account on the bridge
+   */
+  accountUrl() {
+    return `${this.url}/accounts/${encodeURIComponent(this.accountId)}`;
+  }
+
+  folderUrl(folder) {
+    return `${this.accountUrl()}/folders/${encodeURIComponent(folder)}`;
+  }
+
+  send(url, { method = "GET", body } = {}) {
+    return requestMailBackend(url, {
+      method,
+      body,
+      headers: this.token ? { Authorization: `Bearer ${this.token}` } : {},
+      timeout: this.timeout,
+    });
+  }
+
+  /**
+   * Register the account's IMAP settings; the bridge logs in to check them
+   */
+  register() {
+    if (!this.registration) {
+      this.registration = this.sendRegistration().catch((error) => {
+        this.registration = null;
+        throw error;
+      });
+    }
+    return this.registration;
+  }
+
+  /**
+   * PUT the settings, keeping the session token it answers with; an OAuth2
+   * access token the server rejects is refreshed once, since the server's
+   * idea of expiry is the one that counts
+   */
+  async sendRegistration() {
+    const put = async (refresh) => {
+      const response = await this.send(this.accountUrl(), {
+        method: "PUT",
+        body: this.credentials
+          ? { ...this.imap, ...(await this.credentials({ refresh })) }
+          : this.imap,
+      });
+      this.token = response.token;
+      return response;
+    };
+
+    try {
+      return await put(false);
+    } catch (error) {
+      if (error.code === "IMAP_AUTH_FAILED" && this.credentials) {
+        return put(true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Call a bridge route; a backend restart forgets accounts, so an unknown
+   * account re-registers once, as does an OAuth2 account whose session
+   * could not reconnect with its expired access token
+   */
+  async request(url, init, retried = false) {
+    await this.register();
+    try {
+      return await this.send(url, init);
+    } catch (error) {
+      const reauthorize =
+        error.code === "IMAP_AUTH_FAILED" && Boolean(this.credentials);
+      if ((error.code === "IMAP_UNKNOWN_ACCOUNT" || reauthorize) && !retried) {
+        this.registration = null;
+        return this.request(url, init, true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Folders with special-use flags and message counts
+   */
+  async listFolders() {
+    const { folders } = await this.request(`${this.accountUrl()}/folders`);
+    return folders;
+  }
+
+  /**
+   * Envelope, flags and UID of the newest messages in a folder, with the
+   * folder's UIDVALIDITY, HIGHESTMODSEQ (or null) and UIDNEXT
+   */
+  fetchHeaders(folder, { limit } = {}) {
+    const query = limit ? `?limit=${encodeURIComponent(limit)}` : "";
+    return this.request(`${this.folderUrl(folder)}/messages${query}`);
+  }
+
+  /**
+   * What changed in a folder since a sync that saw UIDs up to uid and the
+   * HIGHESTMODSEQ modseq: every UID now in it, flags of the messages up to
+   * uid, and headers of up to limit new messages (remaining counts the
+   * rest). Without uid, the newest limit messages.
+   */
+  listChanges(folder, { uid = null, modseq = null, limit } = {}) {
+    const query = new URLSearchParams();
+    if (uid !== null) query.set("uid", uid);
+    if (modseq) query.set("modseq", modseq);
+    if (limit) query.set("limit", limit);
+    const search = query.toString();
+    return this.request(
+      `${this.folderUrl(folder)}/changes${search ? `?${search}` : ""}`
+    );
+  }
+
+  /**
+   * One message's raw RFC 5322 source, by UID
+   */
+  fetchMessage(folder, uid) {
+    return this.request(`${this.folderUrl(folder)}/messages/${uid}`);
+  }
+
+  /**
+   * Add and remove IMAP flags on a message; returns its new flags
+   */
+  updateFlags(folder, uid, { add = [], remove = [] } = {}) {
+    return this.request(`${this.folderUrl(folder)}/messages/${uid}/flags`, {
+      method: "PATCH",
+      body: { add, remove },
+    });
+  }
+
+  /**
+   * Follow the account's INBOX through the bridge's event stream, calling
+   * onEvent({ type: ready | mailbox | error, folder, ... }) for each event;
+   * returns a function that stops. EventSource reconnects on its own after
+   * a dropped connection, but not after the backend refused the stream, as
+   * when a restart forgot the account: that registers it again first.
+   */
+  watch(onEvent) {
+    let source = null;
+    let timer = null;
+    let stopped = false;
+
+    const open = async () => {
+      try {
+        await this.register();
+      } catch (error) {
+        onEvent({ type: "error", message: error.message, code: error.code });
+        timer = setTimeout(open, WATCH_RETRY_DELAY);
+        return;
+      }
+      if (stopped) return;
+
+      // EventSource cannot send the Authorization header
+      source = new EventSource(
+        `${this.accountUrl()}/events?token=${encodeURIComponent(this.token)}`
+      );
+      WATCH_EVENTS.forEach((type) =>
+        source.addEventListener(type, (event) =>
+          onEvent({ type, ...JSON.parse(event.data) })
+        )
+      );
+      source.onerror = () => {
+        if (source.readyState === EventSource.CLOSED && !stopped) {
+          source = null;
+          this.registration = null;
+          timer = setTimeout(open, WATCH_RETRY_DELAY);
+        }
+      };
+    };
+
+    open();
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      source?.close();
+    };
+  }
+
+  /**
+   * Log the bridge session out
+   */
+  async close() {
+    if (!this.registration) {
+      return;
+    }
+    this.registration = null;
+    try {
+      await this.send(this.accountUrl(), { method: "DELETE" });
+    } catch (error) {
+      console.error("Failed to release IMAP bridge session:", error);
+    }
+    this.token = null;
+  }
+}
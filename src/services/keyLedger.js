@@ -0,0 +1,160 @@
+/**
+ * Key Ledger - Persistent record of consumed quantum keys
+ * Every KM key_ID is written here the moment it encrypts something, and a
+ * key that is already in the ledger is refused. Reusing a One-Time Pad key
+ * leaks the XOR of both plaintexts, so the ledger fails closed: if the
+ * consumption cannot be persisted, the encryption does not happen.
+ */
+
+const STORAGE_KEY = "qumail-key-ledger";
+
+/**
+ * Raised when a key that has already been consumed is offered again
+ */
+export class KeyReuseError extends Error {
+  constructor(keyId, entry) {
+    super(
+      `Quantum key ${keyId} was already consumed at ${entry.consumedAt}${
+        entry.messageId ? ` by message ${entry.messageId}` : ""
+      }`
+    );
+    this.name = "KeyReuseError";
+    this.code = "KEY_REUSE";
+    this.keyId = keyId;
+    this.entry = entry;
+  }
+}
+
+class KeyLedger {
+  constructor() {
+    // key_ID -> { keyId, securityLevel, algorithm, encryptionId,
+    //             component, messageId, consumedAt }
+    this.entries = new Map();
+    this.load();
+  }
+
+  /**
+   * Load the ledger from local storage
+   * Re-read before every consumption so other tabs' entries are seen
+   */
+  load() {
+    if (typeof localStorage === "undefined") return;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+      this.entries = new Map(Object.entries(stored.entries || {}));
+    } catch (error) {
+      console.error("Failed to load key ledger:", error);
+    }
+  }
+
+  /**
+   * Persist the ledger to local storage
+   */
+  save() {
+    if (typeof localStorage === "undefined") return;
+
+    localStorage.setItem(
+      STORAGE_KEY,
+      JSON.stringify({
+        version: 1,
+        entries: Object.fromEntries(this.entries),
+      })
+    );
+  }
+
+  /**
+   * Whether a key has already been consumed
+   */
+  isConsumed(keyId) {
+    this.load();
+    return this.entries.has(keyId);
+  }
+
+  /**
+   * Record a key as consumed, refusing keys that were consumed before
+   * Must be called before the key touches any plaintext
+   */
+  consume(keyId, details = {}) {
+    if (!keyId) {
+      throw new Error("Cannot consume a key without a key_ID");
+    }
+
+    this.load();
+    const existing = this.entries.get(keyId);
+    if (existing) {
+      throw new KeyReuseError(keyId, existing);
+    }
+
+    const entry = {
+      keyId,
+      securityLevel: details.securityLevel || null,
+      algorithm: details.algorithm || null,
+      encryptionId: details.encryptionId || null,
+      component: details.component || null,
+      messageId: null,
+      consumedAt: new Date().toISOString(),
+    };
+    this.entries.set(keyId, entry);
+
+    try {
+      this.save();
+    } catch (error) {
+      this.entries.delete(keyId);
+      throw new Error(`Key ledger could not record ${keyId}: ${error.message}`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Attach the sent message's ID to every key consumed under encryptionId
+   */
+  linkMessage(encryptionId, messageId) {
+    this.load();
+
+    const linked = [];
+    this.entries.forEach((entry) => {
+      if (entry.encryptionId === encryptionId) {
+        entry.messageId = messageId;
+        linked.push(entry.keyId);
+      }
+    });
+
+    if (linked.length > 0) {
+      this.save();
+    }
+    return linked;
+  }
+
+  /**
+   * Ledger entry for a key, or null if it was never consumed
+   */
+  getEntry(keyId) {
+    this.load();
+    return this.entries.get(keyId) || null;
+  }
+
+  /**
+   * Keys consumed by a sent message
+   */
+  getEntriesForMessage(messageId) {
+    this.load();
+    return Array.from(this.entries.values()).filter(
+      (entry) => entry.messageId === messageId
+    );
+  }
+
+  /**
+   * All ledger entries, most recent first
+   */
+  getEntries() {
+    this.load();
+    return Array.from(this.entries.values()).sort((a, b) =>
+      b.consumedAt.localeCompare(a.consumedAt)
+    );
+  }
+}
+
+// Export singleton instance
+export const keyLedger = new KeyLedger();
@@ -1,26 +1,76 @@
 /**
- * Key Manager Service - Frontend Mock Implementation
- * Provides quantum key simulation without backend dependencies
+ * Key Manager Service
+ * Talks to an ETSI GS QKD 014 Key Manager when a KM config is active,
+ * and falls back to in-browser key simulation in mock mode
  */
 
-import { KM_API_ENDPOINTS, KEY_STATES } from "../types";
+import { KM_API_ENDPOINTS, KEY_STATES, KM_MODES } from "../types";
+import { EtsiKmClient, KMError } from "./etsiKmClient";
+import { keyLedger } from "./keyLedger";
+import { vaultService } from "./vaultService";
+import { config as appConfig } from "../config/environment";
+import { base64ToBytes, bytesToHex, randomBytes } from "../utils/crypto";
+
+// Seconds a Key Manager key stays usable after it was issued
+const KEY_LIFETIME = 3600;
 
 class KMService {
   constructor() {
     this.isConnected = false;
+    this.mode = KM_MODES.MOCK;
+    this.client = null;
+    this.endpoint = null;
+    this.kmStatus = null;
     this.saeId = "mock_sae_001";
+    this.targetSaeId = appConfig.DEFAULT_TARGET_SAE_ID;
+    // Other recipients' SAEs that may also collect each key
+    // (additional_slave_SAE_IDs)
+    this.additionalSaeIds = [];
     this.simulateDelay = 500; // Simulate network delay
+    // Keys handed out for encryption, so decryption can retrieve the same
+    // material; each is dropped once retrieved, on expiry or on vault lock
+    this.issuedKeys = new Map();
+    // Pre-fetched keys per peer SAE, refilled below the low-water mark
+    this.keyPools = new Map();
+    this.poolSize = 16;
+    this.poolLowWaterMark = 4;
+    this.poolKeySize = 256;
+    this.poolListeners = new Set();
+
+    // Key material is not kept past a lock; pools refill on unlock
+    vaultService.subscribe(({ locked }) => {
+      if (!locked) return;
+      this.issuedKeys.clear();
+      this.keyPools.forEach((pool, peerSaeId) => {
+        pool.keys = [];
+        this.notifyPool(peerSaeId);
+      });
+    });
   }
 
   /**
    * Initialize the KM service
+   * An already connected service only tops up its key pool
    */
   async initialize() {
+    if (this.isConnected) {
+      this.refillPool();
+      return;
+    }
+
     try {
+      if (this.mode === KM_MODES.ETSI) {
+        await this.testConnection();
+        console.log(`KM Service initialized (ETSI QKD 014: ${this.endpoint})`);
+        this.refillPool();
+        return;
+      }
+
       // Simulate initialization delay
       await new Promise((resolve) => setTimeout(resolve, this.simulateDelay));
       this.isConnected = true;
       console.log("KM Service initialized (Mock Mode)");
+      this.refillPool();
     } catch (error) {
       console.error("Failed to initialize KM Service:", error);
       throw error;
@@ -28,24 +78,152 @@ class KMService {
   }
 
   /**
-   * Configure KM connection (Mock)
+   * Configure KM connection from a SettingsPanel KM config
+   * config.mode selects the ETSI client (default) or the mock fallback
    */
   async configure(config) {
+    const mode = config.mode || KM_MODES.ETSI;
+    this.configurePool(config);
+
+    if (mode === KM_MODES.MOCK) {
+      this.saeId = config.saeId || this.saeId;
+      this.targetSaeId = config.targetSaeId || this.targetSaeId;
+      this.additionalSaeIds = config.additionalSaeIds || [];
+      this.mode = KM_MODES.MOCK;
+      this.client?.close();
+      this.client = null;
+      this.endpoint = null;
+      this.kmStatus = null;
+      await new Promise((resolve) => setTimeout(resolve, 200));
+      this.isConnected = true;
+      this.revalidatePools();
+      return true;
+    }
+
+    const client = this.createClient(config);
+    const targetSaeId = config.targetSaeId || this.targetSaeId;
+    const status = await client.getStatus(targetSaeId);
+
+    // Release the previous gateway agent unless the new client reuses it
+    if (this.client?.gateway?.agentId !== client.gateway?.agentId) {
+      this.client?.close();
+    }
+
     this.saeId = config.saeId || this.saeId;
-    await new Promise((resolve) => setTimeout(resolve, 200));
+    this.targetSaeId = targetSaeId;
+    this.additionalSaeIds = config.additionalSaeIds || [];
+    this.mode = KM_MODES.ETSI;
+    this.client = client;
+    this.endpoint = config.endpoint;
+    this.kmStatus = status;
     this.isConnected = true;
+    this.revalidatePools();
     return true;
   }
 
   /**
-   * Test connection to KM (Mock)
+   * Apply key pool settings from a KM config
+   */
+  configurePool(config) {
+    if (config.poolSize !== undefined) {
+      this.poolSize = Math.max(0, Number(config.poolSize) || 0);
+    }
+    if (config.poolLowWaterMark !== undefined) {
+      this.poolLowWaterMark = Math.max(0, Number(config.poolLowWaterMark) || 0);
+    }
+  }
+
+  /**
+   * Build an ETSI client for a KM config
    */
-  async testConnection() {
+  createClient(config) {
+    if (!config.endpoint) {
+      throw new KMError("KM endpoint is required", { code: "KM_CONFIG" });
+    }
+    return new EtsiKmClient({
+      endpoint: config.endpoint,
+      saeId: config.saeId || this.saeId,
+      apiKey: config.apiKey,
+      gateway: this.hasClientCertificate(config)
+        ? {
+            url: `${appConfig.EMAIL_ENDPOINT}${appConfig.EMAIL_API_PATH}${appConfig.KM_GATEWAY_PATH}`,
+            agentId: config.id || `probe_${Date.now()}`,
+            tls: config.tls,
+          }
+        : null,
+    });
+  }
+
+  /**
+   * Whether a KM config authenticates with a client certificate (mTLS)
+   */
+  hasClientCertificate(config) {
+    return Boolean(config.tls && (config.tls.cert || config.tls.pfx));
+  }
+
+  /**
+   * Test connection to KM
+   * With a config, probes that KM without changing the active connection
+   */
+  async testConnection(config = null) {
+    if (config && (config.mode || KM_MODES.ETSI) === KM_MODES.ETSI) {
+      const client = this.createClient(config);
+      try {
+        await client.getStatus(config.targetSaeId || this.targetSaeId);
+      } finally {
+        await client.close();
+      }
+      return true;
+    }
+
+    if (!config && this.mode === KM_MODES.ETSI) {
+      try {
+        this.kmStatus = await this.client.getStatus(this.targetSaeId);
+        this.isConnected = true;
+      } catch (error) {
+        this.isConnected = false;
+        throw error;
+      }
+      return true;
+    }
+
     await new Promise((resolve) => setTimeout(resolve, 300));
-    this.isConnected = true;
+    if (!config) {
+      this.isConnected = true;
+    }
     return true;
   }
 
+  /**
+   * Convert an ETSI key (base64 material) to the internal hex representation
+   */
+  normalizeEtsiKey(etsiKey, keySize) {
+    const keyBytes = base64ToBytes(etsiKey.key);
+
+    return {
+      key_ID: etsiKey.key_ID,
+      key: bytesToHex(keyBytes),
+      status: KEY_STATES.AVAILABLE,
+      timestamp: new Date().toISOString(),
+      size: keySize || keyBytes.length * 8,
+      algorithm: "QKD",
+      qkd_path: this.endpoint,
+    };
+  }
+
+  /**
+   * Shape a thrown error like the other KM responses
+   */
+  errorResponse(error) {
+    return {
+      status: "error",
+      error_code: error.code || "KM_ERROR",
+      error_message: error.message,
+      error,
+      keys: [],
+    };
+  }
+
   /**
    * Generate mock quantum key
    */
@@ -53,19 +231,11 @@ class KMService {
     const id =
       keyId ||
       `QK_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
-    const keyBytes = keySize / 8;
-
-    // Generate random hex key
-    let key = "";
-    for (let i = 0; i < keyBytes; i++) {
-      key += Math.floor(Math.random() * 256)
-        .toString(16)
-        .padStart(2, "0");
-    }
+    const keyBytes = Math.ceil(keySize / 8);
 
     return {
       key_ID: id,
-      key: key,
+      key: bytesToHex(randomBytes(keyBytes)),
       status: KEY_STATES.AVAILABLE,
       timestamp: new Date().toISOString(),
       size: keySize,
@@ -126,10 +296,23 @@ class KMService {
   }
 
   /**
-   * Get key status (Mock)
+   * Get key status
    */
   async getKeyStatus(_keyId) {
     try {
+      if (this.mode === KM_MODES.ETSI) {
+        this.kmStatus = await this.client.getStatus(this.targetSaeId);
+        return {
+          status: "success",
+          key_status:
+            this.kmStatus.stored_key_count > 0
+              ? KEY_STATES.AVAILABLE
+              : KEY_STATES.ERROR,
+          km_status: this.kmStatus,
+          message: "Key status retrieved successfully",
+        };
+      }
+
       await new Promise((resolve) => setTimeout(resolve, 200));
 
       return {
@@ -147,17 +330,58 @@ class KMService {
   }
 
   /**
-   * Request new encryption key (Mock)
+   * Request new encryption keys (enc_keys)
+   * Each key can also be collected by the additional slave SAEs
    */
-  async requestEncryptionKey(slaveId, keySize = 256) {
+  async requestEncryptionKey(
+    slaveId,
+    keySize = 256,
+    number = 1,
+    additionalSaeIds = this.additionalSaeIds
+  ) {
+    // Keys remember who they were issued to, which the receiving side
+    // needs to collect them even after this service is reconfigured
+    const issuedTo = {
+      masterSaeId: this.saeId,
+      additionalSaeIds,
+      mode: this.mode,
+    };
+    this.pruneIssuedKeys();
+    if (this.mode === KM_MODES.ETSI) {
+      try {
+        const response = await this.client.getEncKeys(slaveId, {
+          number,
+          size: keySize,
+          additionalSlaveSaeIds: additionalSaeIds,
+        });
+        const keys = (response.keys || []).map((key) => ({
+          ...this.normalizeEtsiKey(key, keySize),
+          ...issuedTo,
+        }));
+        keys.forEach((key) => this.issuedKeys.set(key.key_ID, key));
+
+        return {
+          status: "success",
+          keys,
+          message: "Encryption key retrieved from KM",
+        };
+      } catch (error) {
+        return this.errorResponse(error);
+      }
+    }
+
     try {
       await new Promise((resolve) => setTimeout(resolve, this.simulateDelay));
 
-      const key = this.generateMockKey(null, keySize);
+      const keys = Array.from({ length: number }, () => ({
+        ...this.generateMockKey(null, keySize),
+        ...issuedTo,
+      }));
+      keys.forEach((key) => this.issuedKeys.set(key.key_ID, key));
 
       return {
         status: "success",
-        keys: [key],
+        keys,
         message: "Encryption key generated successfully (Mock)",
       };
     } catch (error) {
@@ -171,14 +395,76 @@ class KMService {
   }
 
   /**
-   * Request decryption key (Mock)
+   * Issued keys are used once for encryption and retrieved once for
+   * decryption, like the KM's own dec_keys; take one out of the cache
+   */
+  takeIssuedKey(keyId) {
+    const key = this.issuedKeys.get(keyId);
+    this.issuedKeys.delete(keyId);
+    return key;
+  }
+
+  /**
+   * Drop issued keys past their lifetime
    */
-  async requestDecryptionKey(slaveId, keyIds) {
+  pruneIssuedKeys() {
+    this.issuedKeys.forEach((key, keyId) => {
+      if (this.isExpired(key)) {
+        this.issuedKeys.delete(keyId);
+      }
+    });
+  }
+
+  /**
+   * Request decryption key (dec_keys)
+   * Keys this client obtained itself are served from the local session cache
+   */
+  async requestDecryptionKey(masterSaeId, keyIds) {
+    this.pruneIssuedKeys();
+    if (this.mode === KM_MODES.ETSI) {
+      try {
+        const ids = Array.isArray(keyIds) ? keyIds : [keyIds];
+        const remoteIds = ids.filter((id) => !this.issuedKeys.has(id));
+        const fetched = new Map();
+
+        if (remoteIds.length > 0) {
+          const response = await this.client.getDecKeys(masterSaeId, remoteIds);
+          (response.keys || []).forEach((key) => {
+            fetched.set(key.key_ID, this.normalizeEtsiKey(key));
+          });
+        }
+
+        const keys = ids.map((id) => {
+          const key = this.takeIssuedKey(id) || fetched.get(id);
+          if (!key) {
+            throw new KMError(`Key not returned by KM: ${id}`, {
+              code: "KEY_NOT_FOUND",
+            });
+          }
+          return key;
+        });
+
+        return {
+          status: "success",
+          keys,
+          message: "Decryption keys retrieved from KM",
+        };
+      } catch (error) {
+        return this.errorResponse(error);
+      }
+    }
+
     try {
       await new Promise((resolve) => setTimeout(resolve, this.simulateDelay));
 
       const keys = Array.isArray(keyIds) ? keyIds : [keyIds];
-      const mockKeys = keys.map((id) => this.generateMockKey(id));
+      const mockKeys = keys.map((id) => {
+        const key = this.takeIssuedKey(id);
+        if (!key) {
+          throw new Error(`Key not found: ${id}`);
+        }
+        return key;
+      });
 
       return {
         status: "success",
@@ -196,18 +482,39 @@ class KMService {
   }
 
   /**
-   * Generate quantum keys for One Time Pad encryption (Mock)
+   * Generate quantum keys for One Time Pad encryption
+   * dataSize is the payload length in bytes; the key is at least as long
    */
   async generateOTPKeys(dataSize) {
     try {
-      const keySize = Math.ceil(dataSize / 8) * 8;
-      const response = await this.requestEncryptionKey(this.saeId, keySize);
+      const keySize = dataSize * 8;
+      const maxKeySize = this.kmStatus?.max_key_size;
+      if (this.mode === KM_MODES.ETSI && maxKeySize && keySize > maxKeySize) {
+        throw new KMError(
+          `Message too large for One-Time Pad: needs ${keySize} bits, KM max key size is ${maxKeySize} bits`,
+          { code: "KEY_SIZE_EXCEEDED" }
+        );
+      }
+
+      // Short payloads fit in a pooled key; the unused tail is discarded
+      const pooledKey = this.takePooledKey(this.targetSaeId, keySize);
+      if (pooledKey) {
+        return pooledKey;
+      }
+
+      const response = await this.requestEncryptionKey(
+        this.targetSaeId,
+        keySize
+      );
 
       if (response.status === "success" && response.keys.length > 0) {
         return response.keys[0];
       }
 
-      throw new Error(response.error_message || "Failed to generate OTP keys");
+      throw (
+        response.error ||
+        new Error(response.error_message || "Failed to generate OTP keys")
+      );
     } catch (error) {
       console.error("OTP key generation failed:", error);
       throw error;
@@ -215,41 +522,229 @@ class KMService {
   }
 
   /**
-   * Get quantum seed for AES encryption (Mock)
+   * Retrieve a previously issued key by ID for decryption
+   * masterSaeId is the SAE that requested the key for encryption
+   */
+  async getDecryptionKey(keyId, masterSaeId = this.targetSaeId) {
+    const response = await this.requestDecryptionKey(masterSaeId, keyId);
+
+    if (response.status === "success" && response.keys.length > 0) {
+      return response.keys[0];
+    }
+
+    throw (
+      response.error ||
+      new Error(
+        response.error_message || `Failed to retrieve quantum key ${keyId}`
+      )
+    );
+  }
+
+  /**
+   * Get quantum seed for AES encryption
    */
   async getQuantumSeed(keySize = 256) {
     try {
-      const response = await this.requestEncryptionKey(this.saeId, keySize);
+      const pooledKey = this.takePooledKey(this.targetSaeId, keySize);
+      if (pooledKey) {
+        return pooledKey;
+      }
+
+      const response = await this.requestEncryptionKey(
+        this.targetSaeId,
+        keySize
+      );
 
       if (response.status === "success" && response.keys.length > 0) {
         return response.keys[0];
       }
 
-      throw new Error(response.error_message || "Failed to get quantum seed");
+      throw (
+        response.error ||
+        new Error(response.error_message || "Failed to get quantum seed")
+      );
     } catch (error) {
       console.error("Quantum seed generation failed:", error);
       throw error;
     }
   }
 
+  /**
+   * Key pool for a peer SAE, created on first use
+   */
+  getPool(peerSaeId = this.targetSaeId) {
+    if (!this.keyPools.has(peerSaeId)) {
+      this.keyPools.set(peerSaeId, {
+        keys: [],
+        refilling: null,
+        lastError: null,
+      });
+    }
+    return this.keyPools.get(peerSaeId);
+  }
+
+  /**
+   * After a KM change, keep the pooled keys that can still be used, so
+   * they are drained before new ones are fetched, and top up the pool of
+   * the current peer
+   */
+  revalidatePools() {
+    this.keyPools.forEach((pool) => {
+      pool.keys = pool.keys.filter((key) => this.isPoolKeyUsable(key));
+      pool.lastError = null;
+    });
+    this.notifyPool(this.targetSaeId);
+    this.refillPool();
+  }
+
+  /**
+   * Whether a pooled key can still be used: it is valid, is not a mock
+   * key while connected to a real KM, which could never deliver it, and
+   * was issued to the SAEs currently configured
+   */
+  isPoolKeyUsable(key) {
+    return (
+      this.validateKey(key) &&
+      !(this.mode === KM_MODES.ETSI && key.mode === KM_MODES.MOCK) &&
+      (key.additionalSaeIds || []).join() === this.additionalSaeIds.join()
+    );
+  }
+
+  /**
+   * Take a pre-fetched key of at least keySize bits, or null if none fits
+   * Falling below the low-water mark starts a background refill
+   */
+  takePooledKey(peerSaeId = this.targetSaeId, keySize = this.poolKeySize) {
+    if (keySize > this.poolKeySize) {
+      return null;
+    }
+
+    const pool = this.getPool(peerSaeId);
+    let key = null;
+    while (pool.keys.length > 0 && !key) {
+      const candidate = pool.keys.shift();
+      if (this.isPoolKeyUsable(candidate)) {
+        key = candidate;
+      }
+    }
+
+    if (pool.keys.length < this.poolLowWaterMark) {
+      this.refillPool(peerSaeId);
+    }
+    this.notifyPool(peerSaeId);
+    return key;
+  }
+
+  /**
+   * Top the pool up to poolSize keys in as few KM requests as allowed
+   * Never rejects: failures are kept in the pool status as lastError
+   */
+  refillPool(peerSaeId = this.targetSaeId) {
+    const pool = this.getPool(peerSaeId);
+    if (
+      pool.refilling ||
+      !this.isConnected ||
+      pool.keys.length >= this.poolSize
+    ) {
+      return pool.refilling || Promise.resolve();
+    }
+
+    pool.refilling = this.fillPool(peerSaeId, pool).finally(() => {
+      pool.refilling = null;
+      this.notifyPool(peerSaeId);
+    });
+    this.notifyPool(peerSaeId);
+    return pool.refilling;
+  }
+
+  /**
+   * Fetch keys into a pool until it reaches poolSize
+   */
+  async fillPool(peerSaeId, pool) {
+    try {
+      while (pool.keys.length < this.poolSize) {
+        const number = Math.min(
+          this.poolSize - pool.keys.length,
+          this.kmStatus?.max_key_per_request || this.poolSize
+        );
+        const response = await this.requestEncryptionKey(
+          peerSaeId,
+          this.poolKeySize,
+          number
+        );
+        if (response.status !== "success") {
+          throw (
+            response.error ||
+            new Error(response.error_message || "Key pool refill failed")
+          );
+        }
+        pool.keys.push(...response.keys);
+        pool.lastError = null;
+        this.notifyPool(peerSaeId);
+      }
+    } catch (error) {
+      console.error(`Key pool refill for ${peerSaeId} failed:`, error);
+      pool.lastError = error.message;
+    }
+  }
+
+  /**
+   * Report pool depth for a peer SAE
+   */
+  getPoolStatus(peerSaeId = this.targetSaeId) {
+    const pool = this.getPool(peerSaeId);
+    const depth = pool.keys.length;
+
+    let state = "ready";
+    if (depth === 0) {
+      state = "empty";
+    } else if (depth < this.poolLowWaterMark) {
+      state = "low";
+    }
+
+    return {
+      peerSaeId,
+      depth,
+      target: this.poolSize,
+      lowWaterMark: this.poolLowWaterMark,
+      keySize: this.poolKeySize,
+      state,
+      refilling: Boolean(pool.refilling),
+      lastError: pool.lastError,
+    };
+  }
+
+  /**
+   * Subscribe to pool status changes; returns an unsubscribe function
+   */
+  subscribePool(listener) {
+    this.poolListeners.add(listener);
+    return () => this.poolListeners.delete(listener);
+  }
+
+  /**
+   * Push the current pool status to subscribers
+   */
+  notifyPool(peerSaeId) {
+    const status = this.getPoolStatus(peerSaeId);
+    this.poolListeners.forEach((listener) => listener(status));
+  }
+
   /**
    * Validate key freshness and availability
+   * Keys recorded in the ledger have been used and are never valid again
    */
   validateKey(key) {
     if (!key || !key.key_ID || !key.key) {
       return false;
     }
 
-    // Check if key is expired
-    if (key.timestamp) {
-      const keyTime = new Date(key.timestamp);
-      const now = new Date();
-      const ageInSeconds = (now - keyTime) / 1000;
+    if (keyLedger.isConsumed(key.key_ID)) {
+      return false;
+    }
 
-      // Default key lifetime is 1 hour
-      if (ageInSeconds > 3600) {
-        return false;
-      }
+    if (this.isExpired(key)) {
+      return false;
     }
 
     // Check key status
@@ -257,24 +752,41 @@ class KMService {
   }
 
   /**
-   * Get connection status (Mock)
+   * Whether a key is older than its lifetime
+   */
+  isExpired(key) {
+    if (!key.timestamp) return false;
+
+    const ageInSeconds = (Date.now() - new Date(key.timestamp)) / 1000;
+    return ageInSeconds > KEY_LIFETIME;
+  }
+
+  /**
+   * Get connection status
    */
   getConnectionStatus() {
+    const isEtsi = this.mode === KM_MODES.ETSI;
+
     return {
       isConnected: this.isConnected,
-      endpoint: "Mock KM Service",
+      endpoint: isEtsi ? this.endpoint : "Mock KM Service",
       saeId: this.saeId,
+      targetSaeId: this.targetSaeId,
+      kmStatus: this.kmStatus,
+      keyPool: this.getPoolStatus(),
       lastCheck: new Date(),
-      mode: "frontend-only",
+      mode: isEtsi ? "etsi-qkd-014" : "frontend-only",
     };
   }
 
   /**
-   * Disconnect from KM (Mock)
+   * Disconnect from KM
    */
   disconnect() {
     this.isConnected = false;
-    console.log("Disconnected from KM (Mock)");
+    console.log(
+      `Disconnected from KM (${this.mode === KM_MODES.ETSI ? "ETSI" : "Mock"})`
+    );
   }
 }
 
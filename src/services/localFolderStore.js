@@ -0,0 +1,189 @@
+/**
+ * Local folders
+ * POP3 only downloads a maildrop, so POP3 accounts keep their mail on this
+ * device: raw messages with their local flags, filed by account and app
+ * folder (INBOX, SENT, ...), and per account the UIDLs already downloaded.
+ * Stored in IndexedDB; where there is none (e.g. in node) it all lives in
+ * memory.
+ */
+
+import {
+  hasIndexedDb,
+  openDatabase,
+  runTransaction,
+  settle,
+} from "../utils/indexedDb";
+
+const DB_NAME = "qumail-local-folders";
+const DB_VERSION = 1;
+const MESSAGES = "messages";
+const ACCOUNT_STATE = "accountState";
+
+const EMPTY_STATE = { seen: [], pendingDelete: [] };
+
+class LocalFolderStore {
+  constructor() {
+    this.db = null;
+    // Fallback without IndexedDB: id -> message, accountId -> state
+    this.memory = { messages: new Map(), state: new Map() };
+  }
+
+  /**
+   * Open (and on first use create) the database; null without IndexedDB
+   */
+  open() {
+    if (!hasIndexedDb()) {
+      return Promise.resolve(null);
+    }
+    if (!this.db) {
+      this.db = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const messages = db.createObjectStore(MESSAGES, { keyPath: "id" });
+        messages.createIndex("folder", ["accountId", "folder"]);
+        messages.createIndex("account", "accountId");
+        db.createObjectStore(ACCOUNT_STATE, { keyPath: "accountId" });
+      }).catch((error) => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  /**
+   * Run fn against the object stores of one transaction and resolve with
+   * its result once the transaction has committed
+   */
+  async transact(storeNames, mode, fn) {
+    return runTransaction(await this.open(), storeNames, mode, fn);
+  }
+
+  /**
+   * Messages of one account's folder, newest first
+   */
+  async listMessages(accountId, folder) {
+    const messages = (await this.open())
+      ? await this.transact(MESSAGES, "readonly", (store) =>
+          settle(store.index("folder").getAll([accountId, folder]))
+        )
+      : [...this.memory.messages.values()].filter(
+          (message) =>
+            message.accountId === accountId && message.folder === folder
+        );
+    return messages.sort(
+      (a, b) => new Date(b.receivedAt) - new Date(a.receivedAt)
+    );
+  }
+
+  /**
+   * Store messages: { id, accountId, folder, raw, flags, receivedAt, ... }
+   */
+  async addMessages(messages) {
+    if (!(await this.open())) {
+      messages.forEach((message) =>
+        this.memory.messages.set(message.id, message)
+      );
+      return;
+    }
+    await this.transact(MESSAGES, "readwrite", (store) => {
+      messages.forEach((message) => store.put(message));
+    });
+  }
+
+  /**
+   * Add and remove flags on a stored message; returns its new flags, or
+   * null when there is no such message
+   */
+  async updateFlags(id, { add = [], remove = [] } = {}) {
+    const apply = (message) => {
+      if (!message) return null;
+      const flags = new Set(message.flags);
+      add.forEach((flag) => flags.add(flag));
+      remove.forEach((flag) => flags.delete(flag));
+      message.flags = [...flags];
+      return message;
+    };
+
+    if (!(await this.open())) {
+      return apply(this.memory.messages.get(id))?.flags || null;
+    }
+    return this.transact(MESSAGES, "readwrite", async (store) => {
+      const message = apply(await settle(store.get(id)));
+      if (message) {
+        store.put(message);
+      }
+      return message?.flags || null;
+    });
+  }
+
+  /**
+   * An account's download state: { seen, pendingDelete } UIDL lists
+   */
+  async getState(accountId) {
+    const state = (await this.open())
+      ? await this.transact(ACCOUNT_STATE, "readonly", (store) =>
+          settle(store.get(accountId))
+        )
+      : this.memory.state.get(accountId);
+    return { ...EMPTY_STATE, ...state };
+  }
+
+  async setState(accountId, state) {
+    const record = { ...state, accountId };
+    if (!(await this.open())) {
+      this.memory.state.set(accountId, record);
+      return;
+    }
+    await this.transact(ACCOUNT_STATE, "readwrite", (store) => {
+      store.put(record);
+    });
+  }
+
+  /**
+   * Store downloaded messages and the state that records them in one
+   * transaction, so a message is never counted as seen without being kept
+   */
+  async addDownloaded(accountId, messages, state) {
+    if (!(await this.open())) {
+      await this.addMessages(messages);
+      await this.setState(accountId, state);
+      return;
+    }
+    await this.transact(
+      [MESSAGES, ACCOUNT_STATE],
+      "readwrite",
+      (messageStore, stateStore) => {
+        messages.forEach((message) => messageStore.put(message));
+        stateStore.put({ ...state, accountId });
+      }
+    );
+  }
+
+  /**
+   * Delete everything kept for an account
+   */
+  async removeAccount(accountId) {
+    if (!(await this.open())) {
+      this.memory.messages.forEach((message, id) => {
+        if (message.accountId === accountId) {
+          this.memory.messages.delete(id);
+        }
+      });
+      this.memory.state.delete(accountId);
+      return;
+    }
+    await this.transact(
+      [MESSAGES, ACCOUNT_STATE],
+      "readwrite",
+      async (messageStore, stateStore) => {
+        const keys = await settle(
+          messageStore.index("account").getAllKeys(accountId)
+        );
+        keys.forEach((key) => messageStore.delete(key));
+        stateStore.delete(accountId);
+      }
+    );
+  }
+}
+
+// Export singleton instance
+export const localFolderStore = new LocalFolderStore();
@@ -0,0 +1,333 @@
+/**
+ * Message cache
+ * Decrypted messages kept on this device so reopening them is instant,
+ * without keeping their plaintext in the clear: each one is encrypted with
+ * AES-256-GCM under a device key from the credential vault, so the cache
+ * can only be read while the vault is unlocked. How long a message stays
+ * depends on its security level (MESSAGE_CACHE_RETENTION_DAYS, adjustable
+ * in the Security Panel); One Time Pad plaintext is never cached, nor are
+ * messages with large attachments. Stored in IndexedDB; where there is
+ * none (e.g. in node) it lives in memory.
+ */
+
+import {
+  hasIndexedDb,
+  openDatabase,
+  runTransaction,
+  settle,
+} from "../utils/indexedDb";
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  base64ToBytes,
+  bytesToBase64,
+  randomBytes,
+  utf8Decode,
+  utf8Encode,
+} from "../utils/crypto";
+import { byteLength } from "../utils/streams";
+import { MESSAGE_CACHE_RETENTION_DAYS, SECURITY_LEVELS } from "../types";
+import { vaultService } from "./vaultService";
+
+const DB_NAME = "qumail-message-cache";
+const DB_VERSION = 1;
+const MESSAGES = "messages";
+const CACHE_VERSION = 1;
+const DAY = 24 * 60 * 60 * 1000;
+// An entry is one JSON string with its attachments base64 encoded inside,
+// so messages with more attachment data than this are decrypted each time
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+const securityLevelOf = (email) =>
+  email.encryptionMetadata?.securityLevel || email.securityLevel || null;
+
+/**
+ * Binds a cache entry to the message it was made from, so an entry cannot
+ * be passed off as another message's
+ */
+const additionalData = (id, messageId, securityLevel) =>
+  utf8Encode(
+    [`qumail-message-cache-v${CACHE_VERSION}`, id, messageId, securityLevel]
+      .map((part) => part || "")
+      .join("\u0000")
+  );
+
+class MessageCache {
+  constructor() {
+    this.db = null;
+    // Device key while the vault is unlocked
+    this.key = null;
+    this.retentionDays = { ...MESSAGE_CACHE_RETENTION_DAYS };
+    // Fallback without IndexedDB: id -> entry
+    this.memory = new Map();
+
+    vaultService.subscribe(({ locked, reason }) => {
+      if (locked) {
+        this.key = null;
+      }
+      // Entries are unreadable without the vault's device secret
+      if (reason === "reset") {
+        this.clear().catch((error) =>
+          console.error("Failed to clear the message cache:", error)
+        );
+      }
+    });
+  }
+
+  /**
+   * Open (and on first use create) the database; null without IndexedDB
+   */
+  open() {
+    if (!hasIndexedDb()) {
+      return Promise.resolve(null);
+    }
+    if (!this.db) {
+      this.db = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const messages = db.createObjectStore(MESSAGES, { keyPath: "id" });
+        messages.createIndex("account", "accountId");
+        messages.createIndex("age", ["securityLevel", "cachedAt"]);
+      }).catch((error) => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  async transact(storeNames, mode, fn) {
+    return runTransaction(await this.open(), storeNames, mode, fn);
+  }
+
+  /**
+   * Set the days messages of each security level are kept ({ level: days },
+   * over the defaults) and drop what is now older than that
+   */
+  setRetention(days = {}) {
+    this.retentionDays = {
+      ...MESSAGE_CACHE_RETENTION_DAYS,
+      ...days,
+      [SECURITY_LEVELS.QUANTUM_SECURE]: 0,
+    };
+    return this.prune().catch((error) =>
+      console.error("Failed to prune the message cache:", error)
+    );
+  }
+
+  isCacheable(securityLevel) {
+    return (this.retentionDays[securityLevel] || 0) > 0;
+  }
+
+  /**
+   * The device key, or null while the vault is locked
+   */
+  getKey() {
+    if (!vaultService.isUnlocked()) {
+      return null;
+    }
+    if (!this.key) {
+      this.key = vaultService
+        .deriveDeviceKey("message-cache")
+        .catch((error) => {
+          this.key = null;
+          throw error;
+        });
+    }
+    return this.key;
+  }
+
+  async readEntry(id) {
+    if (!(await this.open())) {
+      return this.memory.get(id) || null;
+    }
+    const entry = await this.transact(MESSAGES, "readonly", (store) =>
+      settle(store.get(id))
+    );
+    return entry || null;
+  }
+
+  async deleteEntries(ids) {
+    if (ids.length === 0) return;
+    if (!(await this.open())) {
+      ids.forEach((id) => this.memory.delete(id));
+      return;
+    }
+    await this.transact(MESSAGES, "readwrite", async (store) =>
+      ids.forEach((id) => store.delete(id))
+    );
+  }
+
+  /**
+   * An encrypted email as decryptEmail would return it, from the cache;
+   * null when it is not cached, has expired or the vault is locked
+   */
+  async get(email) {
+    const securityLevel = securityLevelOf(email);
+    if (!email.id || !this.isCacheable(securityLevel)) {
+      return null;
+    }
+    const key = await this.getKey();
+    const entry = key && (await this.readEntry(email.id));
+    if (!entry) {
+      return null;
+    }
+    const expired =
+      Date.now() - entry.cachedAt > this.retentionDays[securityLevel] * DAY;
+    if (expired || entry.securityLevel !== securityLevel) {
+      await this.deleteEntries([email.id]);
+      return null;
+    }
+
+    let content;
+    try {
+      const plaintext = await aesGcmDecrypt(
+        await key,
+        base64ToBytes(entry.iv),
+        base64ToBytes(entry.data),
+        additionalData(email.id, email.messageId, securityLevel)
+      );
+      content = JSON.parse(utf8Decode(plaintext));
+    } catch {
+      // Made under another device key, or for another message
+      await this.deleteEntries([email.id]);
+      return null;
+    }
+
+    return {
+      ...email,
+      subject: content.subject,
+      protectedHeaders: content.protectedHeaders,
+      body: content.body,
+      attachments: content.attachments.map((attachment) =>
+        attachment.data === undefined
+          ? attachment
+          : { ...attachment, data: base64ToBytes(attachment.data).buffer }
+      ),
+      encrypted: false,
+      originalEncryptionMetadata: email.encryptionMetadata,
+    };
+  }
+
+  /**
+   * Keep a decrypted email, unless its security level is not cached, its
+   * attachments are too large or the vault is locked; resolves whether it
+   * was cached
+   */
+  async put(accountId, email, decryptedEmail) {
+    const securityLevel = securityLevelOf(email);
+    if (!email.id || !this.isCacheable(securityLevel)) {
+      return false;
+    }
+    const attachmentBytes = (decryptedEmail.attachments || []).reduce(
+      (total, attachment) =>
+        attachment.data === undefined
+          ? total
+          : total + byteLength(attachment.data),
+      0
+    );
+    if (attachmentBytes > MAX_ATTACHMENT_BYTES) {
+      return false;
+    }
+    const key = await this.getKey();
+    if (!key) {
+      return false;
+    }
+
+    const content = {
+      subject: decryptedEmail.subject,
+      protectedHeaders: decryptedEmail.protectedHeaders,
+      body: decryptedEmail.body,
+      attachments: (decryptedEmail.attachments || []).map((attachment) =>
+        attachment.data instanceof ArrayBuffer
+          ? {
+              ...attachment,
+              data: bytesToBase64(new Uint8Array(attachment.data)),
+            }
+          : attachment
+      ),
+    };
+    const iv = randomBytes(12);
+    const data = await aesGcmEncrypt(
+      await key,
+      iv,
+      utf8Encode(JSON.stringify(content)),
+      additionalData(email.id, email.messageId, securityLevel)
+    );
+    const entry = {
+      id: email.id,
+      accountId,
+      securityLevel,
+      cachedAt: Date.now(),
+      iv: bytesToBase64(iv),
+      data: bytesToBase64(data),
+    };
+
+    if (!(await this.open())) {
+      this.memory.set(entry.id, entry);
+    } else {
+      await this.transact(MESSAGES, "readwrite", async (store) =>
+        store.put(entry)
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Drop every entry older than its security level's retention
+   */
+  async prune() {
+    const now = Date.now();
+    const cutoff = (level) => now - (this.retentionDays[level] || 0) * DAY;
+
+    if (!(await this.open())) {
+      await this.deleteEntries(
+        [...this.memory.values()]
+          .filter((entry) => entry.cachedAt <= cutoff(entry.securityLevel))
+          .map((entry) => entry.id)
+      );
+      return;
+    }
+    await this.transact(MESSAGES, "readwrite", async (store) => {
+      const age = store.index("age");
+      for (const level of Object.values(SECURITY_LEVELS)) {
+        const keys = await settle(
+          age.getAllKeys(IDBKeyRange.bound([level, 0], [level, cutoff(level)]))
+        );
+        keys.forEach((key) => store.delete(key));
+      }
+    });
+  }
+
+  /**
+   * Delete the entries of an account's messages
+   */
+  async removeAccount(accountId) {
+    if (!(await this.open())) {
+      await this.deleteEntries(
+        [...this.memory.values()]
+          .filter((entry) => entry.accountId === accountId)
+          .map((entry) => entry.id)
+      );
+      return;
+    }
+    await this.transact(MESSAGES, "readwrite", async (store) => {
+      const keys = await settle(store.index("account").getAllKeys(accountId));
+      keys.forEach((key) => store.delete(key));
+    });
+  }
+
+  /**
+   * Delete every entry
+   */
+  async clear() {
+    if (!(await this.open())) {
+      this.memory.clear();
+      return;
+    }
+    await this.transact(MESSAGES, "readwrite", (store) =>
+      settle(store.clear())
+    );
+  }
+}
+
+// Export singleton instance
+export const messageCache = new MessageCache();
@@ -0,0 +1,224 @@
+/**
+ * Message store
+ * IMAP mail synced to this device, so folders open instantly and can still
+ * be read offline. Messages are kept raw with their flags, keyed by
+ * account, mailbox path and UID. Per folder the store records the
+ * UIDVALIDITY its UIDs belong to and the HIGHESTMODSEQ (RFC 7162) they
+ * were synced at, along with the folder's name and special use so app
+ * folders (SENT, ...) can be found without asking the server.
+ * Stored in IndexedDB; where there is none (e.g. in node) it all lives in
+ * memory.
+ */
+
+import {
+  hasIndexedDb,
+  openDatabase,
+  runTransaction,
+  settle,
+} from "../utils/indexedDb";
+
+const DB_NAME = "qumail-mail";
+const DB_VERSION = 1;
+const MESSAGES = "messages";
+const FOLDERS = "folders";
+
+const memoryKey = (...parts) => parts.join("\u0000");
+
+/**
+ * Newest first: by arrival, then by UID
+ */
+const newestFirst = (a, b) =>
+  new Date(b.receivedAt) - new Date(a.receivedAt) || b.uid - a.uid;
+
+class MessageStore {
+  constructor() {
+    this.db = null;
+    // Fallback without IndexedDB, keyed by memoryKey
+    this.memory = { messages: new Map(), folders: new Map() };
+  }
+
+  /**
+   * Open (and on first use create) the database; null without IndexedDB
+   */
+  open() {
+    if (!hasIndexedDb()) {
+      return Promise.resolve(null);
+    }
+    if (!this.db) {
+      this.db = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const messages = db.createObjectStore(MESSAGES, {
+          keyPath: ["accountId", "folder", "uid"],
+        });
+        messages.createIndex("folder", ["accountId", "folder"]);
+        messages.createIndex("account", "accountId");
+        const folders = db.createObjectStore(FOLDERS, {
+          keyPath: ["accountId", "path"],
+        });
+        folders.createIndex("account", "accountId");
+      }).catch((error) => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  async transact(storeNames, mode, fn) {
+    return runTransaction(await this.open(), storeNames, mode, fn);
+  }
+
+  /**
+   * Sync state of every folder stored for an account: [{ path, name,
+   * specialUse, uidValidity, highestModseq, highestUid, syncedAt, ... }]
+   */
+  async listFolders(accountId) {
+    if (!(await this.open())) {
+      return [...this.memory.folders.values()].filter(
+        (folder) => folder.accountId === accountId
+      );
+    }
+    return this.transact(FOLDERS, "readonly", (store) =>
+      settle(store.index("account").getAll(accountId))
+    );
+  }
+
+  /**
+   * One folder's sync state, or null before its first sync
+   */
+  async getFolder(accountId, path) {
+    if (!(await this.open())) {
+      return this.memory.folders.get(memoryKey(accountId, path)) || null;
+    }
+    const folder = await this.transact(FOLDERS, "readonly", (store) =>
+      settle(store.get([accountId, path]))
+    );
+    return folder || null;
+  }
+
+  /**
+   * Stored messages of a folder, newest first
+   */
+  async listMessages(accountId, path) {
+    const messages = (await this.open())
+      ? await this.transact(MESSAGES, "readonly", (store) =>
+          settle(store.index("folder").getAll([accountId, path]))
+        )
+      : [...this.memory.messages.values()].filter(
+          (message) =>
+            message.accountId === accountId && message.folder === path
+        );
+    return messages.sort(newestFirst);
+  }
+
+  /**
+   * Record a sync of a folder in one transaction: its new state, the
+   * messages fetched or changed ({ uid, raw, flags, ... }) and the UIDs in
+   * remove that are gone from the server. reset first drops everything
+   * stored for the folder, as when its UIDVALIDITY changed.
+   */
+  async saveFolder(
+    accountId,
+    folder,
+    messages,
+    { reset = false, remove = [] } = {}
+  ) {
+    const state = { ...folder, accountId };
+    const records = messages.map((message) => ({
+      ...message,
+      accountId,
+      folder: folder.path,
+    }));
+
+    if (!(await this.open())) {
+      if (reset) {
+        this.memory.messages.forEach((message, key) => {
+          if (
+            message.accountId === accountId &&
+            message.folder === folder.path
+          ) {
+            this.memory.messages.delete(key);
+          }
+        });
+      }
+      remove.forEach((uid) =>
+        this.memory.messages.delete(memoryKey(accountId, folder.path, uid))
+      );
+      records.forEach((record) =>
+        this.memory.messages.set(
+          memoryKey(accountId, folder.path, record.uid),
+          record
+        )
+      );
+      this.memory.folders.set(memoryKey(accountId, folder.path), state);
+      return;
+    }
+    await this.transact(
+      [MESSAGES, FOLDERS],
+      "readwrite",
+      async (messageStore, folderStore) => {
+        if (reset) {
+          const keys = await settle(
+            messageStore.index("folder").getAllKeys([accountId, folder.path])
+          );
+          keys.forEach((key) => messageStore.delete(key));
+        }
+        remove.forEach((uid) =>
+          messageStore.delete([accountId, folder.path, uid])
+        );
+        records.forEach((record) => messageStore.put(record));
+        folderStore.put(state);
+      }
+    );
+  }
+
+  /**
+   * Replace a stored message's flags; false when it is not stored
+   */
+  async setFlags(accountId, path, uid, flags) {
+    if (!(await this.open())) {
+      const message = this.memory.messages.get(memoryKey(accountId, path, uid));
+      if (message) {
+        message.flags = [...flags];
+      }
+      return Boolean(message);
+    }
+    return this.transact(MESSAGES, "readwrite", async (store) => {
+      const message = await settle(store.get([accountId, path, uid]));
+      if (message) {
+        store.put({ ...message, flags: [...flags] });
+      }
+      return Boolean(message);
+    });
+  }
+
+  /**
+   * Delete everything stored for an account
+   */
+  async removeAccount(accountId) {
+    if (!(await this.open())) {
+      [this.memory.messages, this.memory.folders].forEach((entries) =>
+        entries.forEach((entry, key) => {
+          if (entry.accountId === accountId) {
+            entries.delete(key);
+          }
+        })
+      );
+      return;
+    }
+    await this.transact(
+      [MESSAGES, FOLDERS],
+      "readwrite",
+      async (messageStore, folderStore) => {
+        const [messageKeys, folderKeys] = await Promise.all([
+          settle(messageStore.index("account").getAllKeys(accountId)),
+          settle(folderStore.index("account").getAllKeys(accountId)),
+        ]);
+        messageKeys.forEach((key) => messageStore.delete(key));
+        folderKeys.forEach((key) => folderStore.delete(key));
+      }
+    );
+  }
+}
+
+// Export singleton instance
+export const messageStore = new MessageStore();
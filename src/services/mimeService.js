@@ -0,0 +1,604 @@
+/**
+ * MIME Service - RFC 5322 / MIME wire format for QuMail messages
+ * Encrypted mail is serialised as multipart/encrypted (RFC 1847): a control
+ * part carrying the versioned encryption metadata and an
+ * application/octet-stream part carrying the ciphertext container. Plain
+ * mail is text/plain or text/html, wrapped in multipart/mixed when it has
+ * attachments. parseMessage rebuilds the email object from raw text so mail
+ * fetched from any server can be verified and decrypted.
+ */
+
+import {
+  base64ToBytes,
+  bytesToBase64,
+  utf8Decode,
+  utf8Encode,
+} from "../utils/crypto";
+import { createBlobWriter } from "../utils/streams";
+
+export const QUMAIL_PROTOCOL = "application/x-qumail-encrypted";
+export const ENCRYPTED_BODY_NOTICE =
+  "This message is encrypted with QuMail. Open it in QuMail to read it.";
+// Outer Subject of encrypted mail; the real one is in the protected headers
+export const PROTECTED_SUBJECT_PLACEHOLDER = "...";
+
+const CRLF = "\r\n";
+const ENCRYPTED_FILENAME = "encrypted.qumail";
+const SIGNATURE_HEADER = "X-QuMail-Signature";
+const LINE_LENGTH = 76;
+// Base64 lines encoded at a time when writing a part
+const BLOCK_LINES = 1024;
+const MESSAGE_TYPE = "message/rfc822";
+
+class MimeService {
+  /**
+   * Serialise an email object (encrypted or plain) to a raw RFC 5322
+   * message, as a Blob: the ciphertext container and attachments are
+   * base64 encoded a block at a time into it, so a large message is never
+   * one string. Bcc is never written: it would disclose blind recipients
+   * to everyone
+   */
+  async serializeEmail(email) {
+    const boundary = this.createBoundary();
+    const headers = this.buildEnvelopeHeaders(email);
+    const message = createBlobWriter();
+
+    let parts;
+    if (email.encrypted) {
+      headers.push(
+        `Content-Type: multipart/encrypted; protocol="${QUMAIL_PROTOCOL}";`,
+        ` boundary="${boundary}"`
+      );
+      parts = [
+        {
+          headers: [
+            `Content-Type: ${QUMAIL_PROTOCOL}; charset=utf-8`,
+            "Content-Description: QuMail encryption metadata",
+            "Content-Transfer-Encoding: base64",
+          ],
+          data: utf8Encode(JSON.stringify(email.encryptionMetadata)),
+        },
+        {
+          headers: [
+            "Content-Type: application/octet-stream",
+            `Content-Disposition: inline; filename="${ENCRYPTED_FILENAME}"`,
+            "Content-Transfer-Encoding: base64",
+          ],
+          data: email.encryptedContent || "",
+        },
+      ];
+    } else {
+      const textPart = {
+        headers: [
+          `Content-Type: ${
+            this.isHtml(email.body) ? "text/html" : "text/plain"
+          }; charset=utf-8`,
+          "Content-Transfer-Encoding: base64",
+        ],
+        data: utf8Encode(email.body || ""),
+      };
+      const attachments = email.attachments || [];
+
+      if (attachments.length === 0) {
+        message.append(
+          [...headers, ...textPart.headers].join(CRLF) + CRLF + CRLF
+        );
+        await this.writeBase64(message, textPart.data);
+        return message.toBlob(MESSAGE_TYPE);
+      }
+
+      headers.push(`Content-Type: multipart/mixed; boundary="${boundary}"`);
+      parts = [
+        textPart,
+        ...attachments.map((attachment) => ({
+          headers: [
+            `Content-Type: ${
+              attachment.contentType || "application/octet-stream"
+            }; name="${this.quoteParam(attachment.filename)}"`,
+            `Content-Disposition: attachment; filename="${this.quoteParam(
+              attachment.filename
+            )}"`,
+            "Content-Transfer-Encoding: base64",
+          ],
+          data: attachment.data,
+        })),
+      ];
+    }
+
+    message.append(headers.join(CRLF) + CRLF + CRLF);
+    for (const part of parts) {
+      message.append([`--${boundary}`, ...part.headers, "", ""].join(CRLF));
+      await this.writeBase64(message, part.data);
+      message.append(CRLF);
+    }
+    message.append(`--${boundary}--${CRLF}`);
+    return message.toBlob(MESSAGE_TYPE);
+  }
+
+  /**
+   * Append data to a message as base64 lines, without a final line break,
+   * reading and encoding it a block of lines at a time. Data is bytes, a
+   * Blob, or a container parsed from a message, which is already base64
+   */
+  async writeBase64(message, data) {
+    if (typeof data === "string") {
+      const blockLength = LINE_LENGTH * BLOCK_LINES;
+      for (let i = 0; i === 0 || i < data.length; i += blockLength) {
+        message.append(
+          (i > 0 ? CRLF : "") +
+            this.wrap(data.slice(i, i + blockLength)).join(CRLF)
+        );
+      }
+      return;
+    }
+
+    const isBlob = typeof Blob !== "undefined" && data instanceof Blob;
+    const bytes = isBlob ? null : this.toBytes(data);
+    const length = isBlob ? data.size : bytes.length;
+    const blockLength = (LINE_LENGTH / 4) * 3 * BLOCK_LINES;
+    for (let i = 0; i === 0 || i < length; i += blockLength) {
+      const block = isBlob
+        ? new Uint8Array(await data.slice(i, i + blockLength).arrayBuffer())
+        : bytes.subarray(i, i + blockLength);
+      message.append(
+        (i > 0 ? CRLF : "") + this.wrap(bytesToBase64(block)).join(CRLF)
+      );
+    }
+  }
+
+  /**
+   * Headers shared by every message: addressing, subject, QuMail headers
+   * and the ML-DSA signature, if any
+   */
+  buildEnvelopeHeaders(email) {
+    const headers = [];
+    const addHeader = (name, value) => {
+      if (value) headers.push(this.foldHeader(`${name}: ${value}`));
+    };
+
+    addHeader("From", email.from);
+    addHeader("To", (email.to || []).join(", "));
+    addHeader("Cc", (email.cc || []).join(", "));
+    addHeader("Subject", this.encodeHeaderValue(email.subject || ""));
+    addHeader("Date", new Date(email.timestamp || Date.now()).toUTCString());
+    addHeader("Message-ID", email.messageId);
+    headers.push("MIME-Version: 1.0");
+
+    Object.entries(email.headers || {})
+      .filter(([name]) => name.toLowerCase().startsWith("x-qumail-"))
+      .forEach(([name, value]) => addHeader(name, String(value)));
+
+    if (email.signature) {
+      const { algorithm, signer, timestamp, value } = email.signature;
+      // The signature value is folded in chunks; whitespace is dropped on parse
+      headers.push(
+        [
+          `${SIGNATURE_HEADER}: algorithm=${algorithm}; signer=${signer};`,
+          ` timestamp=${timestamp};`,
+          " value=",
+          ...this.wrap(value, LINE_LENGTH - 1).map((chunk) => ` ${chunk}`),
+        ].join(CRLF)
+      );
+    }
+
+    return headers;
+  }
+
+  /**
+   * Serialise the protected-headers block sealed inside encrypted mail
+   * (Autocrypt / PGP "protected-headers=v1" convention): the real Subject
+   * plus copies of the addressing headers the outer message also carries
+   */
+  serializeProtectedHeaders(email) {
+    const headers = [
+      'Content-Type: text/rfc822-headers; protected-headers="v1"',
+    ];
+    const addHeader = (name, value) => {
+      if (value) headers.push(this.foldHeader(`${name}: ${value}`));
+    };
+
+    addHeader("Subject", this.encodeHeaderValue(email.subject || ""));
+    addHeader("From", email.from);
+    addHeader("To", (email.to || []).join(", "));
+    addHeader("Cc", (email.cc || []).join(", "));
+    return headers.join(CRLF) + CRLF;
+  }
+
+  /**
+   * Parse a decrypted protected-headers block
+   */
+  parseProtectedHeaders(text) {
+    const { headers, contentType } = this.parseEntity(text);
+    if (contentType.params["protected-headers"] !== "v1") {
+      throw new Error("Unsupported protected headers block");
+    }
+
+    const header = (name) => this.getHeader(headers, name);
+    return {
+      subject: this.decodeHeaderValue(header("subject") || ""),
+      from: this.parseAddressList(header("from"))[0] || "",
+      to: this.parseAddressList(header("to")),
+      cc: this.parseAddressList(header("cc")),
+    };
+  }
+
+  /**
+   * Parse raw RFC 5322 text into an email object
+   * Encrypted messages come back with encryptionMetadata and
+   * encryptedContent, ready for encryptionEngine.decryptEmail. receivedAt
+   * stands in for a missing or malformed Date header.
+   */
+  parseMessage(raw, { receivedAt } = {}) {
+    const entity = this.parseEntity(raw);
+    const header = (name) => this.getHeader(entity.headers, name);
+
+    const email = {
+      from: this.parseAddressList(header("from"))[0] || "",
+      to: this.parseAddressList(header("to")),
+      cc: this.parseAddressList(header("cc")),
+      subject: this.decodeHeaderValue(header("subject") || ""),
+      timestamp: this.parseDate(header("date"), receivedAt),
+      messageId: header("message-id") || null,
+      headers: {},
+      attachments: [],
+      raw,
+    };
+
+    entity.headers
+      .filter(
+        ({ name }) =>
+          name.toLowerCase().startsWith("x-qumail-") &&
+          name.toLowerCase() !== SIGNATURE_HEADER.toLowerCase()
+      )
+      .forEach(({ name, value }) => {
+        email.headers[name] = value;
+      });
+
+    const signature = header(SIGNATURE_HEADER);
+    if (signature) {
+      email.signature = this.parseSignature(signature);
+    }
+
+    const { type, params } = entity.contentType;
+    if (type === "multipart/encrypted" && params.protocol === QUMAIL_PROTOCOL) {
+      const parts = this.splitMultipart(entity.body, params.boundary);
+      const control = parts.find(
+        (part) => part.contentType.type === QUMAIL_PROTOCOL
+      );
+      const payload = parts.find(
+        (part) => part.contentType.type === "application/octet-stream"
+      );
+      if (!control || !payload) {
+        throw new Error("Malformed multipart/encrypted message");
+      }
+
+      email.encrypted = true;
+      email.encryptionMetadata = JSON.parse(
+        utf8Decode(this.decodeBody(control))
+      );
+      email.securityLevel = email.encryptionMetadata.securityLevel;
+      email.quantumKeyId = email.encryptionMetadata.quantumKeyId || null;
+      // Left encoded: decryption decodes each component's slice on its own
+      email.encryptedContent = this.base64Body(payload);
+      email.body = ENCRYPTED_BODY_NOTICE;
+      return email;
+    }
+
+    email.encrypted = false;
+    email.body = "";
+    this.collectParts(entity, email);
+    return email;
+  }
+
+  /**
+   * A Date header as an ISO string; when it is missing or not a date, the
+   * time the message was received (or now)
+   */
+  parseDate(value, receivedAt) {
+    const date = new Date(value || NaN);
+    if (!Number.isNaN(date.getTime())) {
+      return date.toISOString();
+    }
+    const received = new Date(receivedAt || Date.now());
+    return (
+      Number.isNaN(received.getTime()) ? new Date() : received
+    ).toISOString();
+  }
+
+  /**
+   * Walk a (possibly nested) entity, taking the first text part as the
+   * body and everything with a filename as an attachment
+   */
+  collectParts(entity, email) {
+    const { type, params } = entity.contentType;
+
+    if (type.startsWith("multipart/")) {
+      this.splitMultipart(entity.body, params.boundary).forEach((part) =>
+        this.collectParts(part, email)
+      );
+      return;
+    }
+
+    const disposition = this.parseHeaderParams(
+      this.getHeader(entity.headers, "content-disposition") || ""
+    );
+    const filename = disposition.params.filename || params.name;
+    const bytes = this.decodeBody(entity);
+
+    if (!filename && type.startsWith("text/") && !email.body) {
+      email.body = utf8Decode(bytes);
+      return;
+    }
+
+    email.attachments.push({
+      id: `att_${email.attachments.length}_${Date.now()}`,
+      filename: filename || `attachment-${email.attachments.length + 1}`,
+      contentType: type,
+      size: bytes.length,
+      data: bytes.buffer.slice(
+        bytes.byteOffset,
+        bytes.byteOffset + bytes.byteLength
+      ),
+    });
+  }
+
+  /**
+   * Split an entity into unfolded headers and body
+   */
+  parseEntity(text) {
+    const normalized = text.replace(/\r?\n/g, CRLF);
+    const separator = normalized.indexOf(CRLF + CRLF);
+    const headerText =
+      separator === -1 ? normalized : normalized.slice(0, separator);
+    const body = separator === -1 ? "" : normalized.slice(separator + 4);
+
+    const headers = headerText
+      .replace(/\r\n(?=[ \t])/g, "")
+      .split(CRLF)
+      .filter(Boolean)
+      .map((line) => {
+        const colon = line.indexOf(":");
+        return {
+          name: line.slice(0, colon).trim(),
+          value: line.slice(colon + 1).trim(),
+        };
+      });
+
+    let contentType = this.parseHeaderParams(
+      this.getHeader(headers, "content-type") || "text/plain"
+    );
+    // Parts of a multipart without a boundary cannot be found
+    if (
+      contentType.type.startsWith("multipart/") &&
+      !contentType.params.boundary
+    ) {
+      contentType = { type: "text/plain", params: {} };
+    }
+    return { headers, body, contentType };
+  }
+
+  splitMultipart(body, boundary) {
+    if (!boundary) {
+      throw new Error("Multipart message without boundary");
+    }
+
+    const delimiter = `--${boundary}`;
+    const parts = [];
+    let current = null;
+    for (const line of body.split(CRLF)) {
+      if (line === delimiter || line === `${delimiter}--`) {
+        if (current !== null) {
+          parts.push(this.parseEntity(current.join(CRLF)));
+        }
+        if (line !== delimiter) break;
+        current = [];
+      } else if (current !== null) {
+        current.push(line);
+      }
+    }
+    return parts;
+  }
+
+  getHeader(headers, name) {
+    const found = headers.find(
+      (header) => header.name.toLowerCase() === name.toLowerCase()
+    );
+    return found ? found.value : null;
+  }
+
+  /**
+   * Parse `value; key=param; key="quoted"` header syntax
+   */
+  parseHeaderParams(value) {
+    const [main, ...rest] = value.split(";");
+    const params = {};
+    rest.forEach((segment) => {
+      const eq = segment.indexOf("=");
+      if (eq === -1) return;
+      const key = segment.slice(0, eq).trim().toLowerCase();
+      let param = segment.slice(eq + 1).trim();
+      if (param.startsWith('"') && param.endsWith('"')) {
+        param = param.slice(1, -1).replace(/\\(.)/g, "$1");
+      }
+      params[key] = param;
+    });
+    return { type: main.trim().toLowerCase(), params };
+  }
+
+  parseSignature(value) {
+    const { params } = this.parseHeaderParams(`signature; ${value}`);
+    return {
+      algorithm: params.algorithm,
+      signer: params.signer,
+      timestamp: params.timestamp,
+      value: (params.value || "").replace(/\s+/g, ""),
+    };
+  }
+
+  /**
+   * Extract bare addresses from an address-list header
+   */
+  parseAddressList(value) {
+    if (!value) return [];
+    return (value.match(/(?:[^,"]|"[^"]*")+/g) || [])
+      .map((entry) => {
+        const angle = entry.match(/<([^>]+)>/);
+        return (angle ? angle[1] : entry).trim();
+      })
+      .filter(Boolean);
+  }
+
+  decodeBody(entity) {
+    const encoding = (
+      this.getHeader(entity.headers, "content-transfer-encoding") || "7bit"
+    ).toLowerCase();
+
+    if (encoding === "base64") {
+      return base64ToBytes(entity.body.replace(/\s+/g, ""));
+    }
+    if (encoding === "quoted-printable") {
+      return this.decodeQuotedPrintable(entity.body);
+    }
+    return utf8Encode(entity.body.replace(/\r\n$/, ""));
+  }
+
+  /**
+   * A part's body as base64 without line breaks
+   */
+  base64Body(entity) {
+    const encoding = (
+      this.getHeader(entity.headers, "content-transfer-encoding") || "7bit"
+    ).toLowerCase();
+    return encoding === "base64"
+      ? entity.body.replace(/\s+/g, "")
+      : bytesToBase64(this.decodeBody(entity));
+  }
+
+  decodeQuotedPrintable(text) {
+    const bytes = [];
+    const input = text.replace(/=\r\n/g, "");
+    for (let i = 0; i < input.length; i++) {
+      if (
+        input[i] === "=" &&
+        /^[0-9A-F]{2}$/i.test(input.slice(i + 1, i + 3))
+      ) {
+        bytes.push(parseInt(input.slice(i + 1, i + 3), 16));
+        i += 2;
+      } else {
+        bytes.push(...utf8Encode(input[i]));
+      }
+    }
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * RFC 2047 encode a header value when it cannot travel as plain ASCII
+   * (non-ASCII text, edge whitespace or text that looks like an encoded word)
+   */
+  encodeHeaderValue(value) {
+    const needsEncoding =
+      /[^\x20-\x7e]/.test(value) || value !== value.trim() || /=\?/.test(value);
+    if (!needsEncoding) {
+      return value;
+    }
+
+    // Encoded words carry at most 45 bytes so they fit on a folded line,
+    // and never split a UTF-8 sequence
+    const words = [];
+    let chunk = [];
+    for (const char of value) {
+      const bytes = utf8Encode(char);
+      if (chunk.length + bytes.length > 45) {
+        words.push(chunk);
+        chunk = [];
+      }
+      chunk.push(...bytes);
+    }
+    words.push(chunk);
+
+    return words
+      .map((bytes) => `=?UTF-8?B?${bytesToBase64(new Uint8Array(bytes))}?=`)
+      .join(" ");
+  }
+
+  /**
+   * Decode RFC 2047 encoded words; whitespace between words is dropped, and
+   * words that cannot be decoded (unknown charset, bad base64) are kept as
+   * they are
+   */
+  decodeHeaderValue(value) {
+    return value
+      .replace(/(=\?[^?]+\?[bq]\?[^?]*\?=)\s+(?==\?)/gi, "$1")
+      .replace(
+        /=\?([^?]+)\?([bq])\?([^?]*)\?=/gi,
+        (word, charset, mode, text) => {
+          try {
+            const bytes =
+              mode.toLowerCase() === "b"
+                ? base64ToBytes(text)
+                : this.decodeQuotedPrintable(text.replace(/_/g, " "));
+            return new TextDecoder(charset).decode(bytes);
+          } catch {
+            return word;
+          }
+        }
+      );
+  }
+
+  /**
+   * Fold a header line at whitespace so lines stay within 76 characters
+   */
+  foldHeader(line) {
+    if (line.length <= LINE_LENGTH) {
+      return line;
+    }
+
+    const folded = [];
+    let current = "";
+    for (const word of line.split(/(?= )/)) {
+      if (current && (current + word).length > LINE_LENGTH) {
+        folded.push(current);
+        current = word;
+      } else {
+        current += word;
+      }
+    }
+    folded.push(current);
+    return folded.join(CRLF);
+  }
+
+  wrap(text, width = LINE_LENGTH) {
+    const lines = [];
+    for (let i = 0; i < text.length; i += width) {
+      lines.push(text.slice(i, i + width));
+    }
+    return lines.length > 0 ? lines : [""];
+  }
+
+  quoteParam(value) {
+    return String(value || "").replace(/(["\\])/g, "\\$1");
+  }
+
+  toBytes(data) {
+    if (data instanceof ArrayBuffer) return new Uint8Array(data);
+    if (data instanceof Uint8Array) return data;
+    return utf8Encode(String(data ?? ""));
+  }
+
+  isHtml(body = "") {
+    return (
+      body.includes("<html>") ||
+      body.includes("<body>") ||
+      body.includes("<div>")
+    );
+  }
+
+  createBoundary() {
+    return `qumail-${Date.now().toString(36)}-${Math.random()
+      .toString(36)
+      .substring(2, 12)}`;
+  }
+}
+
+// Export singleton instance
+export const mimeService = new MimeService();
@@ -0,0 +1,145 @@
+/**
+ * Demo mail for mock-mode accounts
+ * The mock mail server starts from these folders on every load, with the
+ * same UIDs, Message-IDs and dates, so folder sync can be checked against
+ * them (npm run sync:harness). MOCK_SCRIPT is what the server plays back,
+ * one change per later INBOX sync, as if another client used the account:
+ * new mail, a message read elsewhere, one deleted, and one delivered a
+ * second time.
+ */
+
+export const MOCK_ADDRESS = "user@qumail.local";
+
+// Fixed, so stored demo mail stays valid across reloads
+export const MOCK_UID_VALIDITY = "1717200000";
+
+const message = (n, from, subject, date, body, flags = []) => ({
+  messageId: `<demo-${n}@mock.qumail>`,
+  from,
+  subject,
+  date,
+  body,
+  flags,
+});
+
+export const MOCK_FOLDERS = [
+  {
+    name: "INBOX",
+    path: "INBOX",
+    specialUse: null,
+    messages: [
+      message(
+        1,
+        "alice@example.com",
+        "Quantum Key Distribution Test Results",
+        "2025-03-03T08:15:00Z",
+        "The QKD link test finished overnight. Key rate held at 1.2 kbit/s with a QBER under 2%.",
+        ["\\Seen"]
+      ),
+      message(
+        2,
+        "bob@quantumtech.com",
+        "Security Protocol Update",
+        "2025-03-03T10:40:00Z",
+        "We are moving the key store to the new ETSI GS QKD 014 endpoints next week."
+      ),
+      message(
+        3,
+        "security@isro.gov.in",
+        "Meeting: QKD Implementation Review",
+        "2025-03-04T09:00:00Z",
+        "Agenda: link budget, key consumption per message, and the fallback to PQC.",
+        ["\\Seen", "\\Flagged"]
+      ),
+      message(
+        4,
+        "team@quantum-research.org",
+        "Research Paper: Post-Quantum Cryptography",
+        "2025-03-04T14:25:00Z",
+        "Draft attached to the shared folder; comments on the ML-KEM section welcome."
+      ),
+      message(
+        5,
+        "notifications@gmail.com",
+        "System Maintenance Notification",
+        "2025-03-05T06:30:00Z",
+        "The key manager will be unavailable on Saturday from 02:00 to 04:00 UTC.",
+        ["\\Seen"]
+      ),
+      message(
+        6,
+        "alice@example.com",
+        "New Quantum Keys Available",
+        "2025-03-05T11:05:00Z",
+        "The key pool was refilled: 4096 keys are ready for the team SAE."
+      ),
+    ],
+  },
+  {
+    name: "Sent",
+    path: "Sent",
+    specialUse: "\\Sent",
+    messages: [
+      message(
+        7,
+        MOCK_ADDRESS,
+        "Re: Security Protocol Update",
+        "2025-03-03T11:02:00Z",
+        "Thanks Bob, the client side is ready for the new endpoints.",
+        ["\\Seen"]
+      ),
+    ],
+  },
+  {
+    name: "Drafts",
+    path: "Drafts",
+    specialUse: "\\Drafts",
+    messages: [
+      message(
+        8,
+        MOCK_ADDRESS,
+        "Weekly Security Report",
+        "2025-03-05T16:45:00Z",
+        "Key usage this week: ...",
+        ["\\Seen", "\\Draft"]
+      ),
+    ],
+  },
+  {
+    name: "Trash",
+    path: "Trash",
+    specialUse: "\\Trash",
+    messages: [
+      message(
+        9,
+        "notifications@gmail.com",
+        "Quantum Communication Setup",
+        "2025-03-01T07:20:00Z",
+        "Your setup request has been received.",
+        ["\\Seen"]
+      ),
+    ],
+  },
+];
+
+export const MOCK_SCRIPT = [
+  {
+    type: "deliver",
+    path: "INBOX",
+    message: message(
+      10,
+      "bob@quantumtech.com",
+      "Team Update: QuMail Development",
+      "2025-03-06T09:10:00Z",
+      "Folder sync now only fetches what changed on the server."
+    ),
+  },
+  { type: "flags", path: "INBOX", uid: 2, add: ["\\Seen"] },
+  { type: "expunge", path: "INBOX", uids: [4] },
+  // Same Message-ID under a new UID: reconciled, not downloaded again
+  {
+    type: "deliver",
+    path: "INBOX",
+    message: MOCK_FOLDERS[0].messages[2],
+  },
+];
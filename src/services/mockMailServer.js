@@ -0,0 +1,254 @@
+/**
+ * Mock mail server
+ * Mock-mode accounts read demo mail from here instead of the IMAP bridge.
+ * It answers the bridge client's calls (listFolders, listChanges,
+ * fetchMessage, updateFlags) the way the bridge does, from deterministic
+ * fixtures, so mock mail goes through the same folder sync as IMAP. Like a
+ * CONDSTORE server it counts a modseq up on every change, so flags can be
+ * asked for only where they changed. Each INBOX sync after the first
+ * plays the next change of the script before answering; while watched, it
+ * announces the next change the way the bridge pushes IDLE events.
+ */
+
+import { MailBridgeError } from "./imapBridgeClient";
+import {
+  MOCK_ADDRESS,
+  MOCK_FOLDERS,
+  MOCK_SCRIPT,
+  MOCK_UID_VALIDITY,
+} from "./mockMailFixtures";
+
+const DEFAULT_LIMIT = 50;
+// How often a watched mock server announces the next change of its script
+const PUSH_INTERVAL = 45000;
+const PUSH_REASONS = { deliver: "exists", flags: "flags", expunge: "expunge" };
+
+/**
+ * RFC 5322 source of a fixture message
+ */
+const toRaw = ({ messageId, from, to = [MOCK_ADDRESS], subject, date, body }) =>
+  [
+    `From: ${from}`,
+    `To: ${to.join(", ")}`,
+    `Subject: ${subject}`,
+    `Date: ${new Date(date).toUTCString()}`,
+    `Message-ID: ${messageId}`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "",
+    body,
+    "",
+  ].join("\r\n");
+
+export class MockMailServer {
+  constructor({
+    folders = MOCK_FOLDERS,
+    script = MOCK_SCRIPT,
+    uidValidity = MOCK_UID_VALIDITY,
+  } = {}) {
+    this.uidValidity = uidValidity;
+    this.modseq = 1;
+    // path -> { name, path, specialUse, uidNext, messages }
+    this.folders = new Map(
+      folders.map(({ name, path, specialUse }) => [
+        path,
+        { name, path, specialUse, uidNext: 1, messages: [] },
+      ])
+    );
+    folders.forEach(({ path, messages }) =>
+      messages.forEach((message) => this.deliver(path, message))
+    );
+    this.script = [...script];
+  }
+
+  getFolder(path) {
+    const folder = this.folders.get(path);
+    if (!folder) {
+      throw new MailBridgeError(`Folder ${path} does not exist`, {
+        status: 404,
+        code: "IMAP_FOLDER_NOT_FOUND",
+      });
+    }
+    return folder;
+  }
+
+  getMessage(path, uid) {
+    const message = this.getFolder(path).messages.find(
+      (entry) => entry.uid === Number(uid)
+    );
+    if (!message) {
+      throw new MailBridgeError(`No message with UID ${uid} in ${path}`, {
+        status: 404,
+        code: "IMAP_MESSAGE_NOT_FOUND",
+      });
+    }
+    return message;
+  }
+
+  // The bridge client's calls
+
+  async register() {
+    return { capabilities: ["IMAP4rev1", "CONDSTORE"] };
+  }
+
+  async close() {}
+
+  async listFolders() {
+    return [...this.folders.values()].map((folder) => ({
+      name: folder.name,
+      path: folder.path,
+      delimiter: "/",
+      specialUse: folder.specialUse,
+      total: folder.messages.length,
+      unreadCount: folder.messages.filter(
+        (message) => !message.flags.has("\\Seen")
+      ).length,
+    }));
+  }
+
+  /**
+   * Same answer as the bridge's changes route
+   */
+  async listChanges(path, { uid = null, modseq = null, limit } = {}) {
+    if (path === "INBOX" && uid !== null) {
+      this.playNext();
+    }
+    const folder = this.getFolder(path);
+    const max = limit || DEFAULT_LIMIT;
+    const since = uid === null ? null : Number(uid);
+    const changedSince = Boolean(modseq);
+
+    const uids = folder.messages.map((message) => message.uid);
+    const flags =
+      since === null
+        ? []
+        : folder.messages
+            .filter(
+              (message) =>
+                message.uid <= since &&
+                (!changedSince || message.modseq > Number(modseq))
+            )
+            .map((message) => ({
+              uid: message.uid,
+              flags: [...message.flags],
+            }));
+    const pending = since === null ? [] : uids.filter((id) => id > since);
+    const fresh = since === null ? uids.slice(-max) : pending.slice(0, max);
+
+    return {
+      folder: path,
+      uidValidity: this.uidValidity,
+      highestModseq: String(this.modseq),
+      uidNext: folder.uidNext,
+      total: uids.length,
+      uids,
+      flags,
+      changedSince,
+      messages: fresh.map((id) => {
+        const message = this.getMessage(path, id);
+        return {
+          uid: message.uid,
+          flags: [...message.flags],
+          size: message.raw.length,
+          internalDate: message.internalDate,
+          messageId: message.messageId,
+        };
+      }),
+      remaining: since === null ? 0 : pending.length - fresh.length,
+    };
+  }
+
+  async fetchMessage(path, uid) {
+    const message = this.getMessage(path, uid);
+    return {
+      uid: message.uid,
+      uidValidity: this.uidValidity,
+      flags: [...message.flags],
+      internalDate: message.internalDate,
+      raw: message.raw,
+    };
+  }
+
+  async updateFlags(path, uid, changes) {
+    const flags = this.setFlags(path, uid, changes);
+    return { uid: Number(uid), flags };
+  }
+
+  /**
+   * Same events as the bridge client's watch: ready at once, then a
+   * mailbox event every interval while the script has changes left, which
+   * the sync it sets off plays
+   */
+  watch(onEvent, { interval = PUSH_INTERVAL } = {}) {
+    onEvent({
+      type: "ready",
+      folder: "INBOX",
+      uidValidity: this.uidValidity,
+      idle: true,
+    });
+    const timer = setInterval(() => {
+      const next = this.script[0];
+      if (next) {
+        onEvent({
+          type: "mailbox",
+          folder: next.path,
+          reason: PUSH_REASONS[next.type],
+        });
+      }
+    }, interval);
+    return () => clearInterval(timer);
+  }
+
+  // Changes as another client would make them
+
+  /**
+   * Add a fixture message to a folder; returns its UID
+   */
+  deliver(path, message) {
+    const folder = this.getFolder(path);
+    const uid = folder.uidNext++;
+    folder.messages.push({
+      uid,
+      messageId: message.messageId,
+      flags: new Set(message.flags || []),
+      internalDate: new Date(message.date).toISOString(),
+      raw: toRaw(message),
+      modseq: ++this.modseq,
+    });
+    return uid;
+  }
+
+  setFlags(path, uid, { add = [], remove = [] } = {}) {
+    const message = this.getMessage(path, uid);
+    add.forEach((flag) => message.flags.add(flag));
+    remove.forEach((flag) => message.flags.delete(flag));
+    message.modseq = ++this.modseq;
+    return [...message.flags];
+  }
+
+  expunge(path, uids) {
+    const folder = this.getFolder(path);
+    folder.messages = folder.messages.filter(
+      (message) => !uids.includes(message.uid)
+    );
+    this.modseq++;
+  }
+
+  /**
+   * Apply the next change of the script; returns it, or null at its end
+   */
+  playNext() {
+    const event = this.script.shift();
+    if (!event) {
+      return null;
+    }
+    if (event.type === "deliver") {
+      this.deliver(event.path, event.message);
+    } else if (event.type === "flags") {
+      this.setFlags(event.path, event.uid, event);
+    } else if (event.type === "expunge") {
+      this.expunge(event.path, event.uids);
+    }
+    return event;
+  }
+}
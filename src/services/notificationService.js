@@ -0,0 +1,100 @@
+/**
+ * Notification Service
+ * Browser notifications for new quantum-secured mail, shown only while
+ * QuMail's tab is in the background: in the foreground the new mail is
+ * already on screen. The subject of encrypted mail is protected, so a
+ * notification names the sender and the security level, never the subject.
+ */
+
+import { SECURITY_LEVELS } from "../types";
+
+const LEVEL_NAMES = {
+  [SECURITY_LEVELS.QUANTUM_SECURE]: "Quantum Secure (One Time Pad)",
+  [SECURITY_LEVELS.QUANTUM_AES]: "Quantum-aided AES",
+  [SECURITY_LEVELS.PQC_ENCRYPTION]: "Post-Quantum",
+};
+
+// More new messages than this at once get a single summary notification
+const MAX_NOTIFICATIONS = 3;
+
+/**
+ * Whether a message was encrypted at one of the quantum security levels
+ */
+export const isQuantumSecured = (email) =>
+  Boolean(LEVEL_NAMES[email.securityLevel]);
+
+class NotificationService {
+  isSupported() {
+    return typeof window !== "undefined" && "Notification" in window;
+  }
+
+  getPermission() {
+    return this.isSupported() ? Notification.permission : "denied";
+  }
+
+  /**
+   * Ask for permission to notify; browsers only ask in response to a click
+   */
+  async requestPermission() {
+    if (!this.isSupported()) {
+      return "denied";
+    }
+    if (Notification.permission !== "default") {
+      return Notification.permission;
+    }
+    return Notification.requestPermission();
+  }
+
+  isInBackground() {
+    return typeof document !== "undefined" && document.hidden;
+  }
+
+  /**
+   * Notify of the quantum-secured messages among emails if the tab is in
+   * the background; returns how many notifications were shown
+   */
+  notifyNewMail(emails) {
+    if (this.getPermission() !== "granted" || !this.isInBackground()) {
+      return 0;
+    }
+    const secured = emails.filter(isQuantumSecured);
+    if (secured.length === 0) {
+      return 0;
+    }
+
+    const notifications =
+      secured.length > MAX_NOTIFICATIONS
+        ? [
+            {
+              title: `${secured.length} new quantum-secured messages`,
+              body: `From ${[...new Set(secured.map(({ from }) => from))]
+                .slice(0, MAX_NOTIFICATIONS)
+                .join(", ")}`,
+              tag: "qumail-new-mail",
+            },
+          ]
+        : secured.map((email) => ({
+            title: `New ${LEVEL_NAMES[email.securityLevel]} message`,
+            body: `From ${email.from}`,
+            // The same message is never notified twice
+            tag: `qumail-${email.id}`,
+          }));
+
+    notifications.forEach(({ title, body, tag }) => {
+      try {
+        const notification = new Notification(title, { body, tag });
+        notification.onclick = () => {
+          window.focus();
+          notification.close();
+        };
+      } catch (error) {
+        // e.g. Chrome on Android only notifies through a service worker
+        console.error("Failed to show notification:", error);
+      }
+    });
+    return notifications.length;
+  }
+}
+
+// Export singleton instance
+export const notificationService = new NotificationService();
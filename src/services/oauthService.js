@@ -0,0 +1,326 @@
+/**
+ * OAuth2 Service
+ * Signs email accounts in with the authorization-code flow and PKCE
+ * (RFC 7636) in a popup, and keeps their access tokens fresh for XOAUTH2
+ * sign-in to IMAP and SMTP. Codes are redeemed and refreshed through the
+ * backend token relay (server/routes/oauthToken.js). Refresh tokens are
+ * kept in the credential vault and loaded when it is unlocked; access
+ * tokens only live in memory and are dropped when it locks.
+ */
+
+import { EMAIL_PROVIDERS } from "../types";
+import { config as appConfig } from "../config/environment";
+import { requestMailBackend } from "./imapBridgeClient";
+import { vaultService } from "./vaultService";
+import { bytesToBase64, randomBytes, utf8Encode } from "../utils/crypto";
+
+const VAULT_ENTRY = "oauth";
+// Must match public/oauth-callback.html
+const CALLBACK_CHANNEL = "qumail-oauth";
+const CALLBACK_TYPE = "qumail-oauth-callback";
+const SIGN_IN_TIMEOUT = 5 * 60 * 1000;
+// Refresh this long before the provider says the token expires
+const EXPIRY_MARGIN = 60 * 1000;
+
+/**
+ * Structured error for sign-in and token failures
+ * OAUTH_REAUTH_REQUIRED means the user has to sign in again
+ */
+export class OAuthError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "OAuthError";
+    this.code = code;
+  }
+}
+
+const base64Url = (bytes) =>
+  bytesToBase64(bytes)
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+class OAuthService {
+  constructor() {
+    // accountId -> { provider, refreshToken, accessToken, expiresAt }
+    this.tokens = new Map();
+    // accountId -> in-flight refresh, shared by concurrent callers
+    this.refreshing = new Map();
+    this.tokenUrl = `${appConfig.EMAIL_ENDPOINT}${appConfig.EMAIL_API_PATH}/oauth`;
+
+    vaultService.subscribe(({ locked }) => {
+      this.tokens.clear();
+      if (!locked) {
+        this.load();
+      }
+    });
+  }
+
+  /**
+   * Load refresh tokens from the unlocked vault
+   */
+  load() {
+    try {
+      const stored = vaultService.get(VAULT_ENTRY)?.accounts || {};
+      Object.entries(stored).forEach(([accountId, entry]) => {
+        this.tokens.set(accountId, {
+          provider: entry.provider,
+          refreshToken: entry.refreshToken,
+          accessToken: null,
+          expiresAt: 0,
+        });
+      });
+    } catch (error) {
+      console.error("Failed to load OAuth2 tokens:", error);
+    }
+  }
+
+  /**
+   * Persist refresh tokens to the vault
+   */
+  save() {
+    if (!vaultService.isUnlocked()) return;
+
+    const accounts = {};
+    this.tokens.forEach(({ provider, refreshToken }, accountId) => {
+      if (refreshToken) {
+        accounts[accountId] = { provider, refreshToken };
+      }
+    });
+    vaultService
+      .set(VAULT_ENTRY, { accounts })
+      .catch((error) => console.error("Failed to save OAuth2 tokens:", error));
+  }
+
+  /**
+   * Whether a provider offers OAuth2 sign-in
+   */
+  supportsOAuth(providerId) {
+    return Boolean(EMAIL_PROVIDERS[String(providerId).toUpperCase()]?.oauth);
+  }
+
+  /**
+   * A provider's OAuth2 settings together with QuMail's client ID for it
+   */
+  getProviderConfig(providerId) {
+    const provider = EMAIL_PROVIDERS[String(providerId).toUpperCase()];
+    if (!provider?.oauth) {
+      throw new OAuthError(
+        `${provider?.name || providerId} does not support OAuth2 sign-in`,
+        "OAUTH_UNSUPPORTED"
+      );
+    }
+    const clientId = appConfig.OAUTH_CLIENT_IDS[providerId];
+    if (!clientId) {
+      throw new OAuthError(
+        `No OAuth2 client ID is configured for ${provider.name}`,
+        "OAUTH_CONFIG"
+      );
+    }
+    return { ...provider.oauth, name: provider.name, clientId };
+  }
+
+  /**
+   * Sign an account in with the provider and keep its tokens
+   * Must be called from a user gesture: the popup is opened before
+   * anything is awaited, so popup blockers let it through.
+   */
+  async signIn(accountId, providerId, { loginHint } = {}) {
+    let popup = null;
+    try {
+      const oauth = this.getProviderConfig(providerId);
+      popup = window.open("", "qumail-oauth", "width=520,height=680");
+      if (!popup) {
+        throw new OAuthError(
+          "The sign-in window was blocked; allow popups for QuMail",
+          "OAUTH_POPUP_BLOCKED"
+        );
+      }
+
+      const verifier = base64Url(randomBytes(32));
+      const state = base64Url(randomBytes(16));
+      const challenge = base64Url(
+        new Uint8Array(
+          await crypto.subtle.digest("SHA-256", utf8Encode(verifier))
+        )
+      );
+      const redirectUri = `${window.location.origin}${appConfig.OAUTH_REDIRECT_PATH}`;
+
+      const url = new URL(oauth.authorizationEndpoint);
+      Object.entries({
+        response_type: "code",
+        client_id: oauth.clientId,
+        redirect_uri: redirectUri,
+        scope: oauth.scope,
+        state,
+        code_challenge: challenge,
+        code_challenge_method: "S256",
+        ...(loginHint ? { login_hint: loginHint } : {}),
+        ...oauth.params,
+      }).forEach(([name, value]) => url.searchParams.set(name, value));
+
+      const callback = this.waitForCallback(state);
+      popup.location.href = url.toString();
+      const params = await callback;
+
+      const error = params.get("error");
+      if (error) {
+        throw new OAuthError(
+          `${oauth.name} sign-in was not completed: ${
+            params.get("error_description") || error
+          }`,
+          error === "access_denied"
+            ? "OAUTH_ACCESS_DENIED"
+            : "OAUTH_AUTHORIZATION_FAILED"
+        );
+      }
+
+      const tokens = await this.requestTokens(providerId, {
+        grant_type: "authorization_code",
+        code: params.get("code"),
+        code_verifier: verifier,
+        redirect_uri: redirectUri,
+        client_id: oauth.clientId,
+      });
+      this.storeTokens(accountId, providerId, tokens);
+
+      return { success: true };
+    } catch (error) {
+      console.error("OAuth2 sign-in failed:", error);
+      return { success: false, error: error.message, code: error.code };
+    } finally {
+      if (popup && !popup.closed) {
+        popup.close();
+      }
+    }
+  }
+
+  /**
+   * Wait for public/oauth-callback.html to report the redirect for this
+   * sign-in; replies carrying another state are not ours and are ignored
+   */
+  waitForCallback(state) {
+    return new Promise((resolve, reject) => {
+      const channel = new BroadcastChannel(CALLBACK_CHANNEL);
+      const timer = setTimeout(() => {
+        channel.close();
+        reject(new OAuthError("Sign-in timed out", "OAUTH_TIMEOUT"));
+      }, SIGN_IN_TIMEOUT);
+
+      channel.onmessage = ({ data }) => {
+        if (data?.type !== CALLBACK_TYPE) return;
+        const params = new URLSearchParams(data.query);
+        if (params.get("state") !== state) return;
+
+        clearTimeout(timer);
+        channel.close();
+        resolve(params);
+      };
+    });
+  }
+
+  /**
+   * Redeem a code or refresh token through the backend token relay
+   */
+  requestTokens(providerId, grant) {
+    return requestMailBackend(
+      `${this.tokenUrl}/${encodeURIComponent(providerId)}/token`,
+      { method: "POST", body: grant }
+    );
+  }
+
+  storeTokens(accountId, provider, { accessToken, refreshToken, expiresIn }) {
+    const previous = this.tokens.get(accountId);
+    this.tokens.set(accountId, {
+      provider,
+      accessToken,
+      // Providers may not rotate the refresh token; keep the old one then
+      refreshToken: refreshToken || previous?.refreshToken || null,
+      expiresAt: Date.now() + expiresIn * 1000,
+    });
+    this.save();
+  }
+
+  /**
+   * Whether an account has been signed in with OAuth2
+   */
+  hasTokens(accountId) {
+    return this.tokens.has(accountId);
+  }
+
+  /**
+   * A valid access token for the account, refreshed when it is about to
+   * expire or when forceRefresh is set because a server rejected it
+   */
+  async getAccessToken(accountId, { forceRefresh = false } = {}) {
+    const entry = this.tokens.get(accountId);
+    if (!entry) {
+      throw new OAuthError(
+        "This account is not signed in; sign in again",
+        "OAUTH_REAUTH_REQUIRED"
+      );
+    }
+    if (
+      !forceRefresh &&
+      entry.accessToken &&
+      entry.expiresAt - EXPIRY_MARGIN > Date.now()
+    ) {
+      return entry.accessToken;
+    }
+
+    if (!this.refreshing.has(accountId)) {
+      this.refreshing.set(
+        accountId,
+        this.refresh(accountId, entry).finally(() =>
+          this.refreshing.delete(accountId)
+        )
+      );
+    }
+    return this.refreshing.get(accountId);
+  }
+
+  /**
+   * Trade the refresh token for a new access token
+   * A refused refresh token (expired, revoked, password changed) is
+   * dropped, and the user has to sign in again
+   */
+  async refresh(accountId, entry) {
+    const oauth = this.getProviderConfig(entry.provider);
+    if (!entry.refreshToken) {
+      throw new OAuthError(
+        `${oauth.name} did not grant offline access; sign in again`,
+        "OAUTH_REAUTH_REQUIRED"
+      );
+    }
+
+    try {
+      const tokens = await this.requestTokens(entry.provider, {
+        grant_type: "refresh_token",
+        refresh_token: entry.refreshToken,
+        client_id: oauth.clientId,
+      });
+      this.storeTokens(accountId, entry.provider, tokens);
+      return tokens.accessToken;
+    } catch (error) {
+      if (error.code === "OAUTH_INVALID_GRANT") {
+        this.forget(accountId);
+        throw new OAuthError(
+          `${oauth.name} sign-in has expired or was revoked; sign in again`,
+          "OAUTH_REAUTH_REQUIRED"
+        );
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Drop an account's tokens
+   */
+  forget(accountId) {
+    this.tokens.delete(accountId);
+    this.save();
+  }
+}
+
+// Export singleton instance
+export const oauthService = new OAuthService();
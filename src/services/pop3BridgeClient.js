@@ -0,0 +1,69 @@
+/**
+ * POP3 bridge client
+ * Downloads mail through the backend POP3 bridge (server/routes/pop3Bridge.js).
+ * POP3 sessions are not kept open, so every call sends the account's
+ * settings and the bridge logs in afresh.
+ */
+
+import { requestMailBackend } from "./imapBridgeClient";
+
+// A batch can carry up to 20 MB of mail
+const RETRIEVE_TIMEOUT = 120000;
+
+export class Pop3BridgeClient {
+  constructor({ url, pop3, credentials = null, timeout = 30000 }) {
+    this.url = url.replace(/\/+$/, "");
+    // { host, port, secure, requireTLS, username, password }
+    this.pop3 = pop3;
+    // OAuth2 accounts: async ({ refresh }) => ({ accessToken })
+    this.credentials = credentials;
+    this.timeout = timeout;
+  }
+
+  /**
+   * POST to a bridge route; an OAuth2 access token the server rejects is
+   * refreshed once, since the server's idea of expiry is the one that counts
+   */
+  async request(route, body = {}, { timeout = this.timeout } = {}) {
+    const post = async (refresh) =>
+      requestMailBackend(`${this.url}/${route}`, {
+        method: "POST",
+        body: {
+          ...body,
+          pop3: this.credentials
+            ? { ...this.pop3, ...(await this.credentials({ refresh })) }
+            : this.pop3,
+        },
+        timeout,
+      });
+
+    try {
+      return await post(false);
+    } catch (error) {
+      if (error.code === "POP3_AUTH_FAILED" && this.credentials) {
+        return post(true);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Log in to check the settings; returns the message count and size
+   */
+  check() {
+    return this.request("check");
+  }
+
+  /**
+   * Download up to limit messages whose UIDL is not in seen, newest first,
+   * and delete the UIDLs in remove
+   * -> { uids, messages: [{ uid, size, raw }], remaining, deleted }
+   */
+  retrieve({ seen = [], remove = [], limit } = {}) {
+    return this.request(
+      "retrieve",
+      { seen, delete: remove, limit },
+      { timeout: RETRIEVE_TIMEOUT }
+    );
+  }
+}
@@ -0,0 +1,435 @@
+/**
+ * PQC Service - Post-quantum identity keys, hybrid key encapsulation and signatures
+ * Message keys are wrapped with ML-KEM-768 (Kyber) combined with X25519,
+ * so a wrapped key stays protected if either primitive falls;
+ * messages are signed with ML-DSA-65 (Dilithium). Public keys are kept in
+ * local storage; the identities' secret keys are kept in the credential
+ * vault and only held in memory while it is unlocked, so nothing can be
+ * signed or decrypted while it is locked.
+ */
+
+import { ml_kem768 } from "@noble/post-quantum/ml-kem.js";
+import { ml_dsa65 } from "@noble/post-quantum/ml-dsa.js";
+import { x25519 } from "@noble/curves/ed25519.js";
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  base64ToBytes,
+  bytesToBase64,
+  bytesToHex,
+  deriveAesGcmKey,
+  randomBytes,
+  utf8Decode,
+  utf8Encode,
+} from "../utils/crypto";
+import { vaultService, VaultError } from "./vaultService";
+
+const STORAGE_KEY = "qumail-pqc-keys";
+const VAULT_ENTRY = "pqc";
+const KEM_LABEL = "QuMail ML-KEM-768+X25519 v1";
+const PUBLIC_KEY_PREFIX = "qumail-pqc:v1:";
+const KEY_PAIRS = ["kem", "x25519", "dsa"];
+
+const encodeKeyPair = (pair, withSecretKey) =>
+  pair && {
+    publicKey: bytesToBase64(pair.publicKey),
+    ...(withSecretKey && { secretKey: bytesToBase64(pair.secretKey) }),
+  };
+
+const decodeKeyPair = (pair) =>
+  pair && {
+    publicKey: base64ToBytes(pair.publicKey),
+    secretKey: pair.secretKey ? base64ToBytes(pair.secretKey) : null,
+  };
+
+const encodeIdentity = (identity, withSecretKeys) =>
+  Object.fromEntries(
+    KEY_PAIRS.map((name) => [
+      name,
+      encodeKeyPair(identity[name], withSecretKeys),
+    ])
+  );
+
+const decodeIdentity = (identity) =>
+  Object.fromEntries(
+    KEY_PAIRS.map((name) => [name, decodeKeyPair(identity[name])])
+  );
+
+class PQCService {
+  constructor() {
+    // address -> { kem, x25519, dsa } key pairs of {publicKey, secretKey};
+    // secret keys are null while the vault is locked
+    this.identities = new Map();
+    // address -> { kem, x25519, dsa } public keys
+    this.contacts = new Map();
+    this.load();
+
+    vaultService.subscribe(({ locked, reason }) => {
+      if (reason === "reset") {
+        this.forgetIdentities();
+      } else if (locked) {
+        this.dropSecretKeys();
+      } else {
+        this.loadSecretKeys();
+      }
+    });
+  }
+
+  /**
+   * Load identities' public keys and contact keys from local storage
+   */
+  load() {
+    if (typeof localStorage === "undefined") return;
+
+    try {
+      const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || "{}");
+      Object.entries(stored.identities || {}).forEach(([address, identity]) => {
+        this.identities.set(address, decodeIdentity(identity));
+      });
+      Object.entries(stored.contacts || {}).forEach(([address, contact]) => {
+        this.contacts.set(address, {
+          kem: base64ToBytes(contact.kem),
+          x25519: base64ToBytes(contact.x25519),
+          dsa: contact.dsa ? base64ToBytes(contact.dsa) : null,
+        });
+      });
+    } catch (error) {
+      console.error("Failed to load PQC keys:", error);
+    }
+  }
+
+  /**
+   * Persist public keys to local storage
+   */
+  save() {
+    if (typeof localStorage === "undefined") return;
+
+    const identities = {};
+    this.identities.forEach((identity, address) => {
+      identities[address] = encodeIdentity(identity, false);
+    });
+
+    const contacts = {};
+    this.contacts.forEach((contact, address) => {
+      contacts[address] = {
+        kem: bytesToBase64(contact.kem),
+        x25519: bytesToBase64(contact.x25519),
+        dsa: contact.dsa && bytesToBase64(contact.dsa),
+      };
+    });
+
+    localStorage.setItem(STORAGE_KEY, JSON.stringify({ identities, contacts }));
+  }
+
+  /**
+   * Write every identity's key pairs to the unlocked vault
+   */
+  async saveSecretKeys() {
+    const identities = {};
+    this.identities.forEach((identity, address) => {
+      if (identity.kem.secretKey) {
+        identities[address] = encodeIdentity(identity, true);
+      }
+    });
+    await vaultService.set(VAULT_ENTRY, { identities });
+    this.save();
+  }
+
+  /**
+   * Take the secret keys from the unlocked vault
+   */
+  loadSecretKeys() {
+    try {
+      const stored = vaultService.get(VAULT_ENTRY)?.identities || {};
+      Object.entries(stored).forEach(([address, identity]) => {
+        this.identities.set(address, decodeIdentity(identity));
+      });
+    } catch (error) {
+      console.error("Failed to load PQC keys:", error);
+    }
+  }
+
+  /**
+   * Forget the identities, whose secret keys went with a reset vault
+   */
+  forgetIdentities() {
+    this.identities.clear();
+    this.save();
+  }
+
+  /**
+   * Forget the secret keys held in memory
+   */
+  dropSecretKeys() {
+    this.identities.forEach((identity) => {
+      KEY_PAIRS.forEach((name) => {
+        identity[name].secretKey = null;
+      });
+    });
+  }
+
+  normalizeAddress(address) {
+    return address.trim().toLowerCase();
+  }
+
+  /**
+   * Get the identity key pairs for an own address, generating them on first
+   * use; new key pairs are kept in the vault, so that has to be unlocked
+   */
+  getOrCreateIdentity(address) {
+    const normalized = this.normalizeAddress(address);
+    let identity = this.identities.get(normalized);
+
+    if (!identity) {
+      vaultService.requireUnlocked();
+      const x25519SecretKey = x25519.utils.randomSecretKey();
+      identity = {
+        kem: ml_kem768.keygen(),
+        x25519: {
+          publicKey: x25519.getPublicKey(x25519SecretKey),
+          secretKey: x25519SecretKey,
+        },
+        dsa: ml_dsa65.keygen(),
+      };
+      this.identities.set(normalized, identity);
+      this.saveSecretKeys().catch((error) =>
+        console.error("Failed to store PQC keys:", error)
+      );
+      console.log(`Generated post-quantum identity for ${normalized}`);
+    }
+
+    return identity;
+  }
+
+  /**
+   * An own identity with its secret keys, which are only available while
+   * the vault is unlocked
+   */
+  requireSecretKeys(identity) {
+    if (!vaultService.isUnlocked() || !identity.kem.secretKey) {
+      throw new VaultError(
+        "Unlock the vault to use your post-quantum keys",
+        "VAULT_LOCKED"
+      );
+    }
+    return identity;
+  }
+
+  /**
+   * Export the public half of an own identity for sharing with contacts
+   */
+  exportPublicKey(address) {
+    const normalized = this.normalizeAddress(address);
+    const identity = this.getOrCreateIdentity(normalized);
+
+    return (
+      PUBLIC_KEY_PREFIX +
+      bytesToBase64(
+        utf8Encode(
+          JSON.stringify({
+            address: normalized,
+            kem: bytesToBase64(identity.kem.publicKey),
+            x25519: bytesToBase64(identity.x25519.publicKey),
+            dsa: bytesToBase64(identity.dsa.publicKey),
+          })
+        )
+      )
+    );
+  }
+
+  /**
+   * Import a contact's exported public key, returning the contact address
+   */
+  importContactKey(exportedKey) {
+    const trimmed = exportedKey.trim();
+    if (!trimmed.startsWith(PUBLIC_KEY_PREFIX)) {
+      throw new Error("Not a QuMail post-quantum public key");
+    }
+
+    const bundle = JSON.parse(
+      utf8Decode(base64ToBytes(trimmed.slice(PUBLIC_KEY_PREFIX.length)))
+    );
+    const kem = base64ToBytes(bundle.kem);
+    const x25519PublicKey = base64ToBytes(bundle.x25519);
+    const dsa = bundle.dsa ? base64ToBytes(bundle.dsa) : null;
+
+    if (
+      kem.length !== 1184 ||
+      x25519PublicKey.length !== 32 ||
+      (dsa && dsa.length !== 1952)
+    ) {
+      throw new Error("Malformed post-quantum public key");
+    }
+
+    const address = this.normalizeAddress(bundle.address);
+    this.contacts.set(address, { kem, x25519: x25519PublicKey, dsa });
+    this.save();
+    return address;
+  }
+
+  /**
+   * List addresses with known public keys
+   */
+  getContacts() {
+    return Array.from(this.contacts.keys());
+  }
+
+  removeContact(address) {
+    this.contacts.delete(this.normalizeAddress(address));
+    this.save();
+  }
+
+  /**
+   * Resolve the public keys for an address from own identities or contacts
+   */
+  getPublicKey(address) {
+    const normalized = this.normalizeAddress(address);
+    const identity = this.identities.get(normalized);
+    if (identity) {
+      return { kem: identity.kem.publicKey, x25519: identity.x25519.publicKey };
+    }
+    return this.contacts.get(normalized) || null;
+  }
+
+  /**
+   * Sign a message with the ML-DSA-65 key of an own identity
+   */
+  sign(message, address) {
+    const identity = this.requireSecretKeys(this.getOrCreateIdentity(address));
+    return ml_dsa65.sign(message, identity.dsa.secretKey);
+  }
+
+  /**
+   * Resolve the ML-DSA-65 public key for an address, or null if unknown
+   */
+  getSigningKey(address) {
+    const normalized = this.normalizeAddress(address);
+    const identity = this.identities.get(normalized);
+    if (identity?.dsa) {
+      return identity.dsa.publicKey;
+    }
+    return this.contacts.get(normalized)?.dsa || null;
+  }
+
+  /**
+   * Verify an ML-DSA-65 signature against a known public key
+   */
+  verify(signature, message, publicKey) {
+    try {
+      return ml_dsa65.verify(signature, message, publicKey);
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Short, non-identifying reference to a recipient key for envelope lookup
+   */
+  async getKeyId(publicKey) {
+    const digest = await crypto.subtle.digest(
+      "SHA-256",
+      new Uint8Array([...publicKey.kem, ...publicKey.x25519])
+    );
+    return bytesToHex(new Uint8Array(digest).subarray(0, 8));
+  }
+
+  /**
+   * Derive the key-encryption key from both shared secrets, bound to the transcript
+   */
+  async deriveWrappingKey(kemSecret, dhSecret, encryptionId, transcript) {
+    // HKDF info is length-limited, so the transcript is bound via its digest
+    const transcriptHash = new Uint8Array(
+      await crypto.subtle.digest("SHA-256", transcript)
+    );
+    return deriveAesGcmKey(
+      new Uint8Array([...kemSecret, ...dhSecret]),
+      utf8Encode(encryptionId),
+      new Uint8Array([...utf8Encode(KEM_LABEL), ...transcriptHash])
+    );
+  }
+
+  /**
+   * Wrap a message key to one recipient's public keys
+   */
+  async wrapKey(messageKey, address, encryptionId) {
+    const publicKey = this.getPublicKey(address);
+    if (!publicKey) {
+      throw new Error(
+        `No post-quantum public key for ${address}; import the recipient's key first`
+      );
+    }
+
+    const { cipherText, sharedSecret } = ml_kem768.encapsulate(publicKey.kem);
+    const ephemeralSecretKey = x25519.utils.randomSecretKey();
+    const ephemeralPublicKey = x25519.getPublicKey(ephemeralSecretKey);
+    const dhSecret = x25519.getSharedSecret(
+      ephemeralSecretKey,
+      publicKey.x25519
+    );
+
+    const wrappingKey = await this.deriveWrappingKey(
+      sharedSecret,
+      dhSecret,
+      encryptionId,
+      new Uint8Array([...cipherText, ...ephemeralPublicKey, ...publicKey.x25519])
+    );
+    const iv = randomBytes(12);
+    const wrappedKey = await aesGcmEncrypt(wrappingKey, iv, messageKey);
+
+    return {
+      recipientKeyId: await this.getKeyId(publicKey),
+      kemCiphertext: bytesToBase64(cipherText),
+      ephemeralPublicKey: bytesToBase64(ephemeralPublicKey),
+      wrappedKey: bytesToBase64(wrappedKey),
+      iv: bytesToBase64(iv),
+    };
+  }
+
+  /**
+   * Recover a message key from the envelope addressed to one of our identities
+   */
+  async unwrapKey(envelopes, encryptionId) {
+    vaultService.requireUnlocked();
+    for (const identity of this.identities.values()) {
+      const keyId = await this.getKeyId({
+        kem: identity.kem.publicKey,
+        x25519: identity.x25519.publicKey,
+      });
+      const envelope = envelopes.find((env) => env.recipientKeyId === keyId);
+      if (!envelope) continue;
+      this.requireSecretKeys(identity);
+
+      const cipherText = base64ToBytes(envelope.kemCiphertext);
+      const ephemeralPublicKey = base64ToBytes(envelope.ephemeralPublicKey);
+      const kemSecret = ml_kem768.decapsulate(
+        cipherText,
+        identity.kem.secretKey
+      );
+      const dhSecret = x25519.getSharedSecret(
+        identity.x25519.secretKey,
+        ephemeralPublicKey
+      );
+
+      const wrappingKey = await this.deriveWrappingKey(
+        kemSecret,
+        dhSecret,
+        encryptionId,
+        new Uint8Array([
+          ...cipherText,
+          ...ephemeralPublicKey,
+          ...identity.x25519.publicKey,
+        ])
+      );
+      return aesGcmDecrypt(
+        wrappingKey,
+        base64ToBytes(envelope.iv),
+        base64ToBytes(envelope.wrappedKey)
+      );
+    }
+
+    throw new Error("No post-quantum private key available for this message");
+  }
+}
+
+// Export singleton instance
+export const pqcService = new PQCService();
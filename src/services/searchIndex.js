@@ -0,0 +1,608 @@
+/**
+ * Search index
+ * Full-text search over the mail of every folder and account on this
+ * device, including encrypted mail the server cannot search. Messages are
+ * indexed as they are listed, with the subject and body of encrypted mail
+ * added once it has been decrypted. Each indexed message is stored in
+ * IndexedDB encrypted with AES-256-GCM under a device key from the
+ * credential vault; the index itself is built in memory while the vault is
+ * unlocked. Of One Time Pad mail only the sender, recipients, date and
+ * level are stored: its subject and body are searchable until the vault
+ * locks. Where there is no IndexedDB (e.g. in node) it lives in memory.
+ *
+ * Queries combine words (matching the start of words) and "phrases" with
+ * from:, to:, subject:, has:attachment, level:, after: and before: (dates
+ * as YYYY-MM-DD, after inclusive and before exclusive) or date:FROM..TO;
+ * all parts must match.
+ */
+
+import {
+  hasIndexedDb,
+  openDatabase,
+  runTransaction,
+  settle,
+} from "../utils/indexedDb";
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  base64ToBytes,
+  bytesToBase64,
+  randomBytes,
+  utf8Decode,
+  utf8Encode,
+} from "../utils/crypto";
+import { SECURITY_LEVELS } from "../types";
+import { vaultService } from "./vaultService";
+
+const DB_NAME = "qumail-search-index";
+const DB_VERSION = 1;
+const DOCUMENTS = "documents";
+const INDEX_VERSION = 1;
+const FIELDS = ["from", "to", "subject", "body", "attachments"];
+// Fields of One Time Pad mail that are never stored
+const CONTENT_FIELDS = ["subject", "body", "attachments"];
+// Longer bodies are indexed up to this many characters
+const MAX_BODY_LENGTH = 100000;
+const MAX_RESULTS = 100;
+const DAY = 24 * 60 * 60 * 1000;
+
+// level: also takes the level's number
+const LEVEL_ALIASES = {
+  1: SECURITY_LEVELS.QUANTUM_SECURE,
+  2: SECURITY_LEVELS.QUANTUM_AES,
+  3: SECURITY_LEVELS.PQC_ENCRYPTION,
+  4: SECURITY_LEVELS.NO_QUANTUM,
+};
+
+/**
+ * Lowercase words of a text, without accents
+ */
+const tokenize = (text) =>
+  String(text || "")
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+
+const additionalData = (id) =>
+  utf8Encode(`qumail-search-index-v${INDEX_VERSION}\u0000${id}`);
+
+/**
+ * Start of a local YYYY-MM-DD day in ms, or null
+ */
+const parseDay = (value) => {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  return match
+    ? new Date(
+        Number(match[1]),
+        Number(match[2]) - 1,
+        Number(match[3])
+      ).getTime()
+    : null;
+};
+
+/**
+ * A document predicate on its date; undated documents never match
+ */
+const dated = (test) => (document) =>
+  document.date !== null && test(document.date);
+
+/**
+ * Split a query into terms: { field, value, phrase } for words and phrases
+ * (field null for any field) and { filter, value } for the other operators
+ */
+function parseQuery(query) {
+  const terms = [];
+  const pattern = /(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+  for (const [, operator, phrase, word] of String(query).matchAll(pattern)) {
+    const name = operator?.toLowerCase();
+    const value = phrase ?? word;
+    if (["from", "to", "subject"].includes(name)) {
+      terms.push({ field: name, value, phrase: phrase !== undefined });
+    } else if (["has", "level", "after", "before", "date"].includes(name)) {
+      terms.push({ filter: name, value: value.toLowerCase() });
+    } else {
+      // Not an operator, e.g. a time like 10:30
+      terms.push({
+        field: null,
+        value: operator ? `${operator}:${value}` : value,
+        phrase: phrase !== undefined,
+      });
+    }
+  }
+  return terms;
+}
+
+class SearchIndex {
+  constructor() {
+    this.db = null;
+    // Device key while the vault is unlocked
+    this.key = null;
+    // The index, loaded from the stored documents while unlocked
+    this.loading = null;
+    this.documents = new Map();
+    // field -> word -> ids of the documents with it
+    this.postings = new Map(FIELDS.map((field) => [field, new Map()]));
+    // Fallback without IndexedDB: id -> stored record
+    this.memory = new Map();
+    this.listeners = new Set();
+
+    vaultService.subscribe(({ locked, reason }) => {
+      if (locked) {
+        this.unload();
+      }
+      // Documents are unreadable without the vault's device secret
+      if (reason === "reset") {
+        this.clear().catch((error) =>
+          console.error("Failed to clear the search index:", error)
+        );
+      }
+    });
+  }
+
+  /**
+   * Open (and on first use create) the database; null without IndexedDB
+   */
+  open() {
+    if (!hasIndexedDb()) {
+      return Promise.resolve(null);
+    }
+    if (!this.db) {
+      this.db = openDatabase(DB_NAME, DB_VERSION, (db) => {
+        const documents = db.createObjectStore(DOCUMENTS, { keyPath: "id" });
+        documents.createIndex("account", "accountId");
+      }).catch((error) => {
+        this.db = null;
+        throw error;
+      });
+    }
+    return this.db;
+  }
+
+  async transact(storeNames, mode, fn) {
+    return runTransaction(await this.open(), storeNames, mode, fn);
+  }
+
+  /**
+   * Subscribe to changes of the index; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify() {
+    this.listeners.forEach((listener) => listener());
+  }
+
+  unload() {
+    this.key = null;
+    this.loading = null;
+    this.documents.clear();
+    this.postings.forEach((words) => words.clear());
+  }
+
+  /**
+   * Load the stored documents into the index once per unlock; rejects
+   * while the vault is locked
+   */
+  load() {
+    if (!vaultService.isUnlocked()) {
+      return Promise.reject(new Error("The vault is locked"));
+    }
+    if (!this.loading) {
+      this.loading = this.readDocuments().catch((error) => {
+        this.loading = null;
+        throw error;
+      });
+    }
+    return this.loading;
+  }
+
+  async readDocuments() {
+    this.key = vaultService.deriveDeviceKey("search-index");
+    const key = await this.key;
+    const records = (await this.open())
+      ? await this.transact(DOCUMENTS, "readonly", (store) =>
+          settle(store.getAll())
+        )
+      : [...this.memory.values()];
+
+    const unreadable = [];
+    for (const record of records) {
+      try {
+        const plaintext = await aesGcmDecrypt(
+          key,
+          base64ToBytes(record.iv),
+          base64ToBytes(record.data),
+          additionalData(record.id)
+        );
+        this.addDocument(JSON.parse(utf8Decode(plaintext)));
+      } catch {
+        // Made under another device key
+        unreadable.push(record.id);
+      }
+    }
+    if (!vaultService.isUnlocked()) {
+      // Locked while loading
+      this.unload();
+      return;
+    }
+    await this.deleteRecords(unreadable);
+  }
+
+  addDocument(document) {
+    this.removeDocument(document.id);
+    const words = {};
+    FIELDS.forEach((field) => {
+      words[field] = tokenize(document[field]).join(" ");
+      const postings = this.postings.get(field);
+      new Set(words[field].split(" ").filter(Boolean)).forEach((word) => {
+        if (!postings.has(word)) postings.set(word, new Set());
+        postings.get(word).add(document.id);
+      });
+    });
+    this.documents.set(document.id, { ...document, words });
+  }
+
+  removeDocument(id) {
+    const document = this.documents.get(id);
+    if (!document) return;
+    FIELDS.forEach((field) => {
+      const postings = this.postings.get(field);
+      document.words[field].split(" ").forEach((word) => {
+        postings.get(word)?.delete(id);
+        if (postings.get(word)?.size === 0) postings.delete(word);
+      });
+    });
+    this.documents.delete(id);
+  }
+
+  /**
+   * What is stored of a document: One Time Pad plaintext stays in memory
+   */
+  storedForm(document) {
+    if (!document) return null;
+    const stored = { ...document };
+    delete stored.words;
+    if (stored.securityLevel === SECURITY_LEVELS.QUANTUM_SECURE) {
+      CONTENT_FIELDS.forEach((field) => delete stored[field]);
+    }
+    return stored;
+  }
+
+  async writeRecords(documents) {
+    if (documents.length === 0) return;
+    const key = await this.key;
+    const records = await Promise.all(
+      documents.map(async (document) => {
+        const iv = randomBytes(12);
+        const data = await aesGcmEncrypt(
+          key,
+          iv,
+          utf8Encode(JSON.stringify(document)),
+          additionalData(document.id)
+        );
+        return {
+          id: document.id,
+          accountId: document.accountId,
+          iv: bytesToBase64(iv),
+          data: bytesToBase64(data),
+        };
+      })
+    );
+    if (!(await this.open())) {
+      records.forEach((record) => this.memory.set(record.id, record));
+      return;
+    }
+    await this.transact(DOCUMENTS, "readwrite", async (store) =>
+      records.forEach((record) => store.put(record))
+    );
+  }
+
+  async deleteRecords(ids) {
+    if (ids.length === 0) return;
+    if (!(await this.open())) {
+      ids.forEach((id) => this.memory.delete(id));
+      return;
+    }
+    await this.transact(DOCUMENTS, "readwrite", async (store) =>
+      ids.forEach((id) => store.delete(id))
+    );
+  }
+
+  /**
+   * Index documents, keeping the content already indexed for them (such as
+   * a decrypted body) where the new ones have none, and store the ones
+   * that changed
+   */
+  async update(documents, { remove = [] } = {}) {
+    let changed = remove.length > 0;
+    const toStore = [];
+    documents.forEach((document) => {
+      const previous = this.documents.get(document.id);
+      const merged = { ...previous };
+      delete merged.words;
+      Object.entries(document).forEach(([field, value]) => {
+        if (value !== undefined) merged[field] = value;
+      });
+      const stored = this.storedForm(merged);
+      if (
+        JSON.stringify(stored) !== JSON.stringify(this.storedForm(previous))
+      ) {
+        toStore.push(stored);
+      }
+      if (
+        !previous ||
+        FIELDS.some((field) => merged[field] !== previous[field])
+      ) {
+        changed = true;
+      }
+      this.addDocument(merged);
+    });
+    remove.forEach((id) => this.removeDocument(id));
+
+    await Promise.all([this.writeRecords(toStore), this.deleteRecords(remove)]);
+    if (changed || toStore.length > 0) {
+      this.notify();
+    }
+  }
+
+  /**
+   * The fields an email is indexed by; the subject and body of encrypted
+   * mail are left out until they have been decrypted
+   */
+  documentOf(accountId, folder, email) {
+    const attachmentCount = email.encrypted
+      ? email.encryptionMetadata?.components?.attachments?.length || 0
+      : email.attachments?.length || 0;
+    const document = {
+      id: email.id,
+      accountId,
+      folder,
+      from: email.from || "",
+      to: [email.to, email.cc].flat().filter(Boolean).join(", "),
+      date: new Date(email.timestamp).getTime() || null,
+      securityLevel: email.securityLevel || SECURITY_LEVELS.NO_QUANTUM,
+      encrypted: Boolean(email.encrypted),
+      hasAttachment: attachmentCount > 0,
+      subject: email.encrypted ? email.decryptedSubject : email.subject,
+    };
+    if (!email.encrypted) {
+      Object.assign(document, this.contentOf(email));
+    }
+    return document;
+  }
+
+  contentOf(email) {
+    return {
+      subject: email.subject || "",
+      body: String(email.body || "")
+        .replace(/<[^>]*>/g, " ")
+        .slice(0, MAX_BODY_LENGTH),
+      attachments: (email.attachments || [])
+        .map((attachment) => attachment.filename || attachment.name)
+        .filter(Boolean)
+        .join(" "),
+    };
+  }
+
+  /**
+   * Index a folder's messages as listed, dropping the messages indexed
+   * for it that are gone
+   */
+  async indexFolder(accountId, folder, emails) {
+    await this.load();
+    const ids = new Set(emails.map((email) => email.id));
+    const gone = [...this.documents.values()]
+      .filter(
+        (document) =>
+          document.accountId === accountId &&
+          document.folder === folder &&
+          !ids.has(document.id)
+      )
+      .map(({ id }) => id);
+    await this.update(
+      emails.map((email) => this.documentOf(accountId, folder, email)),
+      { remove: gone }
+    );
+  }
+
+  /**
+   * Add the decrypted subject of an indexed message
+   */
+  async indexSubject(id, subject) {
+    await this.load();
+    if (this.documents.has(id)) {
+      await this.update([{ id, subject }]);
+    }
+  }
+
+  /**
+   * Add the decrypted content of an indexed message
+   */
+  async indexDecrypted(id, decryptedEmail) {
+    await this.load();
+    if (this.documents.has(id)) {
+      await this.update([{ id, ...this.contentOf(decryptedEmail) }]);
+    }
+  }
+
+  /**
+   * Ids of the documents with a word starting with prefix (or equal to it
+   * when exact) in one field, or in any with field null
+   */
+  lookup(field, word, exact) {
+    const ids = new Set();
+    (field ? [field] : FIELDS).forEach((name) => {
+      const postings = this.postings.get(name);
+      if (exact) {
+        postings.get(word)?.forEach((id) => ids.add(id));
+        return;
+      }
+      postings.forEach((matches, candidate) => {
+        if (candidate.startsWith(word)) {
+          matches.forEach((id) => ids.add(id));
+        }
+      });
+    });
+    return ids;
+  }
+
+  /**
+   * Ids of the documents matching a word or phrase term
+   */
+  match({ field, value, phrase }) {
+    const words = tokenize(value);
+    if (words.length === 1 && !phrase) {
+      return this.lookup(field, words[0], false);
+    }
+    // Every word must be there, and then in that order
+    const [first, ...rest] = words.map((word) =>
+      this.lookup(field, word, true)
+    );
+    const sequence = ` ${words.join(" ")} `;
+    return new Set(
+      [...first]
+        .filter((id) => rest.every((ids) => ids.has(id)))
+        .filter((id) => {
+          const document = this.documents.get(id);
+          return (field ? [field] : FIELDS).some((name) =>
+            ` ${document.words[name]} `.includes(sequence)
+          );
+        })
+    );
+  }
+
+  /**
+   * A predicate for an operator other than from:, to: and subject:, or
+   * null for one that matches nothing
+   */
+  filterOf({ filter, value }) {
+    switch (filter) {
+      case "has":
+        return value === "attachment"
+          ? (document) => document.hasAttachment
+          : null;
+      case "level": {
+        const level = LEVEL_ALIASES[value] || value;
+        return Object.values(SECURITY_LEVELS).includes(level)
+          ? (document) => document.securityLevel === level
+          : null;
+      }
+      case "after": {
+        const from = parseDay(value);
+        return from === null ? null : dated((date) => date >= from);
+      }
+      case "before": {
+        const until = parseDay(value);
+        return until === null ? null : dated((date) => date < until);
+      }
+      case "date": {
+        // A day, or a range of days with either end open
+        const [start, end = start] = value.split("..");
+        const from = start ? parseDay(start) : -Infinity;
+        const until = end ? parseDay(end) : Infinity;
+        return from === null || until === null
+          ? null
+          : dated((date) => date >= from && date < until + DAY);
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Indexed messages matching a query, newest first, optionally of one
+   * account only -> { results: [{ id, accountId, folder, from, to,
+   * subject, timestamp, securityLevel, encrypted, hasAttachment }], total }
+   */
+  async search(query, { accountId = null, limit = MAX_RESULTS } = {}) {
+    await this.load();
+    const terms = parseQuery(query).filter(
+      (term) => term.filter || tokenize(term.value).length > 0
+    );
+    if (terms.length === 0) {
+      return { results: [], total: 0 };
+    }
+
+    let ids = null;
+    const filters = [];
+    for (const term of terms) {
+      if (term.filter) {
+        const filter = this.filterOf(term);
+        if (!filter) return { results: [], total: 0 };
+        filters.push(filter);
+        continue;
+      }
+      const matches = this.match(term);
+      ids = ids ? new Set([...ids].filter((id) => matches.has(id))) : matches;
+    }
+
+    const matches = [...(ids || this.documents.keys())]
+      .map((id) => this.documents.get(id))
+      .filter(
+        (document) =>
+          (!accountId || document.accountId === accountId) &&
+          filters.every((filter) => filter(document))
+      )
+      .sort((a, b) => (b.date || 0) - (a.date || 0));
+
+    return {
+      results: matches.slice(0, limit).map((document) => ({
+        id: document.id,
+        accountId: document.accountId,
+        folder: document.folder,
+        from: document.from,
+        to: document.to,
+        subject: document.subject || "",
+        timestamp: document.date ? new Date(document.date).toISOString() : null,
+        securityLevel: document.securityLevel,
+        encrypted: document.encrypted,
+        hasAttachment: document.hasAttachment,
+      })),
+      total: matches.length,
+    };
+  }
+
+  /**
+   * Delete the documents of an account's messages
+   */
+  async removeAccount(accountId) {
+    [...this.documents.values()]
+      .filter((document) => document.accountId === accountId)
+      .forEach(({ id }) => this.removeDocument(id));
+
+    if (!(await this.open())) {
+      this.memory.forEach((record, id) => {
+        if (record.accountId === accountId) this.memory.delete(id);
+      });
+    } else {
+      await this.transact(DOCUMENTS, "readwrite", async (store) => {
+        const keys = await settle(store.index("account").getAllKeys(accountId));
+        keys.forEach((key) => store.delete(key));
+      });
+    }
+    this.notify();
+  }
+
+  /**
+   * Delete every document
+   */
+  async clear() {
+    this.documents.clear();
+    this.postings.forEach((words) => words.clear());
+    if (!(await this.open())) {
+      this.memory.clear();
+    } else {
+      await this.transact(DOCUMENTS, "readwrite", (store) =>
+        settle(store.clear())
+      );
+    }
+    this.notify();
+  }
+}
+
+// Export singleton instance
+export const searchIndex = new SearchIndex();
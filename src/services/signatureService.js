@@ -0,0 +1,200 @@
+/**
+ * Signature Service - ML-DSA (Dilithium) signatures for outgoing mail
+ * Signs a canonical form of the headers, (cipher)text and attachments so
+ * recipients can verify sender authenticity
+ */
+
+import { pqcService } from "./pqcService";
+import {
+  base64ToBytes,
+  bytesToBase64,
+  bytesToHex,
+  utf8Encode,
+} from "../utils/crypto";
+import { containerLength, readContainer } from "../utils/container";
+
+export const SIGNATURE_ALGORITHM = "ML-DSA-65";
+
+// Encrypted content is hashed in blocks of this size
+const CONTAINER_BLOCK_SIZE = 64 * 1024;
+
+export const SIGNATURE_STATUS = {
+  VALID: "valid",
+  INVALID: "invalid",
+  UNKNOWN_SIGNER: "unknown_signer",
+  UNSIGNED: "unsigned",
+};
+
+class SignatureService {
+  /**
+   * Hash attachment content regardless of its in-memory representation
+   */
+  async hashData(data) {
+    let bytes;
+    if (data instanceof ArrayBuffer) {
+      bytes = new Uint8Array(data);
+    } else if (data instanceof Uint8Array) {
+      bytes = data;
+    } else {
+      bytes = utf8Encode(String(data ?? ""));
+    }
+    const digest = await crypto.subtle.digest("SHA-256", bytes);
+    return bytesToHex(new Uint8Array(digest));
+  }
+
+  /**
+   * Hash encrypted content a block at a time, as the SHA-256 of its blocks'
+   * SHA-256 digests, so neither the sender's Blob nor the received base64
+   * is read or decoded whole (see utils/container)
+   */
+  async hashContainer(container) {
+    const length = containerLength(container);
+    const digests = [];
+    for (let offset = 0; offset < length; offset += CONTAINER_BLOCK_SIZE) {
+      digests.push(
+        await this.hashData(
+          await readContainer(
+            container,
+            offset,
+            Math.min(CONTAINER_BLOCK_SIZE, length - offset)
+          )
+        )
+      );
+    }
+    return this.hashData(digests.join("\n"));
+  }
+
+  /**
+   * Build the canonical byte string covered by a signature
+   * Bcc is excluded because it is stripped before delivery, and the
+   * signature header because it carries the signature itself; its signer
+   * and timestamp are covered, as are Date and Message-ID, so a signed
+   * message cannot be replayed under a new date or ID
+   */
+  async canonicalize(email, { signer, timestamp }) {
+    const addressList = (list) =>
+      (list || [])
+        .map((address) => address.trim().toLowerCase())
+        .sort()
+        .join(",");
+
+    const headers = email.headers || {};
+    const quMailHeaders = Object.keys(headers)
+      .filter(
+        (name) =>
+          name.toLowerCase().startsWith("x-qumail-") &&
+          name.toLowerCase() !== "x-qumail-signature"
+      )
+      .map((name) => `${name.toLowerCase()}:${String(headers[name]).trim()}`)
+      .sort();
+
+    const attachments = [];
+    for (const attachment of email.attachments || []) {
+      attachments.push(
+        `attachment:${attachment.filename};${
+          attachment.contentType
+        };${await this.hashData(attachment.data)}`
+      );
+    }
+
+    const lines = [
+      "qumail-signature-v2",
+      `signer:${signer}`,
+      `signature-timestamp:${timestamp}`,
+      // As the Date header carries it: to the second
+      `date:${new Date(email.timestamp).toUTCString()}`,
+      `message-id:${(email.messageId || "").trim()}`,
+      `from:${(email.from || "").trim().toLowerCase()}`,
+      `to:${addressList(email.to)}`,
+      `cc:${addressList(email.cc)}`,
+      `subject:${email.subject || ""}`,
+      ...quMailHeaders,
+      `body-sha256:${await this.hashData(email.body)}`,
+      ...attachments,
+    ];
+
+    // Encrypted mail carries its real content in the multipart/encrypted parts
+    if (email.encryptedContent) {
+      lines.push(
+        `encrypted-content-blocks-sha256:${await this.hashContainer(
+          email.encryptedContent
+        )}`,
+        `encryption-metadata-sha256:${await this.hashData(
+          JSON.stringify(email.encryptionMetadata || {})
+        )}`
+      );
+    }
+
+    return utf8Encode(lines.join("\n"));
+  }
+
+  /**
+   * Sign an email as the given sender, returning a copy carrying the
+   * signature; the email needs its Message-ID, and is dated now unless it
+   * has a timestamp
+   */
+  async signEmail(email, signerAddress) {
+    if (!email.messageId) {
+      throw new Error("A message needs its Message-ID before it is signed");
+    }
+    const signed = {
+      ...email,
+      timestamp: email.timestamp || new Date().toISOString(),
+    };
+    const signer = signerAddress.trim().toLowerCase();
+    const timestamp = new Date().toISOString();
+    const message = await this.canonicalize(signed, { signer, timestamp });
+    const signature = pqcService.sign(message, signerAddress);
+
+    return {
+      ...signed,
+      signature: {
+        algorithm: SIGNATURE_ALGORITHM,
+        signer,
+        value: bytesToBase64(signature),
+        timestamp,
+      },
+    };
+  }
+
+  /**
+   * Verify the signature carried by an email as received
+   */
+  async verifyEmail(email) {
+    const signature = email.signature;
+    if (!signature || !signature.value) {
+      return { status: SIGNATURE_STATUS.UNSIGNED, signer: null };
+    }
+
+    const signer = signature.signer;
+    if (signature.algorithm !== SIGNATURE_ALGORITHM) {
+      return { status: SIGNATURE_STATUS.INVALID, signer };
+    }
+
+    // A signature from someone other than the From address is not trusted,
+    // whether or not the signer is known
+    if (signer !== (email.from || "").trim().toLowerCase()) {
+      return { status: SIGNATURE_STATUS.INVALID, signer };
+    }
+
+    const publicKey = pqcService.getSigningKey(signer);
+    if (!publicKey) {
+      return { status: SIGNATURE_STATUS.UNKNOWN_SIGNER, signer };
+    }
+
+    const message = await this.canonicalize(email, signature);
+    const isValid = pqcService.verify(
+      base64ToBytes(signature.value),
+      message,
+      publicKey
+    );
+
+    return {
+      status: isValid ? SIGNATURE_STATUS.VALID : SIGNATURE_STATUS.INVALID,
+      signer,
+    };
+  }
+}
+
+// Export singleton instance
+export const signatureService = new SignatureService();
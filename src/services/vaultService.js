@@ -0,0 +1,334 @@
+/**
+ * Credential Vault
+ * Keeps account passwords, Key Manager API keys and client keys, OAuth2
+ * refresh tokens and post-quantum secret keys encrypted at rest. A key derived from the user's master
+ * passphrase (PBKDF2-HMAC-SHA-256) encrypts all entries as one AES-256-GCM
+ * blob under their own storage key; only the salt, the KDF parameters and
+ * the ciphertext are stored. Entries are held in memory while unlocked, and
+ * the vault locks itself after a period of inactivity. Device keys for
+ * other data kept on this device are derived from a secret in the vault.
+ */
+
+import {
+  aesGcmDecrypt,
+  aesGcmEncrypt,
+  base64ToBytes,
+  bytesToBase64,
+  deriveAesGcmKey,
+  derivePassphraseKey,
+  randomBytes,
+  utf8Decode,
+  utf8Encode,
+} from "../utils/crypto";
+
+const STORAGE_KEY = "qumail-vault";
+const VAULT_VERSION = 1;
+// OWASP's 2023 recommendation for PBKDF2-HMAC-SHA-256
+const PBKDF2_ITERATIONS = 600000;
+const MIN_PASSPHRASE_LENGTH = 8;
+const AUTO_LOCK_CHECK_INTERVAL = 15 * 1000;
+const ADDITIONAL_DATA = utf8Encode(`qumail-vault-v${VAULT_VERSION}`);
+// Vault entry holding the random secret device keys are derived from
+const DEVICE_SECRET_ID = "device:secret";
+
+/**
+ * Structured error for vault operations
+ */
+export class VaultError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = "VaultError";
+    this.code = code;
+  }
+}
+
+class VaultService {
+  constructor() {
+    this.key = null;
+    this.kdf = null;
+    // id -> secrets, only while unlocked
+    this.entries = null;
+    this.listeners = new Set();
+    this.autoLockMinutes = 15;
+    this.lastActivity = Date.now();
+    this.autoLockTimer = null;
+    // Writes are chained so an older snapshot never overwrites a newer one
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Read the stored vault, or null when none has been created
+   */
+  readStored() {
+    if (typeof localStorage === "undefined") return null;
+
+    const stored = localStorage.getItem(STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  }
+
+  /**
+   * Whether a master passphrase has been set up
+   */
+  isInitialized() {
+    return this.readStored() !== null;
+  }
+
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  /**
+   * Set up the vault with a new master passphrase and unlock it
+   */
+  async create(passphrase) {
+    if (this.isInitialized()) {
+      throw new VaultError("A vault already exists", "VAULT_EXISTS");
+    }
+    this.checkPassphrase(passphrase);
+
+    await this.rekey(passphrase);
+    this.entries = new Map();
+    await this.persist();
+    this.opened();
+  }
+
+  /**
+   * Unlock the vault with the master passphrase
+   */
+  async unlock(passphrase) {
+    const stored = this.readStored();
+    if (!stored) {
+      throw new VaultError(
+        "No vault has been set up yet",
+        "VAULT_NOT_INITIALIZED"
+      );
+    }
+
+    const { key, entries } = await this.open(stored, passphrase);
+    this.key = key;
+    this.kdf = stored.kdf;
+    this.entries = new Map(Object.entries(entries));
+    this.opened();
+  }
+
+  /**
+   * Derive the key for a stored vault and decrypt its entries
+   * AES-GCM authentication doubles as the passphrase check
+   */
+  async open(stored, passphrase) {
+    if (stored.version !== VAULT_VERSION) {
+      throw new VaultError(
+        `Unsupported vault version ${stored.version}`,
+        "VAULT_UNSUPPORTED"
+      );
+    }
+
+    const key = await derivePassphraseKey(
+      passphrase,
+      base64ToBytes(stored.kdf.salt),
+      stored.kdf.iterations
+    );
+    try {
+      const plaintext = await aesGcmDecrypt(
+        key,
+        base64ToBytes(stored.iv),
+        base64ToBytes(stored.data),
+        ADDITIONAL_DATA
+      );
+      return { key, entries: JSON.parse(utf8Decode(plaintext)) };
+    } catch {
+      throw new VaultError("Wrong master passphrase", "VAULT_WRONG_PASSPHRASE");
+    }
+  }
+
+  /**
+   * Replace the master passphrase; entries are re-encrypted under a key
+   * derived with a fresh salt
+   */
+  async changePassphrase(currentPassphrase, newPassphrase) {
+    this.requireUnlocked();
+    this.checkPassphrase(newPassphrase);
+    await this.writing;
+    await this.open(this.readStored(), currentPassphrase);
+
+    await this.rekey(newPassphrase);
+    await this.persist();
+  }
+
+  checkPassphrase(passphrase) {
+    if (
+      typeof passphrase !== "string" ||
+      passphrase.length < MIN_PASSPHRASE_LENGTH
+    ) {
+      throw new VaultError(
+        `The master passphrase needs at least ${MIN_PASSPHRASE_LENGTH} characters`,
+        "VAULT_WEAK_PASSPHRASE"
+      );
+    }
+  }
+
+  async rekey(passphrase) {
+    const salt = randomBytes(16);
+    this.key = await derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS);
+    this.kdf = {
+      name: "PBKDF2",
+      hash: "SHA-256",
+      iterations: PBKDF2_ITERATIONS,
+      salt: bytesToBase64(salt),
+    };
+  }
+
+  /**
+   * Lock the vault and drop the key and decrypted entries
+   * reason is "manual", "idle" or "reset"
+   */
+  lock(reason = "manual") {
+    if (!this.isUnlocked()) return;
+
+    this.key = null;
+    this.entries = null;
+    clearInterval(this.autoLockTimer);
+    this.autoLockTimer = null;
+    console.log(`Vault locked (${reason})`);
+    this.notify({ locked: true, reason });
+  }
+
+  /**
+   * Delete the vault and everything in it, for a forgotten passphrase
+   */
+  reset() {
+    this.lock("reset");
+    this.kdf = null;
+    if (typeof localStorage !== "undefined") {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  }
+
+  requireUnlocked() {
+    if (!this.isUnlocked()) {
+      throw new VaultError("The vault is locked", "VAULT_LOCKED");
+    }
+  }
+
+  /**
+   * Secrets stored under an id, or null
+   */
+  get(id) {
+    this.requireUnlocked();
+    return this.entries.get(id) ?? null;
+  }
+
+  /**
+   * Store secrets under an id; resolves once they are written
+   */
+  set(id, secrets) {
+    this.requireUnlocked();
+    this.entries.set(id, secrets);
+    return this.persist();
+  }
+
+  remove(id) {
+    this.requireUnlocked();
+    if (!this.entries.delete(id)) {
+      return Promise.resolve();
+    }
+    return this.persist();
+  }
+
+  /**
+   * An AES-256-GCM key for data encrypted at rest on this device, derived
+   * with HKDF for purpose from a random secret kept in the vault. So it is
+   * only available while the vault is unlocked with the master passphrase,
+   * survives a passphrase change, and is lost with a reset of the vault.
+   */
+  async deriveDeviceKey(purpose) {
+    let secret = this.get(DEVICE_SECRET_ID);
+    if (!secret) {
+      secret = bytesToBase64(randomBytes(32));
+      await this.set(DEVICE_SECRET_ID, secret);
+    }
+    return deriveAesGcmKey(
+      base64ToBytes(secret),
+      new Uint8Array(0),
+      utf8Encode(`qumail-device-key:${purpose}`)
+    );
+  }
+
+  /**
+   * Encrypt the current entries and write them out
+   */
+  persist() {
+    const key = this.key;
+    const kdf = this.kdf;
+    const plaintext = utf8Encode(
+      JSON.stringify(Object.fromEntries(this.entries))
+    );
+
+    this.writing = this.writing
+      .catch(() => {})
+      .then(async () => {
+        const iv = randomBytes(12);
+        const data = await aesGcmEncrypt(key, iv, plaintext, ADDITIONAL_DATA);
+        if (typeof localStorage === "undefined") return;
+
+        localStorage.setItem(
+          STORAGE_KEY,
+          JSON.stringify({
+            version: VAULT_VERSION,
+            kdf,
+            iv: bytesToBase64(iv),
+            data: bytesToBase64(data),
+          })
+        );
+      });
+    return this.writing;
+  }
+
+  /**
+   * Record user activity, which postpones the auto-lock
+   */
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * Lock after this many minutes without activity; 0 disables auto-lock
+   */
+  setAutoLock(minutes) {
+    this.autoLockMinutes = Math.max(0, Number(minutes) || 0);
+    this.scheduleAutoLock();
+  }
+
+  scheduleAutoLock() {
+    clearInterval(this.autoLockTimer);
+    this.autoLockTimer = null;
+    if (!this.isUnlocked() || this.autoLockMinutes === 0) return;
+
+    this.autoLockTimer = setInterval(() => {
+      if (Date.now() - this.lastActivity >= this.autoLockMinutes * 60000) {
+        this.lock("idle");
+      }
+    }, AUTO_LOCK_CHECK_INTERVAL);
+  }
+
+  opened() {
+    this.touch();
+    this.scheduleAutoLock();
+    this.notify({ locked: false });
+  }
+
+  /**
+   * Subscribe to lock and unlock events; returns an unsubscribe function
+   */
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event) {
+    this.listeners.forEach((listener) => listener(event));
+  }
+}
+
+// Export singleton instance
+export const vaultService = new VaultService();
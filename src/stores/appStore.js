@@ -1,8 +1,138 @@
 import { create } from "zustand";
 import { devtools, persist } from "zustand/middleware";
-import { APP_STATES, SECURITY_LEVELS } from "../types";
+import {
+  APP_STATES,
+  FOLDER_SYNC_STATES,
+  MESSAGE_CACHE_RETENTION_DAYS,
+  SECURITY_LEVELS,
+} from "../types";
 import { kmService } from "../services/kmService";
 import { emailService } from "../services/emailService";
+import { oauthService } from "../services/oauthService";
+import { vaultService } from "../services/vaultService";
+import { notificationService } from "../services/notificationService";
+import { messageCache } from "../services/messageCache";
+import { searchIndex } from "../services/searchIndex";
+
+// Secret fields of account and KM configs: they are kept in the credential
+// vault and stripped from the persisted "qumail-storage" slice
+const EMAIL_SECRET_FIELDS = ["imap.password", "pop3.password", "smtp.password"];
+const KM_SECRET_FIELDS = ["apiKey", "tls.key", "tls.pfx", "tls.passphrase"];
+
+/**
+ * Split the secret fields off a config: { config, secrets } with secrets
+ * keyed by field path
+ */
+const splitSecrets = (config, fields) => {
+  const secrets = {};
+  if (!config) return { config, secrets };
+
+  const stripped = JSON.parse(JSON.stringify(config));
+  fields.forEach((field) => {
+    const path = field.split(".");
+    const name = path.pop();
+    const parent = path.reduce((node, part) => node?.[part], stripped);
+    if (parent?.[name] !== undefined) {
+      secrets[field] = parent[name];
+      delete parent[name];
+    }
+  });
+  return { config: stripped, secrets };
+};
+
+const stripSecrets = (config, fields) => splitSecrets(config, fields).config;
+
+// Stops following the current account's INBOX (see watchMail)
+let stopMailWatch = null;
+
+/**
+ * A folder's messages as read from the mail store, keeping what the app
+ * added to them (e.g. a recovered subject) and the messages only the app
+ * has, such as a sent copy, which carry no UID until the server's copy of
+ * the same Message-ID is stored
+ */
+const mergeFolder = (current, emails) => {
+  const previous = new Map(current.map((email) => [email.id, email]));
+  const ids = new Set(emails.map((email) => email.id));
+  const messageIds = new Set(
+    emails.map((email) => email.messageId).filter(Boolean)
+  );
+  return [
+    ...emails.map((email) => ({ ...previous.get(email.id), ...email })),
+    ...current.filter(
+      (email) =>
+        !ids.has(email.id) &&
+        email.uid === undefined &&
+        !messageIds.has(email.messageId)
+    ),
+  ];
+};
+
+/**
+ * Put secrets from the vault back into a stripped config
+ */
+const applySecrets = (config, secrets) => {
+  const merged = JSON.parse(JSON.stringify(config));
+  Object.entries(secrets).forEach(([field, value]) => {
+    const path = field.split(".");
+    const name = path.pop();
+    const parent = path.reduce((node, part) => node?.[part], merged);
+    if (parent) {
+      parent[name] = value;
+    }
+  });
+  return merged;
+};
+
+const storeSecrets = (vaultId, config, fields) => {
+  const { secrets } = splitSecrets(config, fields);
+  vaultService
+    .set(vaultId, secrets)
+    .catch((error) => console.error("Failed to store credentials:", error));
+};
+
+/**
+ * A config with its secrets from the unlocked vault
+ */
+const unlockConfig = (config, vaultId) => {
+  if (!config) return config;
+
+  const secrets = vaultService.get(vaultId);
+  return secrets ? applySecrets(config, secrets) : config;
+};
+
+/**
+ * Take the plain-text secrets out of a version 0 persisted state, which
+ * predates the vault, returning them keyed by vault entry id
+ */
+const takeLegacySecrets = (persisted) => {
+  const pending = {};
+  const take = (config, vaultId, fields) => {
+    const { config: stripped, secrets } = splitSecrets(config, fields);
+    if (Object.keys(secrets).length > 0) {
+      pending[vaultId] = { ...pending[vaultId], ...secrets };
+    }
+    return stripped;
+  };
+
+  persisted.emailAccounts = (persisted.emailAccounts || []).map((account) =>
+    take(account, `email:${account.id}`, EMAIL_SECRET_FIELDS)
+  );
+  persisted.currentEmailAccount = take(
+    persisted.currentEmailAccount,
+    `email:${persisted.currentEmailAccount?.id}`,
+    EMAIL_SECRET_FIELDS
+  );
+  persisted.kmConfigs = (persisted.kmConfigs || []).map((config) =>
+    take(config, `km:${config.id}`, KM_SECRET_FIELDS)
+  );
+  persisted.currentKMConfig = take(
+    persisted.currentKMConfig,
+    `km:${persisted.currentKMConfig?.id}`,
+    KM_SECRET_FIELDS
+  );
+  return pending;
+};
 
 export const useAppStore = create()(
   devtools(
@@ -26,6 +156,10 @@ export const useAppStore = create()(
         kmConfigs: [],
         currentKMConfig: null,
 
+        // Secrets from before the vault, by vault entry id, kept (and
+        // persisted) until the vault has been set up and unlocked
+        pendingSecrets: {},
+
         // Security Configuration
         securityConfig: {
           level: SECURITY_LEVELS.QUANTUM_SECURE,
@@ -35,15 +169,23 @@ export const useAppStore = create()(
           keyLifetime: 3600, // 1 hour
           autoKeyRotation: true,
           backupEncryption: "AES-256",
+          autoLockMinutes: 15, // Lock the vault when idle; 0 = never
+          // Browser notifications for quantum-secured mail in background tabs
+          newMailNotifications: false,
+          // Days decrypted messages stay cached, per security level
+          cacheRetentionDays: { ...MESSAGE_CACHE_RETENTION_DAYS },
         },
 
-        // Email Data
+        // Email Data; IMAP and POP3 mail is kept in IndexedDB by the email
+        // service and read from there, so it is not persisted here
         emails: {
           inbox: [],
           sent: [],
           drafts: [],
           trash: [],
         },
+        // Per folder: { state: FOLDER_SYNC_STATES, syncedAt, error, summary }
+        folderStatus: {},
 
         // UI State
         selectedEmail: null,
@@ -56,11 +198,48 @@ export const useAppStore = create()(
             appState: { ...state.appState, status: APP_STATES.INITIALIZING },
           }));
 
+          // Secrets are only available once the vault is unlocked
+          if (!vaultService.isUnlocked()) {
+            set((state) => ({
+              appState: { ...state.appState, status: APP_STATES.LOCKED },
+            }));
+            return;
+          }
+
           try {
-            // Initialize services
-            await kmService.initialize();
+            // Initialize services; an active KM config selects the real KM client
+            const { currentKMConfig } = get();
+            if (currentKMConfig) {
+              try {
+                await kmService.configure(currentKMConfig);
+              } catch (error) {
+                console.error("Failed to connect to Key Manager:", error);
+                set({
+                  currentKMConfig: { ...currentKMConfig, isConnected: false },
+                });
+              }
+            } else {
+              await kmService.initialize();
+            }
             await emailService.initialize();
 
+            // Reconnect the active email account (backend sessions do not
+            // survive a reload)
+            const { currentEmailAccount } = get();
+            if (currentEmailAccount) {
+              const result =
+                await emailService.configureAccount(currentEmailAccount);
+              if (!result.success) {
+                console.error("Failed to connect email account:", result.error);
+              }
+              set({
+                currentEmailAccount: {
+                  ...currentEmailAccount,
+                  isConnected: result.success,
+                },
+              });
+            }
+
             set((state) => ({
               appState: { ...state.appState, status: APP_STATES.READY },
             }));
@@ -72,14 +251,84 @@ export const useAppStore = create()(
           }
         },
 
+        // Credential Vault
+        unlockVault: async (passphrase) => {
+          if (vaultService.isInitialized()) {
+            await vaultService.unlock(passphrase);
+          } else {
+            await vaultService.create(passphrase);
+          }
+          vaultService.setAutoLock(get().securityConfig.autoLockMinutes);
+          messageCache.setRetention(get().securityConfig.cacheRetentionDays);
+
+          // Secrets from before the vault move into it; they are only
+          // dropped from local storage once written there
+          const pending = Object.entries(get().pendingSecrets);
+          for (const [vaultId, secrets] of pending) {
+            await vaultService.set(vaultId, {
+              ...secrets,
+              ...vaultService.get(vaultId),
+            });
+          }
+          if (pending.length > 0) {
+            set({ pendingSecrets: {} });
+          }
+
+          const state = get();
+          const emailId = (account) => `email:${account?.id}`;
+          const kmId = (config) => `km:${config?.id}`;
+          set({
+            emailAccounts: state.emailAccounts.map((account) =>
+              unlockConfig(account, emailId(account))
+            ),
+            currentEmailAccount: unlockConfig(
+              state.currentEmailAccount,
+              emailId(state.currentEmailAccount)
+            ),
+            kmConfigs: state.kmConfigs.map((config) =>
+              unlockConfig(config, kmId(config))
+            ),
+            currentKMConfig: unlockConfig(
+              state.currentKMConfig,
+              kmId(state.currentKMConfig)
+            ),
+          });
+
+          await get().initializeApp();
+        },
+
+        lockVault: () => {
+          vaultService.lock("manual");
+        },
+
+        // Forgotten passphrase: stored secrets are lost, accounts are kept
+        resetVault: () => {
+          vaultService.reset();
+          set((state) => ({
+            appState: { ...state.appState, status: APP_STATES.LOCKED },
+          }));
+        },
+
         // Email Account Management
         addEmailAccount: (account) => {
+          storeSecrets(`email:${account.id}`, account, EMAIL_SECRET_FIELDS);
           set((state) => ({
             emailAccounts: [...state.emailAccounts, account],
           }));
         },
 
         removeEmailAccount: (accountId) => {
+          oauthService.forget(accountId);
+          emailService
+            .removeStoredEmails(accountId)
+            .catch((error) =>
+              console.error("Failed to remove stored mail:", error)
+            );
+          vaultService
+            .remove(`email:${accountId}`)
+            .catch((error) =>
+              console.error("Failed to remove credentials:", error)
+            );
           set((state) => ({
             emailAccounts: state.emailAccounts.filter(
               (acc) => acc.id !== accountId
@@ -92,17 +341,31 @@ export const useAppStore = create()(
         },
 
         setCurrentEmailAccount: (account) => {
-          set({ currentEmailAccount: account });
+          set((state) =>
+            state.currentEmailAccount?.id === account?.id
+              ? { currentEmailAccount: account }
+              : {
+                  currentEmailAccount: account,
+                  emails: { inbox: [], sent: [], drafts: [], trash: [] },
+                  folderStatus: {},
+                }
+          );
         },
 
         // Key Manager Management
         addKMConfig: (config) => {
+          storeSecrets(`km:${config.id}`, config, KM_SECRET_FIELDS);
           set((state) => ({
             kmConfigs: [...state.kmConfigs, config],
           }));
         },
 
         removeKMConfig: (configId) => {
+          vaultService
+            .remove(`km:${configId}`)
+            .catch((error) =>
+              console.error("Failed to remove credentials:", error)
+            );
           set((state) => ({
             kmConfigs: state.kmConfigs.filter((cfg) => cfg.id !== configId),
             currentKMConfig:
@@ -118,6 +381,12 @@ export const useAppStore = create()(
 
         // Security Configuration
         updateSecurityConfig: (config) => {
+          if (config.autoLockMinutes !== undefined) {
+            vaultService.setAutoLock(config.autoLockMinutes);
+          }
+          if (config.cacheRetentionDays !== undefined) {
+            messageCache.setRetention(config.cacheRetentionDays);
+          }
           set({ securityConfig: { ...get().securityConfig, ...config } });
         },
 
@@ -129,6 +398,122 @@ export const useAppStore = create()(
         },
 
         // Email Management
+        // Show the mail stored on this device for a folder; works offline
+        loadFolder: async (folder) => {
+          const account = get().currentEmailAccount;
+          if (!account) return;
+
+          const result = await emailService.getStoredEmails(
+            account,
+            folder.toUpperCase()
+          );
+          if (result.success && get().currentEmailAccount?.id === account.id) {
+            set((state) => ({
+              emails: {
+                ...state.emails,
+                [folder]: mergeFolder(
+                  state.emails[folder] || [],
+                  result.emails
+                ),
+              },
+              folderStatus: {
+                ...state.folderStatus,
+                [folder]: {
+                  state: FOLDER_SYNC_STATES.IDLE,
+                  error: null,
+                  ...state.folderStatus[folder],
+                  syncedAt:
+                    result.syncedAt || state.folderStatus[folder]?.syncedAt,
+                },
+              },
+            }));
+            // Searchable across folders and accounts from now on
+            searchIndex
+              .indexFolder(account.id, folder, get().emails[folder])
+              .catch((error) =>
+                console.error(`Failed to index ${folder}:`, error)
+              );
+          }
+        },
+
+        setFolderStatus: (folder, status) => {
+          set((state) => ({
+            folderStatus: {
+              ...state.folderStatus,
+              [folder]: { ...state.folderStatus[folder], ...status },
+            },
+          }));
+        },
+
+        // Sync a folder from the server into the mail store (only what
+        // changed since the last sync), then show the folder as stored
+        syncFolder: async (folder) => {
+          const account = get().currentEmailAccount;
+          if (!account) return null;
+
+          get().setFolderStatus(folder, {
+            state: FOLDER_SYNC_STATES.SYNCING,
+          });
+          const result = await emailService.fetchEmails(
+            account.id,
+            folder.toUpperCase()
+          );
+          if (get().currentEmailAccount?.id !== account.id) {
+            return result;
+          }
+          if (!result.success) {
+            get().setFolderStatus(folder, {
+              state: FOLDER_SYNC_STATES.ERROR,
+              error: result.error,
+            });
+            return result;
+          }
+          await get().loadFolder(folder);
+          get().setFolderStatus(folder, {
+            state: FOLDER_SYNC_STATES.SYNCED,
+            syncedAt: new Date().toISOString(),
+            error: null,
+            summary: result.sync,
+          });
+          return result;
+        },
+
+        // Follow the current account's INBOX as the server pushes changes:
+        // each one syncs it, so the list and unread counts update live, and
+        // new quantum-secured mail is notified while the tab is hidden
+        watchMail: () => {
+          get().unwatchMail();
+          const account = get().currentEmailAccount;
+          if (!account) return;
+
+          stopMailWatch = emailService.watchMail(account.id, async (event) => {
+            if (event.type === "error") {
+              console.error("New mail push failed:", event.message);
+              return;
+            }
+            if (event.folder.toUpperCase() !== "INBOX") return;
+
+            const known = new Set(get().emails.inbox.map(({ id }) => id));
+            const result = await get().syncFolder("inbox");
+            if (
+              event.type === "mailbox" &&
+              result?.success &&
+              get().securityConfig.newMailNotifications
+            ) {
+              notificationService.notifyNewMail(
+                get().emails.inbox.filter(
+                  (email) => !known.has(email.id) && !email.read
+                )
+              );
+            }
+          });
+        },
+
+        unwatchMail: () => {
+          stopMailWatch?.();
+          stopMailWatch = null;
+        },
+
         addEmail: (email, folder = "inbox") => {
           set((state) => ({
             emails: {
@@ -139,6 +524,13 @@ export const useAppStore = create()(
         },
 
         updateEmail: (emailId, updates) => {
+          if (updates.decryptedSubject) {
+            searchIndex
+              .indexSubject(emailId, updates.decryptedSubject)
+              .catch((error) =>
+                console.error("Failed to index decrypted subject:", error)
+              );
+          }
           set((state) => {
             const newEmails = { ...state.emails };
             Object.keys(newEmails).forEach((folder) => {
@@ -253,28 +645,54 @@ export const useAppStore = create()(
           set((state) => ({ sidebarCollapsed: !state.sidebarCollapsed }));
         },
 
-        // Computed values
+        // Computed values; get() is undefined while persist hydrates the
+        // store during creation
         get isKMConnected() {
-          return get().currentKMConfig?.isConnected || false;
+          return get()?.currentKMConfig?.isConnected || false;
         },
 
         get isEmailConnected() {
-          return get().currentEmailAccount?.isConnected || false;
+          return get()?.currentEmailAccount?.isConnected || false;
         },
 
         get unreadCount() {
-          return get().emails.inbox.filter((email) => !email.read).length;
+          return (get()?.emails.inbox || []).filter((email) => !email.read)
+            .length;
         },
       }),
       {
         name: "qumail-storage",
+        version: 1,
         partialize: (state) => ({
-          emailAccounts: state.emailAccounts,
-          kmConfigs: state.kmConfigs,
+          emailAccounts: state.emailAccounts.map((account) =>
+            stripSecrets(account, EMAIL_SECRET_FIELDS)
+          ),
+          kmConfigs: state.kmConfigs.map((config) =>
+            stripSecrets(config, KM_SECRET_FIELDS)
+          ),
           securityConfig: state.securityConfig,
-          currentEmailAccount: state.currentEmailAccount,
-          currentKMConfig: state.currentKMConfig,
+          currentEmailAccount: stripSecrets(
+            state.currentEmailAccount,
+            EMAIL_SECRET_FIELDS
+          ),
+          currentKMConfig: stripSecrets(
+            state.currentKMConfig,
+            KM_SECRET_FIELDS
+          ),
+          pendingSecrets: state.pendingSecrets,
         }),
+        // Version 0 predates the vault: its plain-text secrets wait in
+        // pendingSecrets until they can move into the vault
+        migrate: (persisted, version) => {
+          if (version < 1) {
+            persisted.securityConfig = {
+              autoLockMinutes: 15,
+              ...persisted.securityConfig,
+            };
+            persisted.pendingSecrets = takeLegacySecrets(persisted);
+          }
+          return persisted;
+        },
       }
     ),
     {
@@ -282,3 +700,28 @@ export const useAppStore = create()(
     }
   )
 );
+
+// Locking drops the secrets from the store and closes the mail session that
+// holds them; unlocking reconnects through initializeApp
+vaultService.subscribe(({ locked }) => {
+  if (!locked) return;
+
+  const state = useAppStore.getState();
+  if (state.currentEmailAccount) {
+    emailService.disconnectAccount(state.currentEmailAccount.id);
+  }
+  useAppStore.setState({
+    emailAccounts: state.emailAccounts.map((account) =>
+      stripSecrets(account, EMAIL_SECRET_FIELDS)
+    ),
+    kmConfigs: state.kmConfigs.map((config) =>
+      stripSecrets(config, KM_SECRET_FIELDS)
+    ),
+    currentEmailAccount: stripSecrets(
+      state.currentEmailAccount,
+      EMAIL_SECRET_FIELDS
+    ),
+    currentKMConfig: stripSecrets(state.currentKMConfig, KM_SECRET_FIELDS),
+    appState: { ...state.appState, status: APP_STATES.LOCKED },
+  });
+});
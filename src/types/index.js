@@ -15,9 +15,27 @@ export const SECURITY_LEVELS = {
 export const KM_API_ENDPOINTS = {
   GET_KEY: "/api/v1/keys/{key_ID}",
   GET_KEY_WITH_IDS: "/api/v1/keys/{key_ID}/with_key_IDs",
-  GET_STATUS: "/api/v1/keys/{key_ID}/status",
+  GET_STATUS: "/api/v1/keys/{slave_SAE_ID}/status",
   ENCODE_KEY: "/api/v1/keys/{slave_SAE_ID}/enc_keys",
-  DECODE_KEY: "/api/v1/keys/{slave_SAE_ID}/dec_keys",
+  DECODE_KEY: "/api/v1/keys/{master_SAE_ID}/dec_keys",
+};
+
+// Key Manager client modes
+export const KM_MODES = {
+  ETSI: "etsi", // Real ETSI GS QKD 014 REST client
+  MOCK: "mock", // In-browser simulation
+};
+
+// Email Account Modes
+export const EMAIL_MODES = {
+  BACKEND: "backend", // Real mail through the backend IMAP bridge
+  MOCK: "mock", // Demo mail from the in-browser mock mail server
+};
+
+// How an email account signs in to IMAP and SMTP
+export const EMAIL_AUTH_TYPES = {
+  PASSWORD: "password", // Account or app password
+  OAUTH2: "oauth2", // Authorization code with PKCE, then XOAUTH2
 };
 
 // Email Protocol Types
@@ -27,34 +45,96 @@ export const EMAIL_PROTOCOLS = {
   POP3: "pop3",
 };
 
+// Connection security of an IMAP, POP3 or SMTP server
+export const MAIL_SECURITY = {
+  TLS: "tls", // Implicit TLS (secure: true)
+  STARTTLS: "starttls", // Plain connection upgraded with STARTTLS
+  NONE: "none", // Plain text (requireTLS: false)
+};
+
 // Email Providers Configuration
+// secure is implicit TLS; otherwise the backend requires STARTTLS unless
+// requireTLS is false. Providers with pop3 can be read over POP3 instead
+// of IMAP. Providers with oauth support OAuth2 sign-in; their client IDs
+// are in config.OAUTH_CLIENT_IDS. The custom provider has no servers of
+// its own: the user enters them or discovers them.
 export const EMAIL_PROVIDERS = {
   GMAIL: {
     name: "Gmail",
     imap: { host: "imap.gmail.com", port: 993, secure: true },
+    pop3: { host: "pop.gmail.com", port: 995, secure: true },
     smtp: { host: "smtp.gmail.com", port: 587, secure: false },
+    oauth: {
+      authorizationEndpoint: "https://accounts.google.com/o/oauth2/v2/auth",
+      scope: "https://mail.google.com/",
+      // Google only issues a refresh token with offline access and consent
+      params: { access_type: "offline", prompt: "consent" },
+    },
   },
   YAHOO: {
     name: "Yahoo Mail",
     imap: { host: "imap.mail.yahoo.com", port: 993, secure: true },
+    pop3: { host: "pop.mail.yahoo.com", port: 995, secure: true },
     smtp: { host: "smtp.mail.yahoo.com", port: 587, secure: false },
   },
   OUTLOOK: {
     name: "Outlook",
     imap: { host: "outlook.office365.com", port: 993, secure: true },
+    pop3: { host: "outlook.office365.com", port: 995, secure: true },
     smtp: { host: "smtp-mail.outlook.com", port: 587, secure: false },
+    oauth: {
+      authorizationEndpoint:
+        "https://login.microsoftonline.com/common/oauth2/v2.0/authorize",
+      scope:
+        "https://outlook.office.com/IMAP.AccessAsUser.All https://outlook.office.com/POP.AccessAsUser.All https://outlook.office.com/SMTP.Send offline_access",
+      params: {},
+    },
+  },
+  CUSTOM: {
+    name: "Custom server",
+    custom: true,
+  },
+  LOCAL: {
+    name: "Local mail stub",
+    imap: { host: "localhost", port: 1143, secure: false, requireTLS: false },
+    pop3: { host: "localhost", port: 1110, secure: false, requireTLS: false },
+    smtp: { host: "localhost", port: 2525, secure: false, requireTLS: false },
+    oauth: {
+      authorizationEndpoint: "http://localhost:9090/authorize",
+      scope: "mail",
+      params: {},
+    },
   },
 };
 
 // Application States
 export const APP_STATES = {
   INITIALIZING: "initializing",
+  // Waiting for the master passphrase (or for one to be set up)
+  LOCKED: "locked",
   CONNECTING_KM: "connecting_km",
   CONNECTING_EMAIL: "connecting_email",
   READY: "ready",
   ERROR: "error",
 };
 
+// Where a mail folder's sync with the server stands
+export const FOLDER_SYNC_STATES = {
+  IDLE: "idle", // Shown as stored, not synced yet this session
+  SYNCING: "syncing",
+  SYNCED: "synced",
+  ERROR: "error", // Last sync failed; the stored mail is still shown
+};
+
+// How many days decrypted messages stay in the encrypted local cache, per
+// security level; 0 never caches. One Time Pad plaintext is never cached
+export const MESSAGE_CACHE_RETENTION_DAYS = {
+  [SECURITY_LEVELS.QUANTUM_SECURE]: 0,
+  [SECURITY_LEVELS.QUANTUM_AES]: 7,
+  [SECURITY_LEVELS.PQC_ENCRYPTION]: 30,
+  [SECURITY_LEVELS.NO_QUANTUM]: 30,
+};
+
 // Quantum Key States (ETSI standard)
 export const KEY_STATES = {
   AVAILABLE: "available",
@@ -0,0 +1,50 @@
+/**
+ * Encrypted content container helpers
+ * A message's ciphertext is held as a Blob while sending, filled with the
+ * sealed chunks as they are produced, and as the base64 text of its MIME
+ * part once parsed. Both are read a slice at a time, so the container is
+ * never held as one buffer or decoded whole.
+ */
+
+import { base64ToBytes } from "./crypto";
+
+/**
+ * Size in bytes of a container in either form
+ */
+export function containerLength(container) {
+  if (typeof container === "string") {
+    const padding = container.endsWith("==")
+      ? 2
+      : container.endsWith("=")
+        ? 1
+        : 0;
+    return (container.length / 4) * 3 - padding;
+  }
+  return container.size;
+}
+
+/**
+ * length bytes of a parsed container from offset, decoding just the
+ * base64 quanta covering the range
+ */
+export function containerSlice(container, offset, length) {
+  const start = Math.floor(offset / 3);
+  const end = Math.ceil((offset + length) / 3);
+  const skip = offset - start * 3;
+  return base64ToBytes(container.slice(start * 4, end * 4)).subarray(
+    skip,
+    skip + length
+  );
+}
+
+/**
+ * length bytes of a container in either form from offset
+ */
+export async function readContainer(container, offset, length) {
+  if (typeof container === "string") {
+    return containerSlice(container, offset, length);
+  }
+  return new Uint8Array(
+    await container.slice(offset, offset + length).arrayBuffer()
+  );
+}
@@ -0,0 +1,158 @@
+/**
+ * Byte and encoding helpers shared by the QuMail crypto services
+ */
+
+const textEncoder = new TextEncoder();
+const textDecoder = new TextDecoder();
+
+/**
+ * Encode a string as UTF-8 bytes
+ */
+export function utf8Encode(text) {
+  return textEncoder.encode(text);
+}
+
+/**
+ * Decode UTF-8 bytes back to a string
+ */
+export function utf8Decode(bytes) {
+  return textDecoder.decode(bytes);
+}
+
+/**
+ * Convert bytes to a base64 string
+ */
+export function bytesToBase64(bytes) {
+  let binary = "";
+  const chunkSize = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunkSize) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Convert a base64 string to bytes
+ */
+export function base64ToBytes(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/**
+ * Convert a hex string to bytes
+ */
+export function hexToBytes(hex) {
+  if (hex.length % 2 !== 0) {
+    throw new Error("Invalid hex string length");
+  }
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) {
+    bytes[i] = parseInt(hex.substring(i * 2, i * 2 + 2), 16);
+  }
+  return bytes;
+}
+
+/**
+ * Convert bytes to a hex string
+ */
+export function bytesToHex(bytes) {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join(
+    ""
+  );
+}
+
+/**
+ * Fill a new buffer with cryptographically secure random bytes
+ */
+export function randomBytes(length) {
+  const bytes = new Uint8Array(length);
+  // getRandomValues is limited to 64 KiB per call
+  for (let i = 0; i < length; i += 65536) {
+    crypto.getRandomValues(bytes.subarray(i, Math.min(i + 65536, length)));
+  }
+  return bytes;
+}
+
+/**
+ * XOR data with key material of at least the same length
+ */
+export function xorBytes(data, key) {
+  if (key.length < data.length) {
+    throw new Error(
+      `Key material too short: ${key.length} bytes for ${data.length} bytes of data`
+    );
+  }
+  const result = new Uint8Array(data.length);
+  for (let i = 0; i < data.length; i++) {
+    result[i] = data[i] ^ key[i];
+  }
+  return result;
+}
+
+/**
+ * Derive an AES-GCM key from input key material with HKDF-SHA-256
+ */
+export async function deriveAesGcmKey(ikm, salt, info, length = 256) {
+  const baseKey = await crypto.subtle.importKey("raw", ikm, "HKDF", false, [
+    "deriveKey",
+  ]);
+  return crypto.subtle.deriveKey(
+    { name: "HKDF", hash: "SHA-256", salt, info },
+    baseKey,
+    { name: "AES-GCM", length },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Derive an AES-GCM key from a passphrase with PBKDF2-HMAC-SHA-256
+ */
+export async function derivePassphraseKey(
+  passphrase,
+  salt,
+  iterations,
+  length = 256
+) {
+  const baseKey = await crypto.subtle.importKey(
+    "raw",
+    textEncoder.encode(passphrase.normalize("NFC")),
+    "PBKDF2",
+    false,
+    ["deriveKey"]
+  );
+  return crypto.subtle.deriveKey(
+    { name: "PBKDF2", hash: "SHA-256", salt, iterations },
+    baseKey,
+    { name: "AES-GCM", length },
+    false,
+    ["encrypt", "decrypt"]
+  );
+}
+
+/**
+ * Encrypt with AES-GCM; the 128-bit tag is appended to the ciphertext
+ */
+export async function aesGcmEncrypt(key, iv, data, additionalData) {
+  const params = { name: "AES-GCM", iv };
+  if (additionalData) {
+    params.additionalData = additionalData;
+  }
+  return new Uint8Array(await crypto.subtle.encrypt(params, key, data));
+}
+
+/**
+ * Decrypt AES-GCM ciphertext; rejects with an OperationError on a bad tag
+ */
+export async function aesGcmDecrypt(key, iv, data, additionalData) {
+  const params = { name: "AES-GCM", iv };
+  if (additionalData) {
+    params.additionalData = additionalData;
+  }
+  return new Uint8Array(await crypto.subtle.decrypt(params, key, data));
+}
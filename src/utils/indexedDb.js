@@ -0,0 +1,57 @@
+/**
+ * Promise helpers over IndexedDB for the services that keep mail on this
+ * device
+ */
+
+/**
+ * Whether IndexedDB is available (it is not in node)
+ */
+export function hasIndexedDb() {
+  return typeof indexedDB !== "undefined";
+}
+
+/**
+ * Resolve with a request's result once it succeeds
+ */
+export function settle(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Open a database; upgrade(db, oldVersion, transaction) creates or migrates
+ * its object stores
+ */
+export function openDatabase(name, version, upgrade) {
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = (event) =>
+    upgrade(request.result, event.oldVersion, request.transaction);
+  return settle(request);
+}
+
+/**
+ * Run fn against the object stores of one transaction and resolve with its
+ * result once the transaction has committed; an error in fn aborts it
+ */
+export async function runTransaction(db, storeNames, mode, fn) {
+  const transaction = db.transaction(storeNames, mode);
+  const committed = new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+  let result;
+  try {
+    result = await fn(
+      ...[].concat(storeNames).map((name) => transaction.objectStore(name))
+    );
+  } catch (error) {
+    transaction.abort();
+    committed.catch(() => {});
+    throw error;
+  }
+  await committed;
+  return result;
+}
@@ -0,0 +1,117 @@
+/**
+ * Web Streams helpers for chunked attachment encryption and for the Blobs
+ * large messages are assembled in
+ */
+
+import { utf8Encode } from "./crypto";
+
+/**
+ * Size in bytes of attachment data in any of its in-memory forms
+ */
+export function byteLength(data) {
+  if (data instanceof ArrayBuffer) return data.byteLength;
+  if (ArrayBuffer.isView(data)) return data.byteLength;
+  if (typeof Blob !== "undefined" && data instanceof Blob) return data.size;
+  return utf8Encode(String(data ?? "")).length;
+}
+
+/**
+ * Readable byte stream over attachment data without copying it
+ * Blobs (and Files) use their native stream; buffers are sliced into views
+ */
+export function toByteStream(data, chunkSize = 64 * 1024) {
+  if (typeof Blob !== "undefined" && data instanceof Blob) {
+    return data.stream();
+  }
+
+  let bytes;
+  if (data instanceof ArrayBuffer) {
+    bytes = new Uint8Array(data);
+  } else if (ArrayBuffer.isView(data)) {
+    bytes = new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  } else {
+    bytes = utf8Encode(String(data ?? ""));
+  }
+
+  let position = 0;
+  return new ReadableStream({
+    pull(controller) {
+      if (position >= bytes.length) {
+        controller.close();
+        return;
+      }
+      controller.enqueue(bytes.subarray(position, position + chunkSize));
+      position += chunkSize;
+    },
+  });
+}
+
+/**
+ * Re-chunk a byte stream into { chunk, final } records of exactly chunkSize
+ * bytes, except the last. One full chunk is held back so the final chunk is
+ * known when it is emitted; an empty input yields a single empty final chunk.
+ */
+export function chunkStream(chunkSize) {
+  let buffer = new Uint8Array(0);
+
+  return new TransformStream({
+    transform(input, controller) {
+      const joined = new Uint8Array(buffer.length + input.length);
+      joined.set(buffer);
+      joined.set(input, buffer.length);
+
+      let position = 0;
+      // Strictly more than a chunk: the remainder may turn out to be final
+      while (joined.length - position > chunkSize) {
+        controller.enqueue({
+          chunk: joined.slice(position, position + chunkSize),
+          final: false,
+        });
+        position += chunkSize;
+      }
+      buffer = joined.slice(position);
+    },
+    flush(controller) {
+      controller.enqueue({ chunk: buffer, final: true });
+    },
+  });
+}
+
+/**
+ * Gather byte chunks and strings into a Blob as they are produced. Parts are
+ * folded into the Blob every flushSize bytes, so they are handed to the
+ * browser's Blob storage along the way instead of all being held until the
+ * end. Returns { append(part), toBlob(type) }
+ */
+export function createBlobWriter(flushSize = 8 * 1024 * 1024) {
+  let blob = new Blob([]);
+  let parts = [];
+  let pending = 0;
+
+  const flush = () => {
+    blob = new Blob([blob, ...parts]);
+    parts = [];
+    pending = 0;
+  };
+
+  return {
+    append(part) {
+      parts.push(part);
+      pending += typeof part === "string" ? part.length : byteLength(part);
+      if (pending >= flushSize) {
+        flush();
+      }
+    },
+    toBlob(type = "") {
+      flush();
+      return type ? new Blob([blob], { type }) : blob;
+    },
+  };
+}
+
+/**
+ * Let the browser render and handle input between CPU-bound chunks
+ */
+export function yieldToEventLoop() {
+  return new Promise((resolve) => setTimeout(resolve, 0));
+}
@@ -0,0 +1,51 @@
+/**
+ * Crypto worker - runs contentCipher operations off the main thread
+ * Messages in:  { id, op, payload }
+ * Messages out: { id, progress } while streaming, { id, chunk } for each
+ *               sealed chunk when the payload asks for streamChunks, then
+ *               { id, result } or { id, error: { name, message, code } }
+ * Result buffers are transferred back, never copied.
+ */
+
+import { contentCipher } from "../services/contentCipher";
+
+const OPERATIONS = new Set(["seal", "open", "sealStream", "openStream"]);
+
+/**
+ * ArrayBuffers in a result, for the transfer list
+ */
+function collectTransferables(result) {
+  const views = [
+    result?.ciphertext,
+    result?.iv,
+    ...(result?.chunks || []),
+    result instanceof Uint8Array ? result : null,
+  ];
+  return [...new Set(views.filter(Boolean).map((view) => view.buffer))];
+}
+
+self.onmessage = async ({ data: { id, op, payload } }) => {
+  try {
+    if (!OPERATIONS.has(op)) {
+      throw new Error(`Unknown crypto operation: ${op}`);
+    }
+
+    const result = await contentCipher[op]({
+      ...payload,
+      onProgress: (processed) => self.postMessage({ id, progress: processed }),
+      ...(payload.streamChunks && {
+        onChunk: (chunk) => self.postMessage({ id, chunk }, [chunk.buffer]),
+      }),
+    });
+    self.postMessage({ id, result }, collectTransferables(result));
+  } catch (error) {
+    self.postMessage({
+      id,
+      error: {
+        name: error.name,
+        message: error.message,
+        code: error.code || null,
+      },
+    });
+  }
+};